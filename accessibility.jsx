@@ -0,0 +1,146 @@
+import React from 'react';
+
+// ========================================
+// ACCESSIBILITY HELPERS
+// ========================================
+// Keyboard support for clickable cards, text kept for screen readers
+// only, and the hatch patterns that mark warning and high-risk cells in
+// addition to their colour.
+
+// Hides an element visually while screen readers still read it
+export const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+/**
+ * Props that make a card act as a button: focusable, announced as a
+ * button and activated with Enter or Space as well as a click.
+ */
+export function buttonProps(onActivate) {
+  return {
+    role: 'button',
+    tabIndex: 0,
+    onClick: onActivate,
+    onKeyDown: (e) => {
+      if (e.target !== e.currentTarget) return;
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        onActivate(e);
+      }
+    }
+  };
+}
+
+// ========================================
+// RISK PATTERNS
+// ========================================
+
+// Pattern per band level: none for low, sparse diagonal lines for
+// warning, cross-hatching for high
+const PATTERN_IDS = [null, 'risk-pattern-warning', 'risk-pattern-high'];
+
+/**
+ * SVG fill for a band's hatching ("url(#...)"), or null for low bands.
+ * Patterns are defined once by RiskPatternDefs and fill the legend
+ * swatches; the map's canvas uses getCanvasBandPattern.
+ */
+export function getBandPattern(band) {
+  const id = PATTERN_IDS[band.level];
+  return id ? `url(#${id})` : null;
+}
+
+// Pattern definitions, rendered once near the root of the page
+export function RiskPatternDefs() {
+  const stroke = { stroke: '#0f172a', strokeOpacity: 0.55, strokeWidth: 1.5 };
+  return (
+    <svg width="0" height="0" style={{ position: 'absolute' }} aria-hidden="true" focusable="false">
+      <defs>
+        <pattern id={PATTERN_IDS[1]} width="10" height="10" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+          <line x1="0" y1="0" x2="0" y2="10" {...stroke} />
+        </pattern>
+        <pattern id={PATTERN_IDS[2]} width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+          <line x1="0" y1="0" x2="0" y2="8" {...stroke} />
+          <line x1="0" y1="0" x2="8" y2="0" {...stroke} />
+        </pattern>
+      </defs>
+    </svg>
+  );
+}
+
+// Canvas versions of the patterns above: [tile size, cross-hatched] per level
+const CANVAS_PATTERNS = [null, [10, false], [8, true]];
+const canvasPatterns = new WeakMap();
+
+/**
+ * Canvas fill with a band level's hatching (drawn like RiskPatternDefs),
+ * or null for low bands. Patterns are created once per canvas context.
+ */
+export function getCanvasBandPattern(ctx, level) {
+  const settings = CANVAS_PATTERNS[level];
+  if (!settings) return null;
+
+  if (!canvasPatterns.has(ctx)) canvasPatterns.set(ctx, {});
+  const patterns = canvasPatterns.get(ctx);
+  if (!patterns[level]) {
+    const [spacing, cross] = settings;
+    const tile = document.createElement('canvas');
+    tile.width = spacing;
+    tile.height = spacing;
+    const tileCtx = tile.getContext('2d');
+    tileCtx.strokeStyle = 'rgba(15, 23, 42, 0.55)';
+    tileCtx.lineWidth = 1.5;
+    // Diagonals that join up across neighbouring tiles
+    const diagonal = (flip) => {
+      [-spacing, 0, spacing].forEach(shift => {
+        tileCtx.beginPath();
+        tileCtx.moveTo(shift, flip ? 0 : spacing);
+        tileCtx.lineTo(shift + spacing, flip ? spacing : 0);
+        tileCtx.stroke();
+      });
+    };
+    diagonal(false);
+    if (cross) diagonal(true);
+    patterns[level] = ctx.createPattern(tile, 'repeat');
+  }
+  return patterns[level];
+}
+
+// Legend swatch: the band colour with its hatching on top
+export function BandSwatch({ band, showPattern = true, size = 24 }) {
+  const pattern = showPattern && getBandPattern(band);
+  return (
+    <svg width={size} height={size} aria-hidden="true" focusable="false" style={{ flexShrink: 0, borderRadius: '4px' }}>
+      <rect width={size} height={size} fill={band.color} />
+      {pattern && <rect width={size} height={size} fill={pattern} />}
+    </svg>
+  );
+}
+
+// ========================================
+// LIVE ANNOUNCEMENTS
+// ========================================
+
+/**
+ * Screen-reader live regions. `message` is { id, text, urgent }; a new id
+ * re-announces the same text. Urgent messages interrupt (assertive).
+ */
+export function LiveAnnouncer({ message }) {
+  return (
+    <>
+      <div aria-live="polite" style={VISUALLY_HIDDEN}>
+        {message && !message.urgent && <span key={message.id}>{message.text}</span>}
+      </div>
+      <div aria-live="assertive" style={VISUALLY_HIDDEN}>
+        {message && message.urgent && <span key={message.id}>{message.text}</span>}
+      </div>
+    </>
+  );
+}
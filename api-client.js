@@ -0,0 +1,247 @@
+// ========================================
+// API CLIENT
+// ========================================
+// Requests to the prediction backend. Every attempt has a timeout, and
+// network errors, timeouts and 408 / 429 / 5xx responses are retried with
+// exponential backoff, since the hosted backend can take a while to wake
+// from a cold start. Callers cancel with an AbortSignal. Responses are
+// cached per area for a short time, and every payload is validated before
+// it reaches the map.
+//
+// Two backend contracts are supported:
+//
+//   current: /api/v1/status/info?area=<area>[&at=<ISO time>]
+//   legacy:  /api/v1/status?district=<area without spaces>
+//
+// VITE_PREDICTION_API_CONTRACT picks one ("info" or "legacy"). When it is
+// unset ("auto"), a 404 from the current endpoint is retried on the legacy
+// one, and the legacy contract is kept for the session once it answers.
+//
+// While a mock scenario is active (mock-api.js) requests are answered in
+// the browser from its fixtures instead of the network.
+
+import { getMockScenario, mockFetch } from './mock-api';
+
+export const API_CONTRACT = import.meta.env.VITE_PREDICTION_API_CONTRACT || 'auto';
+
+export const REQUEST_TIMEOUT_MS = 30 * 1000;
+export const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Responses younger than this are reused unless a refresh is asked for
+export const CACHE_TTL_MS = 60 * 1000;
+const CACHE_LIMIT = 64;
+
+// key (area + snapshot time) → { cells, fetchedAt }, oldest first
+const cache = new Map();
+
+let useLegacyContract = API_CONTRACT === 'legacy';
+
+/**
+ * Whether an error comes from a cancelled request rather than a failure.
+ */
+export function isAbortError(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
+function createAbortError() {
+  return new DOMException('Request cancelled', 'AbortError');
+}
+
+/**
+ * Resolves after `ms`, or rejects as soon as the signal aborts.
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function isRetryable(err) {
+  return err.retryable === true || RETRY_STATUSES.includes(err.status) || err instanceof TypeError;
+}
+
+// One attempt with its own timeout, also cancelled by the caller's signal.
+// fetch rejects with a TypeError on network failures.
+async function fetchJsonOnce(url, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, REQUEST_TIMEOUT_MS);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const request = getMockScenario() ? mockFetch : fetch;
+    const response = await request(url, { signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(`API error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    try {
+      return await response.json();
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      throw new Error('API response is not valid JSON');
+    }
+  } catch (err) {
+    if (timedOut) {
+      const error = new Error(`No response from the API within ${REQUEST_TIMEOUT_MS / 1000} s`);
+      error.retryable = true;
+      throw error;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// Retries a request with exponential backoff (1 s, 2 s, 4 s, ...)
+async function fetchJsonWithRetry(url, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJsonOnce(url, signal);
+    } catch (err) {
+      if (isAbortError(err) || attempt >= MAX_RETRIES || !isRetryable(err)) throw err;
+      console.warn(`Retrying ${url} (${err.message})`);
+      await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+    }
+  }
+}
+
+function getInfoUrl(area, at) {
+  let url = `/api/v1/status/info?area=${encodeURIComponent(area)}`;
+  if (at) url += `&at=${encodeURIComponent(at.toISOString())}`;
+  return url;
+}
+
+function getLegacyUrl(area) {
+  return `/api/v1/status?district=${encodeURIComponent(area.replace(/\s+/g, ''))}`;
+}
+
+async function fetchPayload(area, at, signal) {
+  if (useLegacyContract) {
+    if (at) throw new Error('Snapshots need the /api/v1/status/info endpoint');
+    return fetchJsonWithRetry(getLegacyUrl(area), signal);
+  }
+
+  try {
+    return await fetchJsonWithRetry(getInfoUrl(area, at), signal);
+  } catch (err) {
+    if (err.status !== 404 || API_CONTRACT !== 'auto' || at) throw err;
+
+    let payload;
+    try {
+      payload = await fetchJsonWithRetry(getLegacyUrl(area), signal);
+    } catch (legacyErr) {
+      throw isAbortError(legacyErr) ? legacyErr : err;
+    }
+    console.warn('Using the legacy /api/v1/status endpoint');
+    useLegacyContract = true;
+    return payload;
+  }
+}
+
+/**
+ * Validated predictions of an area as { cells, fetchedAt, fromCache },
+ * where `cells` are the raw payload cells. Options: `at` (a Date) for a
+ * snapshot, `signal` (an AbortSignal) to cancel, and `refresh` to skip
+ * the cache. Rejects with an AbortError when cancelled.
+ */
+export async function requestPredictions(area, { at = null, signal, refresh = false } = {}) {
+  const key = `${area}|${at ? at.toISOString() : ''}`;
+  const cached = cache.get(key);
+  if (!refresh && cached && Date.now() - cached.fetchedAt.getTime() < CACHE_TTL_MS) {
+    return { ...cached, fromCache: true };
+  }
+
+  const cells = validatePredictionPayload(await fetchPayload(area, at, signal));
+  const entry = { cells, fetchedAt: new Date() };
+  cache.delete(key);
+  cache.set(key, entry);
+  if (cache.size > CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  return { ...entry, fromCache: false };
+}
+
+// ========================================
+// PAYLOAD VALIDATION
+// ========================================
+
+const BOUND_KEYS = ['minLat', 'minLon', 'maxLat', 'maxLon'];
+
+// What is wrong with a raw cell, or null when it is usable
+function findCellProblem(cell, path) {
+  if (!cell || typeof cell !== 'object' || Array.isArray(cell)) return `${path}: must be an object`;
+
+  const { bounds } = cell;
+  if (!bounds || typeof bounds !== 'object') return `${path}: missing "bounds"`;
+  const badKey = BOUND_KEYS.find(key => typeof bounds[key] !== 'number' || !Number.isFinite(bounds[key]));
+  if (badKey) return `${path}.bounds: "${badKey}" must be a number`;
+  if (Math.abs(bounds.minLat) > 90 || Math.abs(bounds.maxLat) > 90 ||
+      Math.abs(bounds.minLon) > 180 || Math.abs(bounds.maxLon) > 180) {
+    return `${path}.bounds: outside the latitude/longitude range`;
+  }
+  if (bounds.minLat > bounds.maxLat || bounds.minLon > bounds.maxLon) {
+    return `${path}.bounds: "min" values must not exceed "max" values`;
+  }
+
+  for (const key of Object.keys(cell)) {
+    const prediction = cell[key];
+    if (key === 'bounds' || !prediction || typeof prediction !== 'object' || !('risk_percentage' in prediction)) continue;
+    const risk = prediction.risk_percentage;
+    if (typeof risk !== 'number' || !(risk >= 0 && risk <= 100)) {
+      return `${path}.${key}: "risk_percentage" must be a number from 0 to 100`;
+    }
+    if (prediction.updated_at !== undefined && Number.isNaN(new Date(prediction.updated_at).getTime())) {
+      return `${path}.${key}: "updated_at" is not a valid time`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a prediction payload — [cells] or { status: [cells] }, each cell
+ * { bounds, flood: { risk_percentage, updated_at }, landslide: {...}, ... } —
+ * and returns its usable cells. Malformed cells are dropped with a warning
+ * naming the cell and field. Throws when the payload has the wrong shape
+ * or none of its cells is usable.
+ */
+export function validatePredictionPayload(payload) {
+  const cells = Array.isArray(payload) ? payload : payload && payload.status;
+  if (!Array.isArray(cells)) {
+    throw new Error('Prediction payload must be an array of cells or { "status": [cells] }');
+  }
+
+  const problems = [];
+  const valid = cells.filter((cell, index) => {
+    const problem = findCellProblem(cell, `cells[${index}]`);
+    if (problem) problems.push(problem);
+    return !problem;
+  });
+
+  if (problems.length > 0) {
+    if (valid.length === 0) {
+      const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+      throw new Error(`Malformed prediction payload: ${problems[0]}${more}`);
+    }
+    console.warn(`Skipped ${problems.length} malformed prediction cell(s):\n${problems.join('\n')}`);
+  }
+  return valid;
+}
@@ -0,0 +1,118 @@
+// ========================================
+// CELL INDEX
+// ========================================
+// Spatial lookups and zoom-dependent aggregation for large risk grids.
+// Cells are bucketed into a regular lat/lon grid, so finding the cell
+// under a click or the cells in view only touches nearby buckets instead
+// of every cell. Works for any item with `bounds`
+// ({ minLat, minLon, maxLat, maxLon }).
+
+// Used when there are no cells to measure
+const FALLBACK_CELL_SIZE = 0.01;
+
+// Cells measured for the typical size
+const SIZE_SAMPLE = 200;
+
+/**
+ * Typical (median) cell size in degrees, the larger of height and width.
+ */
+export function getTypicalCellSize(cells) {
+  const step = Math.max(1, Math.floor(cells.length / SIZE_SAMPLE));
+  const sizes = [];
+  for (let i = 0; i < cells.length; i += step) {
+    const { minLat, minLon, maxLat, maxLon } = cells[i].bounds;
+    const size = Math.max(maxLat - minLat, maxLon - minLon);
+    if (size > 0) sizes.push(size);
+  }
+  if (sizes.length === 0) return FALLBACK_CELL_SIZE;
+  sizes.sort((a, b) => a - b);
+  return sizes[Math.floor(sizes.length / 2)];
+}
+
+const overlaps = (a, b) =>
+  a.minLat <= b.maxLat && a.maxLat >= b.minLat && a.minLon <= b.maxLon && a.maxLon >= b.minLon;
+
+/**
+ * Spatial index over items with `bounds`. `bucketSize` (degrees) defaults
+ * to four typical cells. Returns
+ *   search(bounds) → items intersecting the bounds
+ *   findAt([lat, lon]) → items containing the point
+ */
+export function createCellIndex(items, bucketSize = getTypicalCellSize(items) * 4) {
+  const buckets = new Map();
+  const row = lat => Math.floor(lat / bucketSize);
+  const col = lon => Math.floor(lon / bucketSize);
+
+  items.forEach(item => {
+    const { minLat, minLon, maxLat, maxLon } = item.bounds;
+    for (let r = row(minLat); r <= row(maxLat); r++) {
+      for (let c = col(minLon); c <= col(maxLon); c++) {
+        const key = `${r}:${c}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(item);
+      }
+    }
+  });
+
+  const search = (bounds) => {
+    const found = new Set();
+    const rows = [row(bounds.minLat), row(bounds.maxLat)];
+    const cols = [col(bounds.minLon), col(bounds.maxLon)];
+    // A view wider than the data: scanning every bucket is cheaper
+    if ((rows[1] - rows[0] + 1) * (cols[1] - cols[0] + 1) > buckets.size) {
+      return items.filter(item => overlaps(item.bounds, bounds));
+    }
+    for (let r = rows[0]; r <= rows[1]; r++) {
+      for (let c = cols[0]; c <= cols[1]; c++) {
+        const bucket = buckets.get(`${r}:${c}`);
+        if (bucket) bucket.forEach(item => {
+          if (overlaps(item.bounds, bounds)) found.add(item);
+        });
+      }
+    }
+    return Array.from(found);
+  };
+
+  const findAt = ([lat, lon]) => {
+    const bucket = buckets.get(`${row(lat)}:${col(lon)}`) || [];
+    return bucket.filter(item => overlaps(item.bounds, { minLat: lat, minLon: lon, maxLat: lat, maxLon: lon }));
+  };
+
+  return { search, findAt };
+}
+
+/**
+ * Cells merged into square tiles `tileSize` degrees wide, aligned to
+ * multiples of the size. A tile is as severe as its worst cell, so it
+ * keeps the highest-risk one:
+ *   { key, bounds, cell, count, changed, cells }
+ */
+export function aggregateCells(cells, tileSize) {
+  const tiles = new Map();
+
+  cells.forEach(cell => {
+    const { minLat, minLon, maxLat, maxLon } = cell.bounds;
+    const r = Math.floor((minLat + maxLat) / 2 / tileSize);
+    const c = Math.floor((minLon + maxLon) / 2 / tileSize);
+    const key = `tile:${tileSize}:${r}:${c}`;
+
+    let tile = tiles.get(key);
+    if (!tile) {
+      tile = {
+        key,
+        bounds: { minLat: r * tileSize, minLon: c * tileSize, maxLat: (r + 1) * tileSize, maxLon: (c + 1) * tileSize },
+        cell,
+        count: 0,
+        changed: false,
+        cells: []
+      };
+      tiles.set(key, tile);
+    }
+    tile.count += 1;
+    tile.cells.push(cell);
+    if (cell.risk_percentage > tile.cell.risk_percentage) tile.cell = cell;
+    if (cell.change) tile.changed = true;
+  });
+
+  return Array.from(tiles.values());
+}
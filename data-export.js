@@ -0,0 +1,272 @@
+// ========================================
+// DATA EXPORT
+// ========================================
+// Converts the displayed risk cells and road alerts into files for GIS
+// tools and spreadsheets: GeoJSON, KML (Google Earth) and CSV. Band
+// labels and colours come from the active risk scales, so exports match
+// what is on screen. The incident log exports as a CSV audit trail.
+
+// `context` passed to every exporter:
+// { district, modeLabel, generatedAt: Date, riskScales }
+
+function getCellRisks(cell) {
+  return cell.risks || { [cell.cal_type]: cell.risk_percentage };
+}
+
+// Closed ring of a cell's bounds in [lon, lat] order
+function getCellRing({ minLat, minLon, maxLat, maxLon }) {
+  return [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]];
+}
+
+/**
+ * Name for an exported file, e.g. imphal-west-flood-2024-06-01-0930.geojson
+ */
+export function getExportFilename(context, mode, extension) {
+  const pad = value => String(value).padStart(2, '0');
+  const time = context.generatedAt;
+  const stamp = `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}-${pad(time.getHours())}${pad(time.getMinutes())}`;
+  return `${context.district.id}-${mode}-${stamp}.${extension}`;
+}
+
+/**
+ * Starts a browser download of text content.
+ */
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ========================================
+// GEOJSON
+// ========================================
+
+/**
+ * FeatureCollection with one Polygon per cell (risk, type, band and
+ * updated_at as properties; combined cells add `<hazard>_risk` for each
+ * hazard) and one MultiLineString per road alert.
+ */
+export function toGeoJSON(cells, alerts, context) {
+  const cellFeatures = cells.map(cell => {
+    const band = context.riskScales.getCellBand(cell);
+    const properties = {
+      feature_type: 'risk_cell',
+      cal_type: cell.cal_type,
+      risk_percentage: cell.risk_percentage,
+      band: band.label,
+      color: band.color,
+      updated_at: cell.updated_at
+    };
+    if (cell.risks) {
+      Object.keys(cell.risks).forEach(key => {
+        properties[`${key}_risk`] = cell.risks[key];
+      });
+    }
+    return {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [getCellRing(cell.bounds)] },
+      properties
+    };
+  });
+
+  const alertFeatures = alerts.map(alert => ({
+    type: 'Feature',
+    geometry: {
+      type: 'MultiLineString',
+      coordinates: alert.segments.map(segment => segment.map(([lat, lon]) => [lon, lat]))
+    },
+    properties: {
+      feature_type: 'road_alert',
+      road: alert.road,
+      hazards: alert.hazards.join(', '),
+      severity: alert.severity,
+      band: alert.band.label,
+      message: alert.message,
+      recommendation: alert.recommendation
+    }
+  }));
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    properties: {
+      district: context.district.name,
+      mode: context.modeLabel,
+      generated_at: context.generatedAt.toISOString()
+    },
+    features: [...cellFeatures, ...alertFeatures]
+  }, null, 2);
+}
+
+// ========================================
+// KML
+// ========================================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// KML colours are aabbggrr
+function toKmlColor(hex, alpha) {
+  const [r, g, b] = [1, 3, 5].map(i => hex.slice(i, i + 2));
+  return `${alpha}${b}${g}${r}`;
+}
+
+/**
+ * KML document with a styled polygon per cell and a line per road alert
+ * segment, for Google Earth.
+ */
+export function toKML(cells, alerts, context) {
+  const styles = new Map();
+  const getStyleId = (color, kind) => {
+    const id = `${kind}-${color.slice(1)}`;
+    if (!styles.has(id)) {
+      styles.set(id, kind === 'cell'
+        ? `<Style id="${id}"><LineStyle><color>${toKmlColor(color, 'ff')}</color><width>1</width></LineStyle><PolyStyle><color>${toKmlColor(color, '66')}</color></PolyStyle></Style>`
+        : `<Style id="${id}"><LineStyle><color>${toKmlColor(color, 'ff')}</color><width>4</width></LineStyle></Style>`);
+    }
+    return id;
+  };
+
+  const cellPlacemarks = cells.map(cell => {
+    const band = context.riskScales.getCellBand(cell);
+    const risks = getCellRisks(cell);
+    const description = Object.keys(risks).map(key => `${key}: ${risks[key]}%`).join('<br/>');
+    const coordinates = getCellRing(cell.bounds).map(([lon, lat]) => `${lon},${lat},0`).join(' ');
+    return `    <Placemark>
+      <name>${escapeXml(`${band.label} (${cell.risk_percentage}%)`)}</name>
+      <description>${escapeXml(`${description}<br/>Updated: ${cell.updated_at}`)}</description>
+      <styleUrl>#${getStyleId(band.color, 'cell')}</styleUrl>
+      <Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>
+    </Placemark>`;
+  });
+
+  const alertPlacemarks = alerts.map(alert => {
+    const lines = alert.segments
+      .map(segment => `<LineString><coordinates>${segment.map(([lat, lon]) => `${lon},${lat},0`).join(' ')}</coordinates></LineString>`)
+      .join('');
+    return `    <Placemark>
+      <name>${escapeXml(alert.road)}</name>
+      <description>${escapeXml(`${alert.message}. ${alert.recommendation} Max risk: ${alert.severity}%`)}</description>
+      <styleUrl>#${getStyleId(alert.band.color, 'road')}</styleUrl>
+      <MultiGeometry>${lines}</MultiGeometry>
+    </Placemark>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(`${context.district.name} – ${context.modeLabel} risk`)}</name>
+    <description>${escapeXml(`Generated ${context.generatedAt.toISOString()}`)}</description>
+    ${[...styles.values()].join('\n    ')}
+    <Folder>
+      <name>Risk cells</name>
+${cellPlacemarks.join('\n')}
+    </Folder>
+    <Folder>
+      <name>Road alerts</name>
+${alertPlacemarks.join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+// ========================================
+// CSV
+// ========================================
+
+// Byte order mark, so spreadsheet programs read the file as UTF-8 and
+// keep road names and labels in Indic scripts intact
+const CSV_BOM = '\uFEFF';
+
+// Text starting with these is run as a formula by spreadsheet programs
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function toCsvRow(values) {
+  return values.map(value => {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Road names and other text from files must not become a formula
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+function toCsv(header, rows) {
+  return CSV_BOM + [toCsvRow(header), ...rows].join('\n') + '\n';
+}
+
+/**
+ * One row per cell. Combined cells get a `<hazard>_risk` column for each
+ * hazard present.
+ */
+export function cellsToCSV(cells, context) {
+  const hazardColumns = [...new Set(cells.flatMap(cell => (cell.risks ? Object.keys(cell.risks) : [])))];
+  const header = [
+    'cal_type', 'risk_percentage', 'band', 'min_lat', 'min_lon', 'max_lat', 'max_lon', 'updated_at',
+    ...hazardColumns.map(key => `${key}_risk`)
+  ];
+
+  const rows = cells.map(cell => {
+    const { minLat, minLon, maxLat, maxLon } = cell.bounds;
+    return toCsvRow([
+      cell.cal_type,
+      cell.risk_percentage,
+      context.riskScales.getCellBand(cell).label,
+      minLat, minLon, maxLat, maxLon,
+      cell.updated_at,
+      ...hazardColumns.map(key => (cell.risks ? cell.risks[key] : ''))
+    ]);
+  });
+
+  return toCsv(header, rows);
+}
+
+/**
+ * One row per road alert.
+ */
+export function alertsToCSV(alerts) {
+  const header = ['road', 'hazards', 'max_risk', 'band', 'affected_cells', 'message', 'recommendation'];
+  const rows = alerts.map(alert => toCsvRow([
+    alert.road,
+    alert.hazards.join(' '),
+    alert.severity,
+    alert.band.label,
+    alert.cells.length,
+    alert.message,
+    alert.recommendation
+  ]));
+  return toCsv(header, rows);
+}
+
+/**
+ * Incident audit trail: one row per recorded step of every incident.
+ */
+export function incidentsToCSV(incidents) {
+  const header = ['incident_id', 'area', 'road', 'hazards', 'band', 'max_risk', 'status', 'assignee', 'opened_at', 'cleared_at', 'time', 'action', 'operator', 'note'];
+  const rows = incidents.flatMap(incident => incident.history.map(entry => toCsvRow([
+    incident.id,
+    incident.areaName,
+    incident.road,
+    incident.hazards.join(' '),
+    incident.band.label,
+    incident.severity,
+    incident.status,
+    incident.assignee,
+    incident.openedAt,
+    incident.clearedAt,
+    entry.at,
+    entry.action === 'assigned' ? `assigned to ${entry.assignee}` : entry.action,
+    entry.operator,
+    entry.note
+  ])));
+  return toCsv(header, rows);
+}
@@ -1,145 +1,205 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Rectangle, Polyline, Popup, useMap, Circle, Marker } from 'react-leaflet';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { MapContainer, TileLayer, Polygon, Polyline, Popup, Tooltip, Pane, useMap, useMapEvents, Circle, CircleMarker, Marker } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
+import RiskTimeline, { formatOffset } from './risk-timeline';
+import LayerManager from './layer-manager';
+import MyPlaces from './my-places';
+import IncidentPanel, { IncidentStatusBadge } from './incident-panel';
+import RiskCellTable from './risk-cell-table';
+import StateDashboard from './state-dashboard';
+import MockToolbar from './mock-toolbar';
+import RiskCanvasLayer from './risk-canvas-layer';
+import MapLayerSwitcher from './map-layer-switcher';
+import { createRiskSurface, traceContours, createColorRamp } from './risk-surface';
+import {
+  VISUALLY_HIDDEN,
+  buttonProps,
+  RiskPatternDefs,
+  BandSwatch,
+  LiveAnnouncer
+} from './accessibility';
+import { getHazard, getHazardKeys } from './hazard-registry';
+import {
+  createRiskScales,
+  getWorstBand,
+  RISK_SCALES,
+  RISK_PALETTES,
+  DEFAULT_RISK_PALETTE,
+  getPaletteName
+} from './risk-scale';
+import { loadRoadNetwork, detectRoadIntersections } from './road-network';
+import {
+  loadRegionManifest,
+  findRegion,
+  findDistrictAtPoint,
+  getBoundaryBounds,
+  getBoundaryPositions,
+  isPointInBoundary,
+  DEFAULT_WORLD_VIEW
+} from './region-manifest';
+import { buildRoadGraph, planRoute } from './route-planner';
+import { loadShelters, deriveSafeZones, findNearestShelters, getShelterTypeLabel } from './shelter-finder';
+import { loadPopulation, loadFacilities, createExposure, getCellExposure, sumExposure, getBandExposure, formatExposure } from './exposure';
+import {
+  fetchPredictions,
+  fetchAreasPredictions,
+  loadStoredPredictions,
+  mergeRiskCells,
+  subscribeToPredictions,
+  getNewestUpdate,
+  combineHazardCells
+} from './prediction-api';
+import { isAbortError } from './api-client';
+import { MOCK_API_AVAILABLE } from './mock-api';
+import { getTileUrls, prefetchTiles, PREFETCH_EXTRA_ZOOMS } from './offline-support';
+import {
+  OVERLAY_LAYERS,
+  MAX_MAP_ZOOM,
+  getBaseLayer,
+  loadLayerChoices,
+  storeLayerChoices,
+  getLayerChoice
+} from './map-layers';
+import {
+  toGeoJSON,
+  toKML,
+  cellsToCSV,
+  alertsToCSV,
+  incidentsToCSV,
+  downloadFile,
+  getExportFilename
+} from './data-export';
+import {
+  INCIDENT_STATUSES,
+  isIncidentInArea,
+  syncIncidents,
+  applyIncidentAction,
+  mergeIncidents,
+  getIncidentStore,
+  loadOperatorName,
+  storeOperatorName
+} from './incident-log';
+import { buildSituationReport, openSituationReport } from './situation-report';
+import { parseUrlState, writeUrlState } from './url-state';
+import { loadGisLayer, findFlaggedPoints } from './gis-layers';
+import {
+  loadSavedPlaces,
+  storeSavedPlaces,
+  createPlace,
+  getPointRisks,
+  getRaisedHazards,
+  toStoredRisks,
+  canNotify,
+  requestNotificationPermission,
+  notify
+} from './saved-places';
+import {
+  LANGUAGES,
+  useLanguage,
+  t,
+  tParts,
+  formatNumber,
+  formatDateTime
+} from './i18n';
 
 // ========================================
 // SYSTEM CONFIGURATION
 // ========================================
 
 const SYSTEM_NAME = "GEO-RISK AI";
-const SYSTEM_FULL_NAME = "Disaster Intelligence & Safety Hub for AI-powered India";
-
-// Geographic center coordinates for map navigation
-const MAP_VIEWS = {
-  world: { center: [20, 0], zoom: 2 },
-  india: { center: [22.5, 79], zoom: 5 },
-  manipur: { center: [24.8, 93.95], zoom: 9 }
-};
-
-// Manipur districts with precise coordinates
-const MANIPUR_DISTRICTS = {
-  'Bishnupur': { center: [24.6167, 93.7667], zoom: 11 },
-  'Chandel': { center: [24.3167, 94.0167], zoom: 10 },
-  'Churachandpur': { center: [24.3333, 93.6667], zoom: 10 },
-  'ImphalEast': { center: [24.7667, 93.9667], zoom: 11 },
-  'ImphalWest': { center: [24.8167, 93.9167], zoom: 11 },
-  'Jiribam': { center: [24.8083, 93.1167], zoom: 11 },
-  'Kakching': { center: [24.4833, 93.9833], zoom: 11 },
-  'Kamjong': { center: [24.8333, 94.4167], zoom: 10 },
-  'Kangpokpi': { center: [25.2167, 93.9833], zoom: 10 },
-  'Noney': { center: [24.9500, 93.6833], zoom: 10 },
-  'Pherzawl': { center: [24.1667, 93.1167], zoom: 10 },
-  'Senapati': { center: [25.2667, 94.0167], zoom: 10 },
-  'Tamenglong': { center: [24.9833, 93.4833], zoom: 10 },
-  'Tengnoupal': { center: [24.3167, 94.1333], zoom: 10 },
-  'Thoubal': { center: [24.6333, 94.0000], zoom: 11 },
-  'Ukhrul': { center: [25.0500, 94.3667], zoom: 10 }
-};
-
-// Calamity types
-const CALAMITY_TYPES = {
-  LANDSLIDE: 'landslide',
-  FLOOD: 'flood'
-};
+
+// Background refresh intervals offered in the UI (ms; 0 = off)
+const POLL_INTERVAL_OPTIONS = [0, 60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000;
+
+// Data age (from the cells' own updated_at) at which the indicator turns amber / red
+const DATA_AGE_WARN_MINUTES = 60;
+const DATA_AGE_STALE_MINUTES = 180;
+
+// Timeline: snapshot offsets in hours (negative = history, positive = forecast)
+const TIMELINE_STEP_HOURS = 3;
+const TIMELINE_PAST_HOURS = 24;
+const TIMELINE_FORECAST_HOURS = 24;
+const TIMELINE_OFFSETS = [];
+for (let hours = -TIMELINE_PAST_HOURS; hours <= TIMELINE_FORECAST_HOURS; hours += TIMELINE_STEP_HOURS) {
+  TIMELINE_OFFSETS.push(hours);
+}
+const LIVE_STEP_INDEX = TIMELINE_OFFSETS.indexOf(0);
+const PLAYBACK_STEP_MS = 1500;
+
+// Calamity modes: any hazard key from the registry, or all hazards combined.
+// Before data arrives the mode buttons offer the default hazards.
+const COMBINED_MODE = 'combined';
+const DEFAULT_HAZARD_KEYS = ['landslide', 'flood'];
+
+// Bivariate colour scale for combined mode: rows = band of BIVARIATE_AXES[0],
+// columns = band of BIVARIATE_AXES[1]. Other hazards only affect the border.
+const BIVARIATE_AXES = ['flood', 'landslide'];
+const BIVARIATE_COLORS = [
+  ['#e8e8e8', '#e4acac', '#c85a5a'],
+  ['#b0d5df', '#ad9ea5', '#985356'],
+  ['#64acbe', '#627f8c', '#574249']
+];
+
+// Cells shown for a calamity mode: one hazard, or all hazards merged per cell
+function getCellsForMode(cells, mode) {
+  if (mode === COMBINED_MODE) return combineHazardCells(cells);
+  return cells.filter(cell => cell.cal_type === mode);
+}
 
 // ========================================
 // MAP VIEW CONTROLLER COMPONENT
 // ========================================
-// Handles smooth zoom transitions when user navigates through hierarchy
+// Handles smooth zoom transitions when user navigates through hierarchy.
+// `view` is either { center, zoom } or { bounds }; every new object flies.
 
-function MapViewController({ center, zoom }) {
+function MapViewController({ view }) {
   const map = useMap();
   
   useEffect(() => {
-    if (center && zoom) {
-      map.flyTo(center, zoom, {
-        duration: 1.5, // Smooth animation
-        easeLinearity: 0.25
-      });
+    const options = {
+      duration: 1.5, // Smooth animation
+      easeLinearity: 0.25
+    };
+    if (view.bounds) {
+      map.flyToBounds(view.bounds, { ...options, padding: [20, 20] });
+    } else if (view.center && view.zoom) {
+      map.flyTo(view.center, view.zoom, options);
     }
-  }, [center, zoom, map]);
+  }, [view, map]);
   
   return null;
 }
 
 // ========================================
-// ROAD INTERSECTION DETECTION
+// MAP POSITION TRACKER COMPONENT
 // ========================================
-// Detects which roads pass through high-risk zones
-
-function detectRoadIntersections(riskCells, calamityType) {
-  /**
-   * In a production system, this would:
-   * 1. Query OSM Overpass API for actual roads within bounds
-   * 2. Perform geometric intersection tests
-   * 3. Return specific road segments with names
-   * 
-   * For now, we simulate realistic road alerts based on:
-   * - Risk cell locations
-   * - Calamity type
-   * - Known major roads in Manipur
-   */
-  
-  const alerts = [];
-  
-  // Filter high-risk cells (moderate + high)
-  const highRiskCells = riskCells.filter(cell => cell.risk_percentage >= 30);
-  
-  if (highRiskCells.length === 0) return [];
-  
-  // Simulate road detection based on geographic clustering
-  const northernRisk = highRiskCells.filter(c => c.bounds.minLat > 24.85);
-  const centralRisk = highRiskCells.filter(c => c.bounds.minLat >= 24.7 && c.bounds.minLat <= 24.85);
-  const southernRisk = highRiskCells.filter(c => c.bounds.minLat < 24.7);
-  
-  // Generate contextual alerts
-  if (calamityType === CALAMITY_TYPES.LANDSLIDE) {
-    if (northernRisk.length > 0) {
-      alerts.push({
-        id: 'nh2-north',
-        road: 'NH-2 (Imphal-Senapati Highway)',
-        severity: Math.max(...northernRisk.map(c => c.risk_percentage)),
-        cells: northernRisk,
-        message: 'Hill road section may experience landslide blockage',
-        recommendation: 'Avoid travel on hill sections. Use alternative valley routes if available.'
-      });
-    }
-    
-    if (centralRisk.length > 0) {
-      alerts.push({
-        id: 'imphal-central',
-        road: 'Imphal City Ring Road',
-        severity: Math.max(...centralRisk.map(c => c.risk_percentage)),
-        cells: centralRisk,
-        message: 'Slope-adjacent road sections at risk',
-        recommendation: 'Monitor conditions. Debris clearance may be required.'
-      });
-    }
-  } else if (calamityType === CALAMITY_TYPES.FLOOD) {
-    if (centralRisk.length > 0) {
-      alerts.push({
-        id: 'imphal-valley',
-        road: 'Imphal Valley Low-lying Roads',
-        severity: Math.max(...centralRisk.map(c => c.risk_percentage)),
-        cells: centralRisk,
-        message: 'Low-lying areas may experience flooding',
-        recommendation: 'Seek higher elevation. Avoid crossing flooded sections.'
-      });
+// Reports the map's centre and zoom after every pan, zoom or flight
+
+function MapPositionTracker({ onMove }) {
+  const map = useMapEvents({
+    moveend() {
+      const center = map.getCenter();
+      onMove({ center: [center.lat, center.lng], zoom: map.getZoom() });
     }
-    
-    if (southernRisk.length > 0) {
-      alerts.push({
-        id: 'loktak-roads',
-        road: 'Roads near Loktak Lake',
-        severity: Math.max(...southernRisk.map(c => c.risk_percentage)),
-        cells: southernRisk,
-        message: 'Waterlogging expected in lakeside areas',
-        recommendation: 'Use elevated bypass routes. Monitor water levels.'
-      });
+  });
+  
+  return null;
+}
+
+// ========================================
+// MAP CLICK PICKER COMPONENT
+// ========================================
+// Captures a single map click while the route planner is picking a point
+
+function MapClickPicker({ active, onPick }) {
+  useMapEvents({
+    click(e) {
+      if (active) onPick([e.latlng.lat, e.latlng.lng]);
     }
-  }
+  });
   
-  return alerts;
+  return null;
 }
 
 // ========================================
@@ -147,189 +207,997 @@ function detectRoadIntersections(riskCells, calamityType) {
 // ========================================
 
 function DisasterWarningSystem() {
+  // UI language (i18n.js); texts from plain modules are rebuilt on change
+  const [language, setLanguage] = useLanguage();
+  
   // Navigation state
   const [selectedCountry, setSelectedCountry] = useState('');
   const [selectedState, setSelectedState] = useState('');
   const [selectedDistrict, setSelectedDistrict] = useState('');
+  const [regionManifest, setRegionManifest] = useState(null);
+  
+  // Highest risk seen per district and hazard: { [districtId]: { flood, landslide } }
+  const [districtMaxRisk, setDistrictMaxRisk] = useState({});
   
   // Data state
   const [riskCells, setRiskCells] = useState([]);
+  const [riskCellsLoaded, setRiskCellsLoaded] = useState(false); // false until the open district has data, even none
   const [roadAlerts, setRoadAlerts] = useState([]);
-  const [calamityMode, setCalamityMode] = useState(CALAMITY_TYPES.LANDSLIDE);
+  const [calamityMode, setCalamityMode] = useState(DEFAULT_HAZARD_KEYS[0]);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [roadNetwork, setRoadNetwork] = useState(null);
+  const [roadNetworkName, setRoadNetworkName] = useState('');
+  
+  // Live refresh state
+  const [pollInterval, setPollInterval] = useState(DEFAULT_POLL_INTERVAL);
+  const [liveMode, setLiveMode] = useState('off'); // 'streaming' | 'polling' | 'off'
+  const [refreshError, setRefreshError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const refreshNowRef = useRef(null);
+  // Cancels the district load in flight when another region is picked
+  const loadControllerRef = useRef(null);
+  
+  // State overview: every district of the selected state while none is open
+  // ({ stateId, districts: { [districtId]: { status, cells, error, storedAt } } })
+  const [stateOverview, setStateOverview] = useState(null);
+  const retryOverviewRef = useRef(null);
+  
+  // Offline state
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [storedDataTime, setStoredDataTime] = useState(null); // set while showing stored predictions
+  const [offlineMapDistrict, setOfflineMapDistrict] = useState(null); // district whose tiles are cached
+  
+  // Timeline state
+  const [timelineBase, setTimelineBase] = useState(null); // time of the "Now" step
+  const [timelineIndex, setTimelineIndex] = useState(LIVE_STEP_INDEX);
+  const [snapshots, setSnapshots] = useState({}); // { [offset]: { status, cells } }
+  const [playing, setPlaying] = useState(false);
+  const timelineDistrictRef = useRef(null);
+  const snapshotControllerRef = useRef(null);
+  const lastDisplayedCellsRef = useRef([]);
   
   // UI state
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [mapCenter, setMapCenter] = useState(MAP_VIEWS.world.center);
-  const [mapZoom, setMapZoom] = useState(MAP_VIEWS.world.zoom);
+  const [mapView, setMapView] = useState(DEFAULT_WORLD_VIEW);
   const [selectedRoadAlert, setSelectedRoadAlert] = useState(null);
+  const [cellPopup, setCellPopup] = useState(null); // { key, position, count, tileBounds } of the open cell popup
+  const [riskPalette, setRiskPalette] = useState(DEFAULT_RISK_PALETTE);
+  const [showPatterns, setShowPatterns] = useState(true); // hatching on warning/high cells
+  const [riskDisplay, setRiskDisplay] = useState('cells'); // 'cells' | 'heatmap'
+  const [showContours, setShowContours] = useState(false); // isolines at the band thresholds
+  const [layerChoices, setLayerChoices] = useState(loadLayerChoices); // map layers per mode (map-layers.js)
+  const [showCellTable, setShowCellTable] = useState(false);
+  const [announcement, setAnnouncement] = useState(null); // { id, text, urgent }
+  const announcedRef = useRef(null); // { key, highRisk } of the last announcement
+  
+  // Shareable link state (url-state.js)
+  const mapPositionRef = useRef(null); // { center, zoom } after the last move
+  const urlReadyRef = useRef(false); // set once the link the page opened with is applied
+  const pendingUrlRef = useRef({}); // { alert, timelineIndex } to apply once the district loads
+  const applyUrlStateRef = useRef(null);
+  
+  // Route planner state
+  const [routeOrigin, setRouteOrigin] = useState(null);
+  const [routeDestination, setRouteDestination] = useState(null);
+  const [routePickMode, setRoutePickMode] = useState(null); // 'origin' | 'destination' | null
+  const [compareShortest, setCompareShortest] = useState(false);
+  
+  // Shelter finder state
+  const [shelters, setShelters] = useState(null);
+  const [sheltersName, setSheltersName] = useState('');
+  const [shelterOrigin, setShelterOrigin] = useState(null);
+  const [shelterPicking, setShelterPicking] = useState(false);
+  const [selectedShelterId, setSelectedShelterId] = useState(null);
+  
+  // Population and critical facilities for exposure estimates
+  const [exposureData, setExposureData] = useState({ population: null, facilities: null });
+  
+  // Incident log of the road alerts
+  const [incidents, setIncidents] = useState([]);
+  const [incidentsLoaded, setIncidentsLoaded] = useState(false);
+  const [incidentSaveError, setIncidentSaveError] = useState(null);
+  const [operatorName, setOperatorName] = useState(loadOperatorName);
+  
+  // User GIS layers (shelters, camps, hospitals, ...)
+  const [gisLayers, setGisLayers] = useState([]);
+  
+  // Citizen location state
+  const [myLocation, setMyLocation] = useState(null); // { position, countryId, stateId, districtId, districtName, stateName }
+  const [locating, setLocating] = useState(false);
+  const [locationPicking, setLocationPicking] = useState(false);
+  const [locationMessage, setLocationMessage] = useState(null); // catalog key
+  const [savedPlaces, setSavedPlaces] = useState(loadSavedPlaces);
+  const [notificationPermission, setNotificationPermission] = useState(
+    canNotify() ? Notification.permission : 'unsupported'
+  );
+  const savedPlacesRef = useRef(savedPlaces);
 
   // ========================================
   // MAP NAVIGATION LOGIC
   // ========================================
   
+  // Load the region hierarchy once on startup
+  useEffect(() => {
+    loadRegionManifest()
+      .then(setRegionManifest)
+      .catch(err => {
+        console.error('Error loading region manifest:', err);
+        setError(t('errors.regions', { message: err.message }));
+      });
+  }, []);
+  
+  // Regions for the current selection (null until selected)
+  const worldView = regionManifest ? regionManifest.world : DEFAULT_WORLD_VIEW;
+  const countries = regionManifest ? regionManifest.countries : [];
+  const currentCountry = findRegion(countries, selectedCountry);
+  const currentState = findRegion(currentCountry && currentCountry.states, selectedState);
+  const currentDistrict = findRegion(currentState && currentState.districts, selectedDistrict);
+  
+  // Fly to a region's center/zoom, or fit its boundary when asked and available
+  const flyToRegion = (region, fitBoundary = false) => {
+    const bounds = fitBoundary ? getBoundaryBounds(region.boundary) : null;
+    setMapView(bounds ? { bounds } : { center: region.center, zoom: region.zoom });
+  };
+  
+  // Drop the loaded district data when leaving a district
+  const clearDistrictData = () => {
+    if (loadControllerRef.current) loadControllerRef.current.abort();
+    setLoading(false);
+    setRiskCells([]);
+    setStoredDataTime(null);
+    setRoadAlerts([]);
+  };
+  
   // Handle country selection
+  const selectCountry = (countryId) => {
+    setSelectedCountry(countryId);
+    setSelectedState('');
+    setSelectedDistrict('');
+    clearDistrictData();
+    flyToRegion(findRegion(countries, countryId) || worldView);
+  };
+  
+  // Handle state selection
+  const selectState = (stateId) => {
+    setSelectedState(stateId);
+    setSelectedDistrict('');
+    clearDistrictData();
+    flyToRegion(findRegion(currentCountry.states, stateId) || currentCountry);
+  };
+
+  // ========================================
+  // ROAD NETWORK LOADING
+  // ========================================
+  
+  // Load the selected state's road network, if the manifest names one
   useEffect(() => {
-    if (selectedCountry === 'India') {
-      setMapCenter(MAP_VIEWS.india.center);
-      setMapZoom(MAP_VIEWS.india.zoom);
-    } else if (selectedCountry === '') {
-      setMapCenter(MAP_VIEWS.world.center);
-      setMapZoom(MAP_VIEWS.world.zoom);
-      setSelectedState('');
-      setSelectedDistrict('');
-      setRiskCells([]);
-      setRoadAlerts([]);
+    setRoadNetwork(null);
+    setRoadNetworkName('');
+    if (!currentState || !currentState.roadNetwork) return;
+    
+    let cancelled = false;
+    loadRoadNetwork(currentState.roadNetwork)
+      .then(roads => {
+        if (cancelled) return;
+        setRoadNetwork(roads);
+        setRoadNetworkName('');   // named after the state
+      })
+      .catch(err => {
+        console.error('Error loading road network:', err);
+        if (!cancelled) setError(t('errors.roadNetwork', { message: err.message }));
+      });
+    return () => { cancelled = true; };
+  }, [currentState]);
+  
+  // Replace the road network with a user-supplied GeoJSON file
+  const handleRoadNetworkFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const roads = await loadRoadNetwork(file);
+      setRoadNetwork(roads);
+      setRoadNetworkName(file.name);
+      setSelectedRoadAlert(null);
+      setError(null);
+    } catch (err) {
+      setError(t('errors.roadNetworkFile', { file: file.name, message: err.message }));
+      console.error('Error loading road network file:', err);
     }
-  }, [selectedCountry]);
+  };
+
+  // Load the selected state's shelters, if the manifest names a dataset
+  useEffect(() => {
+    setShelters(null);
+    setSheltersName('');
+    if (!currentState || !currentState.shelters) return;
+    
+    let cancelled = false;
+    loadShelters(currentState.shelters)
+      .then(loaded => {
+        if (cancelled) return;
+        setShelters(loaded);
+        setSheltersName('');   // named after the state
+      })
+      .catch(err => {
+        console.error('Error loading shelters:', err);
+        if (!cancelled) setError(t('errors.shelters', { message: err.message }));
+      });
+    return () => { cancelled = true; };
+  }, [currentState]);
   
-  // Handle state selection
+  // Replace the shelters with a user-supplied GeoJSON file
+  const handleSheltersFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      setShelters(await loadShelters(file));
+      setSheltersName(file.name);
+      setSelectedShelterId(null);
+      setError(null);
+    } catch (err) {
+      setError(t('errors.sheltersFile', { file: file.name, message: err.message }));
+      console.error('Error loading shelters file:', err);
+    }
+  };
+  
+  // Load the selected state's population and facilities, if the manifest
+  // names them
   useEffect(() => {
-    if (selectedState === 'Manipur') {
-      setMapCenter(MAP_VIEWS.manipur.center);
-      setMapZoom(MAP_VIEWS.manipur.zoom);
-    } else if (selectedState === '' && selectedCountry === 'India') {
-      setMapCenter(MAP_VIEWS.india.center);
-      setMapZoom(MAP_VIEWS.india.zoom);
-      setSelectedDistrict('');
-      setRiskCells([]);
-      setRoadAlerts([]);
+    setExposureData({ population: null, facilities: null });
+    if (!currentState || (!currentState.population && !currentState.facilities)) return;
+    
+    let cancelled = false;
+    Promise.all([
+      currentState.population ? loadPopulation(currentState.population) : null,
+      currentState.facilities ? loadFacilities(currentState.facilities) : null
+    ])
+      .then(([population, facilities]) => {
+        if (!cancelled) setExposureData({ population, facilities });
+      })
+      .catch(err => {
+        console.error('Error loading exposure data:', err);
+        if (!cancelled) setError(t('errors.exposure', { message: err.message }));
+      });
+    return () => { cancelled = true; };
+  }, [currentState]);
+
+  // ========================================
+  // USER GIS LAYERS
+  // ========================================
+  
+  // Loads dropped or picked files as overlay layers; bad files are
+  // reported and skipped
+  const handleLayerFiles = async (files) => {
+    const failures = [];
+    const loaded = [];
+    
+    for (const file of files) {
+      try {
+        loaded.push(await loadGisLayer(file, gisLayers.length + loaded.length));
+      } catch (err) {
+        failures.push(`${file.name}: ${err.message}`);
+        console.error('Error loading GIS layer:', err);
+      }
     }
-  }, [selectedState, selectedCountry]);
+    
+    if (loaded.length > 0) setGisLayers(prev => [...prev, ...loaded]);
+    if (failures.length > 0) setError(t('errors.layers', { failures: failures.join('; ') }));
+  };
+  
+  const toggleGisLayer = (layerId) => {
+    setGisLayers(prev => prev.map(layer => (layer.id === layerId ? { ...layer, visible: !layer.visible } : layer)));
+  };
+  
+  const removeGisLayer = (layerId) => {
+    setGisLayers(prev => prev.filter(layer => layer.id !== layerId));
+  };
 
   // ========================================
   // API DATA FETCHING
   // ========================================
   
+  // Remember a district's peak risk per hazard for boundary shading
+  const recordDistrictPeaks = (district, cells) => {
+    const peaks = {};
+    cells.forEach(cell => {
+      peaks[cell.cal_type] = Math.max(peaks[cell.cal_type] ?? 0, cell.risk_percentage);
+    });
+    setDistrictMaxRisk(prev => ({ ...prev, [district.id]: peaks }));
+  };
+  
+  // Falls back to the predictions stored on this device when the fetch
+  // fails, so the map, stats and road alerts still render offline. A newer
+  // load cancels this one, so a slow response never replaces newer data.
   const fetchDisasterData = async (district) => {
+    if (loadControllerRef.current) loadControllerRef.current.abort();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    
     setLoading(true);
     setError(null);
+    setStoredDataTime(null);
     setRiskCells([]);
+    setRiskCellsLoaded(false);
     setRoadAlerts([]);
     
     try {
-      const districtParam = district.replace(/\s+/g, '');
-      const response = await fetch(`/api/v1/status/info?area=${districtParam}`);
-      
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      const rawCells = data.status || data || [];
+      const cells = await fetchPredictions(district.area, { signal: controller.signal });
       
-      // Transform new payload structure:
-      // Each cell now has: { bounds, flood: {...}, landslide: {...} }
-      // We flatten this into separate cells for flood and landslide
-      const transformedCells = [];
+      setRiskCells(cells);
+      setRiskCellsLoaded(true);
+      setLastUpdated(new Date());
+      recordDistrictPeaks(district, cells);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('Error fetching disaster data:', err);
+      const stored = await loadStoredPredictions(district.area).catch(() => null);
+      if (controller.signal.aborted) return;
       
-      rawCells.forEach(cell => {
-        // Add flood cell
-        if (cell.flood) {
-          transformedCells.push({
-            bounds: cell.bounds,
-            cal_type: cell.flood.cal_type,
-            risk_percentage: cell.flood.risk_percentage,
-            updated_at: cell.flood.updated_at
-          });
+      if (stored) {
+        setRiskCells(stored.cells);
+        setRiskCellsLoaded(true);
+        setLastUpdated(stored.fetchedAt);
+        setStoredDataTime(stored.fetchedAt);
+        recordDistrictPeaks(district, stored.cells);
+      } else {
+        setError(t('errors.predictions', { message: err.message }));
+      }
+    }
+    setLoading(false);
+  };
+  
+  // ========================================
+  // LIVE REFRESH
+  // ========================================
+  
+  // Keep the selected district's data current: subscribe to the prediction
+  // stream when one is configured, otherwise (or once it drops) poll.
+  // Refreshed cells are merged in place instead of clearing the map.
+  useEffect(() => {
+    setLiveMode('off');
+    setRefreshError(null);
+    refreshNowRef.current = null;
+    if (!currentDistrict) return;
+    
+    const district = currentDistrict;
+    const controller = new AbortController();
+    let cancelled = false;
+    let timer = null;
+    
+    const applyCells = (cells) => {
+      if (cancelled) return;
+      setRiskCells(prev => mergeRiskCells(prev, cells));
+      setRiskCellsLoaded(true);
+      setLastUpdated(new Date());
+      setRefreshError(null);
+      setStoredDataTime(null);
+      recordDistrictPeaks(district, cells);
+    };
+    
+    const poll = () => {
+      fetchPredictions(district.area, { signal: controller.signal, refresh: true })
+        .then(applyCells)
+        .catch(err => {
+          if (cancelled || isAbortError(err)) return;
+          setRefreshError(err.message);
+          console.error('Error refreshing disaster data:', err);
+        });
+    };
+    
+    const startPolling = () => {
+      if (pollInterval > 0) {
+        timer = setInterval(poll, pollInterval);
+        setLiveMode('polling');
+      } else {
+        setLiveMode('off');
+      }
+    };
+    
+    const unsubscribe = subscribeToPredictions(district.area, applyCells, (err) => {
+      console.warn('Falling back to polling:', err.message);
+      if (!cancelled) startPolling();
+    });
+    
+    if (unsubscribe) {
+      setLiveMode('streaming');
+    } else {
+      startPolling();
+    }
+    refreshNowRef.current = poll;
+    
+    return () => {
+      cancelled = true;
+      controller.abort();
+      if (unsubscribe) unsubscribe();
+      clearInterval(timer);
+    };
+  }, [currentDistrict, pollInterval]);
+  
+  // ========================================
+  // STATE OVERVIEW
+  // ========================================
+  
+  // With a state selected and no district open, load all of its districts
+  // (a few requests at a time) and refresh them with the poll interval. A
+  // district that fails keeps its last cells; the others are unaffected.
+  useEffect(() => {
+    setStateOverview(null);
+    retryOverviewRef.current = null;
+    if (!currentState || currentDistrict) return;
+    
+    const state = currentState;
+    const controller = new AbortController();
+    setStateOverview({
+      stateId: state.id,
+      districts: Object.fromEntries(state.districts.map(district => [district.id, { status: 'loading', cells: [] }]))
+    });
+    
+    const applyResult = (district, result) => {
+      if (result.status === 'loaded') {
+        recordDistrictPeaks(district, result.cells);
+        if (!result.storedAt) setLastUpdated(new Date());
+      }
+      setStateOverview(prev => {
+        const previous = prev.districts[district.id];
+        const entry = result.status === 'loaded'
+          ? { status: 'loaded', cells: mergeRiskCells(previous.cells, result.cells), storedAt: result.storedAt }
+          : previous.status === 'loaded'
+            ? { ...previous, error: result.error }
+            : { status: 'error', cells: [], error: result.error };
+        return { ...prev, districts: { ...prev.districts, [district.id]: entry } };
+      });
+    };
+    
+    // Passes run one after another, so AREA_FETCH_CONCURRENCY holds across
+    // them and an older pass never lands after a newer one
+    let queue = Promise.resolve();
+    const load = (districts, refresh) => {
+      queue = queue.then(() => fetchAreasPredictions(districts.map(district => district.area), {
+        onResult: (index, result) => applyResult(districts[index], result),
+        signal: controller.signal,
+        refresh
+      }));
+      return queue;
+    };
+    
+    // The next refresh is timed from the end of the previous one, so slow
+    // responses never stack up passes
+    let timer = null;
+    const scheduleRefresh = () => {
+      if (pollInterval <= 0 || controller.signal.aborted) return;
+      timer = setTimeout(() => load(state.districts, true).then(scheduleRefresh), pollInterval);
+    };
+    
+    load(state.districts, false).then(scheduleRefresh);
+    retryOverviewRef.current = (districtIds) => {
+      const districts = state.districts.filter(district => districtIds.includes(district.id));
+      setStateOverview(prev => ({
+        ...prev,
+        districts: {
+          ...prev.districts,
+          ...Object.fromEntries(districts.map(district => [district.id, { status: 'loading', cells: [] }]))
         }
-        
-        // Add landslide cell
-        if (cell.landslide) {
-          transformedCells.push({
-            bounds: cell.bounds,
-            cal_type: cell.landslide.cal_type,
-            risk_percentage: cell.landslide.risk_percentage,
-            updated_at: cell.landslide.updated_at
+      }));
+      load(districts, true);
+    };
+    
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [currentState, currentDistrict, pollInterval]);
+  
+  const handleRetryOverview = () => {
+    if (!stateOverview || !retryOverviewRef.current) return;
+    retryOverviewRef.current(Object.keys(stateOverview.districts)
+      .filter(id => stateOverview.districts[id].status === 'error'));
+  };
+  
+  // ========================================
+  // OFFLINE SUPPORT
+  // ========================================
+  
+  // Track connectivity and refresh as soon as the network comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      if (refreshNowRef.current) refreshNowRef.current();
+    };
+    const handleOffline = () => setIsOnline(false);
+    
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+  
+  // ========================================
+  // MAP LAYERS
+  // ========================================
+  
+  // Base map and overlays (map-layers.js) for the current mode: the
+  // user's choice for it, otherwise the hazard's defaults
+  const layerChoice = getLayerChoice(
+    layerChoices,
+    calamityMode,
+    calamityMode === COMBINED_MODE ? undefined : getHazard(calamityMode).mapLayers
+  );
+  const baseLayer = getBaseLayer(layerChoice.base);
+  
+  const handleLayerChoiceChange = (choice) => {
+    setLayerChoices(prev => ({ ...prev, [calamityMode]: choice }));
+  };
+  
+  // Persist the layer choices
+  useEffect(() => {
+    storeLayerChoices(layerChoices);
+  }, [layerChoices]);
+  
+  // Cache the selected district's tiles of the base map for its zoom levels
+  useEffect(() => {
+    setOfflineMapDistrict(null);
+    if (!currentDistrict || !baseLayer.offline) return;
+    
+    const district = currentDistrict;
+    const [lat, lon] = district.center;
+    const bounds = getBoundaryBounds(district.boundary) || [[lat - 0.2, lon - 0.2], [lat + 0.2, lon + 0.2]];
+    let cancelled = false;
+    
+    prefetchTiles(getTileUrls(baseLayer, bounds, district.zoom, district.zoom + PREFETCH_EXTRA_ZOOMS))
+      .then(result => {
+        if (!cancelled && result) setOfflineMapDistrict(district.id);
+      })
+      .catch(err => console.warn('Tile pre-fetch failed:', err));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [currentDistrict, baseLayer]);
+  
+  // ========================================
+  // TIMELINE PLAYBACK
+  // ========================================
+  
+  // Reset the timeline whenever the district changes (to a linked step, if any)
+  useEffect(() => {
+    const base = new Date();
+    base.setMinutes(0, 0, 0);
+    setTimelineBase(base);
+    setTimelineIndex(pendingUrlRef.current.timelineIndex ?? LIVE_STEP_INDEX);
+    delete pendingUrlRef.current.timelineIndex;
+    setSnapshots({});
+    setPlaying(false);
+    timelineDistrictRef.current = currentDistrict ? currentDistrict.id : null;
+    if (snapshotControllerRef.current) snapshotControllerRef.current.abort();
+    snapshotControllerRef.current = new AbortController();
+  }, [currentDistrict]);
+  
+  const getStepTime = (offset) => new Date(timelineBase.getTime() + offset * 60 * 60 * 1000);
+  
+  // Step closest to a linked time, or the live step when it is out of range
+  const getStepIndexForTime = (time) => {
+    const base = new Date();
+    base.setMinutes(0, 0, 0);
+    const hours = (time.getTime() - base.getTime()) / (60 * 60 * 1000);
+    const index = TIMELINE_OFFSETS.indexOf(Math.round(hours / TIMELINE_STEP_HOURS) * TIMELINE_STEP_HOURS);
+    return index === -1 ? LIVE_STEP_INDEX : index;
+  };
+  
+  // Fetch the current and next snapshot on demand
+  useEffect(() => {
+    if (!currentDistrict || !timelineBase) return;
+    const district = currentDistrict;
+    
+    [timelineIndex, timelineIndex + 1]
+      .map(index => TIMELINE_OFFSETS[index])
+      .filter(offset => offset !== undefined && offset !== 0 && !snapshots[offset])
+      .forEach(offset => {
+        setSnapshots(prev => ({ ...prev, [offset]: { status: 'loading' } }));
+        fetchPredictions(district.area, { at: getStepTime(offset), signal: snapshotControllerRef.current.signal })
+          .then(cells => {
+            if (timelineDistrictRef.current !== district.id) return;
+            setSnapshots(prev => ({ ...prev, [offset]: { status: 'loaded', cells } }));
+          })
+          .catch(err => {
+            if (isAbortError(err)) return;
+            console.error(`Error fetching ${offset}h snapshot:`, err);
+            if (timelineDistrictRef.current !== district.id) return;
+            setSnapshots(prev => ({ ...prev, [offset]: { status: 'error' } }));
           });
-        }
       });
-      
-      setRiskCells(transformedCells);
-      setLastUpdated(new Date());
-      
-      // Update map view to district
-      if (MANIPUR_DISTRICTS[districtParam]) {
-        setMapCenter(MANIPUR_DISTRICTS[districtParam].center);
-        setMapZoom(MANIPUR_DISTRICTS[districtParam].zoom);
-      }
-    } catch (err) {
-      setError(`Failed to fetch prediction data: ${err.message}`);
-      console.error('Error fetching disaster data:', err);
-    } finally {
-      setLoading(false);
+  }, [timelineIndex, currentDistrict, timelineBase, snapshots]);
+  
+  // Advance one step at a time while playing, waiting for each snapshot
+  useEffect(() => {
+    if (!playing) return;
+    
+    const snapshot = snapshots[TIMELINE_OFFSETS[timelineIndex]];
+    if (timelineIndex !== LIVE_STEP_INDEX && (!snapshot || snapshot.status === 'loading')) return;
+    
+    if (timelineIndex >= TIMELINE_OFFSETS.length - 1) {
+      setPlaying(false);
+      return;
     }
+    
+    const timer = setTimeout(() => setTimelineIndex(index => index + 1), PLAYBACK_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, timelineIndex, snapshots]);
+  
+  const handlePlayToggle = () => {
+    if (!playing && timelineIndex === TIMELINE_OFFSETS.length - 1) setTimelineIndex(0);
+    setPlaying(!playing);
   };
   
-  // Handle district selection
-  const handleDistrictChange = (e) => {
-    const district = e.target.value;
-    setSelectedDistrict(district);
+  const handleTimelineIndexChange = (index) => {
+    setPlaying(false);
+    setTimelineIndex(index);
+  };
+  
+  // Tick the data-age indicator
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  
+  // Select a district from the dropdown or the map and load its data
+  const selectDistrict = (districtId, state = currentState) => {
+    const district = findRegion(state && state.districts, districtId);
+    setSelectedDistrict(districtId);
     
     if (district) {
+      flyToRegion(district, true);
       fetchDisasterData(district);
     } else {
-      setRiskCells([]);
-      setRoadAlerts([]);
-      setMapCenter(MAP_VIEWS.manipur.center);
-      setMapZoom(MAP_VIEWS.manipur.zoom);
+      clearDistrictData();
+      flyToRegion(state);
+    }
+  };
+  
+  // Jump straight to a district anywhere in the hierarchy
+  // ({ country, state, district } from findDistrictAtPoint)
+  const openDistrict = ({ country, state, district }) => {
+    setSelectedCountry(country.id);
+    setSelectedState(state.id);
+    if (district.id !== selectedDistrict || state.id !== selectedState) {
+      selectDistrict(district.id, state);
     }
   };
+  
+  // Handle district selection
+  const handleDistrictChange = (e) => selectDistrict(e.target.value);
+  
+  // Handle a click on a district boundary
+  const handleDistrictBoundaryClick = (district) => {
+    if (routePickMode || locationPicking || shelterPicking || district.id === selectedDistrict) return;
+    selectDistrict(district.id);
+  };
+  
+  // Boundary positions for the current state's districts
+  const districtBoundaries = useMemo(() => {
+    if (!currentState) return [];
+    return currentState.districts
+      .filter(district => district.boundary)
+      .map(district => ({ district, positions: getBoundaryPositions(district.boundary) }));
+  }, [currentState]);
 
   // ========================================
   // CALAMITY MODE LOGIC
   // ========================================
   
+  // All loaded cells of the state overview. Cells on a shared district
+  // border keep the higher risk.
+  const stateCells = useMemo(() => {
+    if (!stateOverview) return [];
+    const byKey = new Map();
+    Object.values(stateOverview.districts).forEach(entry => entry.cells.forEach(cell => {
+      const existing = byKey.get(cell.key);
+      if (!existing || cell.risk_percentage > existing.risk_percentage) byKey.set(cell.key, cell);
+    }));
+    return Array.from(byKey.values());
+  }, [stateOverview]);
+  
+  // Live cells: the open district's, or the whole state's in the overview
+  const liveCells = currentDistrict ? riskCells : stateCells;
+  
+  // Cells for the selected timeline step: live data at "Now", otherwise the
+  // snapshot (keeping the previous cells on screen while it loads)
+  const timelineOffset = TIMELINE_OFFSETS[timelineIndex];
+  const activeSnapshot = snapshots[timelineOffset];
+  let displayCells;
+  if (timelineOffset === 0) {
+    displayCells = liveCells;
+  } else if (activeSnapshot && activeSnapshot.status === 'loaded') {
+    displayCells = activeSnapshot.cells;
+  } else if (activeSnapshot && activeSnapshot.status === 'error') {
+    displayCells = [];
+  } else {
+    displayCells = lastDisplayedCellsRef.current;
+  }
+  lastDisplayedCellsRef.current = displayCells;
+  
+  // Hazards offered as modes: those present in the data, in registry order
+  const dataHazardKeys = useMemo(() => getHazardKeys(liveCells), [liveCells]);
+  const hazardKeys = dataHazardKeys.length > 0 ? dataHazardKeys : DEFAULT_HAZARD_KEYS;
+  
+  // Fall back to the first hazard if the data no longer has the selected
+  // one (not while loading, so a hazard from a link survives the fetch)
+  useEffect(() => {
+    if (!loading && calamityMode !== COMBINED_MODE && !hazardKeys.includes(calamityMode)) {
+      setCalamityMode(hazardKeys[0]);
+    }
+  }, [hazardKeys, calamityMode, loading]);
+  
+  // Risk bands per hazard for the selected region (manifest `riskScale`
+  // settings, most specific region last) and the chosen palette. Rebuilt
+  // on a language change, which also refreshes the road alerts, safe
+  // zones and layer flags derived with them.
+  const riskScales = useMemo(() => createRiskScales({
+    scales: regionManifest ? regionManifest.scales : RISK_SCALES,
+    regionScales: [currentCountry, currentState, currentDistrict].filter(Boolean).map(region => region.riskScale),
+    palette: riskPalette
+  }), [regionManifest, currentCountry, currentState, currentDistrict, riskPalette, language]);
+  
   // Filter cells based on current calamity mode
-  const filteredCells = riskCells.filter(cell => cell.cal_type === calamityMode);
+  const filteredCells = useMemo(
+    () => getCellsForMode(displayCells, calamityMode),
+    [displayCells, calamityMode]
+  );
   
   // Regenerate road alerts when calamity mode changes or cells update
   useEffect(() => {
     if (filteredCells.length > 0) {
-      const alerts = detectRoadIntersections(filteredCells, calamityMode);
+      const alerts = detectRoadIntersections(filteredCells, calamityMode, roadNetwork, riskScales);
       setRoadAlerts(alerts);
     } else {
       setRoadAlerts([]);
     }
-  }, [filteredCells.length, calamityMode]);
+  }, [displayCells, calamityMode, roadNetwork, riskScales]);
+  
+  // Keep the selected alert across refreshes while its road is still
+  // affected; a linked alert is selected once the district's cells are in
+  useEffect(() => {
+    const pending = pendingUrlRef.current;
+    if ('alert' in pending && filteredCells.length > 0) {
+      setSelectedRoadAlert(roadAlerts.find(alert => alert.id === pending.alert) || null);
+      delete pending.alert;
+      return;
+    }
+    setSelectedRoadAlert(prev => (prev && roadAlerts.find(alert => alert.id === prev.id)) || null);
+  }, [roadAlerts]);
 
   // ========================================
   // UTILITY FUNCTIONS
   // ========================================
   
-  const getRiskColor = (riskPercentage) => {
-    if (riskPercentage < 30) return '#22c55e';
-    if (riskPercentage < 60) return '#f97316';
-    return '#ef4444';
+  const getRiskColor = (riskPercentage, hazardKey) => {
+    return riskScales.getBand(riskPercentage, hazardKey).color;
   };
   
-  const getRiskLevel = (riskPercentage) => {
-    if (riskPercentage < 30) return 'Low Risk';
-    if (riskPercentage < 60) return 'Moderate Risk';
-    return 'High Risk';
+  const getCellColor = (cell) => riskScales.getCellBand(cell).color;
+  
+  const getRiskLevel = (cell) => riskScales.getCellBand(cell).label;
+  
+  // Date and time in the UI language's locale, in IST
+  const formatTimestamp = (timestamp) => formatDateTime(timestamp);
+  
+  const formatAge = (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return t('age.justNow');
+    if (minutes < 60) return t('age.minutes', { minutes });
+    return t('age.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
   };
   
-  const formatTimestamp = (timestamp) => {
-    return new Date(timestamp).toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      dateStyle: 'medium',
-      timeStyle: 'short'
-    });
+  const formatPercent = (value) => t('common.percent', { value });
+  
+  const formatKm = (km) => formatNumber(km, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  
+  const getCalamityIcon = (mode) => {
+    if (mode === COMBINED_MODE) return hazardKeys.map(key => getHazard(key).icon).join('');
+    return getHazard(mode).icon;
   };
   
-  const getCalamityIcon = (type) => {
-    return type === CALAMITY_TYPES.LANDSLIDE ? '⛰️' : '🌊';
+  const getModeLabel = (mode) => (mode === COMBINED_MODE ? t('modes.combined') : getHazard(mode).label);
+  
+  // Fill colour for a combined cell from the levels (low, warning, high)
+  // of the two bivariate axes' bands
+  const getBivariateColor = (risks) => {
+    const [rowKey, columnKey] = BIVARIATE_AXES;
+    const rowLevel = riskScales.getBand(risks[rowKey] ?? 0, rowKey).level;
+    const columnLevel = riskScales.getBand(risks[columnKey] ?? 0, columnKey).level;
+    return BIVARIATE_COLORS[rowLevel][columnLevel];
   };
   
+  // Cells of the selected road alert, by south-west corner
+  const highlightedCells = useMemo(() => new Set(
+    selectedRoadAlert ? selectedRoadAlert.cells.map(cell => `${cell.bounds.minLat},${cell.bounds.minLon}`) : []
+  ), [selectedRoadAlert]);
+  
+  // Canvas style of a cell, or of a zoomed-out tile's highest cell given
+  // all of the tile's `cells`
+  const getCellStyle = useCallback((cell, cells = [cell]) => {
+    const band = riskScales.getCellBand(cell);
+    const isHighlighted = cells.some(c => highlightedCells.has(`${c.bounds.minLat},${c.bounds.minLon}`));
+    const changedCell = cell.change ? cell : cells.find(c => c.change);
+    const change = changedCell ? changedCell.change : null;
+    const changeColor = change === 'up' ? '#7f1d1d' : '#1d4ed8';
+    return {
+      color: isHighlighted ? '#fbbf24' : change ? changeColor : band.color,
+      fillColor: cell.risks ? getBivariateColor(cell.risks) : band.color,
+      fillOpacity: isHighlighted ? 0.7 : cell.risks ? 0.6 : 0.4,
+      weight: isHighlighted || change ? 3 : 2,
+      dashed: Boolean(change) && !isHighlighted,
+      highlighted: isHighlighted,
+      hatchLevel: showPatterns ? band.level : 0
+    };
+  }, [riskScales, highlightedCells, showPatterns]);
+  
+  // Bands shown in the legend and stats: the mode's scale, or the three
+  // levels in combined mode when the hazards use different scales
+  const modeScale = useMemo(
+    () => riskScales.getModeScale(calamityMode === COMBINED_MODE ? hazardKeys : [calamityMode]),
+    [riskScales, calamityMode, hazardKeys]
+  );
+  
+  // Interpolated risk surface (risk-surface.js) for the heatmap and
+  // contours, built only while one of them is shown
+  const riskSurface = useMemo(
+    () => (riskDisplay === 'heatmap' || showContours ? createRiskSurface(filteredCells) : null),
+    [filteredCells, riskDisplay, showContours]
+  );
+  
+  const heatmap = useMemo(
+    () => (riskDisplay === 'heatmap' && riskSurface ? { surface: riskSurface, getColor: createColorRamp(modeScale.bands) } : null),
+    [riskDisplay, riskSurface, modeScale]
+  );
+  
+  // Contour lines at the lower bound of every band above the lowest
+  const contours = useMemo(() => {
+    if (!showContours || !riskSurface) return [];
+    return modeScale.bands.slice(1).map(band => ({ band, lines: traceContours(riskSurface, band.min) }));
+  }, [showContours, riskSurface, modeScale]);
+  
   // Calculate statistics
+  const bandCounts = modeScale.bands.map(() => 0);
+  filteredCells.forEach(cell => {
+    bandCounts[riskScales.getModeBandIndex(cell, modeScale)] += 1;
+  });
+  
+  // People and facilities in the cells (exposure.js), null without data
+  const exposure = useMemo(
+    () => createExposure(filteredCells, exposureData.population, exposureData.facilities),
+    [filteredCells, exposureData]
+  );
+  const bandExposure = useMemo(
+    () => exposure && getBandExposure(exposure, cell => riskScales.getModeBandIndex(cell, modeScale), modeScale.bands.length),
+    [exposure, riskScales, modeScale]
+  );
+  
   const stats = {
     total: filteredCells.length,
-    highRisk: filteredCells.filter(c => c.risk_percentage >= 60).length,
-    moderateRisk: filteredCells.filter(c => c.risk_percentage >= 30 && c.risk_percentage < 60).length,
-    lowRisk: filteredCells.filter(c => c.risk_percentage < 30).length
+    bands: modeScale.bands.map((band, index) => ({
+      ...band,
+      count: bandCounts[index],
+      exposure: bandExposure ? bandExposure[index] : null
+    }))
   };
   
+  // ========================================
+  // ROUTE PLANNING
+  // ========================================
+  
+  const roadGraph = useMemo(() => (roadNetwork ? buildRoadGraph(roadNetwork) : null), [roadNetwork]);
+  
+  // Recompute routes whenever the endpoints, network or active hazard change
+  const routes = useMemo(() => {
+    if (!roadGraph || !routeOrigin || !routeDestination) return null;
+    const cells = filteredCells;
+    return {
+      safest: planRoute(roadGraph, routeOrigin, routeDestination, cells, riskScales, 'safest'),
+      shortest: compareShortest
+        ? planRoute(roadGraph, routeOrigin, routeDestination, cells, riskScales, 'shortest')
+        : null
+    };
+  }, [roadGraph, routeOrigin, routeDestination, filteredCells, riskScales, compareShortest]);
+  
+  const handleRoutePointPick = (point) => {
+    if (routePickMode === 'origin') setRouteOrigin(point);
+    if (routePickMode === 'destination') setRouteDestination(point);
+    setRoutePickMode(null);
+  };
+  
+  const clearRoute = () => {
+    setRouteOrigin(null);
+    setRouteDestination(null);
+    setRoutePickMode(null);
+  };
+  
+  // ========================================
+  // SHELTER FINDER
+  // ========================================
+  
+  const safeZones = useMemo(() => deriveSafeZones(filteredCells, riskScales), [filteredCells, riskScales]);
+  
+  // Nearest shelters and safe zones from the chosen point, re-ranked
+  // whenever the cells, hazard or road network change
+  const shelterResults = useMemo(() => {
+    if (!shelterOrigin) return null;
+    return findNearestShelters({
+      graph: roadGraph,
+      origin: shelterOrigin,
+      destinations: [...(shelters || []), ...safeZones],
+      cells: filteredCells,
+      riskScales
+    });
+  }, [roadGraph, shelterOrigin, shelters, safeZones, filteredCells, riskScales]);
+  
+  const selectedShelterResult = shelterResults &&
+    shelterResults.results.find(result => result.destination.id === selectedShelterId);
+  
+  const handleShelterOriginPick = (point) => {
+    setShelterOrigin(point);
+    setShelterPicking(false);
+    setSelectedShelterId(null);
+  };
+  
+  const handleToggleShelterPick = () => {
+    setRoutePickMode(null);
+    setLocationPicking(false);
+    setShelterPicking(prev => !prev);
+  };
+  
+  const handleShelterResultClick = (result) => {
+    setSelectedShelterId(result.destination.id);
+    const points = result.route ? [shelterOrigin, ...result.route.path] : [shelterOrigin, result.target];
+    setMapView({
+      bounds: [
+        [Math.min(...points.map(([lat]) => lat)), Math.min(...points.map(([, lon]) => lon))],
+        [Math.max(...points.map(([lat]) => lat)), Math.max(...points.map(([, lon]) => lon))]
+      ]
+    });
+  };
+  
+  const clearShelterSearch = () => {
+    setShelterOrigin(null);
+    setShelterPicking(false);
+    setSelectedShelterId(null);
+  };
+  
+  // Data age, from the newest prediction timestamp rather than the fetch time
+  const newestUpdate = getNewestUpdate(getCellsForMode(liveCells, calamityMode));
+  const dataAgeMinutes = newestUpdate ? (now - newestUpdate.getTime()) / 60000 : null;
+  const dataAgeColor = dataAgeMinutes === null || dataAgeMinutes < DATA_AGE_WARN_MINUTES
+    ? '#dcfce7'
+    : dataAgeMinutes < DATA_AGE_STALE_MINUTES ? '#fde68a' : '#fecaca';
+  const changedCount = filteredCells.filter(cell => cell.change).length;
+  
+  // Timeline steps with their load status and high-risk counts
+  const timelineSteps = timelineBase ? TIMELINE_OFFSETS.map(offset => {
+    const snapshot = snapshots[offset];
+    const cells = offset === 0 ? riskCells : snapshot && snapshot.cells;
+    return {
+      offset,
+      time: offset === 0 ? (lastUpdated || timelineBase) : getStepTime(offset),
+      status: offset === 0 ? 'live' : snapshot ? snapshot.status : 'idle',
+      highRisk: cells
+        ? getCellsForMode(cells, calamityMode).filter(cell => riskScales.getCellBand(cell).level === 2).length
+        : undefined
+    };
+  }) : null;
+  
+  // Layer points inside high-risk cells of the current mode
+  const layerFlags = useMemo(
+    () => findFlaggedPoints(gisLayers, filteredCells, riskScales),
+    [gisLayers, filteredCells, riskScales]
+  );
+  const flaggedFeatureIds = new Set(layerFlags.map(flag => flag.feature.id));
+  
   // Handle road alert click
   const handleRoadAlertClick = (alert) => {
     setSelectedRoadAlert(alert);
@@ -338,23 +1206,491 @@ function DisasterWarningSystem() {
       const cell = alert.cells[0];
       const centerLat = (cell.bounds.minLat + cell.bounds.maxLat) / 2;
       const centerLon = (cell.bounds.minLon + cell.bounds.maxLon) / 2;
-      setMapCenter([centerLat, centerLon]);
-      setMapZoom(12);
+      setMapView({ center: [centerLat, centerLon], zoom: 12 });
+    }
+  };
+  
+  // ========================================
+  // INCIDENT LOG
+  // ========================================
+  
+  // Incidents belong to a district, in both views
+  const getIncidentArea = (district) => ({ id: `${currentState.id}/${district.id}`, name: district.name });
+  
+  // Area shown in the panel: the open district, or the state in the
+  // overview, which covers the incidents of all its districts
+  const incidentArea = currentDistrict
+    ? getIncidentArea(currentDistrict)
+    : (stateOverview && currentState ? { id: currentState.id, name: currentState.name } : null);
+  
+  // Live road alerts by district: the open district's, or in the overview
+  // each loaded district's own, found from its cells alone so a road keeps
+  // the incident it has in the district view
+  const getDistrictAlerts = () => {
+    if (currentDistrict) return [{ area: getIncidentArea(currentDistrict), alerts: roadAlerts }];
+    if (stateOverview.stateId !== currentState.id) return [];
+    return currentState.districts
+      .filter(district => stateOverview.districts[district.id].status === 'loaded')
+      .map(district => ({
+        area: getIncidentArea(district),
+        alerts: detectRoadIntersections(
+          getCellsForMode(stateOverview.districts[district.id].cells, calamityMode),
+          calamityMode,
+          roadNetwork,
+          riskScales
+        )
+      }));
+  };
+  
+  const saveIncidents = (changed) => {
+    getIncidentStore().save(changed)
+      .then(() => setIncidentSaveError(null))
+      .catch(err => {
+        console.error('Error saving incidents:', err);
+        setIncidentSaveError(err.message);
+      });
+  };
+  
+  // Load the stored incidents once
+  useEffect(() => {
+    let cancelled = false;
+    getIncidentStore().load()
+      .then(stored => {
+        if (!cancelled) setIncidents(prev => mergeIncidents(prev, stored));
+      })
+      .catch(err => {
+        console.error('Error loading incidents:', err);
+        if (!cancelled) setError(t('errors.incidents', { message: err.message }));
+      })
+      .finally(() => {
+        if (!cancelled) setIncidentsLoaded(true);
+      });
+    return () => { cancelled = true; };
+  }, []);
+  
+  // Open, update and clear incidents as the live road alerts change (not
+  // while loading or on past timeline steps). A district whose data came
+  // back without alerts clears its incidents; one without data leaves them.
+  useEffect(() => {
+    if (!incidentsLoaded || !incidentArea || !roadNetwork || loading) return;
+    if (timelineOffset !== 0 || (currentDistrict && !riskCellsLoaded)) return;
+    
+    let next = incidents;
+    const changed = [];
+    getDistrictAlerts().forEach(({ area, alerts }) => {
+      const result = syncIncidents(next, alerts, { area: area.id, areaName: area.name, mode: calamityMode });
+      next = result.incidents;
+      changed.push(...result.changed);
+    });
+    if (changed.length === 0) return;
+    setIncidents(next);
+    saveIncidents(changed);
+  }, [roadAlerts, incidentsLoaded]);
+  
+  // Incident of each current road alert, by alert id. A road crossing
+  // several districts of the overview shows the one least far along.
+  const alertIncidents = new Map();
+  if (incidentArea) {
+    incidents.forEach(incident => {
+      if (incident.clearedAt !== null || !isIncidentInArea(incident, incidentArea.id)) return;
+      const shown = alertIncidents.get(incident.alertId);
+      if (!shown || INCIDENT_STATUSES.indexOf(incident.status) < INCIDENT_STATUSES.indexOf(shown.status)) {
+        alertIncidents.set(incident.alertId, incident);
+      }
+    });
+  }
+  
+  const handleIncidentAction = (incident, action, details) => {
+    const updated = applyIncidentAction(incident, action, { ...details, operator: operatorName.trim() });
+    setIncidents(prev => prev.map(existing => (existing.id === updated.id ? updated : existing)));
+    saveIncidents([updated]);
+  };
+  
+  const handleOperatorChange = (name) => {
+    setOperatorName(name);
+    storeOperatorName(name.trim());
+  };
+  
+  // Show an incident's road on the map while its alert is current
+  const handleIncidentSelect = (incident) => {
+    if (!incidentArea || !isIncidentInArea(incident, incidentArea.id) || incident.clearedAt) return;
+    const alert = roadAlerts.find(candidate => candidate.id === incident.alertId);
+    if (alert) handleRoadAlertClick(alert);
+  };
+  
+  const handleIncidentExport = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`incident-log-${stamp}.csv`, incidentsToCSV(incidents), 'text/csv');
+  };
+  
+  // Leave the table view and centre the map on a listed cell
+  const handleShowCell = (cell) => {
+    setShowCellTable(false);
+    setMapView({
+      center: [(cell.bounds.minLat + cell.bounds.maxLat) / 2, (cell.bounds.minLon + cell.bounds.maxLon) / 2],
+      zoom: 13
+    });
+  };
+  
+  // Handle a map click (risk-canvas-layer.jsx): open the popup of the
+  // cell under it, or select the district when no cell was hit
+  const handleMapCellClick = (hit, latlng) => {
+    if (routePickMode || locationPicking || shelterPicking) return;
+    if (hit) {
+      const tile = hit.tile;
+      setCellPopup({
+        key: hit.cell.key,
+        position: [latlng.lat, latlng.lng],
+        count: tile ? tile.count : 1,
+        tileBounds: tile ? [[tile.bounds.minLat, tile.bounds.minLon], [tile.bounds.maxLat, tile.bounds.maxLon]] : null
+      });
+      return;
+    }
+    const clicked = districtBoundaries.find(({ district }) => isPointInBoundary([latlng.lat, latlng.lng], district.boundary));
+    if (clicked) handleDistrictBoundaryClick(clicked.district);
+  };
+  
+  // The cell of the open popup, looked up again after every refresh
+  const popupCell = cellPopup && filteredCells.find(cell => cell.key === cellPopup.key);
+
+  // ========================================
+  // SCREEN READER ANNOUNCEMENTS
+  // ========================================
+  
+  // Announce each load or refresh of the open district's live data. A
+  // rise in high-risk cells since the last announcement for the same
+  // district and mode is announced urgently.
+  useEffect(() => {
+    if (!currentDistrict || loading || !lastUpdated || riskCells.length === 0) return;
+    
+    const key = `${currentDistrict.id}:${calamityMode}`;
+    const highRisk = getCellsForMode(riskCells, calamityMode)
+      .filter(cell => riskScales.getCellBand(cell).level === 2).length;
+    const previous = announcedRef.current;
+    const rising = Boolean(previous && previous.key === key && highRisk > previous.highRisk);
+    announcedRef.current = { key, highRisk };
+    
+    const params = { district: currentDistrict.name, mode: getModeLabel(calamityMode), count: highRisk };
+    setAnnouncement({
+      id: Date.now(),
+      text: rising ? t('a11y.highRiskRising', { ...params, previous: previous.highRisk }) : t('a11y.dataUpdated', params),
+      urgent: rising
+    });
+  }, [lastUpdated, loading]);
+  
+  // ========================================
+  // SHAREABLE LINKS
+  // ========================================
+  
+  // Restore a view from a link or a history entry (see url-state.js)
+  const applyUrlState = (urlState) => {
+    const country = findRegion(countries, urlState.country);
+    const state = findRegion(country && country.states, urlState.state);
+    const district = findRegion(state && state.districts, urlState.district);
+    const stepIndex = urlState.time ? getStepIndexForTime(urlState.time) : LIVE_STEP_INDEX;
+    
+    setSelectedCountry(country ? country.id : '');
+    setSelectedState(state ? state.id : '');
+    setSelectedDistrict(district ? district.id : '');
+    if (!district) {
+      clearDistrictData();
+    } else if (district !== currentDistrict) {
+      // Applied by the timeline reset and alert effects once it loads
+      pendingUrlRef.current = { alert: urlState.alert, timelineIndex: stepIndex };
+      fetchDisasterData(district);
+    } else {
+      setSelectedRoadAlert(roadAlerts.find(alert => alert.id === urlState.alert) || null);
+      setPlaying(false);
+      setTimelineIndex(stepIndex);
+    }
+    if (urlState.hazard) setCalamityMode(urlState.hazard);
+    
+    if (urlState.view) {
+      setMapView(urlState.view);
+      mapPositionRef.current = urlState.view;
+    } else {
+      flyToRegion(district || state || country || worldView, Boolean(district));
+    }
+  };
+  applyUrlStateRef.current = applyUrlState;
+  
+  // Mirror the view in the address bar
+  const syncUrlState = () => {
+    if (!urlReadyRef.current) return;
+    writeUrlState({
+      country: selectedCountry,
+      state: selectedState,
+      district: selectedDistrict,
+      hazard: selectedDistrict ? calamityMode : null,
+      view: mapPositionRef.current,
+      alert: selectedRoadAlert ? selectedRoadAlert.id : null,
+      time: timelineOffset !== 0 && timelineBase ? getStepTime(timelineOffset) : null
+    });
+  };
+  
+  // Map moves only touch the URL, without re-rendering
+  const handleMapMove = (position) => {
+    mapPositionRef.current = position;
+    syncUrlState();
+  };
+  
+  // Declared before the effect below so that it skips the render in which
+  // the opening link is applied
+  useEffect(() => {
+    syncUrlState();
+  }, [selectedCountry, selectedState, selectedDistrict, calamityMode, selectedRoadAlert, timelineOffset]);
+  
+  // Open the linked view (or the world view) once the manifest has loaded
+  useEffect(() => {
+    if (!regionManifest) return;
+    applyUrlState(parseUrlState());
+    urlReadyRef.current = true;
+  }, [regionManifest]);
+  
+  // Back/forward restore the view of that history entry
+  useEffect(() => {
+    const handlePopState = () => applyUrlStateRef.current(parseUrlState());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // ========================================
+  // EXPORT
+  // ========================================
+  
+  // Writes what is on screen (district, hazard mode, timeline step)
+  const handleExport = (format) => {
+    // The open district, or the whole state in the state overview
+    const region = currentDistrict || (stateOverview && currentState);
+    if (!region || !format) return;
+    
+    const context = {
+      district: region,
+      modeLabel: getModeLabel(calamityMode),
+      generatedAt: new Date(),
+      riskScales
+    };
+    const filename = (extension, suffix = '') =>
+      getExportFilename(context, `${calamityMode}${suffix}`, extension);
+    
+    if (format === 'geojson') {
+      downloadFile(filename('geojson'), toGeoJSON(filteredCells, roadAlerts, context), 'application/geo+json');
+    } else if (format === 'kml') {
+      downloadFile(filename('kml'), toKML(filteredCells, roadAlerts, context), 'application/vnd.google-earth.kml+xml');
+    } else if (format === 'cells-csv') {
+      downloadFile(filename('csv'), cellsToCSV(filteredCells, context), 'text/csv');
+    } else if (format === 'alerts-csv') {
+      downloadFile(filename('csv', '-road-alerts'), alertsToCSV(roadAlerts), 'text/csv');
+    } else if (format === 'report') {
+      const html = buildSituationReport({
+        title: SYSTEM_NAME,
+        district: region,
+        stateName: currentDistrict ? currentState.name : (currentCountry ? currentCountry.name : ''),
+        modeLabel: context.modeLabel,
+        stepLabel: timelineOffset === 0
+          ? t('timeline.live')
+          : t(timelineOffset > 0 ? 'timeline.forecastAt' : 'timeline.historyAt', { offset: formatOffset(timelineOffset) }),
+        generatedAt: context.generatedAt,
+        dataTime: timelineOffset === 0 ? (newestUpdate || lastUpdated) : getStepTime(timelineOffset),
+        cells: filteredCells,
+        alerts: roadAlerts,
+        stats,
+        boundaryPositions: getBoundaryPositions(region.boundary),
+        bounds: getBoundaryBounds(region.boundary),
+        riskScales,
+        formatTime: formatTimestamp
+      });
+      if (!openSituationReport(html)) {
+        setError(t('errors.reportBlocked'));
+      }
     }
   };
 
+  // ========================================
+  // MY LOCATION & SAVED PLACES
+  // ========================================
+  
+  // Risk scales of the region a saved place lies in
+  const getPlaceRiskScales = (place) => {
+    const country = findRegion(countries, place.countryId);
+    const state = findRegion(country && country.states, place.stateId);
+    const district = findRegion(state && state.districts, place.districtId);
+    return createRiskScales({
+      scales: regionManifest ? regionManifest.scales : RISK_SCALES,
+      regionScales: [country, state, district].filter(Boolean).map(region => region.riskScale),
+      palette: riskPalette
+    });
+  };
+  
+  // Mark a located point, open its district and centre the map on it
+  const openLocation = (position, located) => {
+    setMyLocation({
+      position,
+      countryId: located.country.id,
+      stateId: located.state.id,
+      districtId: located.district.id,
+      districtName: located.district.name,
+      stateName: located.state.name
+    });
+    openDistrict(located);
+    setMapView({ center: position, zoom: 13 });
+  };
+  
+  // Find the district of a GPS fix or dropped pin
+  const showLocation = (position) => {
+    setLocating(false);
+    setLocationPicking(false);
+    
+    const located = findDistrictAtPoint(countries, position);
+    if (!located) {
+      setMyLocation(null);
+      setLocationMessage('location.outside');
+      return;
+    }
+    
+    setLocationMessage(null);
+    openLocation(position, located);
+  };
+  
+  const handleCheckLocation = () => {
+    if (!navigator.geolocation) {
+      setLocationPicking(true);
+      setLocationMessage('location.unavailable');
+      return;
+    }
+    
+    setLocating(true);
+    setLocationMessage(null);
+    navigator.geolocation.getCurrentPosition(
+      (result) => showLocation([result.coords.latitude, result.coords.longitude]),
+      (err) => {
+        setLocating(false);
+        setLocationPicking(true);
+        setLocationMessage(err.code === err.PERMISSION_DENIED ? 'location.denied' : 'location.failed');
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  };
+  
+  const handleToggleLocationPick = () => {
+    setRoutePickMode(null);
+    setShelterPicking(false);
+    setLocationPicking(prev => !prev);
+    setLocationMessage(locationPicking ? null : 'location.dropPin');
+  };
+  
+  // The citizen's own risk, once their district's live data is loaded
+  const myLocationRisks = myLocation && currentDistrict && myLocation.districtId === currentDistrict.id && !loading
+    ? getPointRisks(riskCells, myLocation.position, riskScales)
+    : null;
+  
+  const handleSaveLocation = (name) => {
+    const located = findDistrictAtPoint(countries, myLocation.position);
+    if (!located) return;
+    
+    const place = createPlace(name, myLocation.position, located);
+    if (myLocationRisks) {
+      place.risks = toStoredRisks(myLocationRisks);
+      place.checkedAt = new Date().toISOString();
+    }
+    setSavedPlaces(prev => [...prev, place]);
+    
+    // Saving is a user gesture, so this is the moment to ask
+    requestNotificationPermission().then(setNotificationPermission);
+  };
+  
+  const handleOpenPlace = (place) => {
+    const located = findDistrictAtPoint(countries, place.position);
+    if (located) openLocation(place.position, located);
+  };
+  
+  const handleRemovePlace = (placeId) => {
+    setSavedPlaces(prev => prev.filter(place => place.id !== placeId));
+  };
+  
+  // Persist saved places
+  useEffect(() => {
+    savedPlacesRef.current = savedPlaces;
+    storeSavedPlaces(savedPlaces);
+  }, [savedPlaces]);
+  
+  // Re-evaluate the saved places in an area against fresh cells and
+  // notify about every hazard that moved into a higher band
+  const updatePlaceRisks = (area, cells) => {
+    let changed = false;
+    const updated = savedPlacesRef.current.map(place => {
+      if (place.area !== area) return place;
+      
+      const placeScales = getPlaceRiskScales(place);
+      const risks = getPointRisks(cells, place.position, placeScales);
+      getRaisedHazards(place.risks, risks).forEach(hazard => {
+        const band = placeScales.getBand(risks[hazard].risk, hazard);
+        const { icon, label } = getHazard(hazard);
+        notify(
+          t('notifications.riskRising', { icon, place: place.name, hazard: label }),
+          t('notifications.riskRisingBody', { band: band.label, risk: risks[hazard].risk })
+        );
+      });
+      
+      changed = true;
+      return { ...place, risks: toStoredRisks(risks), checkedAt: new Date().toISOString() };
+    });
+    
+    if (changed) {
+      savedPlacesRef.current = updated;
+      setSavedPlaces(updated);
+    }
+  };
+  
+  // Places in the open district follow its live data
+  useEffect(() => {
+    if (currentDistrict && riskCells.length > 0 && !storedDataTime) {
+      updatePlaceRisks(currentDistrict.area, riskCells);
+    }
+  }, [riskCells]);
+  
+  // Places elsewhere are checked on start-up and then with the refresh interval
+  const otherPlaceAreas = [...new Set(savedPlaces.map(place => place.area))]
+    .filter(area => !currentDistrict || area !== currentDistrict.area)
+    .join('|');
+  useEffect(() => {
+    if (!otherPlaceAreas || !regionManifest) return;
+    const controller = new AbortController();
+    
+    const checkPlaces = () => {
+      otherPlaceAreas.split('|').forEach(area => {
+        fetchPredictions(area, { signal: controller.signal })
+          .then(cells => updatePlaceRisks(area, cells))
+          .catch(err => {
+            if (!isAbortError(err)) console.warn(`Could not check saved places in ${area}:`, err);
+          });
+      });
+    };
+    
+    checkPlaces();
+    const timer = pollInterval > 0 ? setInterval(checkPlaces, pollInterval) : null;
+    return () => {
+      controller.abort();
+      clearInterval(timer);
+    };
+  }, [otherPlaceAreas, pollInterval, regionManifest]);
+
   // ========================================
   // RENDER
   // ========================================
 
   return (
     <div style={{ 
-      fontFamily: 'system-ui, -apple-system, sans-serif', 
+      fontFamily: "system-ui, -apple-system, 'Noto Sans Devanagari', 'Noto Sans Bengali', 'Noto Sans Meetei Mayek', sans-serif", 
       height: '100vh', 
       display: 'flex', 
       flexDirection: 'column',
       background: '#f1f5f9'
     }}>
+      <RiskPatternDefs />
+      <LiveAnnouncer message={announcement} />
+      {MOCK_API_AVAILABLE && <MockToolbar />}
+      
       {/* ========================================
           HEADER
           ======================================== */}
@@ -372,20 +1708,62 @@ function DisasterWarningSystem() {
               {SYSTEM_NAME}
             </h1>
             <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.9rem', opacity: 0.95 }}>
-              {SYSTEM_FULL_NAME}
+              {t('app.fullName')}
             </p>
           </div>
-          {lastUpdated && (
-            <div style={{ 
-              marginLeft: 'auto', 
-              textAlign: 'right',
-              fontSize: '0.85rem',
-              opacity: 0.9
-            }}>
-              <div style={{ fontWeight: 600 }}>Last Updated</div>
-              <div>{formatTimestamp(lastUpdated)}</div>
-            </div>
-          )}
+          <div style={{ 
+            marginLeft: 'auto', 
+            display: 'flex',
+            alignItems: 'center',
+            gap: '1.5rem'
+          }}>
+            {lastUpdated && (
+              <div style={{ 
+                textAlign: 'right',
+                fontSize: '0.85rem',
+                opacity: 0.9
+              }}>
+                <div style={{ fontWeight: 600 }}>{t('header.lastUpdated')}</div>
+                <div>{formatTimestamp(lastUpdated)}</div>
+                {newestUpdate && (
+                  <div
+                    title={t('header.newestPrediction', { time: formatTimestamp(newestUpdate) })}
+                    style={{
+                      marginTop: '0.25rem',
+                      padding: '0.1rem 0.5rem',
+                      borderRadius: '999px',
+                      background: dataAgeColor,
+                      color: '#1e293b',
+                      fontWeight: 600,
+                      display: 'inline-block'
+                    }}
+                  >
+                    {t('header.dataAge', { age: formatAge(now - newestUpdate.getTime()) })}
+                  </div>
+                )}
+              </div>
+            )}
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              title={t('header.language')}
+              aria-label={t('header.language')}
+              style={{
+                padding: '0.4rem 0.6rem',
+                border: '2px solid rgba(255,255,255,0.6)',
+                borderRadius: '6px',
+                background: 'rgba(255,255,255,0.15)',
+                color: 'white',
+                fontSize: '0.85rem',
+                fontWeight: 600,
+                cursor: 'pointer'
+              }}
+            >
+              {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code} style={{ color: '#1e293b' }}>🌐 {option.name}</option>
+              ))}
+            </select>
+          </div>
         </div>
       </header>
 
@@ -402,10 +1780,10 @@ function DisasterWarningSystem() {
         flexWrap: 'wrap'
       }}>
         <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
-          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>Country:</label>
+          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>{t('nav.country')}</label>
           <select 
             value={selectedCountry}
-            onChange={(e) => setSelectedCountry(e.target.value)}
+            onChange={(e) => selectCountry(e.target.value)}
             style={{
               padding: '0.5rem 1rem',
               border: '2px solid #cbd5e1',
@@ -416,16 +1794,20 @@ function DisasterWarningSystem() {
               fontWeight: 500
             }}
           >
-            <option value="">🌍 Select Country</option>
-            <option value="India">🇮🇳 India</option>
+            <option value="">🌍 {t('nav.selectCountry')}</option>
+            {countries.map(country => (
+              <option key={country.id} value={country.id}>
+                {country.flag ? `${country.flag} ${country.name}` : country.name}
+              </option>
+            ))}
           </select>
         </div>
 
         <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
-          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>State:</label>
+          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>{t('nav.state')}</label>
           <select 
             value={selectedState}
-            onChange={(e) => setSelectedState(e.target.value)}
+            onChange={(e) => selectState(e.target.value)}
             disabled={!selectedCountry}
             style={{
               padding: '0.5rem 1rem',
@@ -437,13 +1819,15 @@ function DisasterWarningSystem() {
               fontWeight: 500
             }}
           >
-            <option value="">Select State</option>
-            <option value="Manipur">Manipur</option>
+            <option value="">{t('nav.selectState')}</option>
+            {currentCountry && currentCountry.states.map(state => (
+              <option key={state.id} value={state.id}>{state.name}</option>
+            ))}
           </select>
         </div>
 
         <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
-          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>District:</label>
+          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>{t('nav.district')}</label>
           <select 
             value={selectedDistrict}
             onChange={handleDistrictChange}
@@ -459,15 +1843,126 @@ function DisasterWarningSystem() {
               minWidth: '180px'
             }}
           >
-            <option value="">Select District</option>
-            {Object.keys(MANIPUR_DISTRICTS).sort().map(district => (
-              <option key={district} value={district}>
-                {district.replace(/([A-Z])/g, ' $1').trim()}
-              </option>
-            ))}
+            <option value="">{t('nav.selectDistrict')}</option>
+            {currentState && [...currentState.districts]
+              .sort((a, b) => a.name.localeCompare(b.name))
+              .map(district => (
+                <option key={district.id} value={district.id}>{district.name}</option>
+              ))}
           </select>
         </div>
 
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>{t('nav.roads')}</label>
+          <span style={{ fontSize: '0.85rem', color: '#64748b' }}>
+            {roadNetwork
+              ? t('nav.roadCount', { name: roadNetworkName || t('nav.stateRoadNetwork', { state: currentState.name }), count: roadNetwork.length })
+              : t('nav.notLoaded')}
+          </span>
+          <label style={{
+            position: 'relative',
+            padding: '0.4rem 0.75rem',
+            border: '2px solid #cbd5e1',
+            borderRadius: '6px',
+            fontSize: '0.85rem',
+            background: 'white',
+            cursor: 'pointer',
+            fontWeight: 500,
+            color: '#475569'
+          }}>
+            📂 {t('nav.loadGeoJson')}
+            <input
+              type="file"
+              accept=".geojson,.json,application/geo+json,application/json"
+              onChange={handleRoadNetworkFile}
+              style={VISUALLY_HIDDEN}
+            />
+          </label>
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <label style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>{t('nav.shelters')}</label>
+          <span style={{ fontSize: '0.85rem', color: '#64748b' }}>
+            {shelters
+              ? t('nav.shelterCount', { name: sheltersName || t('nav.stateShelters', { state: currentState.name }), count: shelters.length })
+              : t('nav.notLoaded')}
+          </span>
+          <label style={{
+            position: 'relative',
+            padding: '0.4rem 0.75rem',
+            border: '2px solid #cbd5e1',
+            borderRadius: '6px',
+            fontSize: '0.85rem',
+            background: 'white',
+            cursor: 'pointer',
+            fontWeight: 500,
+            color: '#475569'
+          }}>
+            📂 {t('nav.loadGeoJson')}
+            <input
+              type="file"
+              accept=".geojson,.json,application/geo+json,application/json"
+              onChange={handleSheltersFile}
+              style={VISUALLY_HIDDEN}
+            />
+          </label>
+        </div>
+
+        {(selectedDistrict || stateOverview) && (
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <label htmlFor="poll-interval" style={{ fontWeight: 600, color: '#475569', fontSize: '0.9rem' }}>{t('nav.autoRefresh')}</label>
+            <select
+              id="poll-interval"
+              value={pollInterval}
+              onChange={(e) => setPollInterval(Number(e.target.value))}
+              style={{
+                padding: '0.4rem 0.75rem',
+                border: '2px solid #cbd5e1',
+                borderRadius: '6px',
+                fontSize: '0.85rem',
+                background: 'white',
+                cursor: 'pointer',
+                fontWeight: 500
+              }}
+            >
+              {POLL_INTERVAL_OPTIONS.map(value => (
+                <option key={value} value={value}>
+                  {value === 0 ? t('nav.refreshOff') : t('nav.refreshMinutes', { count: value / 60000 })}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => refreshNowRef.current && refreshNowRef.current()}
+              title={t('nav.refreshNow')}
+              aria-label={t('nav.refreshNow')}
+              style={{
+                padding: '0.4rem 0.6rem',
+                border: '2px solid #cbd5e1',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: 'pointer',
+                fontSize: '0.85rem'
+              }}
+            >
+              🔄
+            </button>
+            <span style={{
+              fontSize: '0.8rem',
+              fontWeight: 600,
+              color: refreshError ? '#b91c1c' : liveMode === 'off' ? '#94a3b8' : '#16a34a'
+            }}>
+              {refreshError
+                ? `● ${t('nav.refreshFailed', { message: refreshError })}`
+                : liveMode === 'streaming' ? `● ${t('nav.liveStream')}` : liveMode === 'polling' ? `● ${t('nav.polling')}` : `○ ${t('nav.paused')}`}
+            </span>
+            {offlineMapDistrict === selectedDistrict && (
+              <span style={{ fontSize: '0.8rem', color: '#64748b' }} title={t('nav.mapSavedOfflineHint')}>
+                📦 {t('nav.mapSavedOffline')}
+              </span>
+            )}
+          </div>
+        )}
+
         {loading && (
           <div style={{ 
             color: '#3b82f6', 
@@ -478,7 +1973,7 @@ function DisasterWarningSystem() {
             gap: '0.5rem'
           }}>
             <span className="spinner">⏳</span>
-            Loading prediction data...
+            {t('nav.loading')}
           </div>
         )}
       </div>
@@ -486,7 +1981,7 @@ function DisasterWarningSystem() {
       {/* ========================================
           CALAMITY MODE SELECTOR
           ======================================== */}
-      {selectedDistrict && (
+      {(selectedDistrict || stateOverview) && (
         <div style={{
           padding: '1rem 2rem',
           background: 'white',
@@ -496,64 +1991,136 @@ function DisasterWarningSystem() {
           alignItems: 'center',
           justifyContent: 'space-between'
         }}>
-          <div style={{ display: 'flex', gap: '0.75rem' }}>
-            <button
-              onClick={() => setCalamityMode(CALAMITY_TYPES.LANDSLIDE)}
-              style={{
-                padding: '0.75rem 1.5rem',
-                border: calamityMode === CALAMITY_TYPES.LANDSLIDE ? '2px solid #f97316' : '2px solid #cbd5e1',
-                borderRadius: '8px',
-                background: calamityMode === CALAMITY_TYPES.LANDSLIDE ? '#fff7ed' : 'white',
-                cursor: 'pointer',
-                fontWeight: 600,
-                fontSize: '0.95rem',
-                color: calamityMode === CALAMITY_TYPES.LANDSLIDE ? '#c2410c' : '#64748b',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '0.5rem',
-                transition: 'all 0.2s'
-              }}
-            >
-              ⛰️ Landslide Prediction
-            </button>
-            
-            <button
-              onClick={() => setCalamityMode(CALAMITY_TYPES.FLOOD)}
-              style={{
-                padding: '0.75rem 1.5rem',
-                border: calamityMode === CALAMITY_TYPES.FLOOD ? '2px solid #3b82f6' : '2px solid #cbd5e1',
-                borderRadius: '8px',
-                background: calamityMode === CALAMITY_TYPES.FLOOD ? '#eff6ff' : 'white',
-                cursor: 'pointer',
-                fontWeight: 600,
-                fontSize: '0.95rem',
-                color: calamityMode === CALAMITY_TYPES.FLOOD ? '#1e40af' : '#64748b',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '0.5rem',
-                transition: 'all 0.2s'
-              }}
-            >
-              🌊 Flood Prediction
-            </button>
+          <div role="group" aria-label={t('a11y.modes')} style={{ display: 'flex', gap: '0.75rem' }}>
+            {[...hazardKeys, ...(hazardKeys.length > 1 ? [COMBINED_MODE] : [])].map(mode => {
+              const accent = mode === COMBINED_MODE
+                ? { border: '#7c3aed', background: '#f5f3ff', text: '#5b21b6' }
+                : getHazard(mode).accent;
+              const isActive = calamityMode === mode;
+              
+              return (
+                <button
+                  key={mode}
+                  onClick={() => setCalamityMode(mode)}
+                  aria-pressed={isActive}
+                  style={{
+                    padding: '0.75rem 1.5rem',
+                    border: isActive ? `2px solid ${accent.border}` : '2px solid #cbd5e1',
+                    borderRadius: '8px',
+                    background: isActive ? accent.background : 'white',
+                    cursor: 'pointer',
+                    fontWeight: 600,
+                    fontSize: '0.95rem',
+                    color: isActive ? accent.text : '#64748b',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.5rem',
+                    transition: 'all 0.2s'
+                  }}
+                >
+                  {getCalamityIcon(mode)} {mode === COMBINED_MODE ? t('modes.combinedView') : t('modes.prediction', { label: getModeLabel(mode) })}
+                </button>
+              );
+            })}
           </div>
 
           {stats.total > 0 && (
             <div style={{ 
               display: 'flex',
               gap: '1rem',
+              alignItems: 'center',
               fontSize: '0.85rem',
               fontWeight: 600
             }}>
-              <span style={{ color: '#64748b' }}>Analyzed: {stats.total} cells</span>
-              <span style={{ color: '#ef4444' }}>High: {stats.highRisk}</span>
-              <span style={{ color: '#f97316' }}>Moderate: {stats.moderateRisk}</span>
-              <span style={{ color: '#22c55e' }}>Low: {stats.lowRisk}</span>
+              <span style={{ color: '#64748b' }}>{t('stats.analyzed', { count: stats.total })}</span>
+              {[...stats.bands].reverse().map(band => (
+                <span key={band.index} style={{ color: band.color }}>{t('stats.band', { label: band.label, count: band.count })}</span>
+              ))}
+              <button
+                onClick={() => setShowCellTable(prev => !prev)}
+                aria-pressed={showCellTable}
+                style={{
+                  padding: '0.3rem 0.5rem',
+                  border: showCellTable ? '2px solid #3b82f6' : '2px solid #cbd5e1',
+                  borderRadius: '6px',
+                  background: showCellTable ? '#eff6ff' : 'white',
+                  fontSize: '0.8rem',
+                  fontWeight: 600,
+                  color: '#475569',
+                  cursor: 'pointer'
+                }}
+              >
+                📋 {t('cellTable.show')}
+              </button>
+              <select
+                value=""
+                onChange={(e) => handleExport(e.target.value)}
+                aria-label={t('export.menu')}
+                style={{
+                  padding: '0.3rem 0.5rem',
+                  border: '2px solid #cbd5e1',
+                  borderRadius: '6px',
+                  fontSize: '0.8rem',
+                  fontWeight: 600,
+                  cursor: 'pointer'
+                }}
+              >
+                <option value="">⬇️ {t('export.menu')}</option>
+                <option value="geojson">{t('export.geojson')}</option>
+                <option value="kml">{t('export.kml')}</option>
+                <option value="cells-csv">{t('export.cellsCsv')}</option>
+                <option value="alerts-csv">{t('export.alertsCsv')}</option>
+                <option value="report">🖨️ {t('export.report')}</option>
+              </select>
             </div>
           )}
         </div>
       )}
 
+      {/* Exposure per band, highest first */}
+      {bandExposure && stats.total > 0 && (
+        <div style={{
+          padding: '0.5rem 2rem',
+          background: '#f8fafc',
+          borderBottom: '2px solid #e2e8f0',
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '0.25rem 1.25rem',
+          fontSize: '0.85rem'
+        }}>
+          <span style={{ fontWeight: 600, color: '#475569' }}>👥 {t('exposure.title')}</span>
+          {[...stats.bands].reverse().map(band => (
+            <span key={band.index} style={{ color: '#334155' }}>
+              {tParts('exposure.band', {
+                label: <strong key="label" style={{ color: band.color }}>{band.label}</strong>,
+                summary: formatExposure(band.exposure, exposure)
+              })}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* ========================================
+          OFFLINE BANNER
+          ======================================== */}
+      {(!isOnline || storedDataTime) && (
+        <div style={{
+          margin: '1rem 2rem 0 2rem',
+          padding: '0.75rem 1rem',
+          background: '#fef3c7',
+          border: '2px solid #f59e0b',
+          borderRadius: '8px',
+          color: '#92400e',
+          fontWeight: 600
+        }}>
+          📴 {isOnline ? t('offline.serverUnreachable') : t('offline.offline')}
+          {' — '}
+          {riskCells.length > 0 && (storedDataTime || lastUpdated)
+            ? t('offline.showingData', { time: formatTimestamp(storedDataTime || lastUpdated) })
+            : t('offline.openedBefore')}
+        </div>
+      )}
+
       {/* ========================================
           ERROR MESSAGE
           ======================================== */}
@@ -574,12 +2141,12 @@ function DisasterWarningSystem() {
       {/* ========================================
           MAIN CONTENT AREA
           ======================================== */}
-      <div style={{ flex: 1, display: 'flex', gap: '1rem', padding: '1rem 2rem 2rem 2rem', minHeight: 0 }}>
+      <main style={{ flex: 1, display: 'flex', gap: '1rem', padding: '1rem 2rem 2rem 2rem', minHeight: 0 }}>
         
         {/* ========================================
             ROAD ALERTS PANEL
             ======================================== */}
-        {roadAlerts.length > 0 && (
+        {(roadAlerts.length > 0 || filteredCells.length > 0) && (
           <div style={{
             width: '350px',
             background: 'white',
@@ -600,285 +2167,1031 @@ function DisasterWarningSystem() {
               alignItems: 'center',
               gap: '0.5rem'
             }}>
-              ⚠️ Road Safety Alerts
+              ⚠️ {t('roadAlerts.title')}
             </div>
             
             <div style={{ flex: 1, overflowY: 'auto', padding: '1rem' }}>
-              {roadAlerts.map(alert => (
-                <div
-                  key={alert.id}
-                  onClick={() => handleRoadAlertClick(alert)}
-                  style={{
-                    padding: '1rem',
-                    marginBottom: '0.75rem',
-                    background: alert.severity >= 60 ? '#fee2e2' : '#fff7ed',
-                    border: `2px solid ${alert.severity >= 60 ? '#ef4444' : '#f97316'}`,
-                    borderRadius: '8px',
-                    cursor: 'pointer',
-                    transition: 'transform 0.2s',
-                  }}
-                  onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.02)'}
-                  onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1)'}
-                >
-                  <div style={{ 
-                    fontWeight: 700, 
-                    marginBottom: '0.5rem',
-                    color: alert.severity >= 60 ? '#991b1b' : '#c2410c',
-                    fontSize: '0.95rem'
-                  }}>
-                    {alert.road}
-                  </div>
-                  <div style={{ 
-                    fontSize: '0.85rem', 
-                    color: '#78350f',
-                    marginBottom: '0.5rem',
-                    fontWeight: 500
-                  }}>
-                    {getCalamityIcon(calamityMode)} {alert.message}
-                  </div>
-                  <div style={{ 
-                    fontSize: '0.8rem', 
-                    color: '#78350f',
-                    background: 'rgba(255,255,255,0.5)',
-                    padding: '0.5rem',
-                    borderRadius: '4px',
-                    marginTop: '0.5rem'
-                  }}>
-                    💡 {alert.recommendation}
+              {roadAlerts.length > 0 && (
+                <ul aria-label={t('roadAlerts.title')} style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                  {roadAlerts.map(alert => (
+                    <li key={alert.id}>
+                      <div
+                        {...buttonProps(() => handleRoadAlertClick(alert))}
+                        aria-pressed={Boolean(selectedRoadAlert && selectedRoadAlert.id === alert.id)}
+                        style={{
+                          padding: '1rem',
+                          marginBottom: '0.75rem',
+                          background: alert.band.level === 2 ? '#fee2e2' : '#fff7ed',
+                          border: `2px solid ${alert.band.level === 2 ? '#ef4444' : '#f97316'}`,
+                          borderRadius: '8px',
+                          cursor: 'pointer',
+                          transition: 'transform 0.2s',
+                        }}
+                        onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.02)'}
+                        onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1)'}
+                        onFocus={(e) => e.currentTarget.style.transform = 'scale(1.02)'}
+                        onBlur={(e) => e.currentTarget.style.transform = 'scale(1)'}
+                      >
+                        <div style={{ 
+                          fontWeight: 700, 
+                          marginBottom: '0.5rem',
+                          color: alert.band.level === 2 ? '#991b1b' : '#c2410c',
+                          fontSize: '0.95rem',
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          gap: '0.5rem'
+                        }}>
+                          <span>{alert.road}</span>
+                          <span style={{
+                            flexShrink: 0,
+                            padding: '0.1rem 0.4rem',
+                            borderRadius: '4px',
+                            background: 'white',
+                            fontSize: '0.7rem',
+                            alignSelf: 'flex-start'
+                          }}>
+                            {alert.band.level === 2 ? '⚠️' : '⚡'} {alert.band.label}
+                          </span>
+                        </div>
+                        <div style={{ 
+                          fontSize: '0.85rem', 
+                          color: '#78350f',
+                          marginBottom: '0.5rem',
+                          fontWeight: 500
+                        }}>
+                          {alert.hazards.map(getCalamityIcon).join(' ')} {alert.message}
+                        </div>
+                        <div style={{ 
+                          fontSize: '0.8rem', 
+                          color: '#78350f',
+                          background: 'rgba(255,255,255,0.5)',
+                          padding: '0.5rem',
+                          borderRadius: '4px',
+                          marginTop: '0.5rem'
+                        }}>
+                          💡 {alert.recommendation}
+                        </div>
+                        <div style={{ 
+                          marginTop: '0.5rem',
+                          fontSize: '0.75rem',
+                          color: '#92400e',
+                          fontWeight: 600
+                        }}>
+                          {t('roadAlerts.details', { severity: alert.severity, cells: alert.cells.length, segments: alert.segments.length })}
+                        </div>
+                        {alertIncidents.has(alert.id) && (
+                          <div style={{ marginTop: '0.4rem' }}>
+                            <IncidentStatusBadge status={alertIncidents.get(alert.id).status} />
+                          </div>
+                        )}
+                        {exposure && (
+                          <div style={{ 
+                            marginTop: '0.25rem',
+                            fontSize: '0.75rem',
+                            color: '#92400e'
+                          }}>
+                            👥 {t('exposure.alert', { summary: formatExposure(sumExposure(exposure, alert.cells), exposure) })}
+                          </div>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              
+              {roadAlerts.length === 0 && (
+                <div style={{ fontSize: '0.85rem', color: '#64748b', marginBottom: '0.75rem' }}>
+                  {roadNetwork ? t('roadAlerts.noneCrossing') : t('roadAlerts.noNetwork')}
+                </div>
+              )}
+              
+              {/* Safe Route Planner */}
+              {roadGraph && (
+                <div style={{
+                  padding: '1rem',
+                  marginBottom: '0.75rem',
+                  background: '#f8fafc',
+                  border: '2px solid #cbd5e1',
+                  borderRadius: '8px',
+                  fontSize: '0.85rem',
+                  color: '#334155'
+                }}>
+                  <div style={{ fontWeight: 700, marginBottom: '0.5rem', fontSize: '0.95rem' }}>
+                    🧭 {t('routes.title')}
                   </div>
-                  <div style={{ 
-                    marginTop: '0.5rem',
-                    fontSize: '0.75rem',
-                    color: '#92400e',
-                    fontWeight: 600
-                  }}>
-                    Risk Level: {alert.severity}% | Affected Cells: {alert.cells.length}
+                  <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                    {['origin', 'destination'].map(point => (
+                      <button
+                        key={point}
+                        onClick={() => {
+                          setLocationPicking(false);
+                          setShelterPicking(false);
+                          setRoutePickMode(routePickMode === point ? null : point);
+                        }}
+                        style={{
+                          flex: 1,
+                          padding: '0.4rem 0.5rem',
+                          border: routePickMode === point ? '2px solid #3b82f6' : '2px solid #cbd5e1',
+                          borderRadius: '6px',
+                          background: routePickMode === point ? '#eff6ff' : 'white',
+                          cursor: 'pointer',
+                          fontWeight: 600,
+                          fontSize: '0.8rem',
+                          color: '#475569'
+                        }}
+                      >
+                        {point === 'origin' ? `🟢 ${t('routes.origin')}` : `🏁 ${t('routes.destination')}`}
+                        {(point === 'origin' ? routeOrigin : routeDestination) ? ' ✓' : ''}
+                      </button>
+                    ))}
                   </div>
+                  {routePickMode && (
+                    <div style={{ color: '#1e40af', marginBottom: '0.5rem' }}>
+                      {routePickMode === 'origin' ? t('routes.pickOrigin') : t('routes.pickDestination')}
+                    </div>
+                  )}
+                  <label style={{ display: 'flex', gap: '0.4rem', alignItems: 'center', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={compareShortest}
+                      onChange={(e) => setCompareShortest(e.target.checked)}
+                    />
+                    {t('routes.compareShortest')}
+                  </label>
+                  
+                  {routes && (
+                    <div style={{ marginTop: '0.75rem' }}>
+                      {routes.safest ? (
+                        <div style={{ color: '#166534', fontWeight: 600 }}>
+                          {t('routes.safest', { km: formatKm(routes.safest.lengthKm), risk: routes.safest.maxRisk })}
+                        </div>
+                      ) : (
+                        <div style={{ color: '#991b1b', fontWeight: 600 }}>
+                          {t('routes.noSafeRoute', { band: modeScale.bands.find(band => band.level === 2).label })}
+                        </div>
+                      )}
+                      {routes.shortest && (
+                        <div style={{ color: '#64748b', fontWeight: 600, marginTop: '0.25rem' }}>
+                          {t('routes.shortest', { km: formatKm(routes.shortest.lengthKm), risk: routes.shortest.maxRisk })}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  
+                  {(routeOrigin || routeDestination) && (
+                    <button
+                      onClick={clearRoute}
+                      style={{
+                        marginTop: '0.5rem',
+                        padding: '0.3rem 0.6rem',
+                        border: '1px solid #cbd5e1',
+                        borderRadius: '6px',
+                        background: 'white',
+                        cursor: 'pointer',
+                        fontSize: '0.8rem',
+                        color: '#475569'
+                      }}
+                    >
+                      {t('routes.clear')}
+                    </button>
+                  )}
                 </div>
-              ))}
+              )}
               
-              {/* General Advisory */}
+              {/* Shelter Finder */}
               <div style={{
-                marginTop: '1rem',
                 padding: '1rem',
-                background: calamityMode === CALAMITY_TYPES.LANDSLIDE ? '#fef3c7' : '#dbeafe',
+                marginBottom: '0.75rem',
+                background: '#f0fdfa',
+                border: '2px solid #5eead4',
                 borderRadius: '8px',
                 fontSize: '0.85rem',
-                color: '#1e40af'
+                color: '#134e4a'
               }}>
-                <div style={{ fontWeight: 700, marginBottom: '0.5rem' }}>
-                  {calamityMode === CALAMITY_TYPES.LANDSLIDE ? '⛰️ Landslide Safety' : '🌊 Flood Safety'}
+                <div style={{ fontWeight: 700, marginBottom: '0.5rem', fontSize: '0.95rem' }}>
+                  🏠 {t('shelters.title')}
                 </div>
-                {calamityMode === CALAMITY_TYPES.LANDSLIDE ? (
-                  <div>
-                    • Avoid hilly roads in red zones<br/>
-                    • Watch for falling debris<br/>
-                    • Use valley routes when possible
+                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                  {[
+                    { key: 'pick', label: `📌 ${t('shelters.pickPoint')}`, onClick: handleToggleShelterPick, active: shelterPicking },
+                    ...(myLocation ? [{ key: 'me', label: `📍 ${t('shelters.myLocation')}`, onClick: () => handleShelterOriginPick(myLocation.position), active: false }] : [])
+                  ].map(button => (
+                    <button
+                      key={button.key}
+                      onClick={button.onClick}
+                      style={{
+                        flex: 1,
+                        padding: '0.4rem 0.5rem',
+                        border: button.active ? '2px solid #3b82f6' : '2px solid #99f6e4',
+                        borderRadius: '6px',
+                        background: button.active ? '#eff6ff' : 'white',
+                        cursor: 'pointer',
+                        fontWeight: 600,
+                        fontSize: '0.8rem',
+                        color: '#475569'
+                      }}
+                    >
+                      {button.label}
+                    </button>
+                  ))}
+                </div>
+                {shelterPicking && (
+                  <div style={{ color: '#1e40af', marginBottom: '0.5rem' }}>
+                    {t('shelters.picking')}
+                  </div>
+                )}
+                {!shelterOrigin && !shelterPicking && (
+                  <div style={{ color: '#64748b' }}>
+                    {shelters ? t('shelters.intro') : t('shelters.introSafeZones')}
                   </div>
-                ) : (
-                  <div>
-                    • Move to higher ground immediately<br/>
-                    • Avoid crossing flooded areas<br/>
-                    • Green zones indicate safer elevation
+                )}
+                
+                {shelterResults && (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+                    {shelterResults.results.length === 0 && (
+                      <div style={{ color: '#991b1b', fontWeight: 600 }}>
+                        {t('shelters.noResults')}
+                      </div>
+                    )}
+                    {shelterResults.results.map(result => {
+                      const { destination, route } = result;
+                      const isSelected = destination.id === selectedShelterId;
+                      return (
+                        <div
+                          key={destination.id}
+                          {...buttonProps(() => handleShelterResultClick(result))}
+                          aria-pressed={isSelected}
+                          style={{
+                            padding: '0.5rem',
+                            background: isSelected ? '#ccfbf1' : 'white',
+                            border: `1px solid ${isSelected ? '#0d9488' : '#99f6e4'}`,
+                            borderRadius: '6px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          <div style={{ fontWeight: 700 }}>
+                            {destination.kind === 'safe-zone' ? '🟩' : '🏠'} {destination.name}
+                          </div>
+                          <div style={{ fontSize: '0.75rem', color: '#64748b' }}>
+                            {destination.kind === 'safe-zone'
+                              ? t('shelters.safeZoneCells', { count: destination.cells.length })
+                              : [
+                                destination.type && getShelterTypeLabel(destination.type),
+                                destination.capacity && t('shelters.capacity', { count: destination.capacity })
+                              ].filter(Boolean).join(' · ')}
+                          </div>
+                          <div style={{ fontSize: '0.8rem', fontWeight: 600, marginTop: '0.2rem', color: route ? '#166534' : '#b45309' }}>
+                            {route
+                              ? t('shelters.byRoad', { km: formatKm(route.lengthKm), risk: route.maxRisk })
+                              : t(roadGraph ? 'shelters.straightLineNoRoad' : 'shelters.straightLine', { km: formatKm(result.distanceKm) })}
+                          </div>
+                        </div>
+                      );
+                    })}
+                    {shelterResults.atRisk.length > 0 && (
+                      <div style={{ fontSize: '0.75rem', color: '#b45309' }}>
+                        ⚠️ {t('shelters.atRisk', {
+                          count: shelterResults.atRisk.length,
+                          names: shelterResults.atRisk.map(shelter => shelter.name).join(', ')
+                        })}
+                      </div>
+                    )}
+                    <button
+                      onClick={clearShelterSearch}
+                      style={{
+                        alignSelf: 'flex-start',
+                        padding: '0.3rem 0.6rem',
+                        border: '1px solid #cbd5e1',
+                        borderRadius: '6px',
+                        background: 'white',
+                        cursor: 'pointer',
+                        fontSize: '0.8rem',
+                        color: '#475569'
+                      }}
+                    >
+                      {t('shelters.clear')}
+                    </button>
                   </div>
                 )}
               </div>
+              
+              {/* General Advisory */}
+              {(calamityMode === COMBINED_MODE ? hazardKeys : [calamityMode]).map(key => {
+                const { icon, advisory } = getHazard(key);
+                return (
+                  <div key={key} style={{
+                    marginTop: '1rem',
+                    padding: '1rem',
+                    background: advisory.background,
+                    borderRadius: '8px',
+                    fontSize: '0.85rem',
+                    color: '#1e40af'
+                  }}>
+                    <div style={{ fontWeight: 700, marginBottom: '0.5rem' }}>
+                      {icon} {advisory.title}
+                    </div>
+                    <div>
+                      {advisory.tips.map(tip => (
+                        <div key={tip}>• {tip}</div>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
             </div>
           </div>
         )}
 
-        {
-            // MAP CONTAINER
-            }
-        <div style={{ 
-          flex: 1, 
-          position: 'relative', 
-          borderRadius: '8px', 
-          overflow: 'hidden', 
-          boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
-          background: 'white'
-        }}>
-          <MapContainer
-            center={mapCenter}
-            zoom={mapZoom}
-            style={{ height: '100%', width: '100%' }}
-            zoomControl={true}
+        <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '1rem', minWidth: 0 }}>
+          {
+              // MAP CONTAINER
+              }
+          <div role="region" aria-label={t('a11y.map')} style={{ 
+            flex: 1, 
+            minHeight: 0,
+            position: 'relative', 
+            borderRadius: '8px', 
+            overflow: 'hidden', 
+            boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+            background: 'white'
+          }}>
+            <MapContainer
+              center={DEFAULT_WORLD_VIEW.center}
+              zoom={DEFAULT_WORLD_VIEW.zoom}
+              style={{ height: '100%', width: '100%' }}
+              zoomControl={true}
 
             
-          >
-            {/* OpenStreetMap Base Layer */}
-            <TileLayer
-              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            />
+            >
+              {/* Base Map and Overlays (map-layers.js) */}
+              <TileLayer
+                key={baseLayer.id}
+                attribution={baseLayer.attribution}
+                url={baseLayer.url}
+                subdomains={baseLayer.subdomains}
+                maxNativeZoom={baseLayer.maxNativeZoom}
+                maxZoom={MAX_MAP_ZOOM}
+                crossOrigin
+              />
+              {OVERLAY_LAYERS.filter(layer => layerChoice.overlays.includes(layer.id)).map((layer, index) => (
+                <TileLayer
+                  key={layer.id}
+                  attribution={layer.attribution}
+                  url={layer.url}
+                  subdomains={layer.subdomains}
+                  maxNativeZoom={layer.maxNativeZoom}
+                  maxZoom={MAX_MAP_ZOOM}
+                  opacity={layerChoice.opacity[layer.id]}
+                  zIndex={index + 2}
+                  crossOrigin
+                />
+              ))}
             
-            {/* Map View Controller */}
-            <MapViewController center={mapCenter} zoom={mapZoom} />
+              {/* Map View Controller */}
+              <MapViewController view={mapView} />
+              <MapPositionTracker onMove={handleMapMove} />
+              <MapClickPicker active={routePickMode !== null} onPick={handleRoutePointPick} />
+              <MapClickPicker active={locationPicking} onPick={showLocation} />
+              <MapClickPicker active={shelterPicking} onPick={handleShelterOriginPick} />
             
-            {/* Render Risk Rectangles */}
-            {filteredCells.map((cell, index) => {
-              const bounds = [
-                [cell.bounds.minLat, cell.bounds.minLon],
-                [cell.bounds.maxLat, cell.bounds.maxLon]
-              ];
-              const color = getRiskColor(cell.risk_percentage);
+              {/* Render District Boundaries (shaded by highest known risk),
+              below the risk cells; clicks are handled by the cell layer */}
+              <Pane name="district-boundaries" style={{ zIndex: 380 }}>
+                {districtBoundaries.map(({ district, positions }) => {
+                  const districtRisk = districtMaxRisk[district.id];
+                  const modeKeys = calamityMode === COMBINED_MODE
+                    ? Object.keys(districtRisk || {})
+                    : [calamityMode].filter(key => districtRisk && districtRisk[key] !== undefined);
+                  const maxRisk = modeKeys.length === 0 ? undefined : Math.max(...modeKeys.map(key => districtRisk[key]));
+                  const worstBand = getWorstBand(modeKeys.map(key => riskScales.getBand(districtRisk[key], key)));
+                  const color = worstBand ? worstBand.color : '#94a3b8';
+                  const isSelected = district.id === selectedDistrict;
               
-              // Highlight cells that are part of selected road alert
-              const isHighlighted = selectedRoadAlert && 
-                selectedRoadAlert.cells.some(c => 
-                  c.bounds.minLat === cell.bounds.minLat && 
-                  c.bounds.minLon === cell.bounds.minLon
-                );
+                  return (
+                    <Polygon
+                      key={district.id}
+                      positions={positions}
+                      pathOptions={{
+                        color: isSelected ? '#1e3a8a' : color,
+                        weight: isSelected ? 3 : 1.5,
+                        fillColor: color,
+                        fillOpacity: isSelected ? 0 : 0.2
+                      }}
+                    >
+                      <Tooltip sticky>
+                        <strong>{district.name}</strong><br/>
+                        {maxRisk === undefined
+                          ? t('map.noData')
+                          : calamityMode === COMBINED_MODE
+                            ? t('map.highestAnyRisk', { risk: maxRisk })
+                            : t('map.highestRisk', { hazard: getHazard(calamityMode).label.toLowerCase(), risk: maxRisk })}
+                        {district.approximateBoundaries && (
+                          <><br/><em>{t('map.approximateBoundary')}</em></>
+                        )}
+                      </Tooltip>
+                    </Polygon>
+                  );
+                })}
+              </Pane>
+            
+              {/* Render Risk Cells (risk-canvas-layer.jsx) */}
+              <RiskCanvasLayer cells={filteredCells} getStyle={getCellStyle} heatmap={heatmap} onClick={handleMapCellClick} />
               
-              return (
-                <Rectangle
-                  key={index}
-                  bounds={bounds}
-                  pathOptions={{
-                    color: isHighlighted ? '#fbbf24' : color,
-                    fillColor: color,
-                    fillOpacity: isHighlighted ? 0.7 : 0.4,
-                    weight: isHighlighted ? 3 : 2
-                  }}
+              {/* Contour lines, on a white casing to tell them from roads */}
+              {contours.map(({ band, lines }) => (
+                <React.Fragment key={band.index}>
+                  <Polyline positions={lines} interactive={false} pathOptions={{ color: 'white', weight: 5, opacity: 0.8 }} />
+                  <Polyline positions={lines} interactive={false} pathOptions={{ color: band.color, weight: 2.5 }} />
+                </React.Fragment>
+              ))}
+              {popupCell && (
+                <Popup
+                  key={cellPopup.key}
+                  position={cellPopup.position}
+                  eventHandlers={{ remove: () => setCellPopup(null) }}
                 >
-                  <Popup>
-                    <div style={{ fontSize: '0.9rem', minWidth: '200px' }}>
+                  <div style={{ fontSize: '0.9rem', minWidth: '200px' }}>
+                    <div style={{ 
+                      fontWeight: 700, 
+                      color: getCellColor(popupCell),
+                      marginBottom: '0.5rem',
+                      fontSize: '1rem'
+                    }}>
+                      {getCalamityIcon(popupCell.cal_type)} {getRiskLevel(popupCell)}
+                    </div>
+                    {popupCell.risks ? (
+                      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.25rem' }}>
+                        {hazardKeys.filter(type => popupCell.components[type]).map(type => {
+                          const component = popupCell.components[type];
+                          return (
+                            <div key={type} style={{
+                              flex: 1,
+                              padding: '0.4rem',
+                              borderRadius: '4px',
+                              background: '#f1f5f9',
+                              textAlign: 'center'
+                            }}>
+                              <div>{getCalamityIcon(type)} {getModeLabel(type)}</div>
+                              <div style={{ fontWeight: 700, color: getRiskColor(component.risk_percentage, type) }}>
+                                {formatPercent(component.risk_percentage)}
+                                {component.change && (
+                                  <span style={{ marginLeft: '0.25rem', fontSize: '0.8rem' }}>
+                                    {component.change === 'up' ? '▲' : '▼'} {formatPercent(component.previous_risk)}
+                                  </span>
+                                )}
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    ) : (
+                      <>
+                        <div style={{ marginBottom: '0.25rem' }}>
+                          <strong>{t('popup.risk')}</strong> {formatPercent(popupCell.risk_percentage)}
+                          {popupCell.change && (
+                            <span style={{ marginLeft: '0.5rem', fontWeight: 600, color: popupCell.change === 'up' ? '#7f1d1d' : '#1d4ed8' }}>
+                              {popupCell.change === 'up' ? '▲' : '▼'} {t('popup.changedFrom', { risk: popupCell.previous_risk })}
+                            </span>
+                          )}
+                        </div>
+                        <div style={{ marginBottom: '0.25rem' }}>
+                          <strong>{t('popup.type')}</strong> {getModeLabel(popupCell.cal_type)}
+                        </div>
+                      </>
+                    )}
+                    <div style={{ fontSize: '0.85rem', color: '#64748b', marginTop: '0.5rem' }}>
+                      <strong>{t('popup.updated')}</strong><br/>{formatTimestamp(popupCell.updated_at)}
+                    </div>
+                    {exposure && (
+                      <div style={{ fontSize: '0.85rem', color: '#334155', marginTop: '0.5rem' }}>
+                        <strong>👥 {t('exposure.popup')}</strong> {formatExposure(getCellExposure(exposure, popupCell), exposure)}
+                      </div>
+                    )}
+                  
+                    {/* Zoomed out: the tile shows the highest of its cells */}
+                    {cellPopup.tileBounds && (
+                      <div style={{ fontSize: '0.85rem', color: '#64748b', marginTop: '0.5rem' }}>
+                        {t('popup.aggregated', { count: cellPopup.count })}{' '}
+                        <button
+                          onClick={() => setMapView({ bounds: cellPopup.tileBounds })}
+                          style={{
+                            padding: '0.15rem 0.5rem',
+                            background: '#eff6ff',
+                            color: '#1e40af',
+                            border: '1px solid #bfdbfe',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontSize: '0.8rem'
+                          }}
+                        >
+                          🔍 {t('popup.zoomIn')}
+                        </button>
+                      </div>
+                    )}
+                  
+                    {riskScales.getCellBand(popupCell).level === 2 && (
                       <div style={{ 
-                        fontWeight: 700, 
-                        color: color,
-                        marginBottom: '0.5rem',
-                        fontSize: '1rem'
+                        marginTop: '0.75rem', 
+                        padding: '0.5rem', 
+                        background: '#fee2e2', 
+                        borderRadius: '4px',
+                        fontSize: '0.85rem',
+                        color: '#991b1b'
                       }}>
-                        {getCalamityIcon(cell.cal_type)} {getRiskLevel(cell.risk_percentage)}
+                        <strong>⚠️ {t('popup.highRisk')}</strong><br/>
+                        {popupCell.risks
+                          ? Object.keys(popupCell.risks)
+                            .filter(type => riskScales.getBand(popupCell.risks[type], type).level === 2)
+                            .map(type => getHazard(type).highRiskAdvice)
+                            .join(' ')
+                          : getHazard(popupCell.cal_type).highRiskAdvice}
                       </div>
-                      <div style={{ marginBottom: '0.25rem' }}>
-                        <strong>Risk:</strong> {cell.risk_percentage}%
+                    )}
+                  
+                    {riskScales.getCellBand(popupCell).level === 1 && (
+                      <div style={{ 
+                        marginTop: '0.75rem', 
+                        padding: '0.5rem', 
+                        background: '#fef3c7', 
+                        borderRadius: '4px',
+                        fontSize: '0.85rem',
+                        color: '#92400e'
+                      }}>
+                        <strong>⚡ {t('popup.moderateRisk')}</strong><br/>
+                        {popupCell.risks
+                          ? [...new Set(Object.keys(popupCell.risks)
+                            .filter(type => riskScales.getBand(popupCell.risks[type], type).level === 1)
+                            .map(type => getHazard(type).moderateRiskAdvice))]
+                            .join(' ')
+                          : getHazard(popupCell.cal_type).moderateRiskAdvice}
                       </div>
-                      <div style={{ marginBottom: '0.25rem' }}>
-                        <strong>Type:</strong> {cell.cal_type.charAt(0).toUpperCase() + cell.cal_type.slice(1)}
+                    )}
+                  </div>
+                </Popup>
+              )}
+            
+              {/* Render Affected Road Segments */}
+              {roadAlerts.map(alert => {
+                const isSelected = selectedRoadAlert && selectedRoadAlert.id === alert.id;
+                return (
+                  <Polyline
+                    key={alert.id}
+                    positions={alert.segments}
+                    pathOptions={{
+                      color: isSelected ? '#fbbf24' : (alert.band.level === 2 ? '#991b1b' : '#c2410c'),
+                      weight: isSelected ? 7 : 5,
+                      opacity: 0.9
+                    }}
+                    eventHandlers={{ click: () => handleRoadAlertClick(alert) }}
+                  >
+                    <Popup>
+                      <div style={{ fontSize: '0.9rem' }}>
+                        <strong>{alert.road}</strong><br/>
+                        {t('roadAlerts.maxRisk', { severity: alert.severity })}
                       </div>
-                      <div style={{ fontSize: '0.85rem', color: '#64748b', marginTop: '0.5rem' }}>
-                        <strong>Updated:</strong><br/>{formatTimestamp(cell.updated_at)}
+                    </Popup>
+                  </Polyline>
+                );
+              })}
+            
+              {/* Render Planned Routes */}
+              {routes && routes.shortest && (
+                <Polyline
+                  positions={routes.shortest.path}
+                  pathOptions={{ color: '#64748b', weight: 4, opacity: 0.8, dashArray: '8 8' }}
+                />
+              )}
+              {routes && routes.safest && (
+                <Polyline
+                  positions={routes.safest.path}
+                  pathOptions={{ color: '#2563eb', weight: 6, opacity: 0.9 }}
+                />
+              )}
+              {routeOrigin && (
+                <CircleMarker
+                  center={routeOrigin}
+                  radius={8}
+                  pathOptions={{ color: '#166534', fillColor: '#22c55e', fillOpacity: 1 }}
+                />
+              )}
+              {routeDestination && (
+                <CircleMarker
+                  center={routeDestination}
+                  radius={8}
+                  pathOptions={{ color: '#1e293b', fillColor: '#f8fafc', fillOpacity: 1, weight: 3 }}
+                />
+              )}
+            
+              {/* Render Shelters & the Selected Evacuation Route */}
+              {shelters && shelters.map(shelter => {
+                const atRisk = shelterResults && shelterResults.atRisk.includes(shelter);
+                return (
+                  <CircleMarker
+                    key={shelter.id}
+                    center={shelter.position}
+                    radius={6}
+                    pathOptions={{
+                      color: atRisk ? '#b45309' : 'white',
+                      weight: 2,
+                      fillColor: atRisk ? '#fbbf24' : '#0d9488',
+                      fillOpacity: 1
+                    }}
+                  >
+                    <Tooltip>
+                      🏠 {shelter.name}{shelter.capacity ? ` (${t('shelters.capacity', { count: shelter.capacity })})` : ''}
+                      {atRisk ? ` – ${t('shelters.insideWarningCell')}` : ''}
+                    </Tooltip>
+                  </CircleMarker>
+                );
+              })}
+              {selectedShelterResult && (
+                <>
+                  <Polyline
+                    positions={selectedShelterResult.route
+                      ? [shelterOrigin, ...selectedShelterResult.route.path, selectedShelterResult.target]
+                      : [shelterOrigin, selectedShelterResult.target]}
+                    pathOptions={{
+                      color: '#0d9488',
+                      weight: 5,
+                      opacity: 0.9,
+                      dashArray: selectedShelterResult.route ? null : '8 8'
+                    }}
+                  />
+                  <CircleMarker
+                    center={selectedShelterResult.target}
+                    radius={10}
+                    pathOptions={{ color: '#0d9488', fillColor: '#ccfbf1', fillOpacity: 1, weight: 3 }}
+                  >
+                    <Tooltip permanent direction="top" offset={[0, -10]}>{selectedShelterResult.destination.name}</Tooltip>
+                  </CircleMarker>
+                </>
+              )}
+              {shelterOrigin && (
+                <CircleMarker
+                  center={shelterOrigin}
+                  radius={8}
+                  pathOptions={{ color: '#134e4a', fillColor: '#5eead4', fillOpacity: 1, weight: 3 }}
+                />
+              )}
+            
+              {/* Render User GIS Layers (own pane, above the risk cells) */}
+              <Pane name="user-layers" style={{ zIndex: 450 }}>
+                {gisLayers.filter(layer => layer.visible).map(layer => layer.features.map(feature => {
+                  const flagged = flaggedFeatureIds.has(feature.id);
+                  const popup = (
+                    <Popup>
+                      <div style={{ fontSize: '0.85rem', minWidth: '180px' }}>
+                        <div style={{ fontWeight: 700, marginBottom: '0.25rem' }}>{feature.name}</div>
+                        <div style={{ color: '#64748b', marginBottom: '0.25rem' }}>{layer.name}</div>
+                        {Object.keys(feature.properties)
+                          .filter(key => key !== 'name' && feature.properties[key] !== null && typeof feature.properties[key] !== 'object')
+                          .slice(0, 8)
+                          .map(key => (
+                            <div key={key}><strong>{key}:</strong> {String(feature.properties[key])}</div>
+                          ))}
+                        {layerFlags.filter(flag => flag.feature === feature).map(flag => (
+                          <div key={flag.hazard} style={{ marginTop: '0.4rem', color: '#991b1b', fontWeight: 600 }}>
+                            ⚠️ {flag.message}
+                          </div>
+                        ))}
                       </div>
-                      
-                      {cell.risk_percentage >= 60 && (
-                        <div style={{ 
-                          marginTop: '0.75rem', 
-                          padding: '0.5rem', 
-                          background: '#fee2e2', 
-                          borderRadius: '4px',
-                          fontSize: '0.85rem',
-                          color: '#991b1b'
-                        }}>
-                          <strong>⚠️ HIGH RISK</strong><br/>
-                          {cell.cal_type === CALAMITY_TYPES.LANDSLIDE 
-                            ? 'Road blockages likely. Avoid area.'
-                            : 'Flooding expected. Evacuate to higher ground.'}
-                        </div>
-                      )}
-                      
-                      {cell.risk_percentage >= 30 && cell.risk_percentage < 60 && (
-                        <div style={{ 
-                          marginTop: '0.75rem', 
-                          padding: '0.5rem', 
-                          background: '#fef3c7', 
-                          borderRadius: '4px',
-                          fontSize: '0.85rem',
-                          color: '#92400e'
-                        }}>
-                          <strong>⚡ MODERATE RISK</strong><br/>
-                          Stay alert. Monitor conditions closely.
-                        </div>
-                      )}
-                    </div>
-                  </Popup>
-                </Rectangle>
-              );
-            })}
-          </MapContainer>
+                    </Popup>
+                  );
+                  
+                  if (feature.kind === 'point') {
+                    return (
+                      <CircleMarker
+                        key={feature.id}
+                        center={feature.coordinates}
+                        radius={flagged ? 8 : 6}
+                        pathOptions={{
+                          color: flagged ? '#991b1b' : 'white',
+                          weight: flagged ? 3 : 2,
+                          fillColor: layer.color,
+                          fillOpacity: 1
+                        }}
+                      >
+                        {popup}
+                      </CircleMarker>
+                    );
+                  }
+                  if (feature.kind === 'line') {
+                    return (
+                      <Polyline key={feature.id} positions={feature.coordinates} pathOptions={{ color: layer.color, weight: 3 }}>
+                        {popup}
+                      </Polyline>
+                    );
+                  }
+                  return (
+                    <Polygon
+                      key={feature.id}
+                      positions={feature.coordinates}
+                      pathOptions={{ color: layer.color, weight: 2, fillColor: layer.color, fillOpacity: 0.25 }}
+                    >
+                      {popup}
+                    </Polygon>
+                  );
+                }))}
+              </Pane>
+              
+              {/* My Location & Saved Places */}
+              {savedPlaces.map(place => (
+                <CircleMarker
+                  key={place.id}
+                  center={place.position}
+                  radius={7}
+                  pathOptions={{ color: 'white', weight: 2, fillColor: '#7c3aed', fillOpacity: 1 }}
+                  eventHandlers={{ click: () => handleOpenPlace(place) }}
+                >
+                  <Tooltip>{place.name}</Tooltip>
+                </CircleMarker>
+              ))}
+              {myLocation && (
+                <CircleMarker
+                  center={myLocation.position}
+                  radius={9}
+                  pathOptions={{ color: 'white', weight: 3, fillColor: '#2563eb', fillOpacity: 1 }}
+                >
+                  <Tooltip permanent direction="top" offset={[0, -8]}>{t('map.youAreHere')}</Tooltip>
+                </CircleMarker>
+              )}
+            </MapContainer>
 
-          {/* Legend */}
-          <div style={{
-            position: 'absolute',
-            bottom: '20px',
-            right: '20px',
-            background: 'white',
-            padding: '1rem',
-            borderRadius: '8px',
-            boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
-            zIndex: 1000,
-            minWidth: '200px'
-          }}>
-            <div style={{ 
-              fontWeight: 700, 
-              marginBottom: '0.75rem', 
-              fontSize: '0.95rem',
-              color: '#1e293b',
-              borderBottom: '2px solid #e2e8f0',
-              paddingBottom: '0.5rem'
-            }}>
-              {getCalamityIcon(calamityMode)} {calamityMode === CALAMITY_TYPES.LANDSLIDE ? 'Landslide' : 'Flood'} Risk Legend
-            </div>
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', fontSize: '0.85rem' }}>
-              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                <div style={{ 
-                  width: '24px', 
-                  height: '24px', 
-                  background: '#22c55e', 
-                  border: '2px solid #16a34a', 
-                  borderRadius: '4px' 
-                }}></div>
-                <span><strong>Low Risk</strong> (&lt;30%)</span>
-              </div>
-              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                <div style={{ 
-                  width: '24px', 
-                  height: '24px', 
-                  background: '#f97316', 
-                  border: '2px solid #ea580c', 
-                  borderRadius: '4px' 
-                }}></div>
-                <span><strong>Moderate Risk</strong> (30-59%)</span>
-              </div>
-              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                <div style={{ 
-                  width: '24px', 
-                  height: '24px', 
-                  background: '#ef4444', 
-                  border: '2px solid #dc2626', 
-                  borderRadius: '4px' 
-                }}></div>
-                <span><strong>High Risk</strong> (≥60%)</span>
-              </div>
-            </div>
-          </div>
+            {/* Table view of the cells (also read by screen readers when hidden) */}
+            {(selectedDistrict || stateOverview) && (
+              <RiskCellTable
+                cells={filteredCells}
+                riskScales={riskScales}
+                caption={t('cellTable.caption', {
+                  mode: getModeLabel(calamityMode),
+                  district: (currentDistrict || currentState).name
+                })}
+                visible={showCellTable}
+                onShowCell={handleShowCell}
+                onClose={() => setShowCellTable(false)}
+              />
+            )}
+
+            <MapLayerSwitcher
+              choice={layerChoice}
+              modeLabel={getModeLabel(calamityMode)}
+              onChange={handleLayerChoiceChange}
+            />
 
-          {/* No Data Message */}
-          {!selectedDistrict && (
+            {/* Legend */}
             <div style={{
               position: 'absolute',
-              top: '50%',
-              left: '50%',
-              transform: 'translate(-50%, -50%)',
+              bottom: '20px',
+              right: '20px',
               background: 'white',
-              padding: '2rem',
-              borderRadius: '12px',
-              boxShadow: '0 8px 24px rgba(0,0,0,0.15)',
-              textAlign: 'center',
+              padding: '1rem',
+              borderRadius: '8px',
+              boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
               zIndex: 1000,
-              maxWidth: '400px'
+              minWidth: '200px'
             }}>
-              <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🗺️</div>
-              <div style={{ fontSize: '1.1rem', fontWeight: 700, color: '#1e293b', marginBottom: '0.5rem' }}>
-                Welcome to Geo-Risk AI
+              <div style={{ 
+                fontWeight: 700, 
+                marginBottom: '0.75rem', 
+                fontSize: '0.95rem',
+                color: '#1e293b',
+                borderBottom: '2px solid #e2e8f0',
+                paddingBottom: '0.5rem'
+              }}>
+                {getCalamityIcon(calamityMode)} {t('legend.title', { label: getModeLabel(calamityMode) })}
+                <div style={{ fontWeight: 400, fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                  {modeScale.byLevel ? t('legend.mixedScales') : modeScale.name}
+                </div>
               </div>
-              <div style={{ fontSize: '0.9rem', color: '#64748b' }}>
-                Navigate through <strong>Country → State → District</strong> to view disaster predictions
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', fontSize: '0.85rem' }}>
+                {modeScale.bands.map(band => (
+                  <div key={band.index} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <BandSwatch band={band} showPattern={showPatterns} />
+                    <span>
+                      <strong>{band.label}</strong>
+                      {!modeScale.byLevel && (
+                        band.index === 0 ? ` (${t('legend.below', { min: modeScale.bands[1].min })})`
+                          : band.max === 100 ? ` (${t('legend.from', { min: band.min })})`
+                          : ` (${t('legend.range', { min: band.min, max: band.max })})`
+                      )}
+                    </span>
+                  </div>
+                ))}
+                {heatmap && (
+                  <div
+                    aria-hidden="true"
+                    style={{
+                      height: '10px',
+                      borderRadius: '4px',
+                      background: `linear-gradient(to right, ${modeScale.bands
+                        .map(band => `${band.color} ${(band.min + band.max) / 2}%`)
+                        .join(', ')})`
+                    }}
+                  ></div>
+                )}
+                {contours.map(({ band }) => (
+                  <div key={band.index} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <div style={{ width: '24px', borderTop: `3px solid ${band.color}`, outline: '1px solid white' }}></div>
+                    <span>{t('legend.contourLine', { min: band.min })}</span>
+                  </div>
+                ))}
+                {calamityMode === COMBINED_MODE && riskDisplay === 'cells' && (
+                  <div style={{ marginTop: '0.25rem' }}>
+                    <div style={{ color: '#64748b', marginBottom: '0.4rem' }}>
+                      {t('legend.bivariate')}
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                      <div style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)', fontSize: '0.75rem' }}>
+                        {getCalamityIcon(BIVARIATE_AXES[0])} {getModeLabel(BIVARIATE_AXES[0])} →
+                      </div>
+                      <div>
+                        {[...BIVARIATE_COLORS].reverse().map((row, i) => (
+                          <div key={i} style={{ display: 'flex' }}>
+                            {row.map(fill => (
+                              <div key={fill} style={{ width: '20px', height: '20px', background: fill }}></div>
+                            ))}
+                          </div>
+                        ))}
+                        <div style={{ fontSize: '0.75rem', marginTop: '0.2rem' }}>{getCalamityIcon(BIVARIATE_AXES[1])} {getModeLabel(BIVARIATE_AXES[1])} →</div>
+                      </div>
+                    </div>
+                  </div>
+                )}
+                {changedCount > 0 && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <div style={{ 
+                      width: '24px', 
+                      height: '24px', 
+                      border: '3px dashed #7f1d1d', 
+                      borderRadius: '4px' 
+                    }}></div>
+                    <span>{tParts('legend.changed', { changed: <strong key="changed">{t('legend.changedLabel')}</strong>, count: changedCount })}</span>
+                  </div>
+                )}
+                {districtBoundaries.some(({ district }) => district.approximateBoundaries) && (
+                  <div style={{ fontSize: '0.75rem', color: '#92400e' }}>
+                    ⚠️ {t('legend.approximateBoundaries')}
+                  </div>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.8rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={showPatterns}
+                    onChange={(e) => setShowPatterns(e.target.checked)}
+                  />
+                  {t('a11y.patterns')}
+                </label>
+                <select
+                  value={riskDisplay}
+                  onChange={(e) => setRiskDisplay(e.target.value)}
+                  aria-label={t('legend.display')}
+                  style={{
+                    padding: '0.3rem',
+                    border: '1px solid #cbd5e1',
+                    borderRadius: '4px',
+                    fontSize: '0.8rem'
+                  }}
+                >
+                  <option value="cells">▦ {t('legend.displayCells')}</option>
+                  <option value="heatmap">🌡️ {t('legend.displayHeatmap')}</option>
+                </select>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.8rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={showContours}
+                    onChange={(e) => setShowContours(e.target.checked)}
+                  />
+                  {t('legend.contours')}
+                </label>
+                <select
+                  value={riskPalette}
+                  onChange={(e) => setRiskPalette(e.target.value)}
+                  aria-label={t('a11y.palette')}
+                  style={{
+                    marginTop: '0.25rem',
+                    padding: '0.3rem',
+                    border: '1px solid #cbd5e1',
+                    borderRadius: '4px',
+                    fontSize: '0.8rem'
+                  }}
+                >
+                  {Object.keys(RISK_PALETTES).map(key => (
+                    <option key={key} value={key}>🎨 {getPaletteName(key)}</option>
+                  ))}
+                </select>
               </div>
             </div>
+
+            {/* No Data Message */}
+            {!selectedDistrict && !stateOverview && (
+              <div style={{
+                position: 'absolute',
+                top: '50%',
+                left: '50%',
+                transform: 'translate(-50%, -50%)',
+                background: 'white',
+                padding: '2rem',
+                borderRadius: '12px',
+                boxShadow: '0 8px 24px rgba(0,0,0,0.15)',
+                textAlign: 'center',
+                zIndex: 1000,
+                maxWidth: '400px'
+              }}>
+                <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🗺️</div>
+                <div style={{ fontSize: '1.1rem', fontWeight: 700, color: '#1e293b', marginBottom: '0.5rem' }}>
+                  {t('welcome.title')}
+                </div>
+                <div style={{ fontSize: '0.9rem', color: '#64748b' }}>
+                  {tParts('welcome.hint', { path: <strong key="path">{t('welcome.path')}</strong> })}
+                </div>
+              </div>
+            )}
+          </div>
+        
+          {/* District ranking of the state overview */}
+          {!selectedDistrict && stateOverview && (
+            <StateDashboard
+              stateName={currentState.name}
+              districts={currentState.districts}
+              entries={stateOverview.districts}
+              getModeCells={cells => getCellsForMode(cells, calamityMode)}
+              riskScales={riskScales}
+              onSelect={districtId => selectDistrict(districtId)}
+              onRetry={handleRetryOverview}
+              formatTime={formatTimestamp}
+            />
+          )}
+        
+          {/* Timeline */}
+          {selectedDistrict && timelineSteps && (
+            <RiskTimeline
+              steps={timelineSteps}
+              index={timelineIndex}
+              playing={playing}
+              onIndexChange={handleTimelineIndexChange}
+              onPlayToggle={handlePlayToggle}
+              formatTime={formatTimestamp}
+            />
           )}
         </div>
-      </div>
+        
+        {/* ========================================
+            MY PLACES & LAYER MANAGER
+            ======================================== */}
+        <div style={{
+          width: '260px',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '1rem',
+          minHeight: 0,
+          overflowY: 'auto'
+        }}>
+          <MyPlaces
+            location={myLocation && {
+              position: myLocation.position,
+              districtName: myLocation.districtName,
+              stateName: myLocation.stateName,
+              risks: myLocationRisks
+            }}
+            locating={locating}
+            picking={locationPicking}
+            message={locationMessage && t(locationMessage)}
+            places={savedPlaces}
+            riskScales={riskScales}
+            getPlaceRiskScales={getPlaceRiskScales}
+            notificationPermission={notificationPermission}
+            onCheckLocation={handleCheckLocation}
+            onTogglePick={handleToggleLocationPick}
+            onSaveLocation={handleSaveLocation}
+            onOpenPlace={handleOpenPlace}
+            onRemovePlace={handleRemovePlace}
+            onEnableNotifications={() => requestNotificationPermission().then(setNotificationPermission)}
+          />
+          
+          <IncidentPanel
+            incidents={incidents}
+            area={incidentArea}
+            operator={operatorName}
+            storeName={getIncidentStore().name}
+            saveError={incidentSaveError}
+            formatTime={formatTimestamp}
+            formatMode={mode => `${getCalamityIcon(mode)} ${getModeLabel(mode)}`}
+            onOperatorChange={handleOperatorChange}
+            onAction={handleIncidentAction}
+            onSelect={handleIncidentSelect}
+            onExport={handleIncidentExport}
+          />
+          
+          <LayerManager
+            layers={gisLayers}
+            flags={layerFlags}
+            onFiles={handleLayerFiles}
+            onToggle={toggleGisLayer}
+            onRemove={removeGisLayer}
+            onFlagClick={(flag) => setMapView({ center: flag.feature.coordinates, zoom: 14 })}
+          />
+        </div>
+      </main>
     </div>
   );
 }
@@ -0,0 +1,334 @@
+// ========================================
+// EXPOSURE ESTIMATES
+// ========================================
+// Who and what lies inside the risk cells: people from a population
+// dataset and critical facilities (schools, hospitals, police stations,
+// bridges), summed per cell, per risk band and per road alert.
+//
+// Population comes either as an ESRI ASCII grid (.asc, e.g. a WorldPop or
+// GHSL raster exported with `gdal_translate -of AAIGrid`) of people per
+// grid cell, or as GeoJSON features with a `population` property (census
+// villages or wards). Facilities are GeoJSON features; their type is read
+// from `type`, `category`, `amenity` or `man_made` (OSM tags work), and
+// `bridge=yes` marks bridges.
+//
+// Every person and facility is placed at a point and counted once, in
+// the cells that contain it. Points covered by the same cells are summed
+// into one group, so band and alert totals never count anyone twice.
+
+import { createCellIndex, getTypicalCellSize } from './cell-index';
+import { t, formatList } from './i18n';
+
+export const FACILITY_TYPES = ['school', 'hospital', 'police', 'bridge'];
+
+const FACILITY_TAGS = {
+  school: ['school', 'college', 'university', 'kindergarten'],
+  hospital: ['hospital', 'clinic', 'doctors', 'health centre', 'health center', 'phc'],
+  police: ['police', 'police station', 'police_station'],
+  bridge: ['bridge']
+};
+
+// Grid cells are split so their pieces are at most half a risk cell wide
+// (and into at most this many pieces per side)
+const MAX_GRID_SPLIT = 8;
+
+// ========================================
+// DATASETS
+// ========================================
+
+// Representative point of a GeoJSON geometry: points as they are, the
+// middle vertex of lines (bridges), the vertex average of a polygon's
+// outer ring; multi-geometries by their first part
+function getFeaturePosition(geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+  const { type, coordinates } = geometry;
+
+  let point;
+  if (type === 'Point') {
+    point = coordinates;
+  } else if (type === 'LineString' || type === 'MultiPoint') {
+    point = coordinates[Math.floor(coordinates.length / 2)];
+  } else if (type === 'MultiLineString' || type === 'Polygon' || type === 'MultiPolygon') {
+    const part = type === 'MultiPolygon' ? coordinates[0] && coordinates[0][0] : coordinates[0];
+    if (!Array.isArray(part) || part.length === 0) return null;
+    if (type === 'MultiLineString') {
+      point = part[Math.floor(part.length / 2)];
+    } else {
+      const ring = part.length > 1 ? part.slice(0, -1) : part;   // drop the closing vertex
+      point = [
+        ring.reduce((sum, [lon]) => sum + lon, 0) / ring.length,
+        ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length
+      ];
+    }
+  }
+  if (!Array.isArray(point)) return null;
+  const position = [point[1], point[0]];
+  return position.every(Number.isFinite) ? position : null;
+}
+
+function assertFeatureCollection(geojson, what) {
+  if (!geojson || !Array.isArray(geojson.features)) {
+    throw new Error(`${what} must be a GeoJSON FeatureCollection`);
+  }
+}
+
+/**
+ * Parses an ESRI ASCII grid of people per grid cell:
+ *   { type: 'grid', minLat, minLon, cellSize, rows, cols, values }
+ * values[row * cols + col] is the grid cell in row `row` from the north,
+ * NaN where the grid has no data.
+ */
+export function parsePopulationGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  while (tokens.length > 0 && /^[a-z_]+$/i.test(tokens[0])) {
+    header[tokens.shift().toLowerCase()] = Number(tokens.shift());
+  }
+
+  const { ncols: cols, nrows: rows, cellsize: cellSize } = header;
+  if (!(cols > 0) || !(rows > 0) || !(cellSize > 0)) {
+    throw new Error('Population grid needs ncols, nrows and cellsize');
+  }
+  // Corners are given either as the outer corner or the centre of the
+  // lower-left grid cell
+  const minLon = 'xllcorner' in header ? header.xllcorner : header.xllcenter - cellSize / 2;
+  const minLat = 'yllcorner' in header ? header.yllcorner : header.yllcenter - cellSize / 2;
+  if (!Number.isFinite(minLon) || !Number.isFinite(minLat)) {
+    throw new Error('Population grid needs xllcorner/yllcorner or xllcenter/yllcenter');
+  }
+  if (tokens.length < rows * cols) {
+    throw new Error(`Population grid has ${tokens.length} values, expected ${rows * cols}`);
+  }
+
+  const noData = 'nodata_value' in header ? header.nodata_value : null;
+  const values = new Float32Array(rows * cols);
+  for (let i = 0; i < values.length; i++) {
+    const value = Number(tokens[i]);
+    values[i] = Number.isFinite(value) && value !== noData && value >= 0 ? value : NaN;
+  }
+  return { type: 'grid', minLat, minLon, cellSize, rows, cols, values };
+}
+
+/**
+ * Parses population features (GeoJSON with a numeric `population`
+ * property): { type: 'points', points: [{ position, population }] }.
+ */
+export function parsePopulationFeatures(geojson) {
+  assertFeatureCollection(geojson, 'Population');
+  const points = [];
+  geojson.features.forEach(feature => {
+    const position = getFeaturePosition(feature && feature.geometry);
+    const population = Number((feature.properties || {}).population);
+    if (position && Number.isFinite(population) && population > 0) points.push({ position, population });
+  });
+  return { type: 'points', points };
+}
+
+// Facility type of a feature's properties, or null for other features
+function getFacilityType(props) {
+  if (props.bridge && props.bridge !== 'no') return 'bridge';
+  const tags = [props.type, props.category, props.amenity, props.man_made, props.healthcare]
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.toLowerCase());
+  return FACILITY_TYPES.find(type => tags.some(tag => FACILITY_TAGS[type].includes(tag))) || null;
+}
+
+/**
+ * Converts a GeoJSON FeatureCollection into facilities
+ * [{ type, name, position }]. Features of other types are ignored.
+ */
+export function parseFacilities(geojson) {
+  assertFeatureCollection(geojson, 'Facilities');
+  const facilities = [];
+  geojson.features.forEach(feature => {
+    const props = (feature && feature.properties) || {};
+    const type = getFacilityType(props);
+    const position = type && getFeaturePosition(feature.geometry);
+    if (position) facilities.push({ type, name: props.name || '', position });
+  });
+  return facilities;
+}
+
+/**
+ * Loads population from a URL: an ASCII grid, or GeoJSON features.
+ */
+export async function loadPopulation(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Population request failed: ${response.status}`);
+  }
+  const text = await response.text();
+  return text.trimStart().startsWith('{')
+    ? parsePopulationFeatures(JSON.parse(text))
+    : parsePopulationGrid(text);
+}
+
+/**
+ * Loads facilities from a GeoJSON URL.
+ */
+export async function loadFacilities(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Facilities request failed: ${response.status}`);
+  }
+  return parseFacilities(await response.json());
+}
+
+// ========================================
+// ESTIMATES
+// ========================================
+
+// Exposure shape: { population, facilities: { school, hospital, police, bridge } }
+function emptyExposure() {
+  return { population: 0, facilities: Object.fromEntries(FACILITY_TYPES.map(type => [type, 0])) };
+}
+
+function addExposure(total, exposure) {
+  total.population += exposure.population;
+  FACILITY_TYPES.forEach(type => { total.facilities[type] += exposure.facilities[type]; });
+}
+
+// Calls visit(lat, lon, people) for the population inside `extent`. Grid
+// cells are split into pieces smaller than half a risk cell, so coarse
+// grids still spread their people over the cells they overlap.
+function forEachPopulationPoint(population, extent, riskCellSize, visit) {
+  if (population.type === 'points') {
+    population.points.forEach(({ position: [lat, lon], population: people }) => visit(lat, lon, people));
+    return;
+  }
+
+  const { minLat, minLon, cellSize, rows, cols, values } = population;
+  const maxLat = minLat + rows * cellSize;
+  const split = Math.min(MAX_GRID_SPLIT, Math.max(1, Math.ceil(cellSize / (riskCellSize / 2))));
+  const piece = cellSize / split;
+
+  const firstRow = Math.max(0, Math.floor((maxLat - extent.maxLat) / cellSize));
+  const lastRow = Math.min(rows - 1, Math.floor((maxLat - extent.minLat) / cellSize));
+  const firstCol = Math.max(0, Math.floor((extent.minLon - minLon) / cellSize));
+  const lastCol = Math.min(cols - 1, Math.floor((extent.maxLon - minLon) / cellSize));
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      const value = values[row * cols + col];
+      if (!(value > 0)) continue;
+      const top = maxLat - row * cellSize;
+      const left = minLon + col * cellSize;
+      const people = value / (split * split);
+      for (let i = 0; i < split; i++) {
+        for (let j = 0; j < split; j++) {
+          visit(top - (i + 0.5) * piece, left + (j + 0.5) * piece, people);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Exposure of the cells to the population and facilities (either may be
+ * null). Returns null without cells or data, otherwise
+ *   { groups: [{ cells, population, facilities }], byCell, hasPopulation, hasFacilities }
+ * where a group sums everything covered by exactly those cells and
+ * byCell maps cell keys to their exposure.
+ */
+export function createExposure(cells, population, facilities) {
+  if (cells.length === 0 || (!population && !facilities)) return null;
+
+  const index = createCellIndex(cells);
+  // One pass: spreading 100k+ values into Math.min overflows the stack
+  const extent = { minLat: Infinity, minLon: Infinity, maxLat: -Infinity, maxLon: -Infinity };
+  cells.forEach(({ bounds }) => {
+    if (bounds.minLat < extent.minLat) extent.minLat = bounds.minLat;
+    if (bounds.minLon < extent.minLon) extent.minLon = bounds.minLon;
+    if (bounds.maxLat > extent.maxLat) extent.maxLat = bounds.maxLat;
+    if (bounds.maxLon > extent.maxLon) extent.maxLon = bounds.maxLon;
+  });
+
+  const groups = new Map();
+  const getGroup = (lat, lon) => {
+    // A point on the edge between two cells of one hazard goes to one of them
+    const hits = index.findAt([lat, lon])
+      .filter((cell, i, all) => all.findIndex(other => other.cal_type === cell.cal_type) === i);
+    if (hits.length === 0) return null;
+    const key = hits.map(cell => cell.key).sort().join('|');
+    if (!groups.has(key)) groups.set(key, { cells: hits, ...emptyExposure() });
+    return groups.get(key);
+  };
+
+  if (population) {
+    forEachPopulationPoint(population, extent, getTypicalCellSize(cells), (lat, lon, people) => {
+      const group = getGroup(lat, lon);
+      if (group) group.population += people;
+    });
+  }
+  (facilities || []).forEach(({ type, position: [lat, lon] }) => {
+    const group = getGroup(lat, lon);
+    if (group) group.facilities[type] += 1;
+  });
+
+  const byCell = new Map();
+  groups.forEach(group => group.cells.forEach(cell => {
+    if (!byCell.has(cell.key)) byCell.set(cell.key, emptyExposure());
+    addExposure(byCell.get(cell.key), group);
+  }));
+
+  return { groups: [...groups.values()], byCell, hasPopulation: Boolean(population), hasFacilities: Boolean(facilities) };
+}
+
+/**
+ * Exposure of one cell.
+ */
+export function getCellExposure(exposure, cell) {
+  return exposure.byCell.get(cell.key) || emptyExposure();
+}
+
+/**
+ * Exposure of a set of cells (a road alert's), counting everything
+ * covered by any of them once.
+ */
+export function sumExposure(exposure, cells) {
+  const keys = new Set(cells.map(cell => cell.key));
+  const total = emptyExposure();
+  exposure.groups.forEach(group => {
+    if (group.cells.some(cell => keys.has(cell.key))) addExposure(total, group);
+  });
+  return total;
+}
+
+/**
+ * Exposure per band: `getBandIndex(cell)` places each cell in a band, and
+ * anything covered by several cells counts in the highest of their bands.
+ */
+export function getBandExposure(exposure, getBandIndex, bandCount) {
+  const totals = Array.from({ length: bandCount }, emptyExposure);
+  exposure.groups.forEach(group => {
+    addExposure(totals[Math.max(...group.cells.map(getBandIndex))], group);
+  });
+  return totals;
+}
+
+// ========================================
+// FORMATTING
+// ========================================
+
+// Population estimates to three significant digits (12,437 → 12,400)
+function roundPopulation(value) {
+  if (value < 10) return Math.round(value);
+  const unit = 10 ** (Math.floor(Math.log10(value)) - 2);
+  return Math.round(value / unit) * unit;
+}
+
+/**
+ * "~12,400 people and 4 schools" in the current language. People are
+ * left out without population data and facility types with none.
+ */
+export function formatExposure(value, { hasPopulation, hasFacilities }) {
+  const parts = [];
+  if (hasPopulation) parts.push(t('exposure.people', { count: roundPopulation(value.population) }));
+  if (hasFacilities) {
+    FACILITY_TYPES.forEach(type => {
+      const count = value.facilities[type];
+      if (count > 0) parts.push(t(`exposure.facilities.${type}`, { count }));
+    });
+  }
+  return parts.length > 0 ? formatList(parts) : t('exposure.none');
+}
@@ -0,0 +1,243 @@
+// ========================================
+// GIS LAYERS
+// ========================================
+// Parses user-supplied GeoJSON, KML and GPX files (shelters, relief camps,
+// hospitals, bridges, old slide scars, ...) into overlay layers, and flags
+// the points that fall inside high-risk cells.
+//
+// Layer shape:
+// {
+//   id, name, fileName, color, visible,
+//   features: [{ id, name, kind: 'point'|'line'|'polygon', coordinates, properties }]
+// }
+//
+// Coordinates are [lat, lon] like the rest of the map code: a point is one
+// position, a line a list of positions, a polygon a list of rings.
+
+import { getHazard } from './hazard-registry';
+import { t } from './i18n';
+import { createCellIndex } from './cell-index';
+
+// Colours given to layers in load order
+export const LAYER_COLORS = ['#7c3aed', '#0891b2', '#db2777', '#65a30d', '#ca8a04', '#475569'];
+
+export const SUPPORTED_LAYER_EXTENSIONS = ['.geojson', '.json', '.kml', '.gpx'];
+
+let nextLayerId = 1;
+
+// [lon, lat(, ele)] → [lat, lon]
+const toLatLon = ([lon, lat]) => [lat, lon];
+
+// ========================================
+// GEOJSON
+// ========================================
+
+function getGeoJsonFeatures(geojson) {
+  if (geojson.type === 'FeatureCollection') return geojson.features || [];
+  if (geojson.type === 'Feature') return [geojson];
+  return [{ type: 'Feature', geometry: geojson, properties: {} }];
+}
+
+// Splits a geometry into point/line/polygon parts
+function flattenGeometry(geometry) {
+  if (!geometry) return [];
+  const { type, coordinates } = geometry;
+
+  switch (type) {
+    case 'Point':
+      return [{ kind: 'point', coordinates: toLatLon(coordinates) }];
+    case 'MultiPoint':
+      return coordinates.map(point => ({ kind: 'point', coordinates: toLatLon(point) }));
+    case 'LineString':
+      return [{ kind: 'line', coordinates: coordinates.map(toLatLon) }];
+    case 'MultiLineString':
+      return coordinates.map(line => ({ kind: 'line', coordinates: line.map(toLatLon) }));
+    case 'Polygon':
+      return [{ kind: 'polygon', coordinates: coordinates.map(ring => ring.map(toLatLon)) }];
+    case 'MultiPolygon':
+      return coordinates.map(rings => ({ kind: 'polygon', coordinates: rings.map(ring => ring.map(toLatLon)) }));
+    case 'GeometryCollection':
+      return (geometry.geometries || []).flatMap(flattenGeometry);
+    default:
+      return [];
+  }
+}
+
+function parseGeoJsonLayer(geojson) {
+  if (!geojson || typeof geojson.type !== 'string') {
+    throw new Error('Not a GeoJSON object');
+  }
+
+  return getGeoJsonFeatures(geojson).flatMap(feature => {
+    const properties = feature.properties || {};
+    return flattenGeometry(feature.geometry).map(part => ({ ...part, properties }));
+  });
+}
+
+// ========================================
+// KML & GPX
+// ========================================
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML');
+  }
+  return doc;
+}
+
+// Direct or nested child text, ignoring namespaces
+function getChildText(element, tagName) {
+  const child = element.getElementsByTagName(tagName)[0];
+  return child ? child.textContent.trim() : '';
+}
+
+// "lon,lat[,alt] lon,lat ..." → [[lat, lon], ...]
+function parseKmlCoordinates(text) {
+  return text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+    const [lon, lat] = tuple.split(',').map(Number);
+    return [lat, lon];
+  }).filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon));
+}
+
+function parseKmlLayer(text) {
+  const doc = parseXml(text);
+
+  return Array.from(doc.getElementsByTagName('Placemark')).flatMap(placemark => {
+    const properties = { name: getChildText(placemark, 'name') };
+    const description = getChildText(placemark, 'description');
+    if (description) properties.description = description;
+    Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+      properties[data.getAttribute('name')] = getChildText(data, 'value');
+    });
+
+    const parts = [];
+    Array.from(placemark.getElementsByTagName('Point')).forEach(point => {
+      const [position] = parseKmlCoordinates(getChildText(point, 'coordinates'));
+      if (position) parts.push({ kind: 'point', coordinates: position });
+    });
+    Array.from(placemark.getElementsByTagName('LineString')).forEach(line => {
+      const positions = parseKmlCoordinates(getChildText(line, 'coordinates'));
+      if (positions.length >= 2) parts.push({ kind: 'line', coordinates: positions });
+    });
+    Array.from(placemark.getElementsByTagName('Polygon')).forEach(polygon => {
+      const rings = Array.from(polygon.getElementsByTagName('LinearRing'))
+        .map(ring => parseKmlCoordinates(getChildText(ring, 'coordinates')))
+        .filter(ring => ring.length >= 3);
+      if (rings.length > 0) parts.push({ kind: 'polygon', coordinates: rings });
+    });
+
+    return parts.map(part => ({ ...part, properties }));
+  });
+}
+
+function parseGpxLayer(text) {
+  const doc = parseXml(text);
+  const toPosition = element => [Number(element.getAttribute('lat')), Number(element.getAttribute('lon'))];
+  const getProperties = element => {
+    const properties = { name: getChildText(element, 'name') };
+    const description = getChildText(element, 'desc');
+    if (description) properties.description = description;
+    return properties;
+  };
+
+  const waypoints = Array.from(doc.getElementsByTagName('wpt')).map(wpt => ({
+    kind: 'point',
+    coordinates: toPosition(wpt),
+    properties: getProperties(wpt)
+  }));
+
+  const tracks = Array.from(doc.getElementsByTagName('trk')).flatMap(trk =>
+    Array.from(trk.getElementsByTagName('trkseg')).map(segment => ({
+      kind: 'line',
+      coordinates: Array.from(segment.getElementsByTagName('trkpt')).map(toPosition),
+      properties: getProperties(trk)
+    }))
+  );
+
+  const routes = Array.from(doc.getElementsByTagName('rte')).map(rte => ({
+    kind: 'line',
+    coordinates: Array.from(rte.getElementsByTagName('rtept')).map(toPosition),
+    properties: getProperties(rte)
+  }));
+
+  return [...waypoints, ...tracks, ...routes]
+    .filter(feature => feature.kind === 'point' || feature.coordinates.length >= 2);
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+/**
+ * Reads a GeoJSON, KML or GPX File into a layer. `index` picks the
+ * layer's colour from LAYER_COLORS.
+ */
+export async function loadGisLayer(file, index = 0) {
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  const text = await file.text();
+
+  let parts;
+  if (extension === '.kml') {
+    parts = parseKmlLayer(text);
+  } else if (extension === '.gpx') {
+    parts = parseGpxLayer(text);
+  } else if (extension === '.geojson' || extension === '.json') {
+    parts = parseGeoJsonLayer(JSON.parse(text));
+  } else {
+    throw new Error(`Unsupported file type "${extension}" (use ${SUPPORTED_LAYER_EXTENSIONS.join(', ')})`);
+  }
+
+  if (parts.length === 0) {
+    throw new Error('No points, lines or polygons found');
+  }
+
+  const layerId = `layer-${nextLayerId++}`;
+  return {
+    id: layerId,
+    name: file.name.replace(/\.[^.]+$/, ''),
+    fileName: file.name,
+    color: LAYER_COLORS[index % LAYER_COLORS.length],
+    visible: true,
+    features: parts.map((part, i) => ({
+      ...part,
+      id: `${layerId}-${i}`,
+      name: part.properties.name || part.properties.Name || part.properties.title || t('layers.unnamed', { number: i + 1 })
+    }))
+  };
+}
+
+// ========================================
+// RISK FLAGS
+// ========================================
+
+/**
+ * Points of the visible layers that fall inside cells at high level on
+ * their hazard's risk scale. Returns one flag per point and hazard:
+ * { layer, feature, cell, hazard, risk, message }, highest risk first.
+ */
+export function findFlaggedPoints(layers, cells, riskScales) {
+  const flags = [];
+  const index = createCellIndex(cells);
+
+  layers.filter(layer => layer.visible).forEach(layer => {
+    layer.features.filter(feature => feature.kind === 'point').forEach(feature => {
+      index.findAt(feature.coordinates).forEach(cell => {
+        const risks = cell.risks || { [cell.cal_type]: cell.risk_percentage };
+        Object.keys(risks).forEach(hazard => {
+          if (riskScales.getBand(risks[hazard], hazard).level < 2) return;
+          flags.push({
+            layer,
+            feature,
+            cell,
+            hazard,
+            risk: risks[hazard],
+            message: t('layers.flag', { name: feature.name, risk: risks[hazard], hazard: getHazard(hazard).label.toLowerCase() })
+          });
+        });
+      });
+    });
+  });
+
+  return flags.sort((a, b) => b.risk - a.risk);
+}
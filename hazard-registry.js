@@ -0,0 +1,224 @@
+// ========================================
+// HAZARD REGISTRY
+// ========================================
+// Every hazard the UI knows about: icon, label, colours, default risk
+// scale (see risk-scale.js), default map layers, advisory text and
+// road-alert text. Mode buttons, legend, popups, road alerts and the
+// payload transform are all generated from this list, so a new hazard
+// only needs an entry here. Hazards the backend sends that are not
+// registered still appear, using GENERIC_HAZARD defaults.
+//
+// The English texts below are also in messages-en.js under
+// `hazards.<key>`; getHazard returns them in the current language.
+
+import { getLanguage, t, translateBuiltIn } from './i18n';
+
+const GENERIC_HAZARD = {
+  icon: '⚠️',
+  accent: { border: '#64748b', background: '#f8fafc', text: '#334155' },
+  // Risk scale id, used unless the region manifest sets one
+  scale: 'standard',
+  // Map layers (map-layers.js) until the user picks others for the mode
+  mapLayers: { base: 'osm', overlays: [] },
+  highRiskAdvice: 'Dangerous conditions expected. Follow official instructions.',
+  moderateRiskAdvice: 'Stay alert. Monitor conditions closely.',
+  advisory: {
+    background: '#f1f5f9',
+    tips: ['Follow instructions from local authorities', 'Keep an emergency kit ready']
+  },
+  // Road alerts start at the scale's alertFrom band
+  roadAlert: {
+    message: 'Road section passes through high-risk cells',
+    recommendation: 'Check conditions before travel.'
+  }
+};
+
+const HAZARDS = [];
+
+// Definitions built on the fly for keys nobody registered
+const unregisteredHazards = new Map();
+
+// Translated definitions by `${language}:${key}`
+const localizedHazards = new Map();
+
+function buildHazard(definition) {
+  return {
+    ...GENERIC_HAZARD,
+    label: definition.key.charAt(0).toUpperCase() + definition.key.slice(1),
+    ...definition,
+    advisory: { ...GENERIC_HAZARD.advisory, ...definition.advisory },
+    roadAlert: { ...GENERIC_HAZARD.roadAlert, ...definition.roadAlert }
+  };
+}
+
+// Hazard texts in the current language. Texts still inherited from
+// GENERIC_HAZARD use the generic translations; texts a definition
+// overrides with its own wording are kept as given.
+function localizeHazard(hazard) {
+  const translate = (path, value, genericValue) =>
+    translateBuiltIn(`hazards.${value === genericValue ? 'generic' : hazard.key}.${path}`, value);
+  const label = translateBuiltIn(`hazards.${hazard.key}.label`, hazard.label);
+
+  return {
+    ...hazard,
+    label,
+    highRiskAdvice: translate('highRiskAdvice', hazard.highRiskAdvice, GENERIC_HAZARD.highRiskAdvice),
+    moderateRiskAdvice: translate('moderateRiskAdvice', hazard.moderateRiskAdvice, GENERIC_HAZARD.moderateRiskAdvice),
+    advisory: {
+      ...hazard.advisory,
+      title: hazard.advisory.title
+        ? translateBuiltIn(`hazards.${hazard.key}.advisory.title`, hazard.advisory.title)
+        : t('hazards.generic.advisory.title', { label }),
+      tips: translate('advisory.tips', hazard.advisory.tips, GENERIC_HAZARD.advisory.tips)
+    },
+    roadAlert: {
+      message: translate('roadAlert.message', hazard.roadAlert.message, GENERIC_HAZARD.roadAlert.message),
+      recommendation: translate('roadAlert.recommendation', hazard.roadAlert.recommendation, GENERIC_HAZARD.roadAlert.recommendation)
+    }
+  };
+}
+
+/**
+ * Adds (or replaces) a hazard definition. Omitted fields fall back to
+ * GENERIC_HAZARD; `label` defaults to the capitalised key and the
+ * advisory title to "<label> Safety".
+ */
+export function registerHazard(definition) {
+  const hazard = buildHazard(definition);
+  localizedHazards.clear();
+  const index = HAZARDS.findIndex(existing => existing.key === hazard.key);
+  if (index >= 0) {
+    HAZARDS[index] = hazard;
+  } else {
+    HAZARDS.push(hazard);
+  }
+  return hazard;
+}
+
+registerHazard({
+  key: 'landslide',
+  icon: '⛰️',
+  mapLayers: { base: 'topo', overlays: ['hillshade'] },
+  accent: { border: '#f97316', background: '#fff7ed', text: '#c2410c' },
+  highRiskAdvice: 'Road blockages likely. Avoid area.',
+  advisory: {
+    background: '#fef3c7',
+    tips: ['Avoid hilly roads in red zones', 'Watch for falling debris', 'Use valley routes when possible']
+  },
+  roadAlert: {
+    message: 'Hill road section passes through landslide-prone cells',
+    recommendation: 'Avoid travel on hill sections. Use alternative valley routes if available.'
+  }
+});
+
+registerHazard({
+  key: 'flood',
+  icon: '🌊',
+  mapLayers: { base: 'osm', overlays: ['rivers', 'rainfall'] },
+  accent: { border: '#3b82f6', background: '#eff6ff', text: '#1e40af' },
+  highRiskAdvice: 'Flooding expected. Evacuate to higher ground.',
+  advisory: {
+    background: '#dbeafe',
+    tips: ['Move to higher ground immediately', 'Avoid crossing flooded areas', 'Green zones indicate safer elevation']
+  },
+  roadAlert: {
+    message: 'Road section passes through flood-prone cells',
+    recommendation: 'Seek higher elevation. Avoid crossing flooded sections.'
+  }
+});
+
+registerHazard({
+  key: 'cyclone',
+  icon: '🌀',
+  mapLayers: { base: 'osm', overlays: ['rainfall'] },
+  accent: { border: '#0d9488', background: '#f0fdfa', text: '#115e59' },
+  highRiskAdvice: 'Destructive winds expected. Shelter in a strong building.',
+  advisory: {
+    background: '#ccfbf1',
+    tips: ['Stay indoors, away from windows', 'Secure loose objects outdoors', 'Follow evacuation orders for coastal areas']
+  },
+  roadAlert: {
+    message: 'Road section exposed to cyclone winds and falling trees',
+    recommendation: 'Avoid travel during landfall. Expect fallen trees and power lines.'
+  }
+});
+
+registerHazard({
+  key: 'earthquake',
+  icon: '🏚️',
+  mapLayers: { base: 'topo', overlays: [] },
+  accent: { border: '#a16207', background: '#fefce8', text: '#713f12' },
+  highRiskAdvice: 'Strong shaking likely. Stay clear of weak structures.',
+  advisory: {
+    background: '#fef9c3',
+    tips: ['Drop, cover and hold on', 'Stay clear of damaged buildings', 'Expect aftershocks']
+  },
+  roadAlert: {
+    message: 'Road section in a strong-shaking zone; bridges and cuttings may be damaged',
+    recommendation: 'Inspect bridges before use. Expect slides on hill cuttings.'
+  }
+});
+
+registerHazard({
+  key: 'heatwave',
+  icon: '🌡️',
+  scale: 'imd',
+  accent: { border: '#dc2626', background: '#fef2f2', text: '#991b1b' },
+  highRiskAdvice: 'Extreme heat. Avoid exposure during the day.',
+  advisory: {
+    background: '#fee2e2',
+    tips: ['Avoid outdoor work from 12 to 4 pm', 'Drink water frequently', 'Check on elderly neighbours']
+  },
+  roadAlert: {
+    message: 'Road section in an extreme heat zone',
+    recommendation: 'Avoid midday travel. Carry drinking water.'
+  }
+});
+
+registerHazard({
+  key: 'cloudburst',
+  icon: '⛈️',
+  mapLayers: { base: 'topo', overlays: ['rainfall'] },
+  accent: { border: '#4f46e5', background: '#eef2ff', text: '#3730a3' },
+  highRiskAdvice: 'Flash floods and debris flows likely. Move away from streams.',
+  advisory: {
+    background: '#e0e7ff',
+    tips: ['Move away from streams and nullahs', 'Avoid hill slopes during intense rain', 'Watch for flash floods']
+  },
+  roadAlert: {
+    message: 'Road section at risk of flash floods and debris flow',
+    recommendation: 'Do not cross streams or causeways. Wait for rain to ease.'
+  }
+});
+
+// ========================================
+// LOOKUPS
+// ========================================
+
+function findHazard(key) {
+  const registered = HAZARDS.find(hazard => hazard.key === key);
+  if (registered) return registered;
+
+  if (!unregisteredHazards.has(key)) unregisteredHazards.set(key, buildHazard({ key }));
+  return unregisteredHazards.get(key);
+}
+
+/**
+ * Definition for a hazard key, with its texts in the current language;
+ * unregistered keys get generic defaults.
+ */
+export function getHazard(key) {
+  const cacheKey = `${getLanguage()}:${key}`;
+  if (!localizedHazards.has(cacheKey)) localizedHazards.set(cacheKey, localizeHazard(findHazard(key)));
+  return localizedHazards.get(cacheKey);
+}
+
+/**
+ * Hazard keys present in the cells, in registry order (unregistered last).
+ */
+export function getHazardKeys(cells) {
+  const present = new Set(cells.map(cell => cell.cal_type));
+  const registered = HAZARDS.map(hazard => hazard.key).filter(key => present.has(key));
+  const extra = [...present].filter(key => !registered.includes(key));
+  return [...registered, ...extra];
+}
@@ -0,0 +1,225 @@
+// ========================================
+// INTERNATIONALISATION
+// ========================================
+// Message catalogs, the current language and locale-aware number and
+// date formatting. Plain modules (hazard registry, risk scales, road
+// alerts) read the current language through `t`; components re-render on
+// a change through `useLanguage`.
+//
+// Catalogs are nested objects (messages-<code>.js). Messages may hold
+// {placeholders}, and a message given as { one, other, ... } is picked by
+// the plural rules of the language for the `count` parameter. Missing
+// keys fall back to English, then to the key itself.
+
+import { useSyncExternalStore } from 'react';
+import en from './messages-en';
+import hi from './messages-hi';
+import mniMtei from './messages-mni-mtei';
+import mniBeng from './messages-mni-beng';
+import bn from './messages-bn';
+
+// `locale` drives Intl formatting. Meitei Mayek dates use numeric fields
+// only, since there are no Meitei Mayek month names in the browser's data.
+export const LANGUAGES = [
+  { code: 'en', name: 'English', locale: 'en-IN', messages: en },
+  { code: 'hi', name: 'हिन्दी', locale: 'hi-IN', messages: hi },
+  {
+    code: 'mni-Mtei',
+    name: 'ꯃꯩꯇꯩꯂꯣꯟ',
+    locale: 'mni-Mtei-IN',
+    numberingSystem: 'mtei',
+    dateTimeOptions: { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+    messages: mniMtei
+  },
+  { code: 'mni-Beng', name: 'মৈতৈলোন্ (বাংলা)', locale: 'mni-Beng-IN', messages: mniBeng },
+  { code: 'bn', name: 'বাংলা', locale: 'bn-IN', messages: bn }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const STORAGE_KEY = 'disaster-warning-system:language';
+
+const listeners = new Set();
+let current = findLanguage(readStoredLanguage() || detectLanguage());
+
+function findLanguage(code) {
+  return LANGUAGES.find(language => language.code === code) ||
+    LANGUAGES.find(language => language.code === DEFAULT_LANGUAGE);
+}
+
+function readStoredLanguage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage.getItem(STORAGE_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+// First browser language we have a catalog for. Plain "mni" means
+// Meitei Mayek, the script used for official work in Manipur.
+function detectLanguage() {
+  if (typeof navigator === 'undefined') return DEFAULT_LANGUAGE;
+  for (const tag of navigator.languages || [navigator.language]) {
+    const lower = (tag || '').toLowerCase();
+    if (lower.startsWith('mni')) return lower.includes('beng') ? 'mni-Beng' : 'mni-Mtei';
+    const match = LANGUAGES.find(language => language.code === lower.split('-')[0]);
+    if (match) return match.code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+function applyDocumentLanguage() {
+  if (typeof document !== 'undefined') document.documentElement.lang = current.code;
+}
+
+applyDocumentLanguage();
+
+// ========================================
+// CURRENT LANGUAGE
+// ========================================
+
+export function getLanguage() {
+  return current.code;
+}
+
+/**
+ * Switches the UI language, remembers it on this device and re-renders
+ * every component using `useLanguage`.
+ */
+export function setLanguage(code) {
+  const next = findLanguage(code);
+  if (next === current) return;
+
+  current = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, current.code);
+  } catch (err) {
+    console.warn('Could not store the language choice:', err);
+  }
+  applyDocumentLanguage();
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * React hook: [languageCode, setLanguage]. The component re-renders when
+ * the language changes.
+ */
+export function useLanguage() {
+  const code = useSyncExternalStore(subscribe, getLanguage, getLanguage);
+  return [code, setLanguage];
+}
+
+// ========================================
+// MESSAGES
+// ========================================
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+/**
+ * Raw catalog entry for a key in the current language (English if it is
+ * missing), or undefined. Used for non-string entries such as lists.
+ */
+export function getMessage(key) {
+  const message = lookup(current.messages, key);
+  return message !== undefined ? message : lookup(en, key);
+}
+
+function selectPlural(message, count) {
+  if (typeof message !== 'object' || message === null || Array.isArray(message)) return message;
+  const category = new Intl.PluralRules(current.locale).select(count ?? 0);
+  return message[category] ?? message.other;
+}
+
+// Splits a template into literal text and parameter values, formatting
+// numbers for the locale
+function interpolate(template, params) {
+  return template.split(/(\{\w+\})/).filter(part => part !== '').map(part => {
+    const match = /^\{(\w+)\}$/.exec(part);
+    if (!match || !(match[1] in params)) return part;
+    const value = params[match[1]];
+    return typeof value === 'number' ? formatNumber(value) : value;
+  });
+}
+
+/**
+ * Translated message with {placeholders} filled in. Numbers are
+ * formatted for the locale; `count` also selects the plural form.
+ */
+export function t(key, params = {}) {
+  const message = selectPlural(getMessage(key), params.count);
+  if (typeof message !== 'string') return key;
+  return interpolate(message, params).join('');
+}
+
+/**
+ * Like `t`, but returns an array of text and parameter values so that
+ * React elements can be placed inside a translated sentence.
+ */
+export function tParts(key, params = {}) {
+  const message = selectPlural(getMessage(key), params.count);
+  if (typeof message !== 'string') return [key];
+  return interpolate(message, params);
+}
+
+/**
+ * Text that may be given per language in data files, e.g. a manifest
+ * band label: a plain string, or { en, hi, ... } picked for the current
+ * language with English as fallback.
+ */
+export function localizeText(value) {
+  if (value === null || typeof value !== 'object') return value;
+  return value[current.code] ?? value[current.code.split('-')[0]] ?? value.en ?? Object.values(value)[0];
+}
+
+/**
+ * Translation of a built-in text (hazard advice, band labels) that
+ * modules and manifests may override. The catalog entry for `key` is
+ * used only while `text` is still the English one from the catalog, so
+ * overrides are shown as given; { en, hi, ... } objects go through
+ * localizeText. Strings and arrays of strings are supported.
+ */
+export function translateBuiltIn(key, text, params) {
+  if (text !== null && typeof text === 'object' && !Array.isArray(text)) return localizeText(text);
+
+  const english = lookup(en, key);
+  const isBuiltIn = Array.isArray(text)
+    ? Array.isArray(english) && english.length === text.length && english.every((item, i) => item === text[i])
+    : english === text;
+  if (!isBuiltIn) return text;
+  return Array.isArray(text) ? getMessage(key) : t(key, params);
+}
+
+// ========================================
+// FORMATTING
+// ========================================
+
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(current.locale, { numberingSystem: current.numberingSystem, ...options }).format(value);
+}
+
+/**
+ * Date and time in the locale, shown in Indian Standard Time.
+ */
+export function formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Date(value).toLocaleString(current.locale, {
+    timeZone: 'Asia/Kolkata',
+    numberingSystem: current.numberingSystem,
+    ...(current.dateTimeOptions || options)
+  });
+}
+
+/**
+ * "a, b and c" in the current language.
+ */
+export function formatList(items) {
+  const and = lookup(current.messages, 'list.and');
+  if (and && items.length > 1) return `${items.slice(0, -1).join(', ')}${and}${items[items.length - 1]}`;
+  return new Intl.ListFormat(current.locale, { type: 'conjunction' }).format(items);
+}
@@ -0,0 +1,356 @@
+// ========================================
+// INCIDENT LOG
+// ========================================
+// Road alerts as incidents the control room works through:
+//
+//   new → acknowledged → assigned → resolved
+//
+// An alert keeps its identity across refreshes through its key (area +
+// alert id, which names the hazard mode and road). The area is always a
+// district ("<state>/<district>"), so a road is the same incident whether
+// it was seen in its district or in the state overview. A refresh updates
+// the open incident instead of replacing it. When the road is no longer
+// affected the incident is marked cleared but stays open until someone
+// resolves it; if the road is hit again after that, a new incident opens.
+// Every step is recorded with its operator, note and time for audits.
+//
+// Incident shape:
+// {
+//   id, alertKey, alertId, area, areaName, mode, road, hazards: [key],
+//   band: { level, label, color }, severity,      // worst seen
+//   status, assignee,
+//   openedAt, lastSeenAt, clearedAt, updatedAt,    // ISO strings; clearedAt null while affected
+//   history: [{ at, action, operator, note, assignee? }]
+// }
+//
+// Incidents are kept by a storage backend (see STORAGE): localStorage by
+// default, or a REST endpoint when VITE_INCIDENT_API_URL is set.
+
+export const INCIDENT_STATUSES = ['new', 'acknowledged', 'assigned', 'resolved'];
+
+// Actions an operator can take in each status ('note' works in all)
+const ALLOWED_ACTIONS = {
+  new: ['acknowledge', 'assign', 'resolve'],
+  acknowledged: ['assign', 'resolve'],
+  assigned: ['assign', 'resolve'],
+  resolved: []
+};
+
+const ACTION_STATUS = {
+  acknowledge: 'acknowledged',
+  assign: 'assigned',
+  resolve: 'resolved'
+};
+
+/**
+ * Stable identity of an alert within an area.
+ */
+export function getAlertKey(area, alert) {
+  return `${area}:${alert.id}`;
+}
+
+/**
+ * Whether an incident belongs to an area: its district, or the state the
+ * district is in.
+ */
+export function isIncidentInArea(incident, area) {
+  return incident.area === area || incident.area.startsWith(`${area}/`);
+}
+
+/**
+ * The incident of an alert that is still affecting its road, resolved or
+ * not, or undefined.
+ */
+export function findAlertIncident(incidents, alertKey) {
+  return incidents.find(incident => incident.alertKey === alertKey && incident.clearedAt === null);
+}
+
+function toBand(band) {
+  return { level: band.level, label: band.label, color: band.color };
+}
+
+function createIncident(alert, alertKey, { area, areaName, mode }, now) {
+  return {
+    id: `${alertKey}:${now}`,
+    alertKey,
+    alertId: alert.id,
+    area,
+    areaName,
+    mode,
+    road: alert.road,
+    hazards: [...alert.hazards],
+    band: toBand(alert.band),
+    severity: alert.severity,
+    status: 'new',
+    assignee: '',
+    openedAt: now,
+    lastSeenAt: now,
+    clearedAt: null,
+    updatedAt: now,
+    history: [{ at: now, action: 'opened', operator: null, note: '' }]
+  };
+}
+
+/**
+ * Brings the incidents in line with the alerts just computed for an area
+ * and hazard mode (`context`: { area, areaName, mode }): alerts without an
+ * incident open one, open incidents take the worst band and risk seen,
+ * and the area's incidents whose road is no longer affected are cleared.
+ * Returns { incidents, changed } with the changed incidents to store.
+ */
+export function syncIncidents(incidents, alerts, context, now = new Date().toISOString()) {
+  const changed = new Map();
+  const next = [...incidents];
+  const update = (index, changes, event) => {
+    const incident = { ...next[index], ...changes, updatedAt: now };
+    if (event) incident.history = [...incident.history, { at: now, operator: null, note: '', ...event }];
+    next[index] = incident;
+    changed.set(incident.id, incident);
+  };
+
+  const keys = new Set();
+  alerts.forEach(alert => {
+    const alertKey = getAlertKey(context.area, alert);
+    keys.add(alertKey);
+    const index = next.indexOf(findAlertIncident(next, alertKey));
+
+    if (index === -1) {
+      const incident = createIncident(alert, alertKey, context, now);
+      next.unshift(incident);
+      changed.set(incident.id, incident);
+      return;
+    }
+
+    const incident = next[index];
+    const escalated = alert.band.level > incident.band.level;
+    const hazards = [...new Set([...incident.hazards, ...alert.hazards])];
+    // A resolved road that gets worse needs attention again
+    update(index, {
+      lastSeenAt: now,
+      severity: Math.max(incident.severity, alert.severity),
+      band: escalated ? toBand(alert.band) : incident.band,
+      status: escalated && incident.status === 'resolved' ? 'new' : incident.status,
+      hazards
+    }, escalated ? { action: 'escalated', note: alert.band.label } : null);
+  });
+
+  next.forEach((incident, index) => {
+    if (incident.area !== context.area || incident.mode !== context.mode) return;
+    if (incident.clearedAt !== null || keys.has(incident.alertKey)) return;
+    update(index, { clearedAt: now }, { action: 'cleared' });
+  });
+
+  return { incidents: next, changed: [...changed.values()] };
+}
+
+/**
+ * Whether an operator can take `action` on the incident now.
+ */
+export function canApplyAction(incident, action) {
+  if (action === 'note') return true;
+  return ALLOWED_ACTIONS[incident.status].includes(action);
+}
+
+/**
+ * The incident after an operator action ('acknowledge', 'assign',
+ * 'resolve' or 'note'), recorded in its history. `assignee` is needed to
+ * assign and `note` to add a note.
+ */
+export function applyIncidentAction(incident, action, { operator, note = '', assignee = '' }, now = new Date().toISOString()) {
+  if (!operator) throw new Error('An operator name is needed');
+  if (!canApplyAction(incident, action)) throw new Error(`Cannot ${action} a ${incident.status} incident`);
+  if (action === 'assign' && !assignee) throw new Error('An assignee is needed');
+  if (action === 'note' && !note) throw new Error('The note is empty');
+
+  const entry = { at: now, action: action === 'note' ? 'note' : ACTION_STATUS[action], operator, note };
+  if (action === 'assign') entry.assignee = assignee;
+  return {
+    ...incident,
+    status: ACTION_STATUS[action] || incident.status,
+    assignee: action === 'assign' ? assignee : incident.assignee,
+    updatedAt: now,
+    history: [...incident.history, entry]
+  };
+}
+
+/**
+ * Incidents matching the filters, most recently seen first:
+ *   status: 'open' (not resolved), 'all' or a status
+ *   mode: a hazard mode or 'all'
+ *   area: a district, a state (its districts) or 'all'
+ *   query: text found in the road, area, assignee or any note
+ */
+export function filterIncidents(incidents, { status = 'open', mode = 'all', area = 'all', query = '' }) {
+  const text = query.trim().toLowerCase();
+  return incidents
+    .filter(incident => {
+      if (status === 'open' ? incident.status === 'resolved' : status !== 'all' && incident.status !== status) return false;
+      if (mode !== 'all' && incident.mode !== mode) return false;
+      if (area !== 'all' && !isIncidentInArea(incident, area)) return false;
+      if (!text) return true;
+      return [incident.road, incident.areaName, incident.assignee, ...incident.history.map(entry => entry.note)]
+        .some(value => value && value.toLowerCase().includes(text));
+    })
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+// ========================================
+// OPERATOR
+// ========================================
+
+const OPERATOR_KEY = 'disaster-warning-system:operator';
+
+export function loadOperatorName() {
+  try {
+    return localStorage.getItem(OPERATOR_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+}
+
+export function storeOperatorName(name) {
+  try {
+    localStorage.setItem(OPERATOR_KEY, name);
+  } catch (err) {
+    console.warn('Could not store the operator name:', err);
+  }
+}
+
+// ========================================
+// STORAGE
+// ========================================
+// A store is { name, load(), save(incidents) }: load resolves to every
+// stored incident, save to nothing once the given (changed) incidents
+// are kept. setIncidentStore swaps in another backend.
+
+const STORAGE_KEY = 'disaster-warning-system:incidents';
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+function readLocalIncidents() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    console.warn('Ignoring unreadable incident log:', err);
+    return [];
+  }
+}
+
+/**
+ * Incidents kept in this browser's localStorage. Nothing is ever dropped
+ * from the audit trail: when storage is full, save rejects and the
+ * change is not kept.
+ */
+export function createLocalIncidentStore() {
+  return {
+    name: 'local',
+    load: async () => readLocalIncidents(),
+    save: async (incidents) => {
+      const byId = new Map(readLocalIncidents().map(incident => [incident.id, incident]));
+      incidents.forEach(incident => byId.set(incident.id, incident));
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify([...byId.values()]));
+      } catch (err) {
+        throw new Error(`Browser storage is full or unavailable (${err.message})`);
+      }
+    }
+  };
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) throw new Error(`Incident request failed: ${response.status}`);
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Incidents kept by a REST endpoint:
+ *   GET <url>        → [incident] (or { incidents: [incident] })
+ *   PUT <url>/<id>   ← incident as JSON
+ * Every change is also kept in localStorage: the log loads from there
+ * while the endpoint is unreachable, and unsent changes are sent again
+ * with the next save.
+ */
+export function createRestIncidentStore(url, local = createLocalIncidentStore()) {
+  const base = url.replace(/\/+$/, '');
+  const unsent = new Map();
+
+  return {
+    name: 'rest',
+    load: async () => {
+      try {
+        const body = await (await fetchWithTimeout(base)).json();
+        const incidents = Array.isArray(body) ? body : body && body.incidents;
+        if (!Array.isArray(incidents)) throw new Error('Incident list must be an array');
+        return incidents;
+      } catch (err) {
+        console.warn('Incident server unreachable, using the local copy:', err);
+        return local.load();
+      }
+    },
+    save: async (incidents) => {
+      // The server copy counts: a full local store does not stop the send
+      let localError = null;
+      try {
+        await local.save(incidents);
+      } catch (err) {
+        localError = err;
+      }
+      incidents.forEach(incident => unsent.set(incident.id, incident));
+
+      const failures = [];
+      for (const incident of [...unsent.values()]) {
+        try {
+          await fetchWithTimeout(`${base}/${encodeURIComponent(incident.id)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(incident)
+          });
+          if (unsent.get(incident.id) === incident) unsent.delete(incident.id);
+        } catch (err) {
+          failures.push(err);
+        }
+      }
+      if (failures.length > 0) {
+        const kept = localError ? `not kept in this browser either: ${localError.message}` : 'kept in this browser';
+        throw new Error(`${failures.length} incident(s) not sent to the server (${failures[0].message}), ${kept}`);
+      }
+      if (localError) console.warn('Incidents sent, but the local copy is out of date:', localError);
+    }
+  };
+}
+
+const INCIDENT_API_URL = import.meta.env.VITE_INCIDENT_API_URL || '';
+
+let store = INCIDENT_API_URL ? createRestIncidentStore(INCIDENT_API_URL) : createLocalIncidentStore();
+
+export function getIncidentStore() {
+  return store;
+}
+
+/**
+ * Replaces the storage backend (any { name, load, save } object).
+ */
+export function setIncidentStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * Stored incidents merged into the ones in memory; the most recently
+ * updated copy of each incident wins.
+ */
+export function mergeIncidents(current, stored) {
+  const byId = new Map(current.map(incident => [incident.id, incident]));
+  stored.forEach(incident => {
+    const existing = byId.get(incident.id);
+    if (!existing || incident.updatedAt > existing.updatedAt) byId.set(incident.id, incident);
+  });
+  return [...byId.values()].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import { getHazard } from './hazard-registry';
+import { INCIDENT_STATUSES, canApplyAction, filterIncidents } from './incident-log';
+import { t, useLanguage } from './i18n';
+
+// ========================================
+// INCIDENT PANEL COMPONENT
+// ========================================
+// Control room log of road alert incidents: filter them, acknowledge,
+// assign and resolve them under the operator's name, add notes and read
+// back the history of each one.
+
+const STATUS_STYLES = {
+  new: { icon: '🆕', color: '#991b1b', background: '#fee2e2' },
+  acknowledged: { icon: '👁️', color: '#92400e', background: '#fef3c7' },
+  assigned: { icon: '👷', color: '#1e40af', background: '#dbeafe' },
+  resolved: { icon: '✅', color: '#166534', background: '#dcfce7' }
+};
+
+/**
+ * Status badge of an incident, also used on the road alert cards.
+ */
+export function IncidentStatusBadge({ status }) {
+  const { icon, color, background } = STATUS_STYLES[status];
+  return (
+    <span style={{
+      padding: '0.1rem 0.4rem',
+      borderRadius: '4px',
+      background,
+      color,
+      fontSize: '0.7rem',
+      fontWeight: 700,
+      whiteSpace: 'nowrap'
+    }}>
+      {icon} {t(`incidents.statuses.${status}`)}
+    </span>
+  );
+}
+
+// One line of an incident's history
+function historyText(entry) {
+  return t(`incidents.actions.${entry.action}`, {
+    operator: entry.operator || '',
+    assignee: entry.assignee || '',
+    band: entry.note
+  });
+}
+
+function IncidentDetails({ incident, operator, formatTime, onAction }) {
+  const [note, setNote] = useState('');
+  const [assignee, setAssignee] = useState(incident.assignee);
+
+  const act = (action) => {
+    onAction(incident, action, { note: note.trim(), assignee: assignee.trim() });
+    setNote('');
+  };
+
+  const buttonStyle = {
+    padding: '0.3rem 0.5rem',
+    border: '2px solid #cbd5e1',
+    borderRadius: '6px',
+    background: 'white',
+    cursor: 'pointer',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    color: '#475569'
+  };
+  const inputStyle = { flex: 1, minWidth: 0, padding: '0.3rem', border: '1px solid #cbd5e1', borderRadius: '4px', fontSize: '0.8rem' };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem', marginTop: '0.4rem' }}>
+      <ol aria-label={t('incidents.history')} style={{ margin: 0, paddingLeft: '1.1rem', fontSize: '0.75rem', color: '#475569' }}>
+        {incident.history.map((entry, index) => (
+          <li key={index}>
+            <span style={{ color: '#94a3b8' }}>{formatTime(entry.at)}</span>{' '}
+            {historyText(entry)}
+            {entry.note && entry.action !== 'escalated' && <div style={{ color: '#1e293b' }}>“{entry.note}”</div>}
+          </li>
+        ))}
+      </ol>
+
+      {operator ? (
+        <>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={t('incidents.note')}
+            aria-label={t('incidents.note')}
+            rows={2}
+            style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+          />
+          {canApplyAction(incident, 'assign') && (
+            <div style={{ display: 'flex', gap: '0.4rem' }}>
+              <input
+                value={assignee}
+                onChange={(e) => setAssignee(e.target.value)}
+                placeholder={t('incidents.assignee')}
+                aria-label={t('incidents.assignee')}
+                style={inputStyle}
+              />
+              <button style={buttonStyle} disabled={!assignee.trim()} onClick={() => act('assign')}>
+                👷 {t('incidents.assign')}
+              </button>
+            </div>
+          )}
+          <div style={{ display: 'flex', gap: '0.4rem', flexWrap: 'wrap' }}>
+            {canApplyAction(incident, 'acknowledge') && (
+              <button style={buttonStyle} onClick={() => act('acknowledge')}>👁️ {t('incidents.acknowledge')}</button>
+            )}
+            {canApplyAction(incident, 'resolve') && (
+              <button style={buttonStyle} onClick={() => act('resolve')}>✅ {t('incidents.resolve')}</button>
+            )}
+            <button style={buttonStyle} disabled={!note.trim()} onClick={() => act('note')}>📝 {t('incidents.addNote')}</button>
+          </div>
+        </>
+      ) : (
+        <div style={{ fontSize: '0.75rem', color: '#b45309' }}>{t('incidents.operatorNeeded')}</div>
+      )}
+    </div>
+  );
+}
+
+function IncidentPanel({
+  incidents,
+  area,               // { id, name } of the open district or state, or null
+  operator,
+  storeName,          // 'local' | 'rest'
+  saveError,          // message of the last failed save, or null
+  formatTime,
+  formatMode,         // (mode) => icon and name of a hazard mode
+  onOperatorChange,   // (name) => void
+  onAction,           // (incident, action, { note, assignee }) => void
+  onSelect,           // (incident) => void, shows its road on the map
+  onExport
+}) {
+  useLanguage();
+  const [filters, setFilters] = useState({ status: 'open', scope: 'area', mode: 'all', query: '' });
+  const [expandedId, setExpandedId] = useState(null);
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const modes = [...new Set(incidents.map(incident => incident.mode))];
+  const openCount = incidents.filter(incident => incident.status !== 'resolved').length;
+  const shown = filterIncidents(incidents, {
+    status: filters.status,
+    mode: filters.mode,
+    area: filters.scope === 'area' && area ? area.id : 'all',
+    query: filters.query
+  });
+
+  const selectStyle = { flex: 1, minWidth: 0, padding: '0.3rem', border: '1px solid #cbd5e1', borderRadius: '4px', fontSize: '0.8rem', background: 'white' };
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+      padding: '1rem',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.6rem'
+    }}>
+      <div style={{ fontWeight: 700, fontSize: '1rem', color: '#1e293b', display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+        <span>🗂️ {t('incidents.title')}</span>
+        <span style={{ fontSize: '0.8rem', color: openCount > 0 ? '#991b1b' : '#64748b' }}>{t('incidents.openCount', { count: openCount })}</span>
+      </div>
+
+      <label style={{ display: 'flex', flexDirection: 'column', gap: '0.2rem', fontSize: '0.8rem', fontWeight: 600, color: '#475569' }}>
+        {t('incidents.operator')}
+        <input
+          value={operator}
+          onChange={(e) => onOperatorChange(e.target.value)}
+          placeholder={t('incidents.operatorPlaceholder')}
+          style={{ padding: '0.35rem', border: '1px solid #cbd5e1', borderRadius: '4px', fontSize: '0.8rem', fontWeight: 400 }}
+        />
+      </label>
+
+      <div style={{ display: 'flex', gap: '0.4rem' }}>
+        <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} aria-label={t('incidents.status')} style={selectStyle}>
+          <option value="open">{t('incidents.statusOpen')}</option>
+          <option value="all">{t('incidents.statusAll')}</option>
+          {INCIDENT_STATUSES.map(status => (
+            <option key={status} value={status}>{t(`incidents.statuses.${status}`)}</option>
+          ))}
+        </select>
+        <select value={filters.scope} onChange={(e) => setFilter('scope', e.target.value)} aria-label={t('incidents.scope')} style={selectStyle}>
+          <option value="area">{area ? area.name : t('incidents.scopeCurrent')}</option>
+          <option value="all">{t('incidents.scopeAll')}</option>
+        </select>
+      </div>
+      <div style={{ display: 'flex', gap: '0.4rem' }}>
+        <select value={filters.mode} onChange={(e) => setFilter('mode', e.target.value)} aria-label={t('incidents.mode')} style={selectStyle}>
+          <option value="all">{t('incidents.modeAll')}</option>
+          {modes.map(mode => (
+            <option key={mode} value={mode}>{formatMode(mode)}</option>
+          ))}
+        </select>
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => setFilter('query', e.target.value)}
+          placeholder={t('incidents.search')}
+          aria-label={t('incidents.search')}
+          style={selectStyle}
+        />
+      </div>
+
+      {shown.length === 0 ? (
+        <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>{t('incidents.empty')}</div>
+      ) : (
+        <ul aria-label={t('incidents.title')} style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+          {shown.map(incident => {
+            const expanded = expandedId === incident.id;
+            return (
+              <li key={incident.id} style={{ padding: '0.5rem', background: '#f8fafc', borderRadius: '6px', borderLeft: `4px solid ${incident.band.color}` }}>
+                <button
+                  onClick={() => {
+                    setExpandedId(expanded ? null : incident.id);
+                    if (!expanded) onSelect(incident);
+                  }}
+                  aria-expanded={expanded}
+                  style={{ width: '100%', padding: 0, border: 'none', background: 'none', textAlign: 'left', cursor: 'pointer', font: 'inherit' }}
+                >
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.4rem', alignItems: 'flex-start' }}>
+                    <span style={{ fontWeight: 700, fontSize: '0.85rem', color: '#1e293b' }}>
+                      {incident.hazards.map(hazard => getHazard(hazard).icon).join(' ')} {incident.road}
+                    </span>
+                    <IncidentStatusBadge status={incident.status} />
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.2rem' }}>
+                    {incident.areaName} · <span style={{ color: incident.band.color, fontWeight: 600 }}>{incident.band.label}</span> · {t('incidents.opened', { time: formatTime(incident.openedAt) })}
+                  </div>
+                  {incident.assignee && (
+                    <div style={{ fontSize: '0.75rem', color: '#1e40af' }}>{t('incidents.assignedTo', { name: incident.assignee })}</div>
+                  )}
+                  {incident.clearedAt && (
+                    <div style={{ fontSize: '0.75rem', color: '#166534' }}>{t('incidents.cleared', { time: formatTime(incident.clearedAt) })}</div>
+                  )}
+                </button>
+                {expanded && (
+                  <IncidentDetails
+                    incident={incident}
+                    operator={operator.trim()}
+                    formatTime={formatTime}
+                    onAction={onAction}
+                  />
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.4rem', fontSize: '0.75rem', color: '#64748b' }}>
+        <span>{t(`incidents.storage.${storeName}`)}</span>
+        <button
+          onClick={onExport}
+          disabled={incidents.length === 0}
+          style={{ padding: '0.25rem 0.5rem', border: '2px solid #cbd5e1', borderRadius: '6px', background: 'white', cursor: 'pointer', fontSize: '0.75rem', fontWeight: 600, color: '#475569' }}
+        >
+          ⬇️ {t('incidents.export')}
+        </button>
+      </div>
+      {saveError && (
+        <div role="alert" style={{ fontSize: '0.75rem', color: '#b91c1c' }}>{t('incidents.saveFailed', { message: saveError })}</div>
+      )}
+    </div>
+  );
+}
+
+export default IncidentPanel;
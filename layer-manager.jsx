@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { SUPPORTED_LAYER_EXTENSIONS } from './gis-layers';
+import { t, tParts, useLanguage } from './i18n';
+import { VISUALLY_HIDDEN, buttonProps } from './accessibility';
+
+// ========================================
+// LAYER MANAGER COMPONENT
+// ========================================
+// Panel beside the map for user GIS layers: drop or pick files, toggle
+// and remove layers, and see which points sit inside high-risk cells.
+
+function LayerManager({
+  layers,
+  flags,            // from findFlaggedPoints
+  onFiles,          // (File[]) => void
+  onToggle,         // (layerId) => void
+  onRemove,         // (layerId) => void
+  onFlagClick       // (flag) => void
+}) {
+  useLanguage();
+  const [dragOver, setDragOver] = useState(false);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    const files = Array.from(e.dataTransfer.files || []);
+    if (files.length > 0) onFiles(files);
+  };
+
+  const handleFileInput = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length > 0) onFiles(files);
+  };
+
+  return (
+    <div style={{
+      width: '260px',
+      background: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+      padding: '1rem',
+      overflowY: 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.75rem'
+    }}>
+      <div style={{ fontWeight: 700, fontSize: '1rem', color: '#1e293b' }}>
+        🗂️ {t('layers.title')}
+      </div>
+
+      <label
+        onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+        style={{
+          display: 'block',
+          position: 'relative',
+          padding: '1rem 0.75rem',
+          border: `2px dashed ${dragOver ? '#3b82f6' : '#cbd5e1'}`,
+          borderRadius: '8px',
+          background: dragOver ? '#eff6ff' : '#f8fafc',
+          textAlign: 'center',
+          fontSize: '0.8rem',
+          color: '#64748b',
+          cursor: 'pointer'
+        }}
+      >
+        {tParts('layers.drop', { browse: <strong key="browse" style={{ color: '#1e40af' }}>{t('layers.browse')}</strong> })}
+        <input
+          type="file"
+          multiple
+          accept={SUPPORTED_LAYER_EXTENSIONS.join(',')}
+          onChange={handleFileInput}
+          style={VISUALLY_HIDDEN}
+        />
+      </label>
+
+      {layers.length === 0 ? (
+        <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>
+          {t('layers.empty')}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+          {layers.map(layer => (
+            <div key={layer.id} style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              fontSize: '0.85rem',
+              opacity: layer.visible ? 1 : 0.55
+            }}>
+              <input
+                type="checkbox"
+                checked={layer.visible}
+                onChange={() => onToggle(layer.id)}
+                title={layer.visible ? t('layers.hide') : t('layers.show')}
+                aria-label={layer.name}
+              />
+              <span style={{
+                width: '12px',
+                height: '12px',
+                borderRadius: '50%',
+                background: layer.color,
+                flexShrink: 0
+              }}></span>
+              <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={layer.fileName}>
+                {layer.name}
+              </span>
+              <span style={{ color: '#94a3b8', fontSize: '0.75rem' }}>{t('common.count', { count: layer.features.length })}</span>
+              <button
+                onClick={() => onRemove(layer.id)}
+                title={t('layers.remove')}
+                aria-label={t('a11y.removeNamed', { name: layer.name })}
+                style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#94a3b8', padding: 0 }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {flags.length > 0 && (
+        <div>
+          <div style={{ fontWeight: 700, fontSize: '0.85rem', color: '#991b1b', marginBottom: '0.4rem' }}>
+            ⚠️ {t('layers.flagged', { count: flags.length })}
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+            {flags.map(flag => (
+              <div
+                key={`${flag.feature.id}-${flag.hazard}`}
+                {...buttonProps(() => onFlagClick(flag))}
+                style={{
+                  padding: '0.4rem 0.5rem',
+                  background: '#fee2e2',
+                  borderLeft: `3px solid ${flag.layer.color}`,
+                  borderRadius: '4px',
+                  fontSize: '0.8rem',
+                  color: '#7f1d1d',
+                  cursor: 'pointer'
+                }}
+              >
+                {flag.message}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LayerManager;
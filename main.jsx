@@ -1,9 +1,12 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import DisasterWarningSystem from './disaster-warning-system';
+import { registerServiceWorker } from './offline-support';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <DisasterWarningSystem />
   </React.StrictMode>
 );
+
+registerServiceWorker();
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { t, useLanguage } from './i18n';
+import { BASE_LAYERS, OVERLAY_LAYERS, getAvailableOverlays } from './map-layers';
+
+// ========================================
+// MAP LAYER SWITCHER COMPONENT
+// ========================================
+// Collapsible panel in the map's top-right corner: the base map, the
+// overlays and their opacity. Changes apply to the current hazard mode
+// and are remembered for it.
+
+function MapLayerSwitcher({
+  choice,           // { base, overlays, opacity } from getLayerChoice
+  modeLabel,        // name of the mode the choice is remembered for
+  onChange          // (choice) => void
+}) {
+  useLanguage();
+  const [open, setOpen] = useState(false);
+  const overlays = getAvailableOverlays();
+  const unconfigured = OVERLAY_LAYERS.filter(layer => !layer.url);
+
+  const toggleOverlay = (id, on) => {
+    onChange({
+      ...choice,
+      overlays: on ? [...choice.overlays, id] : choice.overlays.filter(existing => existing !== id)
+    });
+  };
+
+  const setOpacity = (id, percent) => {
+    onChange({ ...choice, opacity: { ...choice.opacity, [id]: percent / 100 } });
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      right: '10px',
+      zIndex: 1000,
+      background: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
+      fontSize: '0.85rem',
+      maxWidth: '240px'
+    }}>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-controls="map-layer-switcher"
+        style={{
+          width: '100%',
+          padding: '0.5rem 0.75rem',
+          border: 'none',
+          borderRadius: '8px',
+          background: 'white',
+          fontWeight: 600,
+          color: '#1e293b',
+          cursor: 'pointer',
+          textAlign: 'left'
+        }}
+      >
+        🗺️ {t('mapLayers.title')} {open ? '▴' : '▾'}
+      </button>
+
+      {open && (
+        <div id="map-layer-switcher" style={{ padding: '0 0.75rem 0.75rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          <fieldset style={{ border: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+            <legend style={{ fontWeight: 600, color: '#475569', marginBottom: '0.25rem' }}>{t('mapLayers.base')}</legend>
+            {BASE_LAYERS.map(layer => (
+              <label key={layer.id} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', cursor: 'pointer' }}>
+                <input
+                  type="radio"
+                  name="map-base-layer"
+                  checked={choice.base === layer.id}
+                  onChange={() => onChange({ ...choice, base: layer.id })}
+                />
+                {t(`mapLayers.layers.${layer.id}`)}
+              </label>
+            ))}
+          </fieldset>
+
+          {(overlays.length > 0 || unconfigured.length > 0) && (
+            <fieldset style={{ border: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+              <legend style={{ fontWeight: 600, color: '#475569', marginBottom: '0.25rem' }}>{t('mapLayers.overlays')}</legend>
+              {overlays.map(layer => {
+                const name = t(`mapLayers.layers.${layer.id}`);
+                const on = choice.overlays.includes(layer.id);
+                return (
+                  <div key={layer.id}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', cursor: 'pointer' }}>
+                      <input
+                        type="checkbox"
+                        checked={on}
+                        onChange={(e) => toggleOverlay(layer.id, e.target.checked)}
+                      />
+                      {name}
+                    </label>
+                    {on && (
+                      <input
+                        type="range"
+                        min="10"
+                        max="100"
+                        step="5"
+                        value={Math.round(choice.opacity[layer.id] * 100)}
+                        onChange={(e) => setOpacity(layer.id, Number(e.target.value))}
+                        aria-label={t('mapLayers.opacity', { name })}
+                        aria-valuetext={t('common.percent', { value: Math.round(choice.opacity[layer.id] * 100) })}
+                        style={{ width: '100%' }}
+                      />
+                    )}
+                  </div>
+                );
+              })}
+              {unconfigured.length > 0 && (
+                <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                  {t('mapLayers.notConfigured', {
+                    names: unconfigured.map(layer => t(`mapLayers.layers.${layer.id}`)).join(', ')
+                  })}
+                </div>
+              )}
+            </fieldset>
+          )}
+
+          <div style={{ fontSize: '0.75rem', color: '#64748b' }}>
+            {t('mapLayers.savedFor', { mode: modeLabel })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MapLayerSwitcher;
@@ -0,0 +1,154 @@
+// ========================================
+// MAP LAYERS
+// ========================================
+// Base maps (street, topographic, satellite) and raster overlays (hill
+// shading, rivers, rainfall) under the risk cells, and the user's choice
+// of them per hazard mode.
+//
+// Every tile URL can be replaced at build time, so self-hosted or local
+// tile servers work:
+//
+//   VITE_TILES_<ID>_URL           XYZ template, e.g. http://localhost:8080/{z}/{x}/{y}.png
+//   VITE_TILES_<ID>_ATTRIBUTION   credit shown on the map (HTML)
+//
+// <ID> is the layer id in capitals (OSM, TOPO, SATELLITE, HILLSHADE,
+// RIVERS, RAINFALL). Overlays without a URL are not offered: rivers need
+// VITE_TILES_RIVERS_URL, and rainfall needs VITE_TILES_RAINFALL_URL or an
+// OpenWeatherMap key in VITE_OPENWEATHERMAP_API_KEY.
+
+const env = import.meta.env;
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const ESRI_ATTRIBUTION = 'Tiles &copy; Esri';
+
+function configure(id, defaults) {
+  const key = id.toUpperCase();
+  const ownUrl = env[`VITE_TILES_${key}_URL`];
+  return {
+    id,
+    subdomains: 'abc',
+    ...defaults,
+    url: ownUrl || defaults.url,
+    attribution: env[`VITE_TILES_${key}_ATTRIBUTION`] || defaults.attribution,
+    offline: Boolean(defaults.offline && ownUrl)
+  };
+}
+
+// `offline`: tiles are cached by the service worker and pre-fetched for
+// the selected district. Base maps only (overlays change too often), and
+// only from a self-hosted server set with VITE_TILES_<ID>_URL: the OSM
+// tile usage policy forbids bulk pre-fetching and the Esri terms do not
+// allow offline caching.
+export const BASE_LAYERS = [
+  configure('osm', {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: OSM_ATTRIBUTION,
+    maxNativeZoom: 19,
+    offline: true
+  }),
+  configure('topo', {
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: `Map data: ${OSM_ATTRIBUTION}, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (<a href="https://creativecommons.org/licenses/by-sa/3.0/">CC-BY-SA</a>)`,
+    maxNativeZoom: 17,
+    offline: true
+  }),
+  configure('satellite', {
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: `${ESRI_ATTRIBUTION} &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community`,
+    maxNativeZoom: 18,
+    offline: true
+  })
+];
+
+export const OVERLAY_LAYERS = [
+  configure('hillshade', {
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Elevation/World_Hillshade/MapServer/tile/{z}/{y}/{x}',
+    attribution: `${ESRI_ATTRIBUTION} &mdash; Source: Esri`,
+    maxNativeZoom: 16,
+    opacity: 0.4
+  }),
+  configure('rivers', {
+    url: '',
+    attribution: '',
+    opacity: 0.8
+  }),
+  configure('rainfall', {
+    url: env.VITE_OPENWEATHERMAP_API_KEY
+      ? `https://tile.openweathermap.org/map/precipitation_new/{z}/{x}/{y}.png?appid=${env.VITE_OPENWEATHERMAP_API_KEY}`
+      : '',
+    attribution: 'Rainfall &copy; <a href="https://openweathermap.org">OpenWeatherMap</a>',
+    opacity: 0.6
+  })
+];
+
+// Every layer goes up to this zoom; tiles beyond a layer's maxNativeZoom
+// are scaled up
+export const MAX_MAP_ZOOM = 19;
+
+/**
+ * Base map by id, or the first one for unknown ids.
+ */
+export function getBaseLayer(id) {
+  return BASE_LAYERS.find(layer => layer.id === id) || BASE_LAYERS[0];
+}
+
+/**
+ * Overlays that have a tile URL.
+ */
+export function getAvailableOverlays() {
+  return OVERLAY_LAYERS.filter(layer => layer.url);
+}
+
+// ========================================
+// CHOICE PER HAZARD MODE
+// ========================================
+
+const STORAGE_KEY = 'disaster-warning-system:map-layers';
+
+// Layers of modes without hazard defaults (combined)
+export const DEFAULT_LAYER_CHOICE = { base: 'osm', overlays: [] };
+
+/**
+ * Stored choices: { [mode]: { base, overlays: [id], opacity: { [id]: 0-1 } } }.
+ */
+export function loadLayerChoices() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (err) {
+    console.warn('Ignoring unreadable map layer choices:', err);
+    return {};
+  }
+}
+
+export function storeLayerChoices(choices) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(choices));
+  } catch (err) {
+    console.warn('Could not store map layer choices:', err);
+  }
+}
+
+/**
+ * The layers for a mode: the stored choice, otherwise the mode's default
+ * ({ base, overlays } from the hazard registry). Unknown or unavailable
+ * layers are dropped, and every available overlay gets an opacity.
+ */
+export function getLayerChoice(choices, mode, defaults = DEFAULT_LAYER_CHOICE) {
+  const stored = choices[mode];
+  const choice = stored && typeof stored.base === 'string' ? stored : defaults;
+  const available = getAvailableOverlays();
+  const opacity = {};
+  available.forEach(layer => {
+    const value = stored && stored.opacity ? stored.opacity[layer.id] : undefined;
+    opacity[layer.id] = typeof value === 'number' && value >= 0 && value <= 1 ? value : layer.opacity;
+  });
+
+  return {
+    base: getBaseLayer(choice.base).id,
+    overlays: available
+      .map(layer => layer.id)
+      .filter(id => Array.isArray(choice.overlays) && choice.overlays.includes(id)),
+    opacity
+  };
+}
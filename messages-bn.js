@@ -0,0 +1,481 @@
+// ========================================
+// BENGALI MESSAGES (বাংলা)
+// ========================================
+// Same keys as messages-en.js; missing keys fall back to English.
+
+export default {
+  app: {
+    fullName: 'এআই-চালিত ভারতের জন্য দুর্যোগ তথ্য ও নিরাপত্তা কেন্দ্র'
+  },
+  common: {
+    count: '{count}',
+    percent: '{value}%'
+  },
+  header: {
+    lastUpdated: 'সর্বশেষ আপডেট',
+    newestPrediction: 'সর্বশেষ পূর্বাভাস: {time}',
+    dataAge: 'ডেটার বয়স: {age}',
+    language: 'ভাষা'
+  },
+  age: {
+    justNow: 'এইমাত্র',
+    minutes: '{minutes} মিনিট',
+    hours: '{hours} ঘণ্টা {minutes} মিনিট'
+  },
+  nav: {
+    country: 'দেশ:',
+    selectCountry: 'দেশ বাছুন',
+    state: 'রাজ্য:',
+    selectState: 'রাজ্য বাছুন',
+    district: 'জেলা:',
+    selectDistrict: 'জেলা বাছুন',
+    roads: 'রাস্তা:',
+    roadCount: '{name} ({count}টি রাস্তা)',
+    stateRoadNetwork: '{state} সড়ক নেটওয়ার্ক',
+    shelters: 'আশ্রয়:',
+    shelterCount: '{name} ({count})',
+    stateShelters: '{state} আশ্রয়কেন্দ্র',
+    notLoaded: 'লোড হয়নি',
+    loadGeoJson: 'GeoJSON লোড করুন',
+    autoRefresh: 'স্বয়ংক্রিয় রিফ্রেশ:',
+    refreshOff: 'বন্ধ',
+    refreshMinutes: '{count} মিনিট',
+    refreshNow: 'এখনই রিফ্রেশ করুন',
+    refreshFailed: 'রিফ্রেশ ব্যর্থ: {message}',
+    liveStream: 'লাইভ স্ট্রিম',
+    polling: 'পোলিং',
+    paused: 'বিরতি',
+    mapSavedOffline: 'মানচিত্র অফলাইনে সংরক্ষিত',
+    mapSavedOfflineHint: 'এই জেলার মানচিত্র টাইল অফলাইন ব্যবহারের জন্য সংরক্ষিত আছে',
+    loading: 'পূর্বাভাসের ডেটা লোড হচ্ছে...'
+  },
+  modes: {
+    combined: 'সম্মিলিত',
+    combinedView: 'সম্মিলিত দৃশ্য',
+    prediction: '{label} পূর্বাভাস'
+  },
+  stats: {
+    analyzed: 'বিশ্লেষিত: {count}টি সেল',
+    band: '{label}: {count}'
+  },
+  export: {
+    menu: 'রপ্তানি…',
+    geojson: 'GeoJSON (সেল + রাস্তার সতর্কতা)',
+    kml: 'KML (Google Earth)',
+    cellsCsv: 'CSV – ঝুঁকির সেল',
+    alertsCsv: 'CSV – রাস্তার সতর্কতা',
+    report: 'পরিস্থিতি প্রতিবেদন (প্রিন্ট / PDF)'
+  },
+  offline: {
+    serverUnreachable: 'পূর্বাভাস সার্ভারে পৌঁছানো যাচ্ছে না',
+    offline: 'অফলাইন',
+    showingData: '{time}-এর ডেটা দেখানো হচ্ছে',
+    openedBefore: 'এই ডিভাইসে আগে খোলা জেলাগুলি এখনও দেখা যাবে'
+  },
+  errors: {
+    regions: 'অঞ্চলের তালিকা লোড করা যায়নি: {message}',
+    roadNetwork: 'সড়ক নেটওয়ার্ক লোড করা যায়নি: {message}',
+    roadNetworkFile: '{file} থেকে সড়ক নেটওয়ার্ক লোড করা যায়নি: {message}',
+    shelters: 'আশ্রয়কেন্দ্র লোড করা যায়নি: {message}',
+    sheltersFile: '{file} থেকে আশ্রয়কেন্দ্র লোড করা যায়নি: {message}',
+    exposure: 'জনসংখ্যা বা পরিষেবা লোড করা যায়নি: {message}',
+    incidents: 'ঘটনা লগ লোড করা যায়নি: {message}',
+    layers: 'স্তর লোড করা যায়নি {failures}',
+    predictions: 'পূর্বাভাসের ডেটা আনা যায়নি: {message}',
+    reportBlocked: 'পরিস্থিতি প্রতিবেদনের উইন্ডো আটকে গেছে। এই সাইটের জন্য পপ-আপ চালু করে আবার চেষ্টা করুন।'
+  },
+  roadAlerts: {
+    title: 'সড়ক নিরাপত্তা সতর্কতা',
+    details: 'ঝুঁকির মাত্রা: {severity}% | প্রভাবিত সেল: {cells} | অংশ: {segments}',
+    noneCrossing: 'কোনো রাস্তা মাঝারি বা উচ্চ ঝুঁকির সেল অতিক্রম করে না।',
+    noNetwork: 'রাস্তাগুলি ঝুঁকির সেলের সঙ্গে মেলাতে একটি সড়ক নেটওয়ার্ক লোড করুন।',
+    multiHazard: 'রাস্তার অংশটি {hazards}-এর ঝুঁকিতে রয়েছে',
+    maxRisk: 'রাস্তা বরাবর সর্বোচ্চ ঝুঁকি: {severity}%'
+  },
+  routes: {
+    title: 'নিরাপদ পথ পরিকল্পনা',
+    origin: 'শুরু',
+    destination: 'গন্তব্য',
+    pickOrigin: 'শুরুর স্থান ঠিক করতে মানচিত্রে ক্লিক করুন।',
+    pickDestination: 'গন্তব্য ঠিক করতে মানচিত্রে ক্লিক করুন।',
+    compareShortest: 'সবচেয়ে ছোট পথের সঙ্গে তুলনা করুন',
+    safest: 'সবচেয়ে নিরাপদ: {km} কিমি | অতিক্রান্ত সর্বোচ্চ ঝুঁকি: {risk}%',
+    shortest: 'সবচেয়ে ছোট: {km} কিমি | অতিক্রান্ত সর্বোচ্চ ঝুঁকি: {risk}%',
+    noSafeRoute: 'কোনো পথই {band} বা তার বেশি স্তরের সেল এড়াতে পারে না।',
+    clear: 'পথ মুছুন'
+  },
+  shelters: {
+    title: 'নিকটতম আশ্রয়কেন্দ্র ও নিরাপদ এলাকা',
+    pickPoint: 'একটি স্থান বাছুন',
+    myLocation: 'আমার অবস্থান',
+    picking: 'আপনি যেখান থেকে রওনা হবেন মানচিত্রে সেখানে ক্লিক করুন।',
+    intro: 'সতর্কতা-স্তরের সেল এড়িয়ে যাওয়া পথসহ নিকটতম আশ্রয়কেন্দ্র ও কম ঝুঁকির এলাকা দেখতে একটি শুরুর স্থান বাছুন।',
+    introSafeZones: 'সতর্কতা-স্তরের সেল এড়িয়ে যাওয়া পথসহ নিকটতম কম ঝুঁকির এলাকা দেখতে একটি শুরুর স্থান বাছুন।',
+    noResults: 'সতর্কতা-স্তরের সেলের বাইরে কোনো আশ্রয়কেন্দ্র বা নিরাপদ এলাকা পাওয়া যায়নি।',
+    safeZone: 'নিরাপদ এলাকা {number}',
+    safeZoneCells: 'পরপর {count}টি কম ঝুঁকির সেল',
+    unnamed: 'আশ্রয়কেন্দ্র {number}',
+    capacity: 'ধারণক্ষমতা {count}',
+    byRoad: 'সড়কপথে {km} কিমি | অতিক্রান্ত সর্বোচ্চ ঝুঁকি: {risk}%',
+    straightLine: 'সরলরেখায় {km} কিমি',
+    straightLineNoRoad: 'সরলরেখায় {km} কিমি | কোনো রাস্তা সতর্কতা-স্তরের সেল এড়াতে পারে না',
+    atRisk: '{count}টি আশ্রয়কেন্দ্র বাদ: সতর্কতা-স্তরের সেলের ভিতরে ({names})',
+    insideWarningCell: 'সতর্কতা-স্তরের সেলের ভিতরে',
+    clear: 'মুছুন',
+    types: {
+      'relief camp': 'ত্রাণ শিবির',
+      'community hall': 'কমিউনিটি হল',
+      school: 'বিদ্যালয়',
+      hospital: 'হাসপাতাল',
+      'government building': 'সরকারি ভবন',
+      'open ground': 'খোলা মাঠ'
+    }
+  },
+  map: {
+    noData: 'কোনো ডেটা লোড হয়নি',
+    highestRisk: 'সর্বোচ্চ {hazard} ঝুঁকি: {risk}%',
+    highestAnyRisk: 'সর্বোচ্চ দুর্যোগ ঝুঁকি: {risk}%',
+    youAreHere: 'আপনি এখানে',
+    approximateBoundary: 'আনুমানিক সীমানা'
+  },
+  popup: {
+    risk: 'ঝুঁকি:',
+    changedFrom: '{risk}% থেকে',
+    type: 'ধরন:',
+    updated: 'আপডেট:',
+    highRisk: 'উচ্চ ঝুঁকি',
+    moderateRisk: 'মাঝারি ঝুঁকি',
+    aggregated: '{count}টি সেলের মধ্যে সর্বোচ্চ।',
+    zoomIn: 'জুম ইন করুন'
+  },
+  legend: {
+    title: '{label} ঝুঁকির নির্দেশিকা',
+    mixedScales: 'দুর্যোগগুলির মাপকাঠি আলাদা; সবচেয়ে গুরুতর স্তর দেখানো হয়েছে',
+    below: '<{min}%',
+    from: '≥{min}%',
+    range: '{min}-{max}%',
+    bivariate: 'সীমানা: সর্বোচ্চ দুর্যোগ। ভরাট:',
+    changedLabel: 'পরিবর্তিত',
+    approximateBoundaries: 'জেলার সীমানা আনুমানিক',
+    changed: 'গত আপডেটের পর {changed} ({count}): ▲ গাঢ় লাল, ▼ নীল',
+    display: 'ঝুঁকি প্রদর্শন',
+    displayCells: 'গ্রিড সেল',
+    displayHeatmap: 'মসৃণ হিটম্যাপ',
+    contours: 'ব্যান্ড সীমায় কনট্যুর রেখা',
+    contourLine: '{min}% কনট্যুর রেখা'
+  },
+  welcome: {
+    title: 'Geo-Risk AI-তে স্বাগতম',
+    hint: 'দুর্যোগের পূর্বাভাস দেখতে {path} বেছে নিন',
+    path: 'দেশ → রাজ্য → জেলা'
+  },
+  location: {
+    outside: 'এই স্থানটি ব্যবস্থার আওতাভুক্ত জেলাগুলির বাইরে।',
+    unavailable: 'এই ব্রাউজারে অবস্থান পাওয়া যায় না। পিন বসাতে মানচিত্রে ক্লিক করুন।',
+    denied: 'অবস্থানের অনুমতি দেওয়া হয়নি। পিন বসাতে মানচিত্রে ক্লিক করুন।',
+    failed: 'আপনার অবস্থান পাওয়া যায়নি। পিন বসাতে মানচিত্রে ক্লিক করুন।',
+    dropPin: 'পিন বসাতে মানচিত্রে ক্লিক করুন।'
+  },
+  notifications: {
+    riskRising: '{icon} {place}: {hazard} ঝুঁকি বাড়ছে',
+    riskRisingBody: 'এখন {band} ({risk}%)। পরামর্শের জন্য অ্যাপটি খুলুন।'
+  },
+  myPlaces: {
+    title: 'আমার ঝুঁকি',
+    check: 'আমার অবস্থান যাচাই করুন',
+    locating: 'অবস্থান খোঁজা হচ্ছে…',
+    dropPin: 'এর বদলে মানচিত্রে পিন বসান',
+    noPrediction: 'এই স্থানের জন্য কোনো পূর্বাভাস নেই',
+    loading: 'পূর্বাভাস লোড হচ্ছে…',
+    risk: '{risk}% · {band}',
+    namePlaceholder: 'বাড়ি, কাজ, গ্রাম…',
+    save: 'সংরক্ষণ',
+    saveTitle: 'এই স্থানটি সংরক্ষণ করুন',
+    limit: 'সর্বাধিক {count}টি স্থান',
+    defaultName: 'স্থান {number}',
+    saved: 'সংরক্ষিত স্থান ({count}/{max})',
+    remove: 'স্থান মুছুন',
+    notChecked: 'এখনও যাচাই হয়নি',
+    notifying: 'কোনো স্থানের ঝুঁকি বাড়লে আপনাকে জানানো হবে',
+    notificationsUnsupported: 'এই ব্রাউজারে বিজ্ঞপ্তি সমর্থিত নয়',
+    notificationsBlocked: 'বিজ্ঞপ্তি বন্ধ করা আছে',
+    enableNotifications: 'ঝুঁকি বাড়লে আমাকে জানান'
+  },
+  layers: {
+    title: 'মানচিত্রের স্তর',
+    unnamed: 'ফিচার {number}',
+    drop: 'GeoJSON, KML বা GPX ফাইল এখানে ছাড়ুন, অথবা {browse}',
+    browse: 'ব্রাউজ করুন',
+    empty: 'আশ্রয়কেন্দ্র, ত্রাণ শিবির, হাসপাতাল, সেতু বা পুরোনো ধসের চিহ্ন ঝুঁকির সেলের উপরে দেখা যায়।',
+    hide: 'স্তর লুকান',
+    show: 'স্তর দেখান',
+    remove: 'স্তর মুছুন',
+    flagged: 'উচ্চ ঝুঁকির সেলে ({count})',
+    flag: '{name} {risk}% {hazard} ঝুঁকির সেলে রয়েছে'
+  },
+  timeline: {
+    now: 'এখন',
+    hours: '{hours} ঘ',
+    previous: 'আগের ধাপ',
+    next: 'পরের ধাপ',
+    play: 'চালান',
+    pause: 'থামান',
+    stepHighRisk: '{offset}: {count}টি উচ্চ ঝুঁকির সেল',
+    stepNotLoaded: '{offset}: লোড হয়নি',
+    historyEnd: '{offset} (ইতিহাস)',
+    forecastEnd: '{offset} (পূর্বাভাস)',
+    live: 'লাইভ',
+    forecastAt: 'পূর্বাভাস {offset}',
+    historyAt: 'ইতিহাস {offset}',
+    loading: 'স্ন্যাপশট লোড হচ্ছে...',
+    unavailable: 'স্ন্যাপশট পাওয়া যায়নি'
+  },
+  cellTable: {
+    caption: 'ঝুঁকির সেল: {mode}, {district}',
+    show: 'সারণি দৃশ্য',
+    backToMap: 'মানচিত্রে ফিরুন',
+    location: 'অবস্থান',
+    hazard: 'দুর্যোগ',
+    risk: 'ঝুঁকি',
+    band: 'স্তর',
+    change: 'পরিবর্তন',
+    actions: 'পদক্ষেপ',
+    coordinates: '{lat}° উ, {lon}° পূ',
+    hazardRisk: '{hazard} {risk}%',
+    rose: '{risk}% থেকে বেড়েছে',
+    fell: '{risk}% থেকে কমেছে',
+    risen: 'বেড়েছে',
+    fallen: 'কমেছে',
+    empty: 'কোনো সেল লোড হয়নি।',
+    showOnMap: 'মানচিত্রে দেখান'
+  },
+  a11y: {
+    map: 'ঝুঁকির মানচিত্র। একই সেলগুলি সারণি দৃশ্যে তালিকাভুক্ত আছে।',
+    modes: 'দুর্যোগ মোড',
+    palette: 'রঙের প্যালেট',
+    patterns: 'সতর্কতা ও উচ্চ ঝুঁকির সেলে দাগ',
+    timeline: 'টাইমলাইনের ধাপ',
+    removeNamed: '{name} সরান',
+    dataUpdated: '{district}, {mode}: ঝুঁকির ডেটা আপডেট হয়েছে। উচ্চ ঝুঁকির সেল: {count}টি।',
+    highRiskRising: 'সতর্কতা: {district} ({mode})-এ উচ্চ ঝুঁকির সেল {previous}টি থেকে বেড়ে {count}টি হয়েছে।'
+  },
+  dashboard: {
+    title: 'রাজ্যের সংক্ষিপ্ত চিত্র: {state}',
+    caption: '{state}-এর জেলাগুলি, উচ্চ ঝুঁকির সেলের ক্রমে',
+    loaded: '{total}টির মধ্যে {loaded}টি জেলা লোড হয়েছে',
+    loadingCount: '{count}টি লোড হচ্ছে',
+    failedCount: '{count}টি জেলা ব্যর্থ',
+    retry: 'আবার চেষ্টা করুন',
+    district: 'জেলা',
+    highRisk: 'উচ্চ ঝুঁকি',
+    warning: 'সতর্কতা',
+    maxRisk: 'সর্বোচ্চ ঝুঁকি',
+    cells: 'সেল',
+    status: 'অবস্থা',
+    loading: 'লোড হচ্ছে…',
+    failed: 'ব্যর্থ: {message}',
+    refreshFailed: 'রিফ্রেশ ব্যর্থ: {message}',
+    stored: '{time}-এর সংরক্ষিত ডেটা',
+    noCells: 'কোনো সেল নেই'
+  },
+  mock: {
+    label: 'মক API',
+    scenario: 'পরিস্থিতি',
+    live: 'লাইভ API',
+    active: '“{name}” পরিস্থিতির প্রশিক্ষণ ডেটা — আসল পূর্বাভাস নয়',
+    inactive: 'লাইভ পূর্বাভাস API ব্যবহার হচ্ছে',
+    loadFailed: 'মক পরিস্থিতি লোড করা যায়নি: {message}'
+  },
+  mapLayers: {
+    title: 'মানচিত্রের স্তর',
+    base: 'ভিত্তি মানচিত্র',
+    overlays: 'ওভারলে',
+    opacity: '{name}-এর অস্বচ্ছতা',
+    savedFor: '{mode}-এর জন্য মনে রাখা হয়েছে',
+    notConfigured: '{names}: কোনো টাইল সার্ভার সেট করা নেই',
+    layers: {
+      osm: 'রাস্তার মানচিত্র',
+      topo: 'ভূসংস্থানিক',
+      satellite: 'উপগ্রহ',
+      hillshade: 'পাহাড়ের ছায়া',
+      rivers: 'নদী',
+      rainfall: 'বৃষ্টিপাত'
+    }
+  },
+  exposure: {
+    title: 'ঝুঁকির মুখে',
+    band: '{label}: {summary}',
+    popup: 'ঝুঁকির মুখে:',
+    alert: 'ঝুঁকির মুখে: {summary}',
+    people: '~{count} জন মানুষ',
+    facilities: {
+      school: '{count}টি বিদ্যালয়',
+      hospital: '{count}টি হাসপাতাল',
+      police: '{count}টি থানা',
+      bridge: '{count}টি সেতু'
+    },
+    none: 'কোনো মানুষ বা পরিষেবা নথিভুক্ত নেই'
+  },
+  incidents: {
+    title: 'ঘটনা লগ',
+    openCount: '{count}টি খোলা',
+    operator: 'অপারেটর',
+    operatorPlaceholder: 'আপনার নাম',
+    operatorNeeded: 'ঘটনায় পদক্ষেপ নিতে ওপরে আপনার নাম লিখুন।',
+    status: 'অবস্থা',
+    statusOpen: 'খোলা',
+    statusAll: 'সব অবস্থা',
+    statuses: {
+      new: 'নতুন',
+      acknowledged: 'স্বীকৃত',
+      assigned: 'দায়িত্ব দেওয়া',
+      resolved: 'সমাধান হয়েছে'
+    },
+    scope: 'এলাকা',
+    scopeCurrent: 'বর্তমান এলাকা',
+    scopeAll: 'সব এলাকা',
+    mode: 'দুর্যোগ',
+    modeAll: 'সব দুর্যোগ',
+    search: 'রাস্তা, দল, নোট খুঁজুন',
+    empty: 'কোনো ঘটনা মেলেনি।',
+    opened: '{time}-এ খোলা',
+    assignedTo: '{name}-কে দায়িত্ব দেওয়া',
+    cleared: '{time} থেকে রাস্তা আর ক্ষতিগ্রস্ত নয়',
+    history: 'ইতিহাস',
+    note: 'নোট',
+    assignee: 'দল বা ব্যক্তি',
+    acknowledge: 'স্বীকার করুন',
+    assign: 'দায়িত্ব দিন',
+    resolve: 'সমাধান করুন',
+    addNote: 'নোট যোগ করুন',
+    actions: {
+      opened: 'খোলা হয়েছে',
+      escalated: '{band} পর্যন্ত বেড়েছে',
+      cleared: 'রাস্তা আর ক্ষতিগ্রস্ত নয়',
+      acknowledged: '{operator} স্বীকার করেছেন',
+      assigned: '{operator} {assignee}-কে দায়িত্ব দিয়েছেন',
+      resolved: '{operator} সমাধান করেছেন',
+      note: '{operator}-এর নোট'
+    },
+    storage: {
+      local: 'এই ব্রাউজারে সংরক্ষিত',
+      rest: 'ঘটনা সার্ভারে সংরক্ষিত'
+    },
+    saveFailed: 'সংরক্ষণ হয়নি: {message}। একটি কপি রাখতে লগ এক্সপোর্ট করুন।',
+    export: 'CSV রপ্তানি'
+  },
+  report: {
+    title: '{title} – পরিস্থিতি প্রতিবেদন',
+    documentTitle: 'পরিস্থিতি প্রতিবেদন – {district} – {mode}',
+    modeRisk: '{mode} ঝুঁকি',
+    dataAsOf: '{time} পর্যন্ত ডেটা',
+    unknownTime: 'অজানা',
+    noMap: 'মানচিত্রের ডেটা নেই।',
+    breakdown: 'ঝুঁকির বিবরণ ({count}টি সেল)',
+    band: 'স্তর',
+    cells: 'সেল',
+    share: 'অংশ',
+    roadAlerts: 'রাস্তার সতর্কতা ({count})',
+    road: 'রাস্তা',
+    situation: 'পরিস্থিতি',
+    recommendation: 'পরামর্শ',
+    noAlerts: 'কোনো রাস্তা সতর্কতা স্তর বা তার উপরের সেল অতিক্রম করে না।',
+    alertBand: '{band} ({risk}%)',
+    attribution: '© OpenStreetMap অবদানকারীরা',
+    footer: '{time}-এ তৈরি। পূর্বাভাসগুলি মডেলের অনুমান; জেলা প্রশাসনের নির্দেশ মেনে চলুন।'
+  },
+  riskScales: {
+    standard: {
+      name: 'মানক',
+      bands: ['কম ঝুঁকি', 'মাঝারি ঝুঁকি', 'উচ্চ ঝুঁকি']
+    },
+    imd: {
+      name: 'IMD রঙের সংকেত',
+      bands: ['সবুজ – কোনো সতর্কতা নেই', 'হলুদ – খবর রাখুন', 'কমলা – প্রস্তুত থাকুন', 'লাল – ব্যবস্থা নিন']
+    }
+  },
+  riskPalettes: {
+    standard: 'মানক রং',
+    colorblind: 'বর্ণান্ধতা-বান্ধব'
+  },
+  hazards: {
+    generic: {
+      highRiskAdvice: 'বিপজ্জনক পরিস্থিতির আশঙ্কা। সরকারি নির্দেশ মেনে চলুন।',
+      moderateRiskAdvice: 'সতর্ক থাকুন। পরিস্থিতির উপর নজর রাখুন।',
+      advisory: {
+        title: '{label} সুরক্ষা',
+        tips: ['স্থানীয় প্রশাসনের নির্দেশ মেনে চলুন', 'জরুরি সামগ্রীর ব্যাগ প্রস্তুত রাখুন']
+      },
+      roadAlert: {
+        message: 'রাস্তার অংশটি উচ্চ ঝুঁকির সেলের মধ্য দিয়ে গেছে',
+        recommendation: 'যাত্রার আগে পরিস্থিতি দেখে নিন।'
+      }
+    },
+    landslide: {
+      label: 'ভূমিধস',
+      highRiskAdvice: 'রাস্তা বন্ধ হওয়ার সম্ভাবনা। এলাকাটি এড়িয়ে চলুন।',
+      advisory: {
+        tips: ['লাল এলাকায় পাহাড়ি রাস্তা এড়িয়ে চলুন', 'পড়ন্ত পাথর ও মাটির দিকে নজর রাখুন', 'সম্ভব হলে উপত্যকার পথ ব্যবহার করুন']
+      },
+      roadAlert: {
+        message: 'পাহাড়ি রাস্তার অংশটি ধসপ্রবণ সেলের মধ্য দিয়ে গেছে',
+        recommendation: 'পাহাড়ি অংশে যাত্রা এড়িয়ে চলুন। থাকলে উপত্যকার বিকল্প পথ ব্যবহার করুন।'
+      }
+    },
+    flood: {
+      label: 'বন্যা',
+      highRiskAdvice: 'বন্যার আশঙ্কা। উঁচু স্থানে সরে যান।',
+      advisory: {
+        tips: ['এখনই উঁচু স্থানে চলে যান', 'প্লাবিত এলাকা পার হবেন না', 'সবুজ এলাকা তুলনামূলক নিরাপদ উচ্চতা নির্দেশ করে']
+      },
+      roadAlert: {
+        message: 'রাস্তার অংশটি বন্যাপ্রবণ সেলের মধ্য দিয়ে গেছে',
+        recommendation: 'উঁচু স্থানের দিকে যান। প্লাবিত অংশ পার হবেন না।'
+      }
+    },
+    cyclone: {
+      label: 'ঘূর্ণিঝড়',
+      highRiskAdvice: 'বিধ্বংসী ঝড়ো হাওয়ার আশঙ্কা। মজবুত ভবনে আশ্রয় নিন।',
+      advisory: {
+        tips: ['ঘরের ভিতরে, জানালা থেকে দূরে থাকুন', 'বাইরের আলগা জিনিস বেঁধে রাখুন', 'উপকূলীয় এলাকায় সরে যাওয়ার নির্দেশ মেনে চলুন']
+      },
+      roadAlert: {
+        message: 'রাস্তার অংশটি ঘূর্ণিঝড়ের হাওয়া ও গাছ পড়ার ঝুঁকিতে রয়েছে',
+        recommendation: 'ঝড় আছড়ে পড়ার সময় যাত্রা করবেন না। পড়ে থাকা গাছ ও বিদ্যুতের তার থাকতে পারে।'
+      }
+    },
+    earthquake: {
+      label: 'ভূমিকম্প',
+      highRiskAdvice: 'জোরালো কম্পনের আশঙ্কা। দুর্বল কাঠামো থেকে দূরে থাকুন।',
+      advisory: {
+        tips: ['বসে পড়ুন, মাথা ঢাকুন, ধরে থাকুন', 'ক্ষতিগ্রস্ত ভবন থেকে দূরে থাকুন', 'পরবর্তী কম্পনের জন্য প্রস্তুত থাকুন']
+      },
+      roadAlert: {
+        message: 'রাস্তার অংশটি জোরালো কম্পনের এলাকায়; সেতু ও পাহাড় কাটা অংশ ক্ষতিগ্রস্ত হতে পারে',
+        recommendation: 'ব্যবহারের আগে সেতু পরীক্ষা করুন। পাহাড় কাটা অংশে ধস নামতে পারে।'
+      }
+    },
+    heatwave: {
+      label: 'তাপপ্রবাহ',
+      highRiskAdvice: 'প্রচণ্ড গরম। দিনের বেলা রোদ এড়িয়ে চলুন।',
+      advisory: {
+        tips: ['দুপুর ১২টা থেকে ৪টা পর্যন্ত বাইরে কাজ করবেন না', 'বারবার জল পান করুন', 'বয়স্ক প্রতিবেশীদের খোঁজ নিন']
+      },
+      roadAlert: {
+        message: 'রাস্তার অংশটি প্রচণ্ড গরমের এলাকায়',
+        recommendation: 'দুপুরে যাত্রা এড়িয়ে চলুন। খাবার জল সঙ্গে রাখুন।'
+      }
+    },
+    cloudburst: {
+      label: 'মেঘভাঙা বৃষ্টি',
+      highRiskAdvice: 'আকস্মিক বন্যা ও ধ্বংসাবশেষের স্রোতের আশঙ্কা। ছড়া ও নালা থেকে দূরে সরে যান।',
+      advisory: {
+        tips: ['নদী-নালা থেকে দূরে সরে যান', 'প্রবল বৃষ্টিতে পাহাড়ের ঢাল এড়িয়ে চলুন', 'আকস্মিক বন্যার দিকে নজর রাখুন']
+      },
+      roadAlert: {
+        message: 'রাস্তার অংশটি আকস্মিক বন্যা ও ধ্বংসাবশেষের স্রোতের ঝুঁকিতে রয়েছে',
+        recommendation: 'ছড়া বা কজওয়ে পার হবেন না। বৃষ্টি কমা পর্যন্ত অপেক্ষা করুন।'
+      }
+    }
+  }
+};
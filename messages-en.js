@@ -0,0 +1,486 @@
+// ========================================
+// ENGLISH MESSAGES
+// ========================================
+// Reference catalog: every key the UI uses, and the fallback for keys
+// another catalog lacks. {name} placeholders are filled in by `t`;
+// { one, other } entries are plural forms chosen by `count`.
+
+export default {
+  app: {
+    fullName: 'Disaster Intelligence & Safety Hub for AI-powered India'
+  },
+  common: {
+    count: '{count}',
+    percent: '{value}%'
+  },
+  header: {
+    lastUpdated: 'Last Updated',
+    newestPrediction: 'Newest prediction: {time}',
+    dataAge: 'Data age: {age}',
+    language: 'Language'
+  },
+  age: {
+    justNow: 'just now',
+    minutes: '{minutes} min',
+    hours: '{hours} h {minutes} min'
+  },
+  nav: {
+    country: 'Country:',
+    selectCountry: 'Select Country',
+    state: 'State:',
+    selectState: 'Select State',
+    district: 'District:',
+    selectDistrict: 'Select District',
+    roads: 'Roads:',
+    roadCount: { one: '{name} ({count} road)', other: '{name} ({count} roads)' },
+    stateRoadNetwork: '{state} road network',
+    shelters: 'Shelters:',
+    shelterCount: '{name} ({count})',
+    stateShelters: '{state} shelters',
+    notLoaded: 'Not loaded',
+    loadGeoJson: 'Load GeoJSON',
+    autoRefresh: 'Auto-refresh:',
+    refreshOff: 'Off',
+    refreshMinutes: '{count} min',
+    refreshNow: 'Refresh now',
+    refreshFailed: 'Refresh failed: {message}',
+    liveStream: 'Live stream',
+    polling: 'Polling',
+    paused: 'Paused',
+    mapSavedOffline: 'Map saved offline',
+    mapSavedOfflineHint: 'Map tiles for this district are saved for offline use',
+    loading: 'Loading prediction data...'
+  },
+  modes: {
+    combined: 'Combined',
+    combinedView: 'Combined View',
+    prediction: '{label} Prediction'
+  },
+  stats: {
+    analyzed: { one: 'Analyzed: {count} cell', other: 'Analyzed: {count} cells' },
+    band: '{label}: {count}'
+  },
+  export: {
+    menu: 'Export…',
+    geojson: 'GeoJSON (cells + road alerts)',
+    kml: 'KML (Google Earth)',
+    cellsCsv: 'CSV – risk cells',
+    alertsCsv: 'CSV – road alerts',
+    report: 'Situation report (print / PDF)'
+  },
+  offline: {
+    serverUnreachable: 'Prediction server unreachable',
+    offline: 'Offline',
+    showingData: 'showing data from {time}',
+    openedBefore: 'districts opened before on this device can still be viewed'
+  },
+  errors: {
+    regions: 'Failed to load region list: {message}',
+    roadNetwork: 'Failed to load road network: {message}',
+    roadNetworkFile: 'Failed to load road network from {file}: {message}',
+    shelters: 'Failed to load shelters: {message}',
+    sheltersFile: 'Failed to load shelters from {file}: {message}',
+    exposure: 'Failed to load population or facilities: {message}',
+    incidents: 'Failed to load the incident log: {message}',
+    layers: 'Failed to load layer {failures}',
+    predictions: 'Failed to fetch prediction data: {message}',
+    reportBlocked: 'The situation report window was blocked. Allow pop-ups for this site and try again.'
+  },
+  roadAlerts: {
+    title: 'Road Safety Alerts',
+    details: 'Risk Level: {severity}% | Affected Cells: {cells} | Segments: {segments}',
+    noneCrossing: 'No roads cross moderate or high risk cells.',
+    noNetwork: 'Load a road network to check roads against risk cells.',
+    multiHazard: 'Road section exposed to {hazards} risk',
+    maxRisk: 'Max risk along road: {severity}%'
+  },
+  routes: {
+    title: 'Safe Route Planner',
+    origin: 'Origin',
+    destination: 'Destination',
+    pickOrigin: 'Click on the map to set the origin.',
+    pickDestination: 'Click on the map to set the destination.',
+    compareShortest: 'Compare with shortest route',
+    safest: 'Safest: {km} km | Max risk crossed: {risk}%',
+    shortest: 'Shortest: {km} km | Max risk crossed: {risk}%',
+    noSafeRoute: 'No route avoids cells at {band} or above.',
+    clear: 'Clear route'
+  },
+  shelters: {
+    title: 'Nearest Shelters & Safe Zones',
+    pickPoint: 'Pick a point',
+    myLocation: 'My location',
+    picking: 'Click on the map where you are starting from.',
+    intro: 'Choose a starting point to list the nearest shelters and low-risk zones with a route that avoids warning-level cells.',
+    introSafeZones: 'Choose a starting point to list the nearest low-risk zones with a route that avoids warning-level cells.',
+    noResults: 'No shelter or safe zone found outside warning-level cells.',
+    safeZone: 'Safe zone {number}',
+    safeZoneCells: { one: '{count} contiguous low-risk cell', other: '{count} contiguous low-risk cells' },
+    unnamed: 'Shelter {number}',
+    capacity: 'capacity {count}',
+    byRoad: '{km} km by road | Max risk crossed: {risk}%',
+    straightLine: '{km} km straight line',
+    straightLineNoRoad: '{km} km straight line | No road avoids warning-level cells',
+    atRisk: {
+      one: '{count} shelter left out: inside warning-level cells ({names})',
+      other: '{count} shelters left out: inside warning-level cells ({names})'
+    },
+    insideWarningCell: 'inside a warning-level cell',
+    clear: 'Clear',
+    types: {
+      'relief camp': 'relief camp',
+      'community hall': 'community hall',
+      school: 'school',
+      hospital: 'hospital',
+      'government building': 'government building',
+      'open ground': 'open ground'
+    }
+  },
+  map: {
+    noData: 'No data loaded',
+    highestRisk: 'Highest {hazard} risk: {risk}%',
+    highestAnyRisk: 'Highest hazard risk: {risk}%',
+    youAreHere: 'You are here',
+    approximateBoundary: 'Approximate boundary'
+  },
+  popup: {
+    risk: 'Risk:',
+    changedFrom: 'from {risk}%',
+    type: 'Type:',
+    updated: 'Updated:',
+    highRisk: 'HIGH RISK',
+    moderateRisk: 'MODERATE RISK',
+    aggregated: { one: 'Highest of {count} cell.', other: 'Highest of {count} cells.' },
+    zoomIn: 'Zoom in'
+  },
+  legend: {
+    title: '{label} Risk Legend',
+    mixedScales: 'Hazards use different scales; worst level shown',
+    below: '<{min}%',
+    from: '≥{min}%',
+    range: '{min}-{max}%',
+    bivariate: 'Border: highest hazard. Fill:',
+    changedLabel: 'Changed',
+    approximateBoundaries: 'District boundaries are approximate',
+    changed: '{changed} since last update ({count}): ▲ dark red, ▼ blue',
+    display: 'Risk display',
+    displayCells: 'Grid cells',
+    displayHeatmap: 'Smooth heatmap',
+    contours: 'Contour lines at band limits',
+    contourLine: '{min}% contour'
+  },
+  welcome: {
+    title: 'Welcome to Geo-Risk AI',
+    hint: 'Navigate through {path} to view disaster predictions',
+    path: 'Country → State → District'
+  },
+  location: {
+    outside: 'This location is outside the districts covered by the system.',
+    unavailable: 'Location is not available in this browser. Click the map to drop a pin.',
+    denied: 'Location permission denied. Click the map to drop a pin.',
+    failed: 'Could not get your location. Click the map to drop a pin.',
+    dropPin: 'Click the map to drop a pin.'
+  },
+  notifications: {
+    riskRising: '{icon} {place}: {hazard} risk rising',
+    riskRisingBody: 'Now {band} ({risk}%). Open the app for advice.'
+  },
+  myPlaces: {
+    title: 'My Risk',
+    check: 'Check my location',
+    locating: 'Locating…',
+    dropPin: 'Drop a pin on the map instead',
+    noPrediction: 'No prediction covers this point',
+    loading: 'Loading predictions…',
+    risk: '{risk}% · {band}',
+    namePlaceholder: 'Home, work, village…',
+    save: 'Save',
+    saveTitle: 'Save this place',
+    limit: 'Up to {count} places',
+    defaultName: 'Place {number}',
+    saved: 'Saved places ({count}/{max})',
+    remove: 'Remove place',
+    notChecked: 'Not checked yet',
+    notifying: "You will be notified when a place's risk rises",
+    notificationsUnsupported: 'Notifications are not supported in this browser',
+    notificationsBlocked: 'Notifications blocked',
+    enableNotifications: 'Notify me when risk rises'
+  },
+  layers: {
+    title: 'Map Layers',
+    unnamed: 'Feature {number}',
+    drop: 'Drop GeoJSON, KML or GPX files here, or {browse}',
+    browse: 'browse',
+    empty: 'Shelters, relief camps, hospitals, bridges or old slide scars appear on top of the risk cells.',
+    hide: 'Hide layer',
+    show: 'Show layer',
+    remove: 'Remove layer',
+    flagged: 'In high-risk cells ({count})',
+    flag: '{name} is in a {risk}% {hazard} cell'
+  },
+  timeline: {
+    now: 'Now',
+    hours: '{hours}h',
+    previous: 'Previous step',
+    next: 'Next step',
+    play: 'Play',
+    pause: 'Pause',
+    stepHighRisk: { one: '{offset}: {count} high-risk cell', other: '{offset}: {count} high-risk cells' },
+    stepNotLoaded: '{offset}: not loaded',
+    historyEnd: '{offset} (history)',
+    forecastEnd: '{offset} (forecast)',
+    live: 'Live',
+    forecastAt: 'Forecast {offset}',
+    historyAt: 'History {offset}',
+    loading: 'Loading snapshot...',
+    unavailable: 'Snapshot unavailable'
+  },
+  cellTable: {
+    caption: 'Risk cells: {mode}, {district}',
+    show: 'Table view',
+    backToMap: 'Back to map',
+    location: 'Location',
+    hazard: 'Hazard',
+    risk: 'Risk',
+    band: 'Band',
+    change: 'Change',
+    actions: 'Actions',
+    coordinates: '{lat}° N, {lon}° E',
+    hazardRisk: '{hazard} {risk}%',
+    rose: 'up from {risk}%',
+    fell: 'down from {risk}%',
+    risen: 'up',
+    fallen: 'down',
+    empty: 'No cells loaded.',
+    showOnMap: 'Show on map'
+  },
+  a11y: {
+    map: 'Risk map. The same cells are listed in the table view.',
+    modes: 'Hazard mode',
+    palette: 'Colour palette',
+    patterns: 'Hatch warning and high-risk cells',
+    timeline: 'Timeline step',
+    removeNamed: 'Remove {name}',
+    dataUpdated: { one: '{district}, {mode}: risk data updated. {count} high-risk cell.', other: '{district}, {mode}: risk data updated. {count} high-risk cells.' },
+    highRiskRising: 'Warning: high-risk cells in {district} ({mode}) rose from {previous} to {count}.'
+  },
+  dashboard: {
+    title: 'State overview: {state}',
+    caption: 'Districts of {state} ranked by high-risk cells',
+    loaded: '{loaded} of {total} districts loaded',
+    loadingCount: '{count} loading',
+    failedCount: { one: '{count} district failed', other: '{count} districts failed' },
+    retry: 'Retry',
+    district: 'District',
+    highRisk: 'High risk',
+    warning: 'Warning',
+    maxRisk: 'Highest risk',
+    cells: 'Cells',
+    status: 'Status',
+    loading: 'Loading…',
+    failed: 'Failed: {message}',
+    refreshFailed: 'Refresh failed: {message}',
+    stored: 'Stored data from {time}',
+    noCells: 'No cells'
+  },
+  mock: {
+    label: 'Mock API',
+    scenario: 'Scenario',
+    live: 'Live API',
+    active: 'Training data from the “{name}” scenario — not real predictions',
+    inactive: 'Using the live prediction API',
+    loadFailed: 'Mock scenarios could not be loaded: {message}'
+  },
+  mapLayers: {
+    title: 'Map layers',
+    base: 'Base map',
+    overlays: 'Overlays',
+    opacity: '{name} opacity',
+    savedFor: 'Remembered for {mode}',
+    notConfigured: '{names}: no tile server configured',
+    layers: {
+      osm: 'Street map',
+      topo: 'Topographic',
+      satellite: 'Satellite',
+      hillshade: 'Hill shading',
+      rivers: 'Rivers',
+      rainfall: 'Rainfall'
+    }
+  },
+  exposure: {
+    title: 'Exposed',
+    band: '{label}: {summary}',
+    popup: 'Exposed:',
+    alert: 'Exposed: {summary}',
+    people: { one: '~{count} person', other: '~{count} people' },
+    facilities: {
+      school: { one: '{count} school', other: '{count} schools' },
+      hospital: { one: '{count} hospital', other: '{count} hospitals' },
+      police: { one: '{count} police station', other: '{count} police stations' },
+      bridge: { one: '{count} bridge', other: '{count} bridges' }
+    },
+    none: 'no people or facilities on record'
+  },
+  incidents: {
+    title: 'Incident log',
+    openCount: { one: '{count} open', other: '{count} open' },
+    operator: 'Operator',
+    operatorPlaceholder: 'Your name',
+    operatorNeeded: 'Enter your name above to act on incidents.',
+    status: 'Status',
+    statusOpen: 'Open',
+    statusAll: 'All statuses',
+    statuses: {
+      new: 'New',
+      acknowledged: 'Acknowledged',
+      assigned: 'Assigned',
+      resolved: 'Resolved'
+    },
+    scope: 'Area',
+    scopeCurrent: 'Current area',
+    scopeAll: 'All areas',
+    mode: 'Hazard',
+    modeAll: 'All hazards',
+    search: 'Search road, team, notes',
+    empty: 'No incidents match.',
+    opened: 'opened {time}',
+    assignedTo: 'Assigned to {name}',
+    cleared: 'Road no longer affected since {time}',
+    history: 'History',
+    note: 'Note',
+    assignee: 'Team or person',
+    acknowledge: 'Acknowledge',
+    assign: 'Assign',
+    resolve: 'Resolve',
+    addNote: 'Add note',
+    actions: {
+      opened: 'Opened',
+      escalated: 'Escalated to {band}',
+      cleared: 'Road no longer affected',
+      acknowledged: 'Acknowledged by {operator}',
+      assigned: 'Assigned to {assignee} by {operator}',
+      resolved: 'Resolved by {operator}',
+      note: 'Note by {operator}'
+    },
+    storage: {
+      local: 'Saved in this browser',
+      rest: 'Saved to the incident server'
+    },
+    saveFailed: 'Not saved: {message}. Export the log to keep a copy.',
+    export: 'Export CSV'
+  },
+  report: {
+    title: '{title} – Situation Report',
+    documentTitle: 'Situation report – {district} – {mode}',
+    modeRisk: '{mode} risk',
+    dataAsOf: 'Data as of {time}',
+    unknownTime: 'unknown',
+    noMap: 'No map data.',
+    breakdown: 'Risk breakdown ({count} cells)',
+    band: 'Band',
+    cells: 'Cells',
+    share: 'Share',
+    roadAlerts: 'Road alerts ({count})',
+    road: 'Road',
+    situation: 'Situation',
+    recommendation: 'Recommendation',
+    noAlerts: 'No roads cross cells at warning level or above.',
+    alertBand: '{band} ({risk}%)',
+    attribution: '© OpenStreetMap contributors',
+    footer: 'Generated {time}. Predictions are model estimates; follow instructions from the district administration.'
+  },
+  riskScales: {
+    standard: {
+      name: 'Standard',
+      bands: ['Low Risk', 'Moderate Risk', 'High Risk']
+    },
+    imd: {
+      name: 'IMD colour code',
+      bands: ['Green – No warning', 'Yellow – Be updated', 'Orange – Be prepared', 'Red – Take action']
+    }
+  },
+  riskPalettes: {
+    standard: 'Standard colours',
+    colorblind: 'Colour-blind safe'
+  },
+  hazards: {
+    generic: {
+      highRiskAdvice: 'Dangerous conditions expected. Follow official instructions.',
+      moderateRiskAdvice: 'Stay alert. Monitor conditions closely.',
+      advisory: {
+        title: '{label} Safety',
+        tips: ['Follow instructions from local authorities', 'Keep an emergency kit ready']
+      },
+      roadAlert: {
+        message: 'Road section passes through high-risk cells',
+        recommendation: 'Check conditions before travel.'
+      }
+    },
+    landslide: {
+      label: 'Landslide',
+      highRiskAdvice: 'Road blockages likely. Avoid area.',
+      advisory: {
+        tips: ['Avoid hilly roads in red zones', 'Watch for falling debris', 'Use valley routes when possible']
+      },
+      roadAlert: {
+        message: 'Hill road section passes through landslide-prone cells',
+        recommendation: 'Avoid travel on hill sections. Use alternative valley routes if available.'
+      }
+    },
+    flood: {
+      label: 'Flood',
+      highRiskAdvice: 'Flooding expected. Evacuate to higher ground.',
+      advisory: {
+        tips: ['Move to higher ground immediately', 'Avoid crossing flooded areas', 'Green zones indicate safer elevation']
+      },
+      roadAlert: {
+        message: 'Road section passes through flood-prone cells',
+        recommendation: 'Seek higher elevation. Avoid crossing flooded sections.'
+      }
+    },
+    cyclone: {
+      label: 'Cyclone',
+      highRiskAdvice: 'Destructive winds expected. Shelter in a strong building.',
+      advisory: {
+        tips: ['Stay indoors, away from windows', 'Secure loose objects outdoors', 'Follow evacuation orders for coastal areas']
+      },
+      roadAlert: {
+        message: 'Road section exposed to cyclone winds and falling trees',
+        recommendation: 'Avoid travel during landfall. Expect fallen trees and power lines.'
+      }
+    },
+    earthquake: {
+      label: 'Earthquake',
+      highRiskAdvice: 'Strong shaking likely. Stay clear of weak structures.',
+      advisory: {
+        tips: ['Drop, cover and hold on', 'Stay clear of damaged buildings', 'Expect aftershocks']
+      },
+      roadAlert: {
+        message: 'Road section in a strong-shaking zone; bridges and cuttings may be damaged',
+        recommendation: 'Inspect bridges before use. Expect slides on hill cuttings.'
+      }
+    },
+    heatwave: {
+      label: 'Heatwave',
+      highRiskAdvice: 'Extreme heat. Avoid exposure during the day.',
+      advisory: {
+        tips: ['Avoid outdoor work from 12 to 4 pm', 'Drink water frequently', 'Check on elderly neighbours']
+      },
+      roadAlert: {
+        message: 'Road section in an extreme heat zone',
+        recommendation: 'Avoid midday travel. Carry drinking water.'
+      }
+    },
+    cloudburst: {
+      label: 'Cloudburst',
+      highRiskAdvice: 'Flash floods and debris flows likely. Move away from streams.',
+      advisory: {
+        tips: ['Move away from streams and nullahs', 'Avoid hill slopes during intense rain', 'Watch for flash floods']
+      },
+      roadAlert: {
+        message: 'Road section at risk of flash floods and debris flow',
+        recommendation: 'Do not cross streams or causeways. Wait for rain to ease.'
+      }
+    }
+  }
+};
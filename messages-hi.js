@@ -0,0 +1,481 @@
+// ========================================
+// HINDI MESSAGES (हिन्दी)
+// ========================================
+// Same keys as messages-en.js; missing keys fall back to English.
+
+export default {
+  app: {
+    fullName: 'एआई-सक्षम भारत के लिए आपदा सूचना एवं सुरक्षा केंद्र'
+  },
+  common: {
+    count: '{count}',
+    percent: '{value}%'
+  },
+  header: {
+    lastUpdated: 'अंतिम अपडेट',
+    newestPrediction: 'नवीनतम पूर्वानुमान: {time}',
+    dataAge: 'डेटा की आयु: {age}',
+    language: 'भाषा'
+  },
+  age: {
+    justNow: 'अभी-अभी',
+    minutes: '{minutes} मिनट',
+    hours: '{hours} घंटे {minutes} मिनट'
+  },
+  nav: {
+    country: 'देश:',
+    selectCountry: 'देश चुनें',
+    state: 'राज्य:',
+    selectState: 'राज्य चुनें',
+    district: 'ज़िला:',
+    selectDistrict: 'ज़िला चुनें',
+    roads: 'सड़कें:',
+    roadCount: { one: '{name} ({count} सड़क)', other: '{name} ({count} सड़कें)' },
+    stateRoadNetwork: '{state} सड़क नेटवर्क',
+    shelters: 'आश्रय:',
+    shelterCount: '{name} ({count})',
+    stateShelters: '{state} आश्रय',
+    notLoaded: 'लोड नहीं हुआ',
+    loadGeoJson: 'GeoJSON लोड करें',
+    autoRefresh: 'स्वतः रीफ़्रेश:',
+    refreshOff: 'बंद',
+    refreshMinutes: '{count} मिनट',
+    refreshNow: 'अभी रीफ़्रेश करें',
+    refreshFailed: 'रीफ़्रेश विफल: {message}',
+    liveStream: 'लाइव स्ट्रीम',
+    polling: 'पोलिंग',
+    paused: 'रुका हुआ',
+    mapSavedOffline: 'नक्शा ऑफ़लाइन सहेजा गया',
+    mapSavedOfflineHint: 'इस ज़िले की नक्शा टाइलें ऑफ़लाइन उपयोग के लिए सहेजी गई हैं',
+    loading: 'पूर्वानुमान डेटा लोड हो रहा है...'
+  },
+  modes: {
+    combined: 'संयुक्त',
+    combinedView: 'संयुक्त दृश्य',
+    prediction: '{label} पूर्वानुमान'
+  },
+  stats: {
+    analyzed: 'विश्लेषित: {count} सेल',
+    band: '{label}: {count}'
+  },
+  export: {
+    menu: 'निर्यात करें…',
+    geojson: 'GeoJSON (सेल + सड़क चेतावनियाँ)',
+    kml: 'KML (Google Earth)',
+    cellsCsv: 'CSV – जोखिम सेल',
+    alertsCsv: 'CSV – सड़क चेतावनियाँ',
+    report: 'स्थिति रिपोर्ट (प्रिंट / PDF)'
+  },
+  offline: {
+    serverUnreachable: 'पूर्वानुमान सर्वर से संपर्क नहीं हो पा रहा',
+    offline: 'ऑफ़लाइन',
+    showingData: '{time} का डेटा दिखाया जा रहा है',
+    openedBefore: 'इस डिवाइस पर पहले खोले गए ज़िले अब भी देखे जा सकते हैं'
+  },
+  errors: {
+    regions: 'क्षेत्र सूची लोड नहीं हो सकी: {message}',
+    roadNetwork: 'सड़क नेटवर्क लोड नहीं हो सका: {message}',
+    roadNetworkFile: '{file} से सड़क नेटवर्क लोड नहीं हो सका: {message}',
+    shelters: 'आश्रय लोड नहीं हो सके: {message}',
+    sheltersFile: '{file} से आश्रय लोड नहीं हो सके: {message}',
+    exposure: 'जनसंख्या या सुविधाएँ लोड करने में विफल: {message}',
+    incidents: 'घटना लॉग लोड करने में विफल: {message}',
+    layers: 'परत लोड नहीं हो सकी {failures}',
+    predictions: 'पूर्वानुमान डेटा प्राप्त नहीं हो सका: {message}',
+    reportBlocked: 'स्थिति रिपोर्ट की विंडो अवरुद्ध हो गई। इस साइट के लिए पॉप-अप की अनुमति दें और फिर से प्रयास करें।'
+  },
+  roadAlerts: {
+    title: 'सड़क सुरक्षा चेतावनियाँ',
+    details: 'जोखिम स्तर: {severity}% | प्रभावित सेल: {cells} | खंड: {segments}',
+    noneCrossing: 'कोई भी सड़क मध्यम या उच्च जोखिम वाले सेल से नहीं गुज़रती।',
+    noNetwork: 'सड़कों को जोखिम सेल से मिलाने के लिए सड़क नेटवर्क लोड करें।',
+    multiHazard: 'सड़क खंड {hazards} के जोखिम में है',
+    maxRisk: 'सड़क पर अधिकतम जोखिम: {severity}%'
+  },
+  routes: {
+    title: 'सुरक्षित मार्ग योजनाकार',
+    origin: 'आरंभ',
+    destination: 'गंतव्य',
+    pickOrigin: 'आरंभ बिंदु चुनने के लिए नक्शे पर क्लिक करें।',
+    pickDestination: 'गंतव्य चुनने के लिए नक्शे पर क्लिक करें।',
+    compareShortest: 'सबसे छोटे मार्ग से तुलना करें',
+    safest: 'सबसे सुरक्षित: {km} किमी | पार किया अधिकतम जोखिम: {risk}%',
+    shortest: 'सबसे छोटा: {km} किमी | पार किया अधिकतम जोखिम: {risk}%',
+    noSafeRoute: 'कोई भी मार्ग {band} या उससे ऊपर वाले सेल से नहीं बचता।',
+    clear: 'मार्ग हटाएँ'
+  },
+  shelters: {
+    title: 'निकटतम आश्रय और सुरक्षित क्षेत्र',
+    pickPoint: 'बिंदु चुनें',
+    myLocation: 'मेरा स्थान',
+    picking: 'नक्शे पर वहाँ क्लिक करें जहाँ से आप निकल रहे हैं।',
+    intro: 'चेतावनी-स्तर के सेल से बचने वाले मार्ग के साथ निकटतम आश्रय और कम जोखिम वाले क्षेत्र देखने के लिए आरंभ बिंदु चुनें।',
+    introSafeZones: 'चेतावनी-स्तर के सेल से बचने वाले मार्ग के साथ निकटतम कम जोखिम वाले क्षेत्र देखने के लिए आरंभ बिंदु चुनें।',
+    noResults: 'चेतावनी-स्तर के सेल के बाहर कोई आश्रय या सुरक्षित क्षेत्र नहीं मिला।',
+    safeZone: 'सुरक्षित क्षेत्र {number}',
+    safeZoneCells: '{count} सटे हुए कम जोखिम वाले सेल',
+    unnamed: 'आश्रय {number}',
+    capacity: 'क्षमता {count}',
+    byRoad: 'सड़क से {km} किमी | पार किया अधिकतम जोखिम: {risk}%',
+    straightLine: 'सीधी रेखा में {km} किमी',
+    straightLineNoRoad: 'सीधी रेखा में {km} किमी | कोई सड़क चेतावनी-स्तर के सेल से नहीं बचती',
+    atRisk: '{count} आश्रय छोड़े गए: चेतावनी-स्तर के सेल के भीतर ({names})',
+    insideWarningCell: 'चेतावनी-स्तर के सेल के भीतर',
+    clear: 'हटाएँ',
+    types: {
+      'relief camp': 'राहत शिविर',
+      'community hall': 'सामुदायिक भवन',
+      school: 'विद्यालय',
+      hospital: 'अस्पताल',
+      'government building': 'सरकारी भवन',
+      'open ground': 'खुला मैदान'
+    }
+  },
+  map: {
+    noData: 'कोई डेटा लोड नहीं हुआ',
+    highestRisk: 'सर्वाधिक {hazard} जोखिम: {risk}%',
+    highestAnyRisk: 'सर्वाधिक आपदा जोखिम: {risk}%',
+    youAreHere: 'आप यहाँ हैं',
+    approximateBoundary: 'अनुमानित सीमा'
+  },
+  popup: {
+    risk: 'जोखिम:',
+    changedFrom: '{risk}% से',
+    type: 'प्रकार:',
+    updated: 'अपडेट:',
+    highRisk: 'उच्च जोखिम',
+    moderateRisk: 'मध्यम जोखिम',
+    aggregated: '{count} सेल में सबसे अधिक।',
+    zoomIn: 'ज़ूम इन करें'
+  },
+  legend: {
+    title: '{label} जोखिम सूचक',
+    mixedScales: 'आपदाओं के पैमाने अलग हैं; सबसे गंभीर स्तर दिखाया गया है',
+    below: '<{min}%',
+    from: '≥{min}%',
+    range: '{min}-{max}%',
+    bivariate: 'किनारा: सर्वाधिक आपदा। भराव:',
+    changedLabel: 'बदले हुए',
+    approximateBoundaries: 'ज़िला सीमाएँ अनुमानित हैं',
+    changed: 'पिछले अपडेट के बाद {changed} ({count}): ▲ गहरा लाल, ▼ नीला',
+    display: 'जोखिम प्रदर्शन',
+    displayCells: 'ग्रिड सेल',
+    displayHeatmap: 'सहज हीटमैप',
+    contours: 'बैंड सीमाओं पर समोच्च रेखाएँ',
+    contourLine: '{min}% समोच्च रेखा'
+  },
+  welcome: {
+    title: 'Geo-Risk AI में आपका स्वागत है',
+    hint: 'आपदा पूर्वानुमान देखने के लिए {path} चुनें',
+    path: 'देश → राज्य → ज़िला'
+  },
+  location: {
+    outside: 'यह स्थान प्रणाली में शामिल ज़िलों से बाहर है।',
+    unavailable: 'इस ब्राउज़र में स्थान उपलब्ध नहीं है। पिन लगाने के लिए नक्शे पर क्लिक करें।',
+    denied: 'स्थान की अनुमति नहीं दी गई। पिन लगाने के लिए नक्शे पर क्लिक करें।',
+    failed: 'आपका स्थान नहीं मिल सका। पिन लगाने के लिए नक्शे पर क्लिक करें।',
+    dropPin: 'पिन लगाने के लिए नक्शे पर क्लिक करें।'
+  },
+  notifications: {
+    riskRising: '{icon} {place}: {hazard} जोखिम बढ़ रहा है',
+    riskRisingBody: 'अब {band} ({risk}%)। सलाह के लिए ऐप खोलें।'
+  },
+  myPlaces: {
+    title: 'मेरा जोखिम',
+    check: 'मेरा स्थान जाँचें',
+    locating: 'स्थान खोजा जा रहा है…',
+    dropPin: 'इसके बजाय नक्शे पर पिन लगाएँ',
+    noPrediction: 'इस बिंदु के लिए कोई पूर्वानुमान नहीं है',
+    loading: 'पूर्वानुमान लोड हो रहे हैं…',
+    risk: '{risk}% · {band}',
+    namePlaceholder: 'घर, काम, गाँव…',
+    save: 'सहेजें',
+    saveTitle: 'यह स्थान सहेजें',
+    limit: 'अधिकतम {count} स्थान',
+    defaultName: 'स्थान {number}',
+    saved: 'सहेजे गए स्थान ({count}/{max})',
+    remove: 'स्थान हटाएँ',
+    notChecked: 'अभी जाँचा नहीं गया',
+    notifying: 'किसी स्थान का जोखिम बढ़ने पर आपको सूचना मिलेगी',
+    notificationsUnsupported: 'यह ब्राउज़र सूचनाएँ समर्थित नहीं करता',
+    notificationsBlocked: 'सूचनाएँ अवरुद्ध हैं',
+    enableNotifications: 'जोखिम बढ़ने पर मुझे सूचित करें'
+  },
+  layers: {
+    title: 'नक्शा परतें',
+    unnamed: 'फ़ीचर {number}',
+    drop: 'GeoJSON, KML या GPX फ़ाइलें यहाँ छोड़ें, या {browse}',
+    browse: 'ब्राउज़ करें',
+    empty: 'आश्रय, राहत शिविर, अस्पताल, पुल या पुराने भूस्खलन के निशान जोखिम सेल के ऊपर दिखते हैं।',
+    hide: 'परत छिपाएँ',
+    show: 'परत दिखाएँ',
+    remove: 'परत हटाएँ',
+    flagged: 'उच्च जोखिम वाले सेल में ({count})',
+    flag: '{name} {risk}% {hazard} जोखिम वाले सेल में है'
+  },
+  timeline: {
+    now: 'अभी',
+    hours: '{hours} घं',
+    previous: 'पिछला चरण',
+    next: 'अगला चरण',
+    play: 'चलाएँ',
+    pause: 'रोकें',
+    stepHighRisk: '{offset}: {count} उच्च जोखिम वाले सेल',
+    stepNotLoaded: '{offset}: लोड नहीं हुआ',
+    historyEnd: '{offset} (इतिहास)',
+    forecastEnd: '{offset} (पूर्वानुमान)',
+    live: 'लाइव',
+    forecastAt: 'पूर्वानुमान {offset}',
+    historyAt: 'इतिहास {offset}',
+    loading: 'स्नैपशॉट लोड हो रहा है...',
+    unavailable: 'स्नैपशॉट उपलब्ध नहीं'
+  },
+  cellTable: {
+    caption: 'जोखिम सेल: {mode}, {district}',
+    show: 'तालिका दृश्य',
+    backToMap: 'मानचित्र पर लौटें',
+    location: 'स्थान',
+    hazard: 'आपदा',
+    risk: 'जोखिम',
+    band: 'स्तर',
+    change: 'बदलाव',
+    actions: 'कार्रवाई',
+    coordinates: '{lat}° उ, {lon}° पू',
+    hazardRisk: '{hazard} {risk}%',
+    rose: '{risk}% से बढ़ा',
+    fell: '{risk}% से घटा',
+    risen: 'बढ़ा',
+    fallen: 'घटा',
+    empty: 'कोई सेल लोड नहीं हुआ।',
+    showOnMap: 'मानचित्र पर दिखाएँ'
+  },
+  a11y: {
+    map: 'जोखिम मानचित्र। यही सेल तालिका दृश्य में सूचीबद्ध हैं।',
+    modes: 'आपदा मोड',
+    palette: 'रंग पैलेट',
+    patterns: 'चेतावनी और उच्च जोखिम वाले सेल पर धारियाँ',
+    timeline: 'टाइमलाइन चरण',
+    removeNamed: '{name} हटाएँ',
+    dataUpdated: '{district}, {mode}: जोखिम डेटा अपडेट हुआ। उच्च जोखिम वाले सेल: {count}।',
+    highRiskRising: 'चेतावनी: {district} ({mode}) में उच्च जोखिम वाले सेल {previous} से बढ़कर {count} हो गए।'
+  },
+  dashboard: {
+    title: 'राज्य अवलोकन: {state}',
+    caption: '{state} के जिले, उच्च जोखिम वाले सेल के क्रम में',
+    loaded: '{total} में से {loaded} जिले लोड हुए',
+    loadingCount: '{count} लोड हो रहे हैं',
+    failedCount: '{count} जिले विफल',
+    retry: 'फिर से प्रयास करें',
+    district: 'जिला',
+    highRisk: 'उच्च जोखिम',
+    warning: 'चेतावनी',
+    maxRisk: 'सर्वाधिक जोखिम',
+    cells: 'सेल',
+    status: 'स्थिति',
+    loading: 'लोड हो रहा है…',
+    failed: 'विफल: {message}',
+    refreshFailed: 'रिफ्रेश विफल: {message}',
+    stored: '{time} का सहेजा गया डेटा',
+    noCells: 'कोई सेल नहीं'
+  },
+  mock: {
+    label: 'मॉक API',
+    scenario: 'परिदृश्य',
+    live: 'लाइव API',
+    active: '“{name}” परिदृश्य का प्रशिक्षण डेटा — वास्तविक पूर्वानुमान नहीं',
+    inactive: 'लाइव पूर्वानुमान API का उपयोग हो रहा है',
+    loadFailed: 'मॉक परिदृश्य लोड नहीं हो सके: {message}'
+  },
+  mapLayers: {
+    title: 'मानचित्र परतें',
+    base: 'आधार मानचित्र',
+    overlays: 'ओवरले',
+    opacity: '{name} की अपारदर्शिता',
+    savedFor: '{mode} के लिए याद रखा गया',
+    notConfigured: '{names}: कोई टाइल सर्वर सेट नहीं है',
+    layers: {
+      osm: 'सड़क मानचित्र',
+      topo: 'स्थलाकृतिक',
+      satellite: 'उपग्रह',
+      hillshade: 'पहाड़ी छायांकन',
+      rivers: 'नदियाँ',
+      rainfall: 'वर्षा'
+    }
+  },
+  exposure: {
+    title: 'जोखिम में',
+    band: '{label}: {summary}',
+    popup: 'जोखिम में:',
+    alert: 'जोखिम में: {summary}',
+    people: '~{count} लोग',
+    facilities: {
+      school: '{count} विद्यालय',
+      hospital: '{count} अस्पताल',
+      police: '{count} पुलिस थाने',
+      bridge: '{count} पुल'
+    },
+    none: 'कोई लोग या सुविधाएँ दर्ज नहीं'
+  },
+  incidents: {
+    title: 'घटना लॉग',
+    openCount: '{count} खुली',
+    operator: 'ऑपरेटर',
+    operatorPlaceholder: 'आपका नाम',
+    operatorNeeded: 'घटनाओं पर कार्रवाई के लिए ऊपर अपना नाम लिखें।',
+    status: 'स्थिति',
+    statusOpen: 'खुली',
+    statusAll: 'सभी स्थितियाँ',
+    statuses: {
+      new: 'नई',
+      acknowledged: 'स्वीकार की गई',
+      assigned: 'सौंपी गई',
+      resolved: 'हल की गई'
+    },
+    scope: 'क्षेत्र',
+    scopeCurrent: 'वर्तमान क्षेत्र',
+    scopeAll: 'सभी क्षेत्र',
+    mode: 'आपदा',
+    modeAll: 'सभी आपदाएँ',
+    search: 'सड़क, टीम, टिप्पणी खोजें',
+    empty: 'कोई घटना मेल नहीं खाती।',
+    opened: '{time} को खुली',
+    assignedTo: '{name} को सौंपी गई',
+    cleared: '{time} से सड़क प्रभावित नहीं',
+    history: 'इतिहास',
+    note: 'टिप्पणी',
+    assignee: 'टीम या व्यक्ति',
+    acknowledge: 'स्वीकार करें',
+    assign: 'सौंपें',
+    resolve: 'हल करें',
+    addNote: 'टिप्पणी जोड़ें',
+    actions: {
+      opened: 'खोली गई',
+      escalated: '{band} तक बढ़ी',
+      cleared: 'सड़क अब प्रभावित नहीं',
+      acknowledged: '{operator} ने स्वीकार की',
+      assigned: '{operator} ने {assignee} को सौंपी',
+      resolved: '{operator} ने हल की',
+      note: '{operator} की टिप्पणी'
+    },
+    storage: {
+      local: 'इस ब्राउज़र में सहेजा गया',
+      rest: 'घटना सर्वर पर सहेजा गया'
+    },
+    saveFailed: 'सहेजा नहीं गया: {message}। एक प्रति रखने के लिए लॉग निर्यात करें।',
+    export: 'CSV निर्यात करें'
+  },
+  report: {
+    title: '{title} – स्थिति रिपोर्ट',
+    documentTitle: 'स्थिति रिपोर्ट – {district} – {mode}',
+    modeRisk: '{mode} जोखिम',
+    dataAsOf: '{time} तक का डेटा',
+    unknownTime: 'अज्ञात',
+    noMap: 'नक्शे का डेटा नहीं है।',
+    breakdown: 'जोखिम विवरण ({count} सेल)',
+    band: 'श्रेणी',
+    cells: 'सेल',
+    share: 'हिस्सा',
+    roadAlerts: 'सड़क चेतावनियाँ ({count})',
+    road: 'सड़क',
+    situation: 'स्थिति',
+    recommendation: 'सलाह',
+    noAlerts: 'कोई भी सड़क चेतावनी स्तर या उससे ऊपर के सेल से नहीं गुज़रती।',
+    alertBand: '{band} ({risk}%)',
+    attribution: '© OpenStreetMap योगदानकर्ता',
+    footer: '{time} को बनाई गई। पूर्वानुमान मॉडल के अनुमान हैं; ज़िला प्रशासन के निर्देशों का पालन करें।'
+  },
+  riskScales: {
+    standard: {
+      name: 'मानक',
+      bands: ['कम जोखिम', 'मध्यम जोखिम', 'उच्च जोखिम']
+    },
+    imd: {
+      name: 'IMD रंग कोड',
+      bands: ['हरा – कोई चेतावनी नहीं', 'पीला – अपडेट रहें', 'नारंगी – तैयार रहें', 'लाल – कार्रवाई करें']
+    }
+  },
+  riskPalettes: {
+    standard: 'मानक रंग',
+    colorblind: 'रंग-अंधता अनुकूल'
+  },
+  hazards: {
+    generic: {
+      highRiskAdvice: 'खतरनाक स्थिति की आशंका। आधिकारिक निर्देशों का पालन करें।',
+      moderateRiskAdvice: 'सतर्क रहें। स्थिति पर बारीकी से नज़र रखें।',
+      advisory: {
+        title: '{label} सुरक्षा',
+        tips: ['स्थानीय प्रशासन के निर्देशों का पालन करें', 'आपातकालीन किट तैयार रखें']
+      },
+      roadAlert: {
+        message: 'सड़क खंड उच्च जोखिम वाले सेल से गुज़रता है',
+        recommendation: 'यात्रा से पहले स्थिति की जाँच करें।'
+      }
+    },
+    landslide: {
+      label: 'भूस्खलन',
+      highRiskAdvice: 'सड़क अवरुद्ध होने की संभावना। इस क्षेत्र से बचें।',
+      advisory: {
+        tips: ['लाल क्षेत्रों में पहाड़ी सड़कों से बचें', 'गिरते मलबे से सावधान रहें', 'जहाँ संभव हो घाटी के मार्ग अपनाएँ']
+      },
+      roadAlert: {
+        message: 'पहाड़ी सड़क खंड भूस्खलन-प्रवण सेल से गुज़रता है',
+        recommendation: 'पहाड़ी खंडों पर यात्रा से बचें। उपलब्ध हो तो घाटी के वैकल्पिक मार्ग अपनाएँ।'
+      }
+    },
+    flood: {
+      label: 'बाढ़',
+      highRiskAdvice: 'बाढ़ की आशंका। ऊँचे स्थान पर चले जाएँ।',
+      advisory: {
+        tips: ['तुरंत ऊँचे स्थान पर जाएँ', 'बाढ़ वाले क्षेत्रों को पार न करें', 'हरे क्षेत्र अधिक सुरक्षित ऊँचाई दर्शाते हैं']
+      },
+      roadAlert: {
+        message: 'सड़क खंड बाढ़-प्रवण सेल से गुज़रता है',
+        recommendation: 'ऊँचे स्थान की ओर जाएँ। बाढ़ वाले खंडों को पार न करें।'
+      }
+    },
+    cyclone: {
+      label: 'चक्रवात',
+      highRiskAdvice: 'विनाशकारी हवाओं की आशंका। किसी मज़बूत इमारत में शरण लें।',
+      advisory: {
+        tips: ['घर के अंदर, खिड़कियों से दूर रहें', 'बाहर रखी ढीली वस्तुओं को सुरक्षित करें', 'तटीय क्षेत्रों में निकासी आदेशों का पालन करें']
+      },
+      roadAlert: {
+        message: 'सड़क खंड चक्रवाती हवाओं और गिरते पेड़ों के जोखिम में है',
+        recommendation: 'तट से टकराने के समय यात्रा न करें। गिरे हुए पेड़ों और बिजली के तारों की आशंका रखें।'
+      }
+    },
+    earthquake: {
+      label: 'भूकंप',
+      highRiskAdvice: 'तेज़ झटकों की आशंका। कमज़ोर ढाँचों से दूर रहें।',
+      advisory: {
+        tips: ['झुकें, ढकें और पकड़े रहें', 'क्षतिग्रस्त इमारतों से दूर रहें', 'बाद के झटकों की आशंका रखें']
+      },
+      roadAlert: {
+        message: 'सड़क खंड तेज़ झटकों वाले क्षेत्र में है; पुल और कटान क्षतिग्रस्त हो सकते हैं',
+        recommendation: 'उपयोग से पहले पुलों की जाँच करें। पहाड़ी कटानों पर भूस्खलन की आशंका रखें।'
+      }
+    },
+    heatwave: {
+      label: 'लू',
+      highRiskAdvice: 'अत्यधिक गर्मी। दिन में धूप से बचें।',
+      advisory: {
+        tips: ['दोपहर 12 से 4 बजे तक बाहर काम न करें', 'बार-बार पानी पिएँ', 'बुज़ुर्ग पड़ोसियों का हाल पूछें']
+      },
+      roadAlert: {
+        message: 'सड़क खंड अत्यधिक गर्मी वाले क्षेत्र में है',
+        recommendation: 'दोपहर में यात्रा से बचें। पीने का पानी साथ रखें।'
+      }
+    },
+    cloudburst: {
+      label: 'बादल फटना',
+      highRiskAdvice: 'अचानक बाढ़ और मलबा बहने की आशंका। नालों से दूर रहें।',
+      advisory: {
+        tips: ['नदी-नालों से दूर चले जाएँ', 'तेज़ बारिश में पहाड़ी ढलानों से बचें', 'अचानक आने वाली बाढ़ से सावधान रहें']
+      },
+      roadAlert: {
+        message: 'सड़क खंड अचानक बाढ़ और मलबा बहने के जोखिम में है',
+        recommendation: 'नाले या रपटे पार न करें। बारिश थमने की प्रतीक्षा करें।'
+      }
+    }
+  }
+};
@@ -0,0 +1,486 @@
+// ========================================
+// MANIPURI MESSAGES, BENGALI SCRIPT (মৈতৈলোন্)
+// ========================================
+// Same keys as messages-en.js; missing keys fall back to English.
+// messages-mni-mtei.js holds the same texts in Meitei Mayek, so changes
+// here belong there as well.
+
+export default {
+  list: {
+    and: ' অমসুং '
+  },
+  app: {
+    fullName: 'এআই-না শক্তি পীবা ভারতকী থোকপা য়াবা অৱাবা অমসুং ঙাক্সেনবগী তাক্লকপা মফম'
+  },
+  common: {
+    count: '{count}',
+    percent: '{value}%'
+  },
+  header: {
+    lastUpdated: 'অরোইবা অপডেট',
+    newestPrediction: 'অনৌবা পূর্বাভাস: {time}',
+    dataAge: 'ডেটাগী মতম: {age}',
+    language: 'লোন'
+  },
+  age: {
+    justNow: 'হৌজিকসু',
+    minutes: 'মিনিট {minutes}',
+    hours: 'পুং {hours} মিনিট {minutes}'
+  },
+  nav: {
+    country: 'লৈবাক:',
+    selectCountry: 'লৈবাক খল্লু',
+    state: 'স্তেৎ:',
+    selectState: 'স্তেৎ খল্লু',
+    district: 'ডিস্ট্রিক্ট:',
+    selectDistrict: 'ডিস্ট্রিক্ট খল্লু',
+    roads: 'লম্বী:',
+    roadCount: '{name} (লম্বী {count})',
+    stateRoadNetwork: '{state}গী লম্বী নেটৱর্ক',
+    shelters: 'শেল্টর:',
+    shelterCount: '{name} ({count})',
+    stateShelters: '{state}গী শেল্টর',
+    notLoaded: 'লোড তৌদ্রি',
+    loadGeoJson: 'GeoJSON লোড তৌবা',
+    autoRefresh: 'মথন্তা রিফ্রেশ:',
+    refreshOff: 'থিংলে',
+    refreshMinutes: 'মিনিট {count}',
+    refreshNow: 'হৌজিক রিফ্রেশ তৌ',
+    refreshFailed: 'রিফ্রেশ তৌবা ঙমদ্রে: {message}',
+    liveStream: 'লাইভ স্ট্রিম',
+    polling: 'পোলিং',
+    paused: 'লেপখ্রে',
+    mapSavedOffline: 'মেপ অফলাইনদা থম্লে',
+    mapSavedOfflineHint: 'ডিস্ট্রিক্ট অসিগী মেপ টাইলশিং অফলাইনদা শিজিন্নবা থম্লে',
+    loading: 'পূর্বাভাসকী ডেটা লোড তৌরি...'
+  },
+  modes: {
+    combined: 'পুনশিনবা',
+    combinedView: 'পুনশিনবা মীৎয়েং',
+    prediction: '{label} পূর্বাভাস'
+  },
+  stats: {
+    analyzed: 'য়েংশিনখিবা: সেল {count}',
+    band: '{label}: {count}'
+  },
+  export: {
+    menu: 'এক্সপোর্ট…',
+    geojson: 'GeoJSON (সেল + লম্বীগী চেকশিনজবা)',
+    kml: 'KML (Google Earth)',
+    cellsCsv: 'CSV – খুদোংচাবগী সেল',
+    alertsCsv: 'CSV – লম্বীগী চেকশিনজবা',
+    report: 'ফিভমগী রিপোর্ট (প্রিন্ট / PDF)'
+  },
+  offline: {
+    serverUnreachable: 'পূর্বাভাস সর্ভরদা য়ৌবা ঙমদ্রে',
+    offline: 'অফলাইন',
+    showingData: '{time}গী ডেটা উৎলি',
+    openedBefore: 'ডিভাইস অসিদা হান্না হাংদোকখিবা ডিস্ট্রিক্টশিং হৌজিকসু য়েংবা ঙম্মি'
+  },
+  errors: {
+    regions: 'মফমশিংগী লিস্ট লোড তৌবা ঙমদ্রে: {message}',
+    roadNetwork: 'লম্বী নেটৱর্ক লোড তৌবা ঙমদ্রে: {message}',
+    roadNetworkFile: '{file}দগী লম্বী নেটৱর্ক লোড তৌবা ঙমদ্রে: {message}',
+    shelters: 'শেল্টর লোড তৌবা ঙমদ্রে: {message}',
+    sheltersFile: '{file}দগী শেল্টর লোড তৌবা ঙমদ্রে: {message}',
+    exposure: 'মীওইগী মশিং নত্তরগা ফেসিলিতি লোড তৌবা ঙমদ্রে: {message}',
+    incidents: 'থৌদোক্কী লোগ লোড তৌবা ঙমদ্রে: {message}',
+    layers: 'লেয়র লোড তৌবা ঙমদ্রে {failures}',
+    predictions: 'পূর্বাভাসকী ডেটা পুরকপা ঙমদ্রে: {message}',
+    reportBlocked: 'ফিভমগী রিপোর্টকী ৱিন্দো থিংখ্রে। সাইট অসিগীদমক পপ-অপ য়াহনবিয়ু অমসুং অমুক হন্না হোৎনবিয়ু।'
+  },
+  roadAlerts: {
+    title: 'লম্বীগী ঙাক্সেনবগী চেকশিনজবা',
+    details: 'খুদোংচাবগী চাং: {severity}% | শোকখিবা সেল: {cells} | শরুক: {segments}',
+    noneCrossing: 'অমরক্তা নত্ত্রগা অৱাংবা খুদোংচাবগী সেল খোংজিনবা লম্বী অমত্তা লৈতে।',
+    noNetwork: 'লম্বীশিং খুদোংচাবগী সেলগা চাননবা লম্বী নেটৱর্ক অমা লোড তৌবিয়ু।',
+    multiHazard: 'লম্বীগী শরুক অসি {hazards}গী খুদোংচাবদা লৈ',
+    maxRisk: 'লম্বীদা খ্বাইদগী অৱাংবা খুদোংচাবা: {severity}%'
+  },
+  routes: {
+    title: 'ঙাক্লবা লম্বী থীবা',
+    origin: 'হৌবা মফম',
+    destination: 'য়ৌবা মফম',
+    pickOrigin: 'হৌবা মফম খল্লনবা মেপতা ক্লিক তৌবিয়ু।',
+    pickDestination: 'য়ৌবা মফম খল্লনবা মেপতা ক্লিক তৌবিয়ু।',
+    compareShortest: 'খ্বাইদগী নকপা লম্বীগা চাননবা',
+    safest: 'খ্বাইদগী ঙাক্লবা: কিমি {km} | খোংজিনখিবা খ্বাইদগী অৱাংবা খুদোংচাবা: {risk}%',
+    shortest: 'খ্বাইদগী নকপা: কিমি {km} | খোংজিনখিবা খ্বাইদগী অৱাংবা খুদোংচাবা: {risk}%',
+    noSafeRoute: '{band}গী সেল হেক্লবা লম্বী অমত্তা লৈতে।',
+    clear: 'লম্বী হুত্থোক্কো'
+  },
+  shelters: {
+    title: 'খ্বাইদগী নকপা শেল্টর অমসুং ঙাক্লবা মফম',
+    pickPoint: 'মফম অমা খল্লু',
+    myLocation: 'ঐগী মফম',
+    picking: 'নহাক হৌগদবা মফম অদুদা মেপতা ক্লিক তৌবিয়ু।',
+    intro: 'চেকশিনজবগী চাংগী সেল হেক্লবা লম্বীগা লোয়ননা খ্বাইদগী নকপা শেল্টর অমসুং খুদোংচাবা নেমবা মফমশিং য়েংনবা হৌবা মফম অমা খল্লু।',
+    introSafeZones: 'চেকশিনজবগী চাংগী সেল হেক্লবা লম্বীগা লোয়ননা খ্বাইদগী নকপা খুদোংচাবা নেমবা মফমশিং য়েংনবা হৌবা মফম অমা খল্লু।',
+    noResults: 'চেকশিনজবগী চাংগী সেলগী মপান্দা শেল্টর নত্ত্রগা ঙাক্লবা মফম অমত্তা ফংদ্রে।',
+    safeZone: 'ঙাক্লবা মফম {number}',
+    safeZoneCells: 'খুদোংচাবা নেমবা মরী লৈনবা সেল {count}',
+    unnamed: 'শেল্টর {number}',
+    capacity: 'মীওই {count} চাবা',
+    byRoad: 'লম্বীনা কিমি {km} | খোংজিনখিবা খ্বাইদগী অৱাংবা খুদোংচাবা: {risk}%',
+    straightLine: 'চুম্না কিমি {km}',
+    straightLineNoRoad: 'চুম্না কিমি {km} | চেকশিনজবগী চাংগী সেল হেক্লবা লম্বী লৈতে',
+    atRisk: 'শেল্টর {count} হাপতে: চেকশিনজবগী চাংগী সেলগী মনুংদা লৈ ({names})',
+    insideWarningCell: 'চেকশিনজবগী চাংগী সেলগী মনুংদা',
+    clear: 'হুত্থোক্কো',
+    types: {
+      'relief camp': 'রিলিফ কেম্প',
+      'community hall': 'কম্যুনিটি হোল',
+      school: 'স্কুল',
+      hospital: 'হোস্পিতাল',
+      'government building': 'সরকারগী য়ুম',
+      'open ground': 'মপান্দা লৈবা মফম'
+    }
+  },
+  map: {
+    noData: 'ডেটা লোড তৌদ্রি',
+    highestRisk: 'খ্বাইদগী অৱাংবা {hazard} খুদোংচাবা: {risk}%',
+    highestAnyRisk: 'খ্বাইদগী অৱাংবা খুদোংচাবা: {risk}%',
+    youAreHere: 'নহাক মসিদা লৈ',
+    approximateBoundary: 'চপ চাদবা নাইবা মায়োল'
+  },
+  popup: {
+    risk: 'খুদোংচাবা:',
+    changedFrom: '{risk}%দগী',
+    type: 'মখল:',
+    updated: 'অপডেট:',
+    highRisk: 'অৱাংবা খুদোংচাবা',
+    moderateRisk: 'অমরক্তা খুদোংচাবা',
+    aggregated: 'সেল {count}গী মনুংদা খ্বাইদগী ৱাংবা।',
+    zoomIn: 'জুম ইন তৌবা'
+  },
+  legend: {
+    title: '{label} খুদোংচাবগী লেজেন্দ',
+    mixedScales: 'খুদোংচাবশিংগী স্কেল তোঙান-তোঙানবা; খ্বাইদগী য়াম্না শোকপা চাং উৎলি',
+    below: '<{min}%',
+    from: '≥{min}%',
+    range: '{min}-{max}%',
+    bivariate: 'অরোন: খ্বাইদগী অৱাংবা খুদোংচাবা। মনুং:',
+    changedLabel: 'অহোংবা থোকপা',
+    approximateBoundaries: 'দিস্ত্রিক্তকী নাইবা মায়োলশিং চপ চাদে',
+    changed: 'অরোইবা অপডেটতগী {changed} ({count}): ▲ অমুবা অঙাংবা, ▼ অশংবা',
+    display: 'খুদোংচাবা উৎপা',
+    displayCells: 'গ্রিড সেল',
+    displayHeatmap: 'হীটমেপ',
+    contours: 'বেন্দগী অরোইবদা কনটুর লাইন',
+    contourLine: '{min}% কনটুর লাইন'
+  },
+  welcome: {
+    title: 'Geo-Risk AI-দা তরাম্না ওকচরি',
+    hint: 'থোকপা য়াবা অৱাবগী পূর্বাভাস য়েংনবা {path} খল্লু',
+    path: 'লৈবাক → স্তেৎ → ডিস্ট্রিক্ট'
+  },
+  location: {
+    outside: 'মফম অসি সিস্তেম অসিনা য়েংশিনবা ডিস্ট্রিক্টশিংগী মপান্দা লৈ।',
+    unavailable: 'ব্রাউজর অসিদা মফম ফংদে। পিন অমা থম্নবা মেপতা ক্লিক তৌবিয়ু।',
+    denied: 'মফম য়েংনবা য়াথং পীদ্রে। পিন অমা থম্নবা মেপতা ক্লিক তৌবিয়ু।',
+    failed: 'নহাক্কী মফম ফংদ্রে। পিন অমা থম্নবা মেপতা ক্লিক তৌবিয়ু।',
+    dropPin: 'পিন অমা থম্নবা মেপতা ক্লিক তৌবিয়ু।'
+  },
+  notifications: {
+    riskRising: '{icon} {place}: {hazard} খুদোংচাবা হেনগৎলি',
+    riskRisingBody: 'হৌজিক {band} ({risk}%)। পাউতাক্কীদমক এপ হাংদোকপিয়ু।'
+  },
+  myPlaces: {
+    title: 'ঐগী খুদোংচাবা',
+    check: 'ঐগী মফম য়েংশিল্লু',
+    locating: 'মফম থিরি…',
+    dropPin: 'মগী মহুত্তা মেপতা পিন থম্মু',
+    noPrediction: 'মফম অসিগীদমক পূর্বাভাস লৈতে',
+    loading: 'পূর্বাভাস লোড তৌরি…',
+    risk: '{risk}% · {band}',
+    namePlaceholder: 'য়ুম, থবক, খুল…',
+    save: 'থম্মু',
+    saveTitle: 'মফম অসি থম্মু',
+    limit: 'মফম {count} ফাওবা',
+    defaultName: 'মফম {number}',
+    saved: 'থমখিবা মফমশিং ({count}/{max})',
+    remove: 'মফম হুত্থোক্কো',
+    notChecked: 'হৌজিক ফাওবা য়েংশিন্দ্রি',
+    notifying: 'মফম অমগী খুদোংচাবা হেনগৎলবদা নহাকপু খংহনগনি',
+    notificationsUnsupported: 'ব্রাউজর অসিদা নোতিফিকেসন শিজিন্নবা ঙম্মে',
+    notificationsBlocked: 'নোতিফিকেসন থিংখ্রে',
+    enableNotifications: 'খুদোংচাবা হেনগৎলবদা ঐবু খংহনবিয়ু'
+  },
+  layers: {
+    title: 'মেপকী লেয়রশিং',
+    unnamed: 'ফিচর {number}',
+    drop: 'GeoJSON, KML নত্ত্রগা GPX ফাইলশিং মসিদা থাদোক্কো, নত্ত্রগা {browse}',
+    browse: 'ব্রাউজ তৌ',
+    empty: 'শেল্টর, রিলিফ কেম্প, হোস্পিতাল, ব্রিজ নত্ত্রগা হান্নগী লম চুমখিবা মফমশিং খুদোংচাবগী সেলগী মথক্তা উৎই।',
+    hide: 'লেয়র থুপ্পু',
+    show: 'লেয়র উৎলু',
+    remove: 'লেয়র হুত্থোক্কো',
+    flagged: 'অৱাংবা খুদোংচাবগী সেলদা ({count})',
+    flag: '{name} {risk}% {hazard} খুদোংচাবগী সেলদা লৈ'
+  },
+  timeline: {
+    now: 'হৌজিক',
+    hours: '{hours} পুং',
+    previous: 'মমাংগী খোংথাং',
+    next: 'মথংগী খোংথাং',
+    play: 'হৌদোক্কো',
+    pause: 'লেপ্পু',
+    stepHighRisk: '{offset}: অৱাংবা খুদোংচাবগী সেল {count}',
+    stepNotLoaded: '{offset}: লোড তৌদ্রি',
+    historyEnd: '{offset} (মমাংগী)',
+    forecastEnd: '{offset} (পূর্বাভাস)',
+    live: 'লাইভ',
+    forecastAt: 'পূর্বাভাস {offset}',
+    historyAt: 'মমাংগী {offset}',
+    loading: 'স্নেপশোৎ লোড তৌরি...',
+    unavailable: 'স্নেপশোৎ ফংদ্রে'
+  },
+  cellTable: {
+    caption: 'খুদোংচাবগী সেলশিং: {mode}, {district}',
+    show: 'তেবল মীৎয়েং',
+    backToMap: 'মেপতা হন্দোক্কো',
+    location: 'মফম',
+    hazard: 'মখল',
+    risk: 'খুদোংচাবা',
+    band: 'চাং',
+    change: 'অহোংবা',
+    actions: 'থবক',
+    coordinates: '{lat}° অৱাং, {lon}° নোংপোক',
+    hazardRisk: '{hazard} {risk}%',
+    rose: '{risk}%দগী হেনগৎলে',
+    fell: '{risk}%দগী হন্থরে',
+    risen: 'হেনগৎলে',
+    fallen: 'হন্থরে',
+    empty: 'সেল লোড তৌদ্রি।',
+    showOnMap: 'মেপতা উৎলু'
+  },
+  a11y: {
+    map: 'খুদোংচাবগী মেপ। সেল অসিশিংমক তেবল মীৎয়েংদা লৈ।',
+    modes: 'খুদোংচাবগী মোড',
+    palette: 'মচুগী পেলেৎ',
+    patterns: 'চেকশিনজবা অমসুং অৱাংবা খুদোংচাবগী সেলদা রেখা থম্মু',
+    timeline: 'টাইমলাইনগী খোংথাং',
+    removeNamed: '{name} হুত্থোক্কো',
+    dataUpdated: '{district}, {mode}: খুদোংচাবগী ডেটা অপডেট তৌরে। অৱাংবা খুদোংচাবগী সেল {count}।',
+    highRiskRising: 'চেকশিনজবা: {district} ({mode})দা অৱাংবা খুদোংচাবগী সেল {previous}দগী {count} ফাওবা হেনগৎলে।'
+  },
+  dashboard: {
+    title: 'স্তেৎকী পুম্নমক্কী মীৎয়েং: {state}',
+    caption: '{state}গী ডিস্ট্রিক্টশিং, অৱাংবা খুদোংচাবগী সেলগী মতুং ইন্না',
+    loaded: 'ডিস্ট্রিক্ট {total}দগী {loaded} লোড তৌরে',
+    loadingCount: '{count} লোড তৌরি',
+    failedCount: 'ডিস্ট্রিক্ট {count} ঙমদ্রে',
+    retry: 'অমুক হন্না হোৎনৌ',
+    district: 'ডিস্ট্রিক্ট',
+    highRisk: 'অৱাংবা খুদোংচাবা',
+    warning: 'চেকশিনজবা',
+    maxRisk: 'খ্বাইদগী অৱাংবা খুদোংচাবা',
+    cells: 'সেল',
+    status: 'ফীভম',
+    loading: 'লোড তৌরি…',
+    failed: 'ঙমদ্রে: {message}',
+    refreshFailed: 'রিফ্রেশ তৌবা ঙমদ্রে: {message}',
+    stored: '{time}গী থমখিবা ডেটা',
+    noCells: 'সেল লৈতে'
+  },
+  mock: {
+    label: 'মোক API',
+    scenario: 'থৌদোক',
+    live: 'লাইভ API',
+    active: '“{name}” থৌদোককী ত্রেনিংগী ডেটা — অচুম্বা ময়েক্সিংনবা নত্তে',
+    inactive: 'লাইভ ময়েক্সিংনবা API শিজিন্নরি',
+    loadFailed: 'মোক থৌদোকশিং লোড তৌবা ঙমদ্রে: {message}'
+  },
+  mapLayers: {
+    title: 'মেপকী লেয়রশিং',
+    base: 'অহানবা মেপ',
+    overlays: 'ওভরলে',
+    opacity: '{name}গী ওপেসিতি',
+    savedFor: '{mode}গীদমক নিংশিংলে',
+    notConfigured: '{names}: তাইল সর্ভর শেমদ্রে',
+    layers: {
+      osm: 'লম্বীগী মেপ',
+      topo: 'চিংগী মেপ',
+      satellite: 'সেতেলাইত',
+      hillshade: 'চিংগী মমি',
+      rivers: 'তুরেলশিং',
+      rainfall: 'নোং চুবা'
+    }
+  },
+  exposure: {
+    title: 'খুদোংচাদবদা লৈবা',
+    band: '{label}: {summary}',
+    popup: 'খুদোংচাদবদা লৈবা:',
+    alert: 'খুদোংচাদবদা লৈবা: {summary}',
+    people: 'মীওই ~{count}',
+    facilities: {
+      school: 'স্কুল {count}',
+      hospital: 'হোস্পিতাল {count}',
+      police: 'পুলিস থানা {count}',
+      bridge: 'যেং {count}'
+    },
+    none: 'মীওই নত্তরগা ফেসিলিতি চৎশিল্লে'
+  },
+  incidents: {
+    title: 'থৌদোক্কী লোগ',
+    openCount: 'হাংদোকলিবা {count}',
+    operator: 'ওপরেতর',
+    operatorPlaceholder: 'নহাক্কী মমিং',
+    operatorNeeded: 'থৌদোকশিংদা থবক পাংথোক্নবা মথক্তা নহাক্কী মমিং ইয়ু।',
+    status: 'ফিভম',
+    statusOpen: 'হাংদোকলিবা',
+    statusAll: 'ফিভম পুম্নমক',
+    statuses: {
+      new: 'অনৌবা',
+      acknowledged: 'য়াখ্রে',
+      assigned: 'পীখ্রে',
+      resolved: 'লোইশিনখ্রে'
+    },
+    scope: 'মফম',
+    scopeCurrent: 'হৌজিক্কী মফম',
+    scopeAll: 'মফম পুম্নমক',
+    mode: 'অওয়াবা',
+    modeAll: 'অওয়াবা পুম্নমক',
+    search: 'লম্বী, তীম, নোত থিবা',
+    empty: 'মান্নবা থৌদোক অমত্তা লৈতে।',
+    opened: '{time}দা হাংদোকখি',
+    assignedTo: '{name}দা পীখ্রে',
+    cleared: '{time}দগী লম্বী অসি খুদোংচাদবা লৈত্রে',
+    history: 'পুৱারী',
+    note: 'নোত',
+    assignee: 'তীম নত্তরগা মীওই',
+    acknowledge: 'য়াবা',
+    assign: 'পীবা',
+    resolve: 'লোইশিনবা',
+    addNote: 'নোত হাপচিনবা',
+    actions: {
+      opened: 'হাংদোকখি',
+      escalated: '{band} ফাওবা হেনখৎখি',
+      cleared: 'লম্বী অসি খুদোংচাদবা লৈত্রে',
+      acknowledged: '{operator}না য়াখি',
+      assigned: '{operator}না {assignee}দা পীখি',
+      resolved: '{operator}না লোইশিনখি',
+      note: '{operator}গী নোত'
+    },
+    storage: {
+      local: 'ব্রাউজর অসিদা থম্লে',
+      rest: 'থৌদোক সর্ভরদা থম্লে'
+    },
+    saveFailed: 'থম্বা ঙমদ্রে: {message}। কোপি অমা থম্নবা লোগ এক্সপোর্ট তৌবীয়ু।',
+    export: 'CSV থাদোকপা'
+  },
+  report: {
+    title: '{title} – ফিভমগী রিপোর্ট',
+    documentTitle: 'ফিভমগী রিপোর্ট – {district} – {mode}',
+    modeRisk: '{mode} খুদোংচাবা',
+    dataAsOf: '{time} ফাওবগী ডেটা',
+    unknownTime: 'খঙদবা',
+    noMap: 'মেপকী ডেটা লৈতে।',
+    breakdown: 'খুদোংচাবগী মতাং (সেল {count})',
+    band: 'চাং',
+    cells: 'সেল',
+    share: 'শরুক',
+    roadAlerts: 'লম্বীগী চেকশিনজবা ({count})',
+    road: 'লম্বী',
+    situation: 'ফিভম',
+    recommendation: 'পাউতাক',
+    noAlerts: 'চেকশিনজবগী চাং নত্ত্রগা মদুগী মথক্কী সেল খোংজিনবা লম্বী অমত্তা লৈতে।',
+    alertBand: '{band} ({risk}%)',
+    attribution: '© OpenStreetMap শরুক য়াবশিং',
+    footer: '{time}দা শেমখিবা। পূর্বাভাসশিং অসি মোদেলগী খনবনি; ডিস্ট্রিক্ট এদমিনিস্ট্রেসনগী য়াথং ইনবিয়ু।'
+  },
+  riskScales: {
+    standard: {
+      name: 'স্তেন্দর্দ',
+      bands: ['খুদোংচাবা নেমবা', 'অমরক্তা খুদোংচাবা', 'অৱাংবা খুদোংচাবা']
+    },
+    imd: {
+      name: 'IMD মচুগী কোদ',
+      bands: ['অশংবা – চেকশিনজবা লৈতে', 'অঙৌবা – খংজিনবিয়ু', 'কমলা – শেমদোক্লু', 'অঙাংবা – থবক পাংথোক্কো']
+    }
+  },
+  riskPalettes: {
+    standard: 'স্তেন্দর্দ মচু',
+    colorblind: 'মচু খংদবশিংগীদমক চানবা'
+  },
+  hazards: {
+    generic: {
+      highRiskAdvice: 'অকিবা ফিভম লাক্কনি। সরকারগী য়াথং ইনবিয়ু।',
+      moderateRiskAdvice: 'চেকশিল্লু। ফিভম চেক্না য়েংলু।',
+      advisory: {
+        title: '{label}দগী ঙাক্সেনবা',
+        tips: ['মফমগী অথোইবশিংগী য়াথং ইনবিয়ু', 'অথুবা মতমগী মপোকশিং শেমদুনা থম্মু']
+      },
+      roadAlert: {
+        message: 'লম্বীগী শরুক অসি অৱাংবা খুদোংচাবগী সেলদা চৎলি',
+        recommendation: 'চৎলিঙৈদা ফিভম য়েংশিল্লু।'
+      }
+    },
+    landslide: {
+      label: 'লম চুম্বা',
+      highRiskAdvice: 'লম্বী থিংবা য়াই। মফম অসি হেক্লু।',
+      advisory: {
+        tips: ['অঙাংবা মফমশিংদা চিংগী লম্বীশিং হেক্লু', 'তাথরকপা নুং অমসুং লৈ চেক্না য়েংলু', 'ঙম্লবদি তম্পাক্কী লম্বী শিজিন্নবিয়ু']
+      },
+      roadAlert: {
+        message: 'চিংগী লম্বীগী শরুক অসি লম চুম্বা য়াবা সেলদা চৎলি',
+        recommendation: 'চিংগী শরুকশিংদা চৎপা হেক্লু। লৈরবদি তম্পাক্কী অতোপ্পা লম্বী শিজিন্নবিয়ু।'
+      }
+    },
+    flood: {
+      label: 'ইশিং ঈচাও',
+      highRiskAdvice: 'ইশিং ঈচাও লাক্কনি। অৱাংবা মফমদা চৎলু।',
+      advisory: {
+        tips: ['হৌজিক্কী হৌজিক অৱাংবা মফমদা চৎলু', 'ইশিংনা থুবা মফমশিং খোংজিনগনু', 'অশংবা মফমশিংনা হেন্না ঙাক্লবা অৱাংবা মফম উৎলি']
+      },
+      roadAlert: {
+        message: 'লম্বীগী শরুক অসি ইশিং ঈচাও য়াবা সেলদা চৎলি',
+        recommendation: 'অৱাংবা মফমদা চৎলু। ইশিংনা থুবা শরুকশিং খোংজিনগনু।'
+      }
+    },
+    cyclone: {
+      label: 'নুংশিৎ কাংলৈ',
+      highRiskAdvice: 'মাংহনবা ঙম্বা নুংশিৎ লাক্কনি। অকাংবা য়ুম অমদা লৈফম লৌবিয়ু।',
+      advisory: {
+        tips: ['য়ুমগী মনুংদা, ৱিন্দোদগী লাপ্না লৈয়ু', 'মপান্দা লৈবা পোৎশিং চেক্না থম্মু', 'পাংগী মফমশিংদা চৎথোকনবা য়াথং ইনবিয়ু']
+      },
+      roadAlert: {
+        message: 'লম্বীগী শরুক অসি নুংশিৎ কাংলৈ অমসুং তাবা উপালগী খুদোংচাবদা লৈ',
+        recommendation: 'নুংশিৎ কাংলৈ য়ৌবা মতমদা চৎপা হেক্লু। তাখিবা উপাল অমসুং মেৎশিং লৈথোকপা য়াই।'
+      }
+    },
+    earthquake: {
+      label: 'লৈচাল',
+      highRiskAdvice: 'য়াম্না চাউবা লৈচাল লাক্কনি। অশোয়বা য়ুমশিংদগী লাপ্না লৈয়ু।',
+      advisory: {
+        tips: ['ফমথদুনা, কোক্কী মথক উপদুনা, চেক্না পাইরু', 'মাংখিবা য়ুমশিংদগী লাপ্না লৈয়ু', 'মতুংদা লাক্কদবা লৈচালশিংগীদমক শেমদোক্লু']
+      },
+      roadAlert: {
+        message: 'লম্বীগী শরুক অসি য়াম্না চাউবা লৈচালগী মফমদা লৈ; ব্রিজ অমসুং চিং কাইখিবা মফমশিং মাংবা য়াই',
+        recommendation: 'শিজিন্নবগী মমাংদা ব্রিজশিং য়েংশিল্লু। চিং কাইখিবা মফমশিংদা লম চুম্বা য়াই।'
+      }
+    },
+    heatwave: {
+      label: 'অশাবা নুংশা',
+      highRiskAdvice: 'য়াম্না শাবা। নুমিৎ মতমদা নুমিৎকী মঙালদা লৈবা হেক্লু।',
+      advisory: {
+        tips: ['নুমিৎ ১২দগী ৪ ফাওবা মপান্দা থবক তৌগনু', 'মতম মতমদা ইশিং থক্লু', 'অহল ওইবা য়ুম্লোন্নবশিংবু য়েংশিল্লু']
+      },
+      roadAlert: {
+        message: 'লম্বীগী শরুক অসি য়াম্না শাবা মফমদা লৈ',
+        recommendation: 'নুমিৎ মরক্তা চৎপা হেক্লু। থকপা ইশিং পুশিল্লু।'
+      }
+    },
+    cloudburst: {
+      label: 'নোং কাপ্পা',
+      highRiskAdvice: 'থুনা লাক্কদবা ইশিং ঈচাও অমসুং লম লৈবা চেলবা য়াই। তুরেলদগী লাপ্না চৎলু।',
+      advisory: {
+        tips: ['তুরেল অমসুং খোংনাংশিংদগী লাপ্না চৎলু', 'নোং য়াম্না চুবা মতমদা চিংগী মখাংশিং হেক্লু', 'থুনা লাক্কদবা ইশিং ঈচাও চেক্না য়েংলু']
+      },
+      roadAlert: {
+        message: 'লম্বীগী শরুক অসি থুনা লাক্কদবা ইশিং ঈচাও অমসুং লম লৈবা চেলবগী খুদোংচাবদা লৈ',
+        recommendation: 'তুরেল নত্ত্রগা কজৱে খোংজিনগনু। নোং কম্লকপা ফাওবা ঙাইয়ু।'
+      }
+    }
+  }
+};
@@ -0,0 +1,486 @@
+// ========================================
+// MANIPURI MESSAGES, MEITEI MAYEK (ꯃꯩꯇꯩꯂꯣꯟ)
+// ========================================
+// Same keys as messages-en.js; missing keys fall back to English.
+// Transliterated from messages-mni-beng.js, so changes there belong
+// here as well.
+
+export default {
+  list: {
+    and: ' ꯑꯃꯁꯨꯡ '
+  },
+  app: {
+    fullName: 'ꯑꯦꯑꯥꯏ-ꯅꯥ ꯁꯛꯇꯤ ꯄꯤꯕꯥ ꯚꯥꯔꯇꯀꯤ ꯊꯣꯀꯄꯥ ꯌꯥꯕꯥ ꯑꯋꯥꯕꯥ ꯑꯃꯁꯨꯡ ꯉꯥꯛꯁꯦꯅꯕꯒꯤ ꯇꯥꯛꯂꯀꯄꯥ ꯃꯐꯝ'
+  },
+  common: {
+    count: '{count}',
+    percent: '{value}%'
+  },
+  header: {
+    lastUpdated: 'ꯑꯔꯣꯏꯕꯥ ꯑꯄꯗꯦꯠ',
+    newestPrediction: 'ꯑꯅꯧꯕꯥ ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ: {time}',
+    dataAge: 'ꯗꯦꯇꯥꯒꯤ ꯃꯇꯝ: {age}',
+    language: 'ꯂꯣꯟ'
+  },
+  age: {
+    justNow: 'ꯍꯧꯖꯤꯀꯁꯨ',
+    minutes: 'ꯃꯤꯅꯤꯠ {minutes}',
+    hours: 'ꯄꯨꯡ {hours} ꯃꯤꯅꯤꯠ {minutes}'
+  },
+  nav: {
+    country: 'ꯂꯩꯕꯥꯛ:',
+    selectCountry: 'ꯂꯩꯕꯥꯛ ꯈꯜꯂꯨ',
+    state: 'ꯁ꯭ꯇꯦꯠ:',
+    selectState: 'ꯁ꯭ꯇꯦꯠ ꯈꯜꯂꯨ',
+    district: 'ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ:',
+    selectDistrict: 'ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ ꯈꯜꯂꯨ',
+    roads: 'ꯂꯝꯕꯤ:',
+    roadCount: '{name} (ꯂꯝꯕꯤ {count})',
+    stateRoadNetwork: '{state}ꯒꯤ ꯂꯝꯕꯤ ꯅꯦꯇꯋꯔ꯭ꯛ',
+    shelters: 'ꯁꯦꯜꯇꯔ:',
+    shelterCount: '{name} ({count})',
+    stateShelters: '{state}ꯒꯤ ꯁꯦꯜꯇꯔ',
+    notLoaded: 'ꯂꯣꯗ ꯇꯧꯗ꯭ꯔꯤ',
+    loadGeoJson: 'GeoJSON ꯂꯣꯗ ꯇꯧꯕꯥ',
+    autoRefresh: 'ꯃꯊꯟꯇꯥ ꯔꯤꯐ꯭ꯔꯦꯁ:',
+    refreshOff: 'ꯊꯤꯡꯂꯦ',
+    refreshMinutes: 'ꯃꯤꯅꯤꯠ {count}',
+    refreshNow: 'ꯍꯧꯖꯤꯛ ꯔꯤꯐ꯭ꯔꯦꯁ ꯇꯧ',
+    refreshFailed: 'ꯔꯤꯐ꯭ꯔꯦꯁ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    liveStream: 'ꯂꯥꯏꯚ ꯁ꯭ꯠꯔꯤꯝ',
+    polling: 'ꯄꯣꯂꯤꯡ',
+    paused: 'ꯂꯦꯄꯈ꯭ꯔꯦ',
+    mapSavedOffline: 'ꯃꯦꯞ ꯑꯐꯂꯥꯏꯅꯗꯥ ꯊꯝꯂꯦ',
+    mapSavedOfflineHint: 'ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ ꯑꯁꯤꯒꯤ ꯃꯦꯞ ꯇꯥꯏꯂꯁꯤꯡ ꯑꯐꯂꯥꯏꯅꯗꯥ ꯁꯤꯖꯤꯟꯅꯕꯥ ꯊꯝꯂꯦ',
+    loading: 'ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁꯀꯤ ꯗꯦꯇꯥ ꯂꯣꯗ ꯇꯧꯔꯤ...'
+  },
+  modes: {
+    combined: 'ꯄꯨꯅꯁꯤꯅꯕꯥ',
+    combinedView: 'ꯄꯨꯅꯁꯤꯅꯕꯥ ꯃꯤꯠꯌꯦꯡ',
+    prediction: '{label} ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ'
+  },
+  stats: {
+    analyzed: 'ꯌꯦꯡꯁꯤꯅꯈꯤꯕꯥ: ꯁꯦꯜ {count}',
+    band: '{label}: {count}'
+  },
+  export: {
+    menu: 'ꯑꯦꯛꯁꯄꯣꯔ꯭ꯠ…',
+    geojson: 'GeoJSON (ꯁꯦꯜ + ꯂꯝꯕꯤꯒꯤ ꯆꯦꯀꯁꯤꯅꯖꯕꯥ)',
+    kml: 'KML (Google Earth)',
+    cellsCsv: 'CSV – ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯜ',
+    alertsCsv: 'CSV – ꯂꯝꯕꯤꯒꯤ ꯆꯦꯀꯁꯤꯅꯖꯕꯥ',
+    report: 'ꯐꯤꯚꯃꯒꯤ ꯔꯤꯄꯣꯔ꯭ꯠ (ꯞꯔꯤꯟꯠ / PDF)'
+  },
+  offline: {
+    serverUnreachable: 'ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ ꯁꯔ꯭ꯚꯔꯗꯥ ꯌꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ',
+    offline: 'ꯑꯐꯂꯥꯏꯟ',
+    showingData: '{time}ꯒꯤ ꯗꯦꯇꯥ ꯎꯠꯂꯤ',
+    openedBefore: 'ꯗꯤꯚꯥꯏꯁ ꯑꯁꯤꯗꯥ ꯍꯥꯟꯅꯥ ꯍꯥꯡꯗꯣꯀꯈꯤꯕꯥ ꯗꯤꯁ꯭ꯠꯔꯤꯛꯇꯁꯤꯡ ꯍꯧꯖꯤꯀꯁꯨ ꯌꯦꯡꯕꯥ ꯉꯝꯃꯤ'
+  },
+  errors: {
+    regions: 'ꯃꯐꯃꯁꯤꯡꯒꯤ ꯂꯤꯁ꯭ꯠ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    roadNetwork: 'ꯂꯝꯕꯤ ꯅꯦꯇꯋꯔ꯭ꯛ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    roadNetworkFile: '{file}ꯗꯒꯤ ꯂꯝꯕꯤ ꯅꯦꯇꯋꯔ꯭ꯛ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    shelters: 'ꯁꯦꯜꯇꯔ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    sheltersFile: '{file}ꯗꯒꯤ ꯁꯦꯜꯇꯔ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    exposure: 'ꯃꯤꯑꯣꯏꯒꯤ ꯃꯁꯤꯡ ꯅꯠꯇꯔꯒꯥ ꯐꯦꯁꯤꯂꯤꯇꯤ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    incidents: 'ꯊꯧꯗꯣꯛꯀꯤ ꯂꯣꯒ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    layers: 'ꯂꯦꯌꯔ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ {failures}',
+    predictions: 'ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁꯀꯤ ꯗꯦꯇꯥ ꯄꯨꯔꯀꯄꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    reportBlocked: 'ꯐꯤꯚꯃꯒꯤ ꯔꯤꯄꯣꯔ꯭ꯇꯀꯤ ꯋꯤꯟꯗꯣ ꯊꯤꯡꯈ꯭ꯔꯦ꯫ ꯁꯥꯏꯠ ꯑꯁꯤꯒꯤꯗꯃꯛ ꯄꯞ-ꯑꯞ ꯌꯥꯍꯅꯕꯤꯌꯨ ꯑꯃꯁꯨꯡ ꯑꯃꯨꯛ ꯍꯟꯅꯥ ꯍꯣꯠꯅꯕꯤꯌꯨ꯫'
+  },
+  roadAlerts: {
+    title: 'ꯂꯝꯕꯤꯒꯤ ꯉꯥꯛꯁꯦꯅꯕꯒꯤ ꯆꯦꯀꯁꯤꯅꯖꯕꯥ',
+    details: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯆꯥꯡ: {severity}% | ꯁꯣꯀꯈꯤꯕꯥ ꯁꯦꯜ: {cells} | ꯁꯔꯨꯛ: {segments}',
+    noneCrossing: 'ꯑꯃꯔꯛꯇꯥ ꯅꯠꯠꯔꯒꯥ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯜ ꯈꯣꯡꯖꯤꯅꯕꯥ ꯂꯝꯕꯤ ꯑꯃꯠꯇꯥ ꯂꯩꯇꯦ꯫',
+    noNetwork: 'ꯂꯝꯕꯤꯁꯤꯡ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯒꯥ ꯆꯥꯅꯅꯕꯥ ꯂꯝꯕꯤ ꯅꯦꯇꯋꯔ꯭ꯛ ꯑꯃꯥ ꯂꯣꯗ ꯇꯧꯕꯤꯌꯨ꯫',
+    multiHazard: 'ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ {hazards}ꯒꯤ ꯈꯨꯗꯣꯡꯆꯥꯕꯗꯥ ꯂꯩ',
+    maxRisk: 'ꯂꯝꯕꯤꯗꯥ ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ: {severity}%'
+  },
+  routes: {
+    title: 'ꯉꯥꯛꯂꯕꯥ ꯂꯝꯕꯤ ꯊꯤꯕꯥ',
+    origin: 'ꯍꯧꯕꯥ ꯃꯐꯝ',
+    destination: 'ꯌꯧꯕꯥ ꯃꯐꯝ',
+    pickOrigin: 'ꯍꯧꯕꯥ ꯃꯐꯝ ꯈꯜꯂꯅꯕꯥ ꯃꯦꯄꯇꯥ ꯛꯂꯤꯛ ꯇꯧꯕꯤꯌꯨ꯫',
+    pickDestination: 'ꯌꯧꯕꯥ ꯃꯐꯝ ꯈꯜꯂꯅꯕꯥ ꯃꯦꯄꯇꯥ ꯛꯂꯤꯛ ꯇꯧꯕꯤꯌꯨ꯫',
+    compareShortest: 'ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯅꯀꯄꯥ ꯂꯝꯕꯤꯒꯥ ꯆꯥꯅꯅꯕꯥ',
+    safest: 'ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯉꯥꯛꯂꯕꯥ: ꯀꯤꯃꯤ {km} | ꯈꯣꯡꯖꯤꯅꯈꯤꯕꯥ ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ: {risk}%',
+    shortest: 'ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯅꯀꯄꯥ: ꯀꯤꯃꯤ {km} | ꯈꯣꯡꯖꯤꯅꯈꯤꯕꯥ ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ: {risk}%',
+    noSafeRoute: '{band}ꯒꯤ ꯁꯦꯜ ꯍꯦꯛꯂꯕꯥ ꯂꯝꯕꯤ ꯑꯃꯠꯇꯥ ꯂꯩꯇꯦ꯫',
+    clear: 'ꯂꯝꯕꯤ ꯍꯨꯠꯊꯣꯛꯀꯣ'
+  },
+  shelters: {
+    title: 'ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯅꯀꯄꯥ ꯁꯦꯜꯇꯔ ꯑꯃꯁꯨꯡ ꯉꯥꯛꯂꯕꯥ ꯃꯐꯝ',
+    pickPoint: 'ꯃꯐꯝ ꯑꯃꯥ ꯈꯜꯂꯨ',
+    myLocation: 'ꯑꯩꯒꯤ ꯃꯐꯝ',
+    picking: 'ꯅꯍꯥꯛ ꯍꯧꯒꯗꯕꯥ ꯃꯐꯝ ꯑꯗꯨꯗꯥ ꯃꯦꯄꯇꯥ ꯛꯂꯤꯛ ꯇꯧꯕꯤꯌꯨ꯫',
+    intro: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯒꯤ ꯆꯥꯡꯒꯤ ꯁꯦꯜ ꯍꯦꯛꯂꯕꯥ ꯂꯝꯕꯤꯒꯥ ꯂꯣꯌꯅꯅꯥ ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯅꯀꯄꯥ ꯁꯦꯜꯇꯔ ꯑꯃꯁꯨꯡ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯅꯦꯃꯕꯥ ꯃꯐꯃꯁꯤꯡ ꯌꯦꯡꯅꯕꯥ ꯍꯧꯕꯥ ꯃꯐꯝ ꯑꯃꯥ ꯈꯜꯂꯨ꯫',
+    introSafeZones: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯒꯤ ꯆꯥꯡꯒꯤ ꯁꯦꯜ ꯍꯦꯛꯂꯕꯥ ꯂꯝꯕꯤꯒꯥ ꯂꯣꯌꯅꯅꯥ ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯅꯀꯄꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯅꯦꯃꯕꯥ ꯃꯐꯃꯁꯤꯡ ꯌꯦꯡꯅꯕꯥ ꯍꯧꯕꯥ ꯃꯐꯝ ꯑꯃꯥ ꯈꯜꯂꯨ꯫',
+    noResults: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯒꯤ ꯆꯥꯡꯒꯤ ꯁꯦꯂꯒꯤ ꯃꯄꯥꯟꯗꯥ ꯁꯦꯜꯇꯔ ꯅꯠꯠꯔꯒꯥ ꯉꯥꯛꯂꯕꯥ ꯃꯐꯝ ꯑꯃꯠꯇꯥ ꯐꯡꯗ꯭ꯔꯦ꯫',
+    safeZone: 'ꯉꯥꯛꯂꯕꯥ ꯃꯐꯝ {number}',
+    safeZoneCells: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯅꯦꯃꯕꯥ ꯃꯔꯤ ꯂꯩꯅꯕꯥ ꯁꯦꯜ {count}',
+    unnamed: 'ꯁꯦꯜꯇꯔ {number}',
+    capacity: 'ꯃꯤꯑꯣꯏ {count} ꯆꯥꯕꯥ',
+    byRoad: 'ꯂꯝꯕꯤꯅꯥ ꯀꯤꯃꯤ {km} | ꯈꯣꯡꯖꯤꯅꯈꯤꯕꯥ ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ: {risk}%',
+    straightLine: 'ꯆꯨꯝꯅꯥ ꯀꯤꯃꯤ {km}',
+    straightLineNoRoad: 'ꯆꯨꯝꯅꯥ ꯀꯤꯃꯤ {km} | ꯆꯦꯀꯁꯤꯅꯖꯕꯒꯤ ꯆꯥꯡꯒꯤ ꯁꯦꯜ ꯍꯦꯛꯂꯕꯥ ꯂꯝꯕꯤ ꯂꯩꯇꯦ',
+    atRisk: 'ꯁꯦꯜꯇꯔ {count} ꯍꯥꯄꯇꯦ: ꯆꯦꯀꯁꯤꯅꯖꯕꯒꯤ ꯆꯥꯡꯒꯤ ꯁꯦꯂꯒꯤ ꯃꯅꯨꯡꯗꯥ ꯂꯩ ({names})',
+    insideWarningCell: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯒꯤ ꯆꯥꯡꯒꯤ ꯁꯦꯂꯒꯤ ꯃꯅꯨꯡꯗꯥ',
+    clear: 'ꯍꯨꯠꯊꯣꯛꯀꯣ',
+    types: {
+      'relief camp': 'ꯔꯤꯂꯤꯐ ꯀꯦꯝꯞ',
+      'community hall': 'ꯀꯝꯌꯨꯅꯤꯇꯤ ꯍꯣꯜ',
+      school: 'ꯁ꯭ꯀꯨꯜ',
+      hospital: 'ꯍꯣꯁ꯭ꯄꯤꯇꯥꯜ',
+      'government building': 'ꯁꯔꯀꯥꯔꯒꯤ ꯌꯨꯝ',
+      'open ground': 'ꯃꯄꯥꯟꯗꯥ ꯂꯩꯕꯥ ꯃꯐꯝ'
+    }
+  },
+  map: {
+    noData: 'ꯗꯦꯇꯥ ꯂꯣꯗ ꯇꯧꯗ꯭ꯔꯤ',
+    highestRisk: 'ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ {hazard} ꯈꯨꯗꯣꯡꯆꯥꯕꯥ: {risk}%',
+    highestAnyRisk: 'ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ: {risk}%',
+    youAreHere: 'ꯅꯍꯥꯛ ꯃꯁꯤꯗꯥ ꯂꯩ',
+    approximateBoundary: 'ꯆꯞ ꯆꯥꯗꯕꯥ ꯅꯥꯏꯕꯥ ꯃꯥꯌꯣꯜ'
+  },
+  popup: {
+    risk: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯥ:',
+    changedFrom: '{risk}%ꯗꯒꯤ',
+    type: 'ꯃꯈꯜ:',
+    updated: 'ꯑꯄꯗꯦꯠ:',
+    highRisk: 'ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ',
+    moderateRisk: 'ꯑꯃꯔꯛꯇꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ',
+    aggregated: 'ꯁꯦꯜ {count}ꯒꯤ ꯃꯅꯨꯡꯗꯥ ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯋꯥꯡꯕꯥ꯫',
+    zoomIn: 'ꯖꯨꯝ ꯏꯟ ꯇꯧꯕꯥ'
+  },
+  legend: {
+    title: '{label} ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯂꯦꯖꯦꯟꯗ',
+    mixedScales: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯁꯤꯡꯒꯤ ꯁ꯭ꯀꯦꯜ ꯇꯣꯉꯥꯟ-ꯇꯣꯉꯥꯅꯕꯥ; ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯌꯥꯝꯅꯥ ꯁꯣꯀꯄꯥ ꯆꯥꯡ ꯎꯠꯂꯤ',
+    below: '<{min}%',
+    from: '≥{min}%',
+    range: '{min}-{max}%',
+    bivariate: 'ꯑꯔꯣꯟ: ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ꯫ ꯃꯅꯨꯡ:',
+    changedLabel: 'ꯑꯍꯣꯡꯕꯥ ꯊꯣꯀꯄꯥ',
+    approximateBoundaries: 'ꯗꯤꯁ꯭ꯠꯔꯤꯛꯇꯀꯤ ꯅꯥꯏꯕꯥ ꯃꯥꯌꯣꯂꯁꯤꯡ ꯆꯞ ꯆꯥꯗꯦ',
+    changed: 'ꯑꯔꯣꯏꯕꯥ ꯑꯄꯗꯦꯇꯇꯒꯤ {changed} ({count}): ▲ ꯑꯃꯨꯕꯥ ꯑꯉꯥꯡꯕꯥ, ▼ ꯑꯁꯡꯕꯥ',
+    display: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯎꯠꯄꯥ',
+    displayCells: 'ꯒ꯭ꯔꯤꯗ ꯁꯦꯜ',
+    displayHeatmap: 'ꯍꯤꯇꯃꯦꯞ',
+    contours: 'ꯕꯦꯟꯗꯒꯤ ꯑꯔꯣꯏꯕꯗꯥ ꯀꯅꯇꯨꯔ ꯂꯥꯏꯟ',
+    contourLine: '{min}% ꯀꯅꯇꯨꯔ ꯂꯥꯏꯟ'
+  },
+  welcome: {
+    title: 'Geo-Risk AI-ꯗꯥ ꯇꯔꯥꯝꯅꯥ ꯑꯣꯀꯆꯔꯤ',
+    hint: 'ꯊꯣꯀꯄꯥ ꯌꯥꯕꯥ ꯑꯋꯥꯕꯒꯤ ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ ꯌꯦꯡꯅꯕꯥ {path} ꯈꯜꯂꯨ',
+    path: 'ꯂꯩꯕꯥꯛ → ꯁ꯭ꯇꯦꯠ → ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ'
+  },
+  location: {
+    outside: 'ꯃꯐꯝ ꯑꯁꯤ ꯁꯤꯁ꯭ꯇꯦꯝ ꯑꯁꯤꯅꯥ ꯌꯦꯡꯁꯤꯅꯕꯥ ꯗꯤꯁ꯭ꯠꯔꯤꯛꯇꯁꯤꯡꯒꯤ ꯃꯄꯥꯟꯗꯥ ꯂꯩ꯫',
+    unavailable: 'ꯕ꯭ꯔꯥꯎꯖꯔ ꯑꯁꯤꯗꯥ ꯃꯐꯝ ꯐꯡꯗꯦ꯫ ꯄꯤꯟ ꯑꯃꯥ ꯊꯝꯅꯕꯥ ꯃꯦꯄꯇꯥ ꯛꯂꯤꯛ ꯇꯧꯕꯤꯌꯨ꯫',
+    denied: 'ꯃꯐꯝ ꯌꯦꯡꯅꯕꯥ ꯌꯥꯊꯡ ꯄꯤꯗ꯭ꯔꯦ꯫ ꯄꯤꯟ ꯑꯃꯥ ꯊꯝꯅꯕꯥ ꯃꯦꯄꯇꯥ ꯛꯂꯤꯛ ꯇꯧꯕꯤꯌꯨ꯫',
+    failed: 'ꯅꯍꯥꯛꯀꯤ ꯃꯐꯝ ꯐꯡꯗ꯭ꯔꯦ꯫ ꯄꯤꯟ ꯑꯃꯥ ꯊꯝꯅꯕꯥ ꯃꯦꯄꯇꯥ ꯛꯂꯤꯛ ꯇꯧꯕꯤꯌꯨ꯫',
+    dropPin: 'ꯄꯤꯟ ꯑꯃꯥ ꯊꯝꯅꯕꯥ ꯃꯦꯄꯇꯥ ꯛꯂꯤꯛ ꯇꯧꯕꯤꯌꯨ꯫'
+  },
+  notifications: {
+    riskRising: '{icon} {place}: {hazard} ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯍꯦꯅꯒꯠꯂꯤ',
+    riskRisingBody: 'ꯍꯧꯖꯤꯛ {band} ({risk}%)꯫ ꯄꯥꯎꯇꯥꯛꯀꯤꯗꯃꯛ ꯑꯦꯞ ꯍꯥꯡꯗꯣꯀꯄꯤꯌꯨ꯫'
+  },
+  myPlaces: {
+    title: 'ꯑꯩꯒꯤ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ',
+    check: 'ꯑꯩꯒꯤ ꯃꯐꯝ ꯌꯦꯡꯁꯤꯜꯂꯨ',
+    locating: 'ꯃꯐꯝ ꯊꯤꯔꯤ…',
+    dropPin: 'ꯃꯒꯤ ꯃꯍꯨꯠꯇꯥ ꯃꯦꯄꯇꯥ ꯄꯤꯟ ꯊꯝꯃꯨ',
+    noPrediction: 'ꯃꯐꯝ ꯑꯁꯤꯒꯤꯗꯃꯛ ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ ꯂꯩꯇꯦ',
+    loading: 'ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ ꯂꯣꯗ ꯇꯧꯔꯤ…',
+    risk: '{risk}% · {band}',
+    namePlaceholder: 'ꯌꯨꯝ, ꯊꯕꯛ, ꯈꯨꯜ…',
+    save: 'ꯊꯝꯃꯨ',
+    saveTitle: 'ꯃꯐꯝ ꯑꯁꯤ ꯊꯝꯃꯨ',
+    limit: 'ꯃꯐꯝ {count} ꯐꯥꯑꯣꯕꯥ',
+    defaultName: 'ꯃꯐꯝ {number}',
+    saved: 'ꯊꯃꯈꯤꯕꯥ ꯃꯐꯃꯁꯤꯡ ({count}/{max})',
+    remove: 'ꯃꯐꯝ ꯍꯨꯠꯊꯣꯛꯀꯣ',
+    notChecked: 'ꯍꯧꯖꯤꯛ ꯐꯥꯑꯣꯕꯥ ꯌꯦꯡꯁꯤꯟꯗ꯭ꯔꯤ',
+    notifying: 'ꯃꯐꯝ ꯑꯃꯒꯤ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯍꯦꯅꯒꯠꯂꯕꯗꯥ ꯅꯍꯥꯀꯄꯨ ꯈꯡꯍꯅꯒꯅꯤ',
+    notificationsUnsupported: 'ꯕ꯭ꯔꯥꯎꯖꯔ ꯑꯁꯤꯗꯥ ꯅꯣꯇꯤꯐꯤꯀꯦꯁꯟ ꯁꯤꯖꯤꯟꯅꯕꯥ ꯉꯝꯃꯦ',
+    notificationsBlocked: 'ꯅꯣꯇꯤꯐꯤꯀꯦꯁꯟ ꯊꯤꯡꯈ꯭ꯔꯦ',
+    enableNotifications: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯍꯦꯅꯒꯠꯂꯕꯗꯥ ꯑꯩꯕꯨ ꯈꯡꯍꯅꯕꯤꯌꯨ'
+  },
+  layers: {
+    title: 'ꯃꯦꯄꯀꯤ ꯂꯦꯌꯔꯁꯤꯡ',
+    unnamed: 'ꯐꯤꯆꯔ {number}',
+    drop: 'GeoJSON, KML ꯅꯠꯠꯔꯒꯥ GPX ꯐꯥꯏꯂꯁꯤꯡ ꯃꯁꯤꯗꯥ ꯊꯥꯗꯣꯛꯀꯣ, ꯅꯠꯠꯔꯒꯥ {browse}',
+    browse: 'ꯕ꯭ꯔꯥꯎꯖ ꯇꯧ',
+    empty: 'ꯁꯦꯜꯇꯔ, ꯔꯤꯂꯤꯐ ꯀꯦꯝꯞ, ꯍꯣꯁ꯭ꯄꯤꯇꯥꯜ, ꯕ꯭ꯔꯤꯖ ꯅꯠꯠꯔꯒꯥ ꯍꯥꯟꯅꯒꯤ ꯂꯝ ꯆꯨꯃꯈꯤꯕꯥ ꯃꯐꯃꯁꯤꯡ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯒꯤ ꯃꯊꯛꯇꯥ ꯎꯠꯏ꯫',
+    hide: 'ꯂꯦꯌꯔ ꯊꯨꯞꯄꯨ',
+    show: 'ꯂꯦꯌꯔ ꯎꯠꯂꯨ',
+    remove: 'ꯂꯦꯌꯔ ꯍꯨꯠꯊꯣꯛꯀꯣ',
+    flagged: 'ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯗꯥ ({count})',
+    flag: '{name} {risk}% {hazard} ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯗꯥ ꯂꯩ'
+  },
+  timeline: {
+    now: 'ꯍꯧꯖꯤꯛ',
+    hours: '{hours} ꯄꯨꯡ',
+    previous: 'ꯃꯃꯥꯡꯒꯤ ꯈꯣꯡꯊꯥꯡ',
+    next: 'ꯃꯊꯡꯒꯤ ꯈꯣꯡꯊꯥꯡ',
+    play: 'ꯍꯧꯗꯣꯛꯀꯣ',
+    pause: 'ꯂꯦꯞꯄꯨ',
+    stepHighRisk: '{offset}: ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯜ {count}',
+    stepNotLoaded: '{offset}: ꯂꯣꯗ ꯇꯧꯗ꯭ꯔꯤ',
+    historyEnd: '{offset} (ꯃꯃꯥꯡꯒꯤ)',
+    forecastEnd: '{offset} (ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ)',
+    live: 'ꯂꯥꯏꯚ',
+    forecastAt: 'ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁ {offset}',
+    historyAt: 'ꯃꯃꯥꯡꯒꯤ {offset}',
+    loading: 'ꯁ꯭ꯅꯦꯄꯁꯣꯠ ꯂꯣꯗ ꯇꯧꯔꯤ...',
+    unavailable: 'ꯁ꯭ꯅꯦꯄꯁꯣꯠ ꯐꯡꯗ꯭ꯔꯦ'
+  },
+  cellTable: {
+    caption: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯁꯤꯡ: {mode}, {district}',
+    show: 'ꯇꯦꯕꯜ ꯃꯤꯠꯌꯦꯡ',
+    backToMap: 'ꯃꯦꯄꯇꯥ ꯍꯟꯗꯣꯛꯀꯣ',
+    location: 'ꯃꯐꯝ',
+    hazard: 'ꯃꯈꯜ',
+    risk: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯥ',
+    band: 'ꯆꯥꯡ',
+    change: 'ꯑꯍꯣꯡꯕꯥ',
+    actions: 'ꯊꯕꯛ',
+    coordinates: '{lat}° ꯑꯋꯥꯡ, {lon}° ꯅꯣꯡꯄꯣꯛ',
+    hazardRisk: '{hazard} {risk}%',
+    rose: '{risk}%ꯗꯒꯤ ꯍꯦꯅꯒꯠꯂꯦ',
+    fell: '{risk}%ꯗꯒꯤ ꯍꯟꯊꯔꯦ',
+    risen: 'ꯍꯦꯅꯒꯠꯂꯦ',
+    fallen: 'ꯍꯟꯊꯔꯦ',
+    empty: 'ꯁꯦꯜ ꯂꯣꯗ ꯇꯧꯗ꯭ꯔꯤ꯫',
+    showOnMap: 'ꯃꯦꯄꯇꯥ ꯎꯠꯂꯨ'
+  },
+  a11y: {
+    map: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯃꯦꯞ꯫ ꯁꯦꯜ ꯑꯁꯤꯁꯤꯡꯃꯛ ꯇꯦꯕꯜ ꯃꯤꯠꯌꯦꯡꯗꯥ ꯂꯩ꯫',
+    modes: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯃꯣꯗ',
+    palette: 'ꯃꯆꯨꯒꯤ ꯄꯦꯂꯦꯠ',
+    patterns: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯥ ꯑꯃꯁꯨꯡ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯗꯥ ꯔꯦꯈꯥ ꯊꯝꯃꯨ',
+    timeline: 'ꯇꯥꯏꯃꯂꯥꯏꯅꯒꯤ ꯈꯣꯡꯊꯥꯡ',
+    removeNamed: '{name} ꯍꯨꯠꯊꯣꯛꯀꯣ',
+    dataUpdated: '{district}, {mode}: ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯗꯦꯇꯥ ꯑꯄꯗꯦꯠ ꯇꯧꯔꯦ꯫ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯜ {count}꯫',
+    highRiskRising: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯥ: {district} ({mode})ꯗꯥ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯜ {previous}ꯗꯒꯤ {count} ꯐꯥꯑꯣꯕꯥ ꯍꯦꯅꯒꯠꯂꯦ꯫'
+  },
+  dashboard: {
+    title: 'ꯁ꯭ꯇꯦꯠꯀꯤ ꯄꯨꯝꯅꯃꯛꯀꯤ ꯃꯤꯠꯌꯦꯡ: {state}',
+    caption: '{state}ꯒꯤ ꯗꯤꯁ꯭ꯠꯔꯤꯛꯇꯁꯤꯡ, ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯒꯤ ꯃꯇꯨꯡ ꯏꯟꯅꯥ',
+    loaded: 'ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ {total}ꯗꯒꯤ {loaded} ꯂꯣꯗ ꯇꯧꯔꯦ',
+    loadingCount: '{count} ꯂꯣꯗ ꯇꯧꯔꯤ',
+    failedCount: 'ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ {count} ꯉꯃꯗ꯭ꯔꯦ',
+    retry: 'ꯑꯃꯨꯛ ꯍꯟꯅꯥ ꯍꯣꯠꯅꯧ',
+    district: 'ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ',
+    highRisk: 'ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ',
+    warning: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯥ',
+    maxRisk: 'ꯈ꯭ꯕꯥꯏꯗꯒꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ',
+    cells: 'ꯁꯦꯜ',
+    status: 'ꯐꯤꯚꯝ',
+    loading: 'ꯂꯣꯗ ꯇꯧꯔꯤ…',
+    failed: 'ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    refreshFailed: 'ꯔꯤꯐ꯭ꯔꯦꯁ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}',
+    stored: '{time}ꯒꯤ ꯊꯃꯈꯤꯕꯥ ꯗꯦꯇꯥ',
+    noCells: 'ꯁꯦꯜ ꯂꯩꯇꯦ'
+  },
+  mock: {
+    label: 'ꯃꯣꯛ API',
+    scenario: 'ꯊꯧꯗꯣꯛ',
+    live: 'ꯂꯥꯏꯚ API',
+    active: '“{name}” ꯊꯧꯗꯣꯀꯀꯤ ꯠꯔꯦꯅꯤꯡꯒꯤ ꯗꯦꯇꯥ — ꯑꯆꯨꯝꯕꯥ ꯃꯌꯦꯛꯁꯤꯡꯅꯕꯥ ꯅꯠꯇꯦ',
+    inactive: 'ꯂꯥꯏꯚ ꯃꯌꯦꯛꯁꯤꯡꯅꯕꯥ API ꯁꯤꯖꯤꯟꯅꯔꯤ',
+    loadFailed: 'ꯃꯣꯛ ꯊꯧꯗꯣꯀꯁꯤꯡ ꯂꯣꯗ ꯇꯧꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}'
+  },
+  mapLayers: {
+    title: 'ꯃꯦꯄꯀꯤ ꯂꯦꯌꯔꯁꯤꯡ',
+    base: 'ꯑꯍꯥꯅꯕꯥ ꯃꯦꯞ',
+    overlays: 'ꯑꯣꯚꯔꯂꯦ',
+    opacity: '{name}ꯒꯤ ꯑꯣꯄꯦꯁꯤꯇꯤ',
+    savedFor: '{mode}ꯒꯤꯗꯃꯛ ꯅꯤꯡꯁꯤꯡꯂꯦ',
+    notConfigured: '{names}: ꯇꯥꯏꯜ ꯁꯔ꯭ꯚꯔ ꯁꯦꯃꯗ꯭ꯔꯦ',
+    layers: {
+      osm: 'ꯂꯝꯕꯤꯒꯤ ꯃꯦꯞ',
+      topo: 'ꯆꯤꯡꯒꯤ ꯃꯦꯞ',
+      satellite: 'ꯁꯦꯇꯦꯂꯥꯏꯠ',
+      hillshade: 'ꯆꯤꯡꯒꯤ ꯃꯃꯤ',
+      rivers: 'ꯇꯨꯔꯦꯂꯁꯤꯡ',
+      rainfall: 'ꯅꯣꯡ ꯆꯨꯕꯥ'
+    }
+  },
+  exposure: {
+    title: 'ꯈꯨꯗꯣꯡꯆꯥꯗꯕꯗꯥ ꯂꯩꯕꯥ',
+    band: '{label}: {summary}',
+    popup: 'ꯈꯨꯗꯣꯡꯆꯥꯗꯕꯗꯥ ꯂꯩꯕꯥ:',
+    alert: 'ꯈꯨꯗꯣꯡꯆꯥꯗꯕꯗꯥ ꯂꯩꯕꯥ: {summary}',
+    people: 'ꯃꯤꯑꯣꯏ ~{count}',
+    facilities: {
+      school: 'ꯁ꯭ꯀꯨꯜ {count}',
+      hospital: 'ꯍꯣꯁ꯭ꯄꯤꯇꯥꯜ {count}',
+      police: 'ꯄꯨꯂꯤꯁ ꯊꯥꯅꯥ {count}',
+      bridge: 'ꯌꯦꯡ {count}'
+    },
+    none: 'ꯃꯤꯑꯣꯏ ꯅꯠꯇꯔꯒꯥ ꯐꯦꯁꯤꯂꯤꯇꯤ ꯆꯠꯁꯤꯜꯂꯦ'
+  },
+  incidents: {
+    title: 'ꯊꯧꯗꯣꯛꯀꯤ ꯂꯣꯒ',
+    openCount: 'ꯍꯥꯡꯗꯣꯀꯂꯤꯕꯥ {count}',
+    operator: 'ꯑꯣꯄꯔꯦꯇꯔ',
+    operatorPlaceholder: 'ꯅꯍꯥꯛꯀꯤ ꯃꯃꯤꯡ',
+    operatorNeeded: 'ꯊꯧꯗꯣꯀꯁꯤꯡꯗꯥ ꯊꯕꯛ ꯄꯥꯡꯊꯣꯛꯅꯕꯥ ꯃꯊꯛꯇꯥ ꯅꯍꯥꯛꯀꯤ ꯃꯃꯤꯡ ꯏꯌꯨ꯫',
+    status: 'ꯐꯤꯚꯝ',
+    statusOpen: 'ꯍꯥꯡꯗꯣꯀꯂꯤꯕꯥ',
+    statusAll: 'ꯐꯤꯚꯝ ꯄꯨꯝꯅꯃꯛ',
+    statuses: {
+      new: 'ꯑꯅꯧꯕꯥ',
+      acknowledged: 'ꯌꯥꯈ꯭ꯔꯦ',
+      assigned: 'ꯄꯤꯈ꯭ꯔꯦ',
+      resolved: 'ꯂꯣꯏꯁꯤꯅꯈ꯭ꯔꯦ'
+    },
+    scope: 'ꯃꯐꯝ',
+    scopeCurrent: 'ꯍꯧꯖꯤꯛꯀꯤ ꯃꯐꯝ',
+    scopeAll: 'ꯃꯐꯝ ꯄꯨꯝꯅꯃꯛ',
+    mode: 'ꯑꯑꯣꯌꯥꯕꯥ',
+    modeAll: 'ꯑꯑꯣꯌꯥꯕꯥ ꯄꯨꯝꯅꯃꯛ',
+    search: 'ꯂꯝꯕꯤ, ꯇꯤꯝ, ꯅꯣꯠ ꯊꯤꯕꯥ',
+    empty: 'ꯃꯥꯟꯅꯕꯥ ꯊꯧꯗꯣꯛ ꯑꯃꯠꯇꯥ ꯂꯩꯇꯦ꯫',
+    opened: '{time}ꯗꯥ ꯍꯥꯡꯗꯣꯀꯈꯤ',
+    assignedTo: '{name}ꯗꯥ ꯄꯤꯈ꯭ꯔꯦ',
+    cleared: '{time}ꯗꯒꯤ ꯂꯝꯕꯤ ꯑꯁꯤ ꯈꯨꯗꯣꯡꯆꯥꯗꯕꯥ ꯂꯩꯠꯔꯦ',
+    history: 'ꯄꯨꯋꯥꯔꯤ',
+    note: 'ꯅꯣꯠ',
+    assignee: 'ꯇꯤꯝ ꯅꯠꯇꯔꯒꯥ ꯃꯤꯑꯣꯏ',
+    acknowledge: 'ꯌꯥꯕꯥ',
+    assign: 'ꯄꯤꯕꯥ',
+    resolve: 'ꯂꯣꯏꯁꯤꯅꯕꯥ',
+    addNote: 'ꯅꯣꯠ ꯍꯥꯄꯆꯤꯅꯕꯥ',
+    actions: {
+      opened: 'ꯍꯥꯡꯗꯣꯀꯈꯤ',
+      escalated: '{band} ꯐꯥꯑꯣꯕꯥ ꯍꯦꯅꯈꯠꯈꯤ',
+      cleared: 'ꯂꯝꯕꯤ ꯑꯁꯤ ꯈꯨꯗꯣꯡꯆꯥꯗꯕꯥ ꯂꯩꯠꯔꯦ',
+      acknowledged: '{operator}ꯅꯥ ꯌꯥꯈꯤ',
+      assigned: '{operator}ꯅꯥ {assignee}ꯗꯥ ꯄꯤꯈꯤ',
+      resolved: '{operator}ꯅꯥ ꯂꯣꯏꯁꯤꯅꯈꯤ',
+      note: '{operator}ꯒꯤ ꯅꯣꯠ'
+    },
+    storage: {
+      local: 'ꯕ꯭ꯔꯥꯎꯖꯔ ꯑꯁꯤꯗꯥ ꯊꯝꯂꯦ',
+      rest: 'ꯊꯧꯗꯣꯛ ꯁꯔ꯭ꯚꯔꯗꯥ ꯊꯝꯂꯦ'
+    },
+    saveFailed: 'ꯊꯝꯕꯥ ꯉꯃꯗ꯭ꯔꯦ: {message}꯫ ꯀꯣꯄꯤ ꯑꯃꯥ ꯊꯝꯅꯕꯥ ꯂꯣꯒ ꯑꯦꯛꯁꯄꯣꯔ꯭ꯠ ꯇꯧꯕꯤꯌꯨ꯫',
+    export: 'CSV ꯊꯥꯗꯣꯀꯄꯥ'
+  },
+  report: {
+    title: '{title} – ꯐꯤꯚꯃꯒꯤ ꯔꯤꯄꯣꯔ꯭ꯠ',
+    documentTitle: 'ꯐꯤꯚꯃꯒꯤ ꯔꯤꯄꯣꯔ꯭ꯠ – {district} – {mode}',
+    modeRisk: '{mode} ꯈꯨꯗꯣꯡꯆꯥꯕꯥ',
+    dataAsOf: '{time} ꯐꯥꯑꯣꯕꯒꯤ ꯗꯦꯇꯥ',
+    unknownTime: 'ꯈꯉꯗꯕꯥ',
+    noMap: 'ꯃꯦꯄꯀꯤ ꯗꯦꯇꯥ ꯂꯩꯇꯦ꯫',
+    breakdown: 'ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯃꯇꯥꯡ (ꯁꯦꯜ {count})',
+    band: 'ꯆꯥꯡ',
+    cells: 'ꯁꯦꯜ',
+    share: 'ꯁꯔꯨꯛ',
+    roadAlerts: 'ꯂꯝꯕꯤꯒꯤ ꯆꯦꯀꯁꯤꯅꯖꯕꯥ ({count})',
+    road: 'ꯂꯝꯕꯤ',
+    situation: 'ꯐꯤꯚꯝ',
+    recommendation: 'ꯄꯥꯎꯇꯥꯛ',
+    noAlerts: 'ꯆꯦꯀꯁꯤꯅꯖꯕꯒꯤ ꯆꯥꯡ ꯅꯠꯠꯔꯒꯥ ꯃꯗꯨꯒꯤ ꯃꯊꯛꯀꯤ ꯁꯦꯜ ꯈꯣꯡꯖꯤꯅꯕꯥ ꯂꯝꯕꯤ ꯑꯃꯠꯇꯥ ꯂꯩꯇꯦ꯫',
+    alertBand: '{band} ({risk}%)',
+    attribution: '© OpenStreetMap ꯁꯔꯨꯛ ꯌꯥꯕꯁꯤꯡ',
+    footer: '{time}ꯗꯥ ꯁꯦꯃꯈꯤꯕꯥ꯫ ꯄꯨꯔ꯭ꯕꯥꯚꯥꯁꯁꯤꯡ ꯑꯁꯤ ꯃꯣꯗꯦꯂꯒꯤ ꯈꯅꯕꯅꯤ; ꯗꯤꯁ꯭ꯠꯔꯤꯛꯠ ꯑꯦꯗꯃꯤꯅꯤꯁ꯭ꯠꯔꯦꯁꯅꯒꯤ ꯌꯥꯊꯡ ꯏꯅꯕꯤꯌꯨ꯫'
+  },
+  riskScales: {
+    standard: {
+      name: 'ꯁ꯭ꯇꯦꯟꯗꯔ꯭ꯗ',
+      bands: ['ꯈꯨꯗꯣꯡꯆꯥꯕꯥ ꯅꯦꯃꯕꯥ', 'ꯑꯃꯔꯛꯇꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ', 'ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯥ']
+    },
+    imd: {
+      name: 'IMD ꯃꯆꯨꯒꯤ ꯀꯣꯗ',
+      bands: ['ꯑꯁꯡꯕꯥ – ꯆꯦꯀꯁꯤꯅꯖꯕꯥ ꯂꯩꯇꯦ', 'ꯑꯉꯧꯕꯥ – ꯈꯡꯖꯤꯅꯕꯤꯌꯨ', 'ꯀꯃꯂꯥ – ꯁꯦꯃꯗꯣꯛꯂꯨ', 'ꯑꯉꯥꯡꯕꯥ – ꯊꯕꯛ ꯄꯥꯡꯊꯣꯛꯀꯣ']
+    }
+  },
+  riskPalettes: {
+    standard: 'ꯁ꯭ꯇꯦꯟꯗꯔ꯭ꯗ ꯃꯆꯨ',
+    colorblind: 'ꯃꯆꯨ ꯈꯡꯗꯕꯁꯤꯡꯒꯤꯗꯃꯛ ꯆꯥꯅꯕꯥ'
+  },
+  hazards: {
+    generic: {
+      highRiskAdvice: 'ꯑꯀꯤꯕꯥ ꯐꯤꯚꯝ ꯂꯥꯛꯀꯅꯤ꯫ ꯁꯔꯀꯥꯔꯒꯤ ꯌꯥꯊꯡ ꯏꯅꯕꯤꯌꯨ꯫',
+      moderateRiskAdvice: 'ꯆꯦꯀꯁꯤꯜꯂꯨ꯫ ꯐꯤꯚꯝ ꯆꯦꯛꯅꯥ ꯌꯦꯡꯂꯨ꯫',
+      advisory: {
+        title: '{label}ꯗꯒꯤ ꯉꯥꯛꯁꯦꯅꯕꯥ',
+        tips: ['ꯃꯐꯃꯒꯤ ꯑꯊꯣꯏꯕꯁꯤꯡꯒꯤ ꯌꯥꯊꯡ ꯏꯅꯕꯤꯌꯨ', 'ꯑꯊꯨꯕꯥ ꯃꯇꯃꯒꯤ ꯃꯄꯣꯀꯁꯤꯡ ꯁꯦꯃꯗꯨꯅꯥ ꯊꯝꯃꯨ']
+      },
+      roadAlert: {
+        message: 'ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ ꯑꯋꯥꯡꯕꯥ ꯈꯨꯗꯣꯡꯆꯥꯕꯒꯤ ꯁꯦꯂꯗꯥ ꯆꯠꯂꯤ',
+        recommendation: 'ꯆꯠꯂꯤꯉꯩꯗꯥ ꯐꯤꯚꯝ ꯌꯦꯡꯁꯤꯜꯂꯨ꯫'
+      }
+    },
+    landslide: {
+      label: 'ꯂꯝ ꯆꯨꯝꯕꯥ',
+      highRiskAdvice: 'ꯂꯝꯕꯤ ꯊꯤꯡꯕꯥ ꯌꯥꯏ꯫ ꯃꯐꯝ ꯑꯁꯤ ꯍꯦꯛꯂꯨ꯫',
+      advisory: {
+        tips: ['ꯑꯉꯥꯡꯕꯥ ꯃꯐꯃꯁꯤꯡꯗꯥ ꯆꯤꯡꯒꯤ ꯂꯝꯕꯤꯁꯤꯡ ꯍꯦꯛꯂꯨ', 'ꯇꯥꯊꯔꯀꯄꯥ ꯅꯨꯡ ꯑꯃꯁꯨꯡ ꯂꯩ ꯆꯦꯛꯅꯥ ꯌꯦꯡꯂꯨ', 'ꯉꯝꯂꯕꯗꯤ ꯇꯝꯄꯥꯛꯀꯤ ꯂꯝꯕꯤ ꯁꯤꯖꯤꯟꯅꯕꯤꯌꯨ']
+      },
+      roadAlert: {
+        message: 'ꯆꯤꯡꯒꯤ ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ ꯂꯝ ꯆꯨꯝꯕꯥ ꯌꯥꯕꯥ ꯁꯦꯂꯗꯥ ꯆꯠꯂꯤ',
+        recommendation: 'ꯆꯤꯡꯒꯤ ꯁꯔꯨꯀꯁꯤꯡꯗꯥ ꯆꯠꯄꯥ ꯍꯦꯛꯂꯨ꯫ ꯂꯩꯔꯕꯗꯤ ꯇꯝꯄꯥꯛꯀꯤ ꯑꯇꯣꯞꯄꯥ ꯂꯝꯕꯤ ꯁꯤꯖꯤꯟꯅꯕꯤꯌꯨ꯫'
+      }
+    },
+    flood: {
+      label: 'ꯏꯁꯤꯡ ꯏꯆꯥꯑꯣ',
+      highRiskAdvice: 'ꯏꯁꯤꯡ ꯏꯆꯥꯑꯣ ꯂꯥꯛꯀꯅꯤ꯫ ꯑꯋꯥꯡꯕꯥ ꯃꯐꯃꯗꯥ ꯆꯠꯂꯨ꯫',
+      advisory: {
+        tips: ['ꯍꯧꯖꯤꯛꯀꯤ ꯍꯧꯖꯤꯛ ꯑꯋꯥꯡꯕꯥ ꯃꯐꯃꯗꯥ ꯆꯠꯂꯨ', 'ꯏꯁꯤꯡꯅꯥ ꯊꯨꯕꯥ ꯃꯐꯃꯁꯤꯡ ꯈꯣꯡꯖꯤꯅꯒꯅꯨ', 'ꯑꯁꯡꯕꯥ ꯃꯐꯃꯁꯤꯡꯅꯥ ꯍꯦꯟꯅꯥ ꯉꯥꯛꯂꯕꯥ ꯑꯋꯥꯡꯕꯥ ꯃꯐꯝ ꯎꯠꯂꯤ']
+      },
+      roadAlert: {
+        message: 'ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ ꯏꯁꯤꯡ ꯏꯆꯥꯑꯣ ꯌꯥꯕꯥ ꯁꯦꯂꯗꯥ ꯆꯠꯂꯤ',
+        recommendation: 'ꯑꯋꯥꯡꯕꯥ ꯃꯐꯃꯗꯥ ꯆꯠꯂꯨ꯫ ꯏꯁꯤꯡꯅꯥ ꯊꯨꯕꯥ ꯁꯔꯨꯀꯁꯤꯡ ꯈꯣꯡꯖꯤꯅꯒꯅꯨ꯫'
+      }
+    },
+    cyclone: {
+      label: 'ꯅꯨꯡꯁꯤꯠ ꯀꯥꯡꯂꯩ',
+      highRiskAdvice: 'ꯃꯥꯡꯍꯅꯕꯥ ꯉꯝꯕꯥ ꯅꯨꯡꯁꯤꯠ ꯂꯥꯛꯀꯅꯤ꯫ ꯑꯀꯥꯡꯕꯥ ꯌꯨꯝ ꯑꯃꯗꯥ ꯂꯩꯐꯝ ꯂꯧꯕꯤꯌꯨ꯫',
+      advisory: {
+        tips: ['ꯌꯨꯃꯒꯤ ꯃꯅꯨꯡꯗꯥ, ꯋꯤꯟꯗꯣꯗꯒꯤ ꯂꯥꯞꯅꯥ ꯂꯩꯌꯨ', 'ꯃꯄꯥꯟꯗꯥ ꯂꯩꯕꯥ ꯄꯣꯠꯁꯤꯡ ꯆꯦꯛꯅꯥ ꯊꯝꯃꯨ', 'ꯄꯥꯡꯒꯤ ꯃꯐꯃꯁꯤꯡꯗꯥ ꯆꯠꯊꯣꯀꯅꯕꯥ ꯌꯥꯊꯡ ꯏꯅꯕꯤꯌꯨ']
+      },
+      roadAlert: {
+        message: 'ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ ꯅꯨꯡꯁꯤꯠ ꯀꯥꯡꯂꯩ ꯑꯃꯁꯨꯡ ꯇꯥꯕꯥ ꯎꯄꯥꯂꯒꯤ ꯈꯨꯗꯣꯡꯆꯥꯕꯗꯥ ꯂꯩ',
+        recommendation: 'ꯅꯨꯡꯁꯤꯠ ꯀꯥꯡꯂꯩ ꯌꯧꯕꯥ ꯃꯇꯃꯗꯥ ꯆꯠꯄꯥ ꯍꯦꯛꯂꯨ꯫ ꯇꯥꯈꯤꯕꯥ ꯎꯄꯥꯜ ꯑꯃꯁꯨꯡ ꯃꯦꯠꯁꯤꯡ ꯂꯩꯊꯣꯀꯄꯥ ꯌꯥꯏ꯫'
+      }
+    },
+    earthquake: {
+      label: 'ꯂꯩꯆꯥꯜ',
+      highRiskAdvice: 'ꯌꯥꯝꯅꯥ ꯆꯥꯎꯕꯥ ꯂꯩꯆꯥꯜ ꯂꯥꯛꯀꯅꯤ꯫ ꯑꯁꯣꯌꯕꯥ ꯌꯨꯃꯁꯤꯡꯗꯒꯤ ꯂꯥꯞꯅꯥ ꯂꯩꯌꯨ꯫',
+      advisory: {
+        tips: ['ꯐꯃꯊꯗꯨꯅꯥ, ꯀꯣꯛꯀꯤ ꯃꯊꯛ ꯎꯄꯗꯨꯅꯥ, ꯆꯦꯛꯅꯥ ꯄꯥꯏꯔꯨ', 'ꯃꯥꯡꯈꯤꯕꯥ ꯌꯨꯃꯁꯤꯡꯗꯒꯤ ꯂꯥꯞꯅꯥ ꯂꯩꯌꯨ', 'ꯃꯇꯨꯡꯗꯥ ꯂꯥꯛꯀꯗꯕꯥ ꯂꯩꯆꯥꯂꯁꯤꯡꯒꯤꯗꯃꯛ ꯁꯦꯃꯗꯣꯛꯂꯨ']
+      },
+      roadAlert: {
+        message: 'ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ ꯌꯥꯝꯅꯥ ꯆꯥꯎꯕꯥ ꯂꯩꯆꯥꯂꯒꯤ ꯃꯐꯃꯗꯥ ꯂꯩ; ꯕ꯭ꯔꯤꯖ ꯑꯃꯁꯨꯡ ꯆꯤꯡ ꯀꯥꯏꯈꯤꯕꯥ ꯃꯐꯃꯁꯤꯡ ꯃꯥꯡꯕꯥ ꯌꯥꯏ',
+        recommendation: 'ꯁꯤꯖꯤꯟꯅꯕꯒꯤ ꯃꯃꯥꯡꯗꯥ ꯕ꯭ꯔꯤꯖꯁꯤꯡ ꯌꯦꯡꯁꯤꯜꯂꯨ꯫ ꯆꯤꯡ ꯀꯥꯏꯈꯤꯕꯥ ꯃꯐꯃꯁꯤꯡꯗꯥ ꯂꯝ ꯆꯨꯝꯕꯥ ꯌꯥꯏ꯫'
+      }
+    },
+    heatwave: {
+      label: 'ꯑꯁꯥꯕꯥ ꯅꯨꯡꯁꯥ',
+      highRiskAdvice: 'ꯌꯥꯝꯅꯥ ꯁꯥꯕꯥ꯫ ꯅꯨꯃꯤꯠ ꯃꯇꯃꯗꯥ ꯅꯨꯃꯤꯠꯀꯤ ꯃꯉꯥꯂꯗꯥ ꯂꯩꯕꯥ ꯍꯦꯛꯂꯨ꯫',
+      advisory: {
+        tips: ['ꯅꯨꯃꯤꯠ ꯱꯲ꯗꯒꯤ ꯴ ꯐꯥꯑꯣꯕꯥ ꯃꯄꯥꯟꯗꯥ ꯊꯕꯛ ꯇꯧꯒꯅꯨ', 'ꯃꯇꯝ ꯃꯇꯃꯗꯥ ꯏꯁꯤꯡ ꯊꯛꯂꯨ', 'ꯑꯍꯜ ꯑꯣꯏꯕꯥ ꯌꯨꯝꯂꯣꯟꯅꯕꯁꯤꯡꯕꯨ ꯌꯦꯡꯁꯤꯜꯂꯨ']
+      },
+      roadAlert: {
+        message: 'ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ ꯌꯥꯝꯅꯥ ꯁꯥꯕꯥ ꯃꯐꯃꯗꯥ ꯂꯩ',
+        recommendation: 'ꯅꯨꯃꯤꯠ ꯃꯔꯛꯇꯥ ꯆꯠꯄꯥ ꯍꯦꯛꯂꯨ꯫ ꯊꯀꯄꯥ ꯏꯁꯤꯡ ꯄꯨꯁꯤꯜꯂꯨ꯫'
+      }
+    },
+    cloudburst: {
+      label: 'ꯅꯣꯡ ꯀꯥꯞꯄꯥ',
+      highRiskAdvice: 'ꯊꯨꯅꯥ ꯂꯥꯛꯀꯗꯕꯥ ꯏꯁꯤꯡ ꯏꯆꯥꯑꯣ ꯑꯃꯁꯨꯡ ꯂꯝ ꯂꯩꯕꯥ ꯆꯦꯂꯕꯥ ꯌꯥꯏ꯫ ꯇꯨꯔꯦꯂꯗꯒꯤ ꯂꯥꯞꯅꯥ ꯆꯠꯂꯨ꯫',
+      advisory: {
+        tips: ['ꯇꯨꯔꯦꯜ ꯑꯃꯁꯨꯡ ꯈꯣꯡꯅꯥꯡꯁꯤꯡꯗꯒꯤ ꯂꯥꯞꯅꯥ ꯆꯠꯂꯨ', 'ꯅꯣꯡ ꯌꯥꯝꯅꯥ ꯆꯨꯕꯥ ꯃꯇꯃꯗꯥ ꯆꯤꯡꯒꯤ ꯃꯈꯥꯡꯁꯤꯡ ꯍꯦꯛꯂꯨ', 'ꯊꯨꯅꯥ ꯂꯥꯛꯀꯗꯕꯥ ꯏꯁꯤꯡ ꯏꯆꯥꯑꯣ ꯆꯦꯛꯅꯥ ꯌꯦꯡꯂꯨ']
+      },
+      roadAlert: {
+        message: 'ꯂꯝꯕꯤꯒꯤ ꯁꯔꯨꯛ ꯑꯁꯤ ꯊꯨꯅꯥ ꯂꯥꯛꯀꯗꯕꯥ ꯏꯁꯤꯡ ꯏꯆꯥꯑꯣ ꯑꯃꯁꯨꯡ ꯂꯝ ꯂꯩꯕꯥ ꯆꯦꯂꯕꯒꯤ ꯈꯨꯗꯣꯡꯆꯥꯕꯗꯥ ꯂꯩ',
+        recommendation: 'ꯇꯨꯔꯦꯜ ꯅꯠꯠꯔꯒꯥ ꯀꯖꯋꯦ ꯈꯣꯡꯖꯤꯅꯒꯅꯨ꯫ ꯅꯣꯡ ꯀꯝꯂꯀꯄꯥ ꯐꯥꯑꯣꯕꯥ ꯉꯥꯏꯌꯨ꯫'
+      }
+    }
+  }
+};
@@ -0,0 +1,275 @@
+// ========================================
+// MOCK API
+// ========================================
+// Serves /api/v1/status/info (and the legacy /api/v1/status) in the
+// browser from scenario fixtures in public/data/mock/, so the app can be
+// developed, demonstrated and used for training without the backend.
+// Cells are generated on a grid clipped to each district's boundary from
+// the region manifest, and the same scenario always gives the same data.
+//
+// The mock is available in the dev server and in builds made with
+// `--mode mock` or VITE_MOCK_API=<scenario>. `?mock=<scenario>` picks a
+// scenario, `?mock=off` uses the real API, and the choice is kept for the
+// browser tab.
+
+import { loadRegionManifest, getBoundaryBounds, isPointInBoundary } from './region-manifest';
+import { wait } from './api-client';
+
+export const MOCK_FIXTURE_URL = '/data/mock';
+
+export const MOCK_API_AVAILABLE = Boolean(
+  import.meta.env.DEV || import.meta.env.MODE === 'mock' || import.meta.env.VITE_MOCK_API
+);
+
+const DEFAULT_SCENARIO = import.meta.env.VITE_MOCK_API ||
+  (import.meta.env.MODE === 'mock' ? 'calm-day' : '');
+const MOCK_OFF = 'off';
+const STORAGE_KEY = 'disaster-warning-system:mock-scenario';
+
+// Grid spacing in degrees (~5.5 km) unless a fixture sets `cellSize`
+const DEFAULT_CELL_SIZE = 0.05;
+// Random variation (± risk points) unless a hazard sets `noise`
+const DEFAULT_NOISE = 6;
+
+function readScenarioChoice() {
+  if (!MOCK_API_AVAILABLE || typeof window === 'undefined') return null;
+
+  const fromUrl = new URLSearchParams(window.location.search).get('mock');
+  let choice = fromUrl;
+  try {
+    if (fromUrl) {
+      sessionStorage.setItem(STORAGE_KEY, fromUrl);
+    } else {
+      choice = sessionStorage.getItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    // sessionStorage unavailable: the choice lasts until the URL changes
+  }
+  choice = choice || DEFAULT_SCENARIO;
+  return choice && choice !== MOCK_OFF ? choice : null;
+}
+
+const activeScenario = readScenarioChoice();
+
+/**
+ * Id of the scenario served instead of the real API, or null.
+ */
+export function getMockScenario() {
+  return activeScenario;
+}
+
+/**
+ * Reloads the app with another scenario (null for the real API).
+ */
+export function switchMockScenario(id) {
+  const params = new URLSearchParams(window.location.search);
+  params.set('mock', id || MOCK_OFF);
+  window.location.search = params.toString();
+}
+
+// ========================================
+// FIXTURES
+// ========================================
+
+let scenariosPromise = null;
+let fixturePromise = null;
+let manifestPromise = null;
+
+async function fetchFixture(path) {
+  const response = await fetch(`${MOCK_FIXTURE_URL}/${path}`);
+  if (!response.ok) throw new Error(`Mock fixture ${path} not found (${response.status})`);
+  return response.json();
+}
+
+/**
+ * The scenario list from scenarios.json: [{ id, name, description }].
+ */
+export function loadMockScenarios() {
+  if (!scenariosPromise) {
+    scenariosPromise = fetchFixture('scenarios.json')
+      .then(index => index.scenarios)
+      .catch(err => {
+        scenariosPromise = null;
+        throw err;
+      });
+  }
+  return scenariosPromise;
+}
+
+function loadActiveFixture() {
+  if (!fixturePromise) {
+    fixturePromise = fetchFixture(`${activeScenario}.json`).catch(err => {
+      fixturePromise = null;
+      throw err;
+    });
+  }
+  return fixturePromise;
+}
+
+function loadDistricts() {
+  if (!manifestPromise) {
+    manifestPromise = loadRegionManifest()
+      .then(manifest => manifest.countries.flatMap(country => country.states.flatMap(state => state.districts)))
+      .catch(err => {
+        manifestPromise = null;
+        throw err;
+      });
+  }
+  return manifestPromise;
+}
+
+// ========================================
+// PAYLOAD GENERATION
+// ========================================
+
+// FNV-1a hash of a string, used as a random seed
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Small seeded generator (mulberry32): the same seed gives the same numbers
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Grid cells whose centre lies in the district. The grid is aligned to
+// whole multiples of the cell size, so neighbouring districts line up.
+function getDistrictGrid(district, cellSize) {
+  const [[minLat, minLon], [maxLat, maxLon]] = getBoundaryBounds(district.boundary) || [
+    [district.center[0] - 0.15, district.center[1] - 0.15],
+    [district.center[0] + 0.15, district.center[1] + 0.15]
+  ];
+
+  const cells = [];
+  for (let row = Math.floor(minLat / cellSize); row * cellSize < maxLat; row++) {
+    for (let col = Math.floor(minLon / cellSize); col * cellSize < maxLon; col++) {
+      const bounds = {
+        minLat: round(row * cellSize, 4),
+        minLon: round(col * cellSize, 4),
+        maxLat: round((row + 1) * cellSize, 4),
+        maxLon: round((col + 1) * cellSize, 4)
+      };
+      const center = [(bounds.minLat + bounds.maxLat) / 2, (bounds.minLon + bounds.maxLon) / 2];
+      if (!district.boundary || isPointInBoundary(center, district.boundary)) cells.push({ bounds, center });
+    }
+  }
+  return cells;
+}
+
+// Risks of one hazard over the grid: `base` everywhere, rising to the
+// district's peak around a hotspot, plus noise. `trendPerHour` scales the
+// hotspot for history (< 0 h) and forecast (> 0 h) snapshots.
+function getHazardRisks(grid, setting, seed, hours) {
+  const base = setting.base ?? 0;
+  const peak = (setting.peaks && setting.peaks[seed.area]) ?? base;
+  const noise = setting.noise ?? DEFAULT_NOISE;
+  const factor = Math.min(1.5, Math.max(0.3, 1 + (setting.trendPerHour || 0) * hours));
+
+  const placement = createRandom(hashString(`${seed.scenario}:${seed.area}:${seed.hazard}`));
+  const hotspot = grid[Math.floor(placement() * grid.length)].center;
+  const latitudes = grid.map(cell => cell.center[0]);
+  const longitudes = grid.map(cell => cell.center[1]);
+  const radius = Math.max(
+    Math.max(...latitudes) - Math.min(...latitudes),
+    Math.max(...longitudes) - Math.min(...longitudes),
+    0.1
+  ) / 2;
+
+  const jitter = createRandom(hashString(`${seed.scenario}:${seed.area}:${seed.hazard}:${Math.round(hours)}`));
+  return grid.map(cell => {
+    const distance = Math.hypot(cell.center[0] - hotspot[0], cell.center[1] - hotspot[1]) / radius;
+    const risk = base + (peak - base) * Math.exp(-distance * distance) * factor + (jitter() * 2 - 1) * noise;
+    return Math.round(Math.min(100, Math.max(0, risk)));
+  });
+}
+
+// Broken cells for the malformed-payload scenario, in turn
+const CELL_DEFECTS = [
+  cell => ({ ...cell, bounds: { ...cell.bounds, minLat: String(cell.bounds.minLat) } }),
+  cell => ({ ...cell, flood: { ...cell.flood, risk_percentage: 140 } }),
+  ({ bounds, ...cell }) => cell,
+  cell => ({ ...cell, landslide: { ...cell.landslide, updated_at: 'yesterday' } })
+];
+
+/**
+ * Prediction payload of a district for a scenario fixture, at `at` (a
+ * Date) or now.
+ */
+export function buildMockPayload(fixture, scenarioId, district, at = null) {
+  const now = new Date();
+  const hours = at ? (at.getTime() - now.getTime()) / (60 * 60 * 1000) : 0;
+  const updatedAt = at || new Date(now.getTime() - (fixture.updatedMinutesAgo || 0) * 60 * 1000);
+
+  const grid = getDistrictGrid(district, fixture.cellSize || DEFAULT_CELL_SIZE);
+  if (grid.length === 0) return { status: [] };
+
+  const cells = grid.map(({ bounds }) => ({ bounds }));
+  Object.keys(fixture.hazards).forEach(hazard => {
+    const seed = { scenario: scenarioId, area: district.area, hazard };
+    getHazardRisks(grid, fixture.hazards[hazard], seed, hours).forEach((risk, index) => {
+      cells[index][hazard] = { risk_percentage: risk, updated_at: updatedAt.toISOString() };
+    });
+  });
+
+  const malformed = fixture.malformed;
+  if (malformed && malformed.every) {
+    let defect = 0;
+    cells.forEach((cell, index) => {
+      if (index % malformed.every === malformed.every - 1) {
+        cells[index] = CELL_DEFECTS[defect++ % CELL_DEFECTS.length](cell);
+      }
+    });
+  }
+  return { status: cells };
+}
+
+// ========================================
+// REQUESTS
+// ========================================
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+const appliesTo = (setting, area) => !setting.areas || setting.areas.includes(area);
+
+/**
+ * Drop-in for fetch() on prediction URLs while a scenario is active.
+ * Honours the fixture's `delayMs`, `error` and `malformed` settings.
+ */
+export async function mockFetch(url, { signal } = {}) {
+  const [fixture, districts] = await Promise.all([loadActiveFixture(), loadDistricts()]);
+  if (fixture.delayMs) await wait(fixture.delayMs, signal);
+
+  const { pathname, searchParams } = new URL(url, window.location.origin);
+  let district = null;
+  if (pathname === '/api/v1/status/info') {
+    district = districts.find(candidate => candidate.area === searchParams.get('area'));
+  } else if (pathname === '/api/v1/status') {
+    district = districts.find(candidate => candidate.area.replace(/\s+/g, '') === searchParams.get('district'));
+  }
+  if (!district) return jsonResponse(404, { detail: 'Not found' });
+
+  if (fixture.error && appliesTo(fixture.error, district.area)) {
+    return jsonResponse(fixture.error.status || 500, { detail: fixture.error.detail || 'Internal Server Error' });
+  }
+  if (fixture.malformed && fixture.malformed.areas && fixture.malformed.areas.includes(district.area)) {
+    return jsonResponse(200, { status: 'error', detail: 'model output unavailable' });
+  }
+
+  const at = searchParams.get('at');
+  return jsonResponse(200, buildMockPayload(fixture, activeScenario, district, at ? new Date(at) : null));
+}
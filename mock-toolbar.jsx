@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { t, localizeText, useLanguage } from './i18n';
+import { getMockScenario, switchMockScenario, loadMockScenarios } from './mock-api';
+
+// ========================================
+// MOCK TOOLBAR COMPONENT
+// ========================================
+// Strip above the header in development and training builds: picks the
+// mock API scenario (or the live API) and makes it obvious when the map
+// shows training data. Switching reloads the app with ?mock=<scenario>.
+
+function MockToolbar() {
+  useLanguage();
+  const [scenarios, setScenarios] = useState([]);
+  const [error, setError] = useState(null);
+  const active = getMockScenario();
+
+  useEffect(() => {
+    loadMockScenarios()
+      .then(setScenarios)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const current = scenarios.find(scenario => scenario.id === active);
+  const activeName = current ? localizeText(current.name) : active;
+
+  return (
+    <div
+      role="region"
+      aria-label={t('mock.label')}
+      style={{
+        padding: '0.35rem 2rem',
+        background: active ? '#fbbf24' : '#334155',
+        color: active ? '#1c1917' : '#e2e8f0',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.75rem',
+        fontSize: '0.8rem',
+        fontWeight: 600,
+        flexWrap: 'wrap'
+      }}
+    >
+      <span>🧪 {t('mock.label')}</span>
+      <label htmlFor="mock-scenario" style={{ fontWeight: 400 }}>{t('mock.scenario')}</label>
+      <select
+        id="mock-scenario"
+        value={active || ''}
+        onChange={(e) => switchMockScenario(e.target.value || null)}
+        style={{ padding: '0.15rem 0.3rem', borderRadius: '4px', border: '1px solid #94a3b8', fontSize: '0.8rem' }}
+      >
+        <option value="">{t('mock.live')}</option>
+        {active && !current && <option value={active}>{active}</option>}
+        {scenarios.map(scenario => (
+          <option key={scenario.id} value={scenario.id}>{localizeText(scenario.name)}</option>
+        ))}
+      </select>
+      <span>{active ? t('mock.active', { name: activeName }) : t('mock.inactive')}</span>
+      {current && current.description && (
+        <span style={{ fontWeight: 400 }}>{localizeText(current.description)}</span>
+      )}
+      {error && <span role="alert" style={{ color: active ? '#7f1d1d' : '#fca5a5' }}>{t('mock.loadFailed', { message: error })}</span>}
+    </div>
+  );
+}
+
+export default MockToolbar;
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { getHazard } from './hazard-registry';
+import { MAX_SAVED_PLACES } from './saved-places';
+import { t, useLanguage } from './i18n';
+
+// ========================================
+// MY PLACES COMPONENT
+// ========================================
+// Citizen view: check the risk at your own location (GPS or a pin on the
+// map), save a few places and get notified when their risk rises.
+
+function RiskRows({ risks, riskScales }) {
+  const hazards = Object.keys(risks || {});
+  if (hazards.length === 0) {
+    return <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>{t('myPlaces.noPrediction')}</div>;
+  }
+
+  return hazards.map(hazard => {
+    const band = riskScales.getBand(risks[hazard].risk, hazard);
+    const { icon, label } = getHazard(hazard);
+    return (
+      <div key={hazard} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem' }}>
+        <span>{icon} {label}</span>
+        <span style={{ fontWeight: 700, color: band.color }}>{t('myPlaces.risk', { risk: risks[hazard].risk, band: band.label })}</span>
+      </div>
+    );
+  });
+}
+
+function MyPlaces({
+  location,            // { position, districtName, stateName, risks } | null
+  locating,
+  picking,
+  message,
+  places,
+  riskScales,
+  getPlaceRiskScales,  // (place) => risk scales of the place's region
+  notificationPermission,
+  onCheckLocation,
+  onTogglePick,
+  onSaveLocation,      // (name) => void
+  onOpenPlace,         // (place) => void
+  onRemovePlace,       // (placeId) => void
+  onEnableNotifications
+}) {
+  useLanguage();
+  const [placeName, setPlaceName] = useState('');
+  const placesFull = places.length >= MAX_SAVED_PLACES;
+
+  const buttonStyle = {
+    flex: 1,
+    padding: '0.45rem 0.5rem',
+    border: '2px solid #cbd5e1',
+    borderRadius: '6px',
+    background: 'white',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    fontWeight: 600,
+    color: '#475569'
+  };
+
+  const handleSave = () => {
+    onSaveLocation(placeName.trim() || t('myPlaces.defaultName', { number: places.length + 1 }));
+    setPlaceName('');
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+      padding: '1rem',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.6rem'
+    }}>
+      <div style={{ fontWeight: 700, fontSize: '1rem', color: '#1e293b' }}>
+        📍 {t('myPlaces.title')}
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.4rem' }}>
+        <button style={buttonStyle} onClick={onCheckLocation} disabled={locating}>
+          {locating ? `⏳ ${t('myPlaces.locating')}` : `📍 ${t('myPlaces.check')}`}
+        </button>
+        <button
+          style={{
+            ...buttonStyle,
+            flex: 'none',
+            border: picking ? '2px solid #3b82f6' : buttonStyle.border,
+            background: picking ? '#eff6ff' : 'white'
+          }}
+          onClick={onTogglePick}
+          title={t('myPlaces.dropPin')}
+          aria-label={t('myPlaces.dropPin')}
+          aria-pressed={picking}
+        >
+          📌
+        </button>
+      </div>
+
+      {message && (
+        <div style={{ fontSize: '0.8rem', color: picking ? '#1e40af' : '#b45309' }}>{message}</div>
+      )}
+
+      {location && (
+        <div style={{ padding: '0.6rem', background: '#f8fafc', borderRadius: '6px', display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+          <div style={{ fontSize: '0.8rem', color: '#64748b' }}>
+            {location.districtName}, {location.stateName}
+          </div>
+          {location.risks
+            ? <RiskRows risks={location.risks} riskScales={riskScales} />
+            : <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>{t('myPlaces.loading')}</div>}
+
+          <div style={{ display: 'flex', gap: '0.4rem', marginTop: '0.3rem' }}>
+            <input
+              value={placeName}
+              onChange={(e) => setPlaceName(e.target.value)}
+              placeholder={t('myPlaces.namePlaceholder')}
+              aria-label={t('myPlaces.saveTitle')}
+              disabled={placesFull}
+              style={{ flex: 1, minWidth: 0, padding: '0.35rem', border: '1px solid #cbd5e1', borderRadius: '4px', fontSize: '0.8rem' }}
+            />
+            <button
+              onClick={handleSave}
+              disabled={placesFull}
+              title={placesFull ? t('myPlaces.limit', { count: MAX_SAVED_PLACES }) : t('myPlaces.saveTitle')}
+              style={{ ...buttonStyle, flex: 'none' }}
+            >
+              💾 {t('myPlaces.save')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {places.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+          <div style={{ fontSize: '0.8rem', fontWeight: 700, color: '#475569' }}>
+            {t('myPlaces.saved', { count: places.length, max: MAX_SAVED_PLACES })}
+          </div>
+          {places.map(place => (
+            <div
+              key={place.id}
+              onClick={() => onOpenPlace(place)}
+              style={{ padding: '0.5rem', border: '1px solid #e2e8f0', borderRadius: '6px', cursor: 'pointer' }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 600, fontSize: '0.85rem', marginBottom: '0.2rem' }}>
+                {/* Keyboard access to the card: the click bubbles up to it */}
+                <button style={{ border: 'none', background: 'none', padding: 0, font: 'inherit', color: 'inherit', cursor: 'pointer', textAlign: 'left' }}>
+                  {place.name}
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); onRemovePlace(place.id); }}
+                  title={t('myPlaces.remove')}
+                  aria-label={t('a11y.removeNamed', { name: place.name })}
+                  style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#94a3b8', padding: 0 }}
+                >
+                  ✕
+                </button>
+              </div>
+              {place.risks
+                ? <RiskRows risks={place.risks} riskScales={getPlaceRiskScales(place)} />
+                : <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>{t('myPlaces.notChecked')}</div>}
+            </div>
+          ))}
+
+          {notificationPermission === 'granted' ? (
+            <div style={{ fontSize: '0.75rem', color: '#16a34a' }}>🔔 {t('myPlaces.notifying')}</div>
+          ) : notificationPermission === 'unsupported' ? (
+            <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>{t('myPlaces.notificationsUnsupported')}</div>
+          ) : (
+            <button style={buttonStyle} onClick={onEnableNotifications} disabled={notificationPermission === 'denied'}>
+              {notificationPermission === 'denied' ? `🔕 ${t('myPlaces.notificationsBlocked')}` : `🔔 ${t('myPlaces.enableNotifications')}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MyPlaces;
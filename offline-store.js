@@ -0,0 +1,65 @@
+// ========================================
+// OFFLINE STORE
+// ========================================
+// Keeps the last prediction payload of every area in IndexedDB, so a
+// district opened before still renders when the network drops out.
+// Every function resolves to null / does nothing when IndexedDB is
+// unavailable (private browsing, old browsers).
+
+const DB_NAME = 'disaster-warning-system';
+const DB_VERSION = 1;
+const PREDICTION_STORE = 'predictions';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(PREDICTION_STORE, { keyPath: 'area' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      console.warn('Offline store unavailable:', err);
+      dbPromise = null;
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs one request against the prediction store and resolves with its result
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PREDICTION_STORE, mode);
+    const request = makeRequest(transaction.objectStore(PREDICTION_STORE));
+    transaction.oncomplete = () => resolve(request.result ?? null);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Stores the raw prediction payload for an area, replacing the previous one.
+ */
+export function savePredictionPayload(area, payload, fetchedAt = new Date()) {
+  return withStore('readwrite', store =>
+    store.put({ area, payload, fetchedAt: fetchedAt.toISOString() })
+  );
+}
+
+/**
+ * The last stored payload for an area as { payload, fetchedAt: Date },
+ * or null if none was stored.
+ */
+export async function loadPredictionPayload(area) {
+  const record = await withStore('readonly', store => store.get(area));
+  if (!record) return null;
+  return { payload: record.payload, fetchedAt: new Date(record.fetchedAt) };
+}
@@ -0,0 +1,101 @@
+// ========================================
+// OFFLINE SUPPORT
+// ========================================
+// Registers the service worker (public/sw.js) and asks it to pre-fetch
+// the map tiles covering a district, so the map still draws when the
+// network drops during an event.
+
+import { BASE_LAYERS } from './map-layers';
+
+// Zoom levels pre-fetched beyond the district's own zoom
+export const PREFETCH_EXTRA_ZOOMS = 2;
+
+// Upper bound per district, to keep the load on the tile server modest;
+// the deepest zoom levels are dropped first when a district needs more
+export const MAX_PREFETCH_TILES = 400;
+
+let nextPrefetchId = 1;
+
+/**
+ * Registers the service worker in production builds. (In development it
+ * would cache Vite's modules and get in the way of hot reload.) The build
+ * id and the tile URL templates of the offline base maps are passed in
+ * the script URL, so the worker versions its shell cache by build and
+ * knows which tiles to cache.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  const templates = BASE_LAYERS.filter(layer => layer.offline).map(layer => layer.url);
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?build=${__BUILD_ID__}&tiles=${encodeURIComponent(JSON.stringify(templates))}`).catch(err => {
+      console.error('Service worker registration failed:', err);
+    });
+  });
+}
+
+// Slippy-map tile coordinates of a point
+function getTile(lat, lon, zoom) {
+  const scale = 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: Math.floor(((lon + 180) / 360) * scale),
+    y: Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale)
+  };
+}
+
+/**
+ * Tile URLs of a map layer (map-layers.js) covering Leaflet bounds
+ * [[minLat, minLon], [maxLat, maxLon]] from minZoom up to maxZoom (at
+ * most the layer's native zoom), stopping before the zoom level that
+ * would exceed `limit` tiles. Subdomains are picked the way Leaflet picks
+ * them, so the cached URLs match the ones the map requests.
+ */
+export function getTileUrls(layer, [[minLat, minLon], [maxLat, maxLon]], minZoom, maxZoom, limit = MAX_PREFETCH_TILES) {
+  const urls = [];
+  const { subdomains } = layer;
+  const lastZoom = Math.min(maxZoom, layer.maxNativeZoom || maxZoom);
+
+  for (let zoom = minZoom; zoom <= lastZoom; zoom++) {
+    const topLeft = getTile(maxLat, minLon, zoom);
+    const bottomRight = getTile(minLat, maxLon, zoom);
+    const count = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+    if (urls.length + count > limit) break;
+
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        urls.push(layer.url
+          .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+          .replace('{r}', '')
+          .replace('{z}', zoom)
+          .replace('{x}', x)
+          .replace('{y}', y));
+      }
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Asks the active service worker to cache the given tiles. Resolves with
+ * { requested, fetched } once it is done, or null without a service
+ * worker (development builds, unsupported browsers).
+ */
+export async function prefetchTiles(urls) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  if (!navigator.serviceWorker.controller || urls.length === 0) return null;
+
+  const registration = await navigator.serviceWorker.ready;
+  const id = nextPrefetchId++;
+
+  return new Promise(resolve => {
+    const onMessage = (event) => {
+      if (!event.data || event.data.type !== 'TILES_PREFETCHED' || event.data.id !== id) return;
+      navigator.serviceWorker.removeEventListener('message', onMessage);
+      resolve({ requested: event.data.requested, fetched: event.data.fetched });
+    };
+    navigator.serviceWorker.addEventListener('message', onMessage);
+    registration.active.postMessage({ type: 'PREFETCH_TILES', id, urls });
+  });
+}
@@ -0,0 +1,229 @@
+// ========================================
+// PREDICTION API
+// ========================================
+// Fetches risk predictions for an area (through api-client.js) and
+// flattens them into one cell per hazard. Also merges refreshed cells into
+// the current set and, when configured, subscribes to a Server-Sent Events
+// stream. The latest payload of each area is kept in the offline store.
+
+import { savePredictionPayload, loadPredictionPayload } from './offline-store';
+import { requestPredictions, validatePredictionPayload, isAbortError } from './api-client';
+import { getMockScenario } from './mock-api';
+
+// Optional SSE endpoint; when unset the app falls back to polling
+export const PREDICTION_STREAM_URL = import.meta.env.VITE_PREDICTION_STREAM_URL || '';
+
+/**
+ * Stable identity of a flattened cell: hazard + bounds.
+ */
+export function getCellKey(cell) {
+  const { minLat, minLon, maxLat, maxLon } = cell.bounds;
+  return `${cell.cal_type}:${minLat},${minLon},${maxLat},${maxLon}`;
+}
+
+/**
+ * Transforms the payload structure
+ *   each cell: { bounds, flood: {...}, landslide: {...}, <hazard>: {...} }
+ * into one cell per hazard. Any key holding an object with a numeric
+ * risk_percentage is treated as a hazard, so new backend models (cyclone,
+ * earthquake, ...) come through without changes here.
+ */
+export function flattenPredictionPayload(data) {
+  const rawCells = data.status || data || [];
+  const transformedCells = [];
+
+  const addCell = (bounds, prediction) => {
+    const cell = {
+      bounds,
+      cal_type: prediction.cal_type,
+      risk_percentage: prediction.risk_percentage,
+      updated_at: prediction.updated_at,
+      change: null
+    };
+    cell.key = getCellKey(cell);
+    transformedCells.push(cell);
+  };
+
+  rawCells.forEach(cell => {
+    Object.keys(cell).forEach(key => {
+      const prediction = cell[key];
+      if (key === 'bounds' || !prediction || typeof prediction.risk_percentage !== 'number') return;
+      addCell(cell.bounds, { cal_type: key, ...prediction });
+    });
+  });
+
+  return transformedCells;
+}
+
+// Keeps the latest live payload for offline use; failures only log
+function storePayload(area, payload, fetchedAt) {
+  savePredictionPayload(area, payload, fetchedAt).catch(err => {
+    console.warn('Could not store predictions for offline use:', err);
+  });
+}
+
+/**
+ * Fetches the current predictions for an area, or the snapshot valid at
+ * `options.at` (a Date): past times return history, future times return
+ * the model's forecast for that horizon. `options.signal` cancels the
+ * request and `options.refresh` skips the client's cache. Newly fetched
+ * current predictions are also stored for offline use (mock data is not).
+ */
+export async function fetchPredictions(area, options = {}) {
+  const { cells, fetchedAt, fromCache } = await requestPredictions(area, options);
+  if (!options.at && !fromCache && !getMockScenario()) storePayload(area, cells, fetchedAt);
+  return flattenPredictionPayload(cells);
+}
+
+/**
+ * The last predictions stored for an area as { cells, fetchedAt },
+ * or null when the area was never loaded on this device.
+ */
+export async function loadStoredPredictions(area) {
+  const stored = await loadPredictionPayload(area);
+  if (!stored) return null;
+  return { cells: flattenPredictionPayload(stored.payload), fetchedAt: stored.fetchedAt };
+}
+
+// Requests in flight at once when loading every district of a state
+export const AREA_FETCH_CONCURRENCY = 4;
+
+/**
+ * Loads the current predictions of several areas, at most `concurrency`
+ * at a time. An area whose fetch fails falls back to its stored
+ * predictions. `onResult(index, result)` is called as each area settles,
+ * with { status: 'loaded', cells, storedAt } (storedAt is null for live
+ * data) or { status: 'error', error }. Resolves once all have settled;
+ * aborting `signal` cancels the requests and stops the callbacks.
+ * `refresh` skips the client's cache.
+ */
+export async function fetchAreasPredictions(areas, { onResult, signal, refresh = false, concurrency = AREA_FETCH_CONCURRENCY }) {
+  let next = 0;
+  const isCancelled = () => Boolean(signal) && signal.aborted;
+
+  const worker = async () => {
+    while (next < areas.length && !isCancelled()) {
+      const index = next++;
+      let result;
+      try {
+        result = { status: 'loaded', cells: await fetchPredictions(areas[index], { signal, refresh }), storedAt: null };
+      } catch (err) {
+        if (isAbortError(err)) return;
+        const stored = await loadStoredPredictions(areas[index]).catch(() => null);
+        result = stored
+          ? { status: 'loaded', cells: stored.cells, storedAt: stored.fetchedAt }
+          : { status: 'error', error: err.message };
+      }
+      if (!isCancelled()) onResult(index, result);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, areas.length) }, worker));
+}
+
+/**
+ * Merges refreshed cells into the current ones. Unchanged cells keep their
+ * object identity; cells whose risk moved are marked with
+ * change: 'up' | 'down' and previous_risk. Marks from the previous
+ * update are cleared, so only the latest changes stay highlighted.
+ */
+export function mergeRiskCells(previous, incoming) {
+  const previousByKey = new Map(previous.map(cell => [cell.key, cell]));
+
+  return incoming.map(cell => {
+    const old = previousByKey.get(cell.key);
+    if (!old) return cell;
+
+    if (old.risk_percentage === cell.risk_percentage) {
+      if (old.updated_at === cell.updated_at && old.change === null) return old;
+      return { ...cell, change: null };
+    }
+
+    return {
+      ...cell,
+      change: cell.risk_percentage > old.risk_percentage ? 'up' : 'down',
+      previous_risk: old.risk_percentage
+    };
+  });
+}
+
+/**
+ * Opens an SSE subscription for an area. Each message carries a full
+ * prediction payload. `onDisconnect` fires once if the stream drops.
+ * Returns an unsubscribe function, or null when no stream is configured,
+ * EventSource is unavailable or a mock scenario is active.
+ */
+export function subscribeToPredictions(area, onCells, onDisconnect) {
+  if (!PREDICTION_STREAM_URL || typeof EventSource === 'undefined' || getMockScenario()) return null;
+
+  const separator = PREDICTION_STREAM_URL.includes('?') ? '&' : '?';
+  const source = new EventSource(`${PREDICTION_STREAM_URL}${separator}area=${encodeURIComponent(area)}`);
+
+  source.onmessage = (event) => {
+    let payload;
+    let cells;
+    try {
+      payload = validatePredictionPayload(JSON.parse(event.data));
+      cells = flattenPredictionPayload(payload);
+    } catch (err) {
+      console.error('Ignoring malformed prediction stream message:', err);
+      return;
+    }
+    storePayload(area, payload);
+    onCells(cells);
+  };
+  source.onerror = () => {
+    source.close();
+    onDisconnect(new Error('Prediction stream disconnected'));
+  };
+
+  return () => source.close();
+}
+
+/**
+ * Newest updated_at among the cells, as a Date (null if none).
+ */
+export function getNewestUpdate(cells) {
+  let newest = null;
+  cells.forEach(cell => {
+    const time = new Date(cell.updated_at);
+    if (!Number.isNaN(time.getTime()) && (!newest || time > newest)) newest = time;
+  });
+  return newest;
+}
+
+/**
+ * Merges the per-hazard cells sharing the same bounds into one combined
+ * cell: { bounds, key, cal_type: 'combined', risks: { flood, landslide },
+ * components, risk_percentage (the highest), updated_at (the newest), change }.
+ */
+export function combineHazardCells(cells) {
+  const byBounds = new Map();
+
+  cells.forEach(cell => {
+    const { minLat, minLon, maxLat, maxLon } = cell.bounds;
+    const boundsKey = `${minLat},${minLon},${maxLat},${maxLon}`;
+
+    if (!byBounds.has(boundsKey)) {
+      byBounds.set(boundsKey, {
+        bounds: cell.bounds,
+        key: `combined:${boundsKey}`,
+        cal_type: 'combined',
+        risks: {},
+        components: {},
+        risk_percentage: 0,
+        updated_at: cell.updated_at,
+        change: null
+      });
+    }
+
+    const combined = byBounds.get(boundsKey);
+    combined.risks[cell.cal_type] = cell.risk_percentage;
+    combined.components[cell.cal_type] = cell;
+    combined.risk_percentage = Math.max(combined.risk_percentage, cell.risk_percentage);
+    if (new Date(cell.updated_at) > new Date(combined.updated_at)) combined.updated_at = cell.updated_at;
+    if (cell.change && !combined.change) combined.change = cell.change;
+  });
+
+  return Array.from(byBounds.values());
+}
@@ -0,0 +1,185 @@
+// ========================================
+// SERVICE WORKER
+// ========================================
+// Keeps the app usable when the network drops:
+// - app shell and bundled assets: pre-cached on install from the build's
+//   precache-manifest.json (vite.config.js), served from cache and
+//   refreshed in the background
+// - /data/* (region manifest, road networks): network first, cache fallback
+// - base map tiles: cache first; the app pre-fetches the selected
+//   district's tiles with a PREFETCH_TILES message
+// Prediction API responses are not cached here; the app keeps the last
+// payload per district in IndexedDB (offline-store.js).
+
+const CACHE_VERSION = 'v1';
+// The app registers the worker with its build id (sw.js?build=...), so
+// every build gets a fresh shell cache and the old bundles are dropped
+const BUILD_ID = new URL(self.location.href).searchParams.get('build') || 'dev';
+const SHELL_CACHE = `shell-${BUILD_ID}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const TILE_CACHE = `tiles-${CACHE_VERSION}`;
+
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg'];
+const PRECACHE_MANIFEST_URL = '/precache-manifest.json';
+
+// Tile URL templates of the base maps (map-layers.js), passed by the app
+// in the script URL: sw.js?tiles=["https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"]
+function readTileTemplates() {
+  try {
+    const templates = JSON.parse(new URL(self.location.href).searchParams.get('tiles') || '[]');
+    return Array.isArray(templates) ? templates.filter(template => typeof template === 'string' && template) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Pattern matching the tile URLs of a template, e.g. {s} → any subdomain
+function templateToPattern(template) {
+  const absolute = template.startsWith('/') ? self.location.origin + template : template;
+  const escaped = absolute.replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{s\}/g, '[a-z0-9-]+')
+    .replace(/\{[xyz]\}/g, '\\d+')
+    .replace(/\{r\}/g, '(@2x)?')
+    .replace(/\{[^}]+\}/g, '[^/?&]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+const TILE_PATTERNS = readTileTemplates().map(templateToPattern);
+const isTileUrl = (url) => TILE_PATTERNS.some(pattern => pattern.test(url));
+
+// Parallel downloads while pre-fetching, to stay polite to the tile servers
+const PREFETCH_CONCURRENCY = 2;
+
+// Hashed bundles of the build, so the first visit already works offline
+async function readPrecacheUrls() {
+  try {
+    const response = await fetch(PRECACHE_MANIFEST_URL, { cache: 'no-store' });
+    const manifest = await response.json();
+    return Array.isArray(manifest.urls) ? manifest.urls : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE), readPrecacheUrls()])
+      .then(([cache, urls]) => cache.addAll([...new Set([...SHELL_URLS, ...urls])]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ========================================
+// CACHING STRATEGIES
+// ========================================
+
+async function cacheFirst(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {});
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (isTileUrl(request.url)) {
+    event.respondWith(cacheFirst(TILE_CACHE, request));
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    // Single-page app: every navigation gets the shell
+    event.respondWith(networkFirst(SHELL_CACHE, new Request('/')));
+  } else if (url.pathname.startsWith('/data/')) {
+    event.respondWith(networkFirst(DATA_CACHE, request));
+  } else {
+    event.respondWith(staleWhileRevalidate(SHELL_CACHE, request));
+  }
+});
+
+// ========================================
+// TILE PRE-FETCH
+// ========================================
+
+async function prefetchTiles(urls) {
+  const cache = await caches.open(TILE_CACHE);
+  const queue = [...urls];
+  let fetched = 0;
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      if (await cache.match(url)) continue;
+      try {
+        const response = await fetch(url, { mode: 'cors' });
+        if (response.ok) {
+          await cache.put(url, response);
+          fetched += 1;
+        }
+      } catch (err) {
+        // Offline or rejected; the tile will be fetched when viewed
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: PREFETCH_CONCURRENCY }, worker));
+  return fetched;
+}
+
+self.addEventListener('message', (event) => {
+  const { data } = event;
+  if (!data || data.type !== 'PREFETCH_TILES' || !Array.isArray(data.urls)) return;
+
+  event.waitUntil(
+    prefetchTiles(data.urls.filter(url => isTileUrl(new URL(url, self.location.origin).href))).then(fetched => {
+      if (event.source) {
+        event.source.postMessage({ type: 'TILES_PREFETCHED', id: data.id, requested: data.urls.length, fetched });
+      }
+    })
+  );
+});
@@ -0,0 +1,197 @@
+// ========================================
+// REGION MANIFEST
+// ========================================
+// Loads the Country → State → District hierarchy from a JSON manifest so
+// new states can be added by editing public/data/regions.json.
+//
+// Manifest shape:
+// {
+//   world: { center, zoom },
+//   scales?: { [id]: riskScale },
+//   countries: [{
+//     id, name, flag?, center, zoom, boundary?, approximateBoundaries?, riskScale?,
+//     states: [{
+//       id, name, center, zoom, boundary?, approximateBoundaries?,
+//       roadNetwork?, shelters?, population?, facilities?, riskScale?,
+//       districts: [{ id, name, area?, center, zoom, boundary?, approximateBoundaries?, riskScale? }]
+//     }]
+//   }]
+// }
+//
+// `center` is [lat, lon]; `boundary` is a GeoJSON Polygon/MultiPolygon
+// geometry; a district's `area` (defaults to its id) is the API area key.
+// `approximateBoundaries: true` marks hand-drawn or simplified boundaries,
+// which the map labels as approximate; children inherit it.
+// `scales` adds risk scales to the built-in ones (see risk-scale.js);
+// `riskScale` picks one for a region and its children, either as an id
+// or per hazard: { default?: id, flood?: id, ... }.
+
+import { RISK_SCALES, parseRiskScale, assertRegionScale } from './risk-scale';
+
+export const REGION_MANIFEST_URL = '/data/regions.json';
+
+// Used until the manifest has loaded, or if it omits `world`
+export const DEFAULT_WORLD_VIEW = { center: [20, 0], zoom: 2 };
+
+function assertView(region, path) {
+  const { center, zoom } = region;
+  if (!Array.isArray(center) || center.length !== 2 || !center.every(Number.isFinite)) {
+    throw new Error(`${path}: "center" must be [lat, lon]`);
+  }
+  if (!Number.isFinite(zoom)) {
+    throw new Error(`${path}: "zoom" must be a number`);
+  }
+}
+
+function normaliseRegion(region, path, childKey, scales, approximate = false) {
+  if (!region || typeof region.id !== 'string' || !region.id) {
+    throw new Error(`${path}: missing "id"`);
+  }
+  const regionPath = `${path}/${region.id}`;
+  assertView(region, regionPath);
+  assertRegionScale(region.riskScale, scales, regionPath);
+
+  const normalised = {
+    ...region,
+    name: region.name || region.id,
+    boundary: region.boundary || null,
+    approximateBoundaries: region.approximateBoundaries === undefined ? approximate : region.approximateBoundaries === true
+  };
+
+  if (childKey) {
+    const children = region[childKey] || [];
+    if (!Array.isArray(children)) {
+      throw new Error(`${regionPath}: "${childKey}" must be an array`);
+    }
+    const nextKey = childKey === 'states' ? 'districts' : null;
+    normalised[childKey] = children.map(child =>
+      normaliseRegion(child, regionPath, nextKey, scales, normalised.approximateBoundaries)
+    );
+  } else {
+    normalised.area = region.area || region.id;
+  }
+
+  return normalised;
+}
+
+/**
+ * Validates a parsed manifest and fills in defaults.
+ */
+export function parseRegionManifest(manifest) {
+  if (!manifest || !Array.isArray(manifest.countries)) {
+    throw new Error('Region manifest must have a "countries" array');
+  }
+
+  const world = manifest.world || DEFAULT_WORLD_VIEW;
+  assertView(world, 'world');
+
+  const scales = { ...RISK_SCALES };
+  Object.keys(manifest.scales || {}).forEach(id => {
+    scales[id] = parseRiskScale(manifest.scales[id], id);
+  });
+
+  return {
+    world,
+    scales,
+    countries: manifest.countries.map(country => normaliseRegion(country, '', 'states', scales))
+  };
+}
+
+export async function loadRegionManifest(url = REGION_MANIFEST_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Region manifest request failed: ${response.status}`);
+  }
+  return parseRegionManifest(await response.json());
+}
+
+/**
+ * Looks up a child region by id; returns null for an empty or unknown id.
+ */
+export function findRegion(regions, id) {
+  if (!regions || !id) return null;
+  return regions.find(region => region.id === id) || null;
+}
+
+// ========================================
+// BOUNDARY GEOMETRY
+// ========================================
+
+// Polygon → [polygon], MultiPolygon → polygons; each polygon is rings of [lon, lat]
+function getPolygons(boundary) {
+  if (!boundary) return [];
+  if (boundary.type === 'Polygon') return [boundary.coordinates];
+  if (boundary.type === 'MultiPolygon') return boundary.coordinates;
+  return [];
+}
+
+/**
+ * Converts a boundary geometry into react-leaflet Polygon positions
+ * ([lat, lon] order, one entry per polygon).
+ */
+export function getBoundaryPositions(boundary) {
+  return getPolygons(boundary).map(rings =>
+    rings.map(ring => ring.map(([lon, lat]) => [lat, lon]))
+  );
+}
+
+/**
+ * Leaflet bounds [[minLat, minLon], [maxLat, maxLon]] of a boundary's
+ * outer rings, or null when the region has no boundary.
+ */
+export function getBoundaryBounds(boundary) {
+  const polygons = getPolygons(boundary);
+  if (polygons.length === 0) return null;
+
+  let minLat = Infinity, minLon = Infinity, maxLat = -Infinity, maxLon = -Infinity;
+  polygons.forEach(([outer]) => {
+    outer.forEach(([lon, lat]) => {
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+      minLon = Math.min(minLon, lon);
+      maxLon = Math.max(maxLon, lon);
+    });
+  });
+
+  return [[minLat, minLon], [maxLat, maxLon]];
+}
+
+// Ray casting test of a [lon, lat] position against one ring
+function isInsideRing([lon, lat], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * True when a [lat, lon] point lies inside a boundary (holes excluded).
+ */
+export function isPointInBoundary([lat, lon], boundary) {
+  return getPolygons(boundary).some(([outer, ...holes]) =>
+    isInsideRing([lon, lat], outer) && !holes.some(hole => isInsideRing([lon, lat], hole))
+  );
+}
+
+/**
+ * Finds the district whose boundary contains a [lat, lon] point.
+ * Returns { country, state, district } or null when no district with a
+ * boundary covers it.
+ */
+export function findDistrictAtPoint(countries, point) {
+  for (const country of countries) {
+    for (const state of country.states) {
+      if (state.boundary && !isPointInBoundary(point, state.boundary)) continue;
+      const district = state.districts.find(candidate =>
+        candidate.boundary && isPointInBoundary(point, candidate.boundary)
+      );
+      if (district) return { country, state, district };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,334 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { getTypicalCellSize, createCellIndex, aggregateCells } from './cell-index';
+import { getCanvasBandPattern } from './accessibility';
+
+// ========================================
+// RISK CANVAS LAYER
+// ========================================
+// Draws the risk cells on a single canvas instead of one SVG rectangle
+// (and popup) per cell, so state-wide grids with thousands of cells stay
+// responsive. Only cells in view are drawn, found with a spatial index
+// (cell-index.js), which also answers clicks and hover. When cells
+// become too small to see, neighbouring cells are merged into tiles that
+// show their highest risk.
+//
+// In the heatmap display the layer draws an interpolated risk surface
+// (risk-surface.js) instead of the cells, keeping the outlines of
+// highlighted cells; clicks still find the cell underneath.
+
+// Pane between the district boundaries (380) and the overlay pane (400),
+// so roads and markers stay on top of the cells
+const PANE_NAME = 'risk-cells';
+const PANE_Z_INDEX = 390;
+
+// Extra canvas around the view (fraction of its size), so panning does
+// not show blank edges before the redraw
+const PADDING = 0.25;
+
+// Cells are merged into tiles when narrower than this (pixels)
+const MIN_CELL_PX = 4;
+
+// Cells narrower than this are drawn without an outline (pixels), unless
+// highlighted or changed
+const MIN_OUTLINE_PX = 8;
+
+// Opacity of the heatmap, like the fill of single-hazard cells
+const HEATMAP_OPACITY = 0.6;
+
+// Approximate width in pixels of `degrees` of longitude at a zoom level
+const degreesToPixels = (degrees, zoom) => degrees * 256 * 2 ** zoom / 360;
+
+const RiskCanvas = L.Layer.extend({
+  initialize() {
+    this._cells = [];
+    this._index = null;
+    this._getStyle = null;
+    this._onClick = null;
+    this._heatmap = null;
+    this._heatmapImage = null;
+    this._tilesBySize = new Map();
+  },
+
+  onAdd(map) {
+    if (!map.getPane(PANE_NAME)) {
+      const pane = map.createPane(PANE_NAME);
+      pane.style.zIndex = PANE_Z_INDEX;
+      pane.style.pointerEvents = 'none';
+    }
+    this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-animated', map.getPane(PANE_NAME));
+    this._ctx = this._canvas.getContext('2d');
+    this._reset();
+  },
+
+  onRemove(map) {
+    L.DomUtil.remove(this._canvas);
+    map.getContainer().style.cursor = '';
+  },
+
+  getEvents() {
+    const events = {
+      viewreset: this._reset,
+      moveend: this._reset,
+      resize: this._reset,
+      zoom: this._onZoom,
+      click: this._handleClick,
+      mousemove: this._handleMouseMove
+    };
+    if (this._zoomAnimated) events.zoomanim = this._onAnimZoom;
+    return events;
+  },
+
+  /**
+   * New cells (with their index), styling, heatmap or click handler.
+   * Redraws when anything drawn has changed.
+   */
+  setData({ cells, index, getStyle, heatmap, onClick }) {
+    this._onClick = onClick;
+    if (heatmap !== this._heatmap) {
+      this._heatmap = heatmap;
+      this._heatmapImage = null;
+    } else if (cells === this._cells && index === this._index && getStyle === this._getStyle) {
+      return;
+    }
+    if (cells !== this._cells) {
+      this._cells = cells;
+      this._cellSize = getTypicalCellSize(cells);
+      this._tilesBySize.clear();
+    }
+    this._index = index;
+    this._getStyle = getStyle;
+    if (this._map) this._redraw();
+  },
+
+  // ========================================
+  // POSITIONING
+  // ========================================
+  // The canvas covers the view plus padding and is only redrawn after a
+  // move or zoom ends; during a zoom it is scaled with a CSS transform.
+
+  _reset() {
+    const map = this._map;
+    const size = map.getSize();
+    const min = map.containerPointToLayerPoint(size.multiplyBy(-PADDING)).round();
+    this._bounds = L.bounds(min, min.add(size.multiplyBy(1 + PADDING * 2)).round());
+    this._center = map.getCenter();
+    this._zoom = map.getZoom();
+
+    const canvasSize = this._bounds.getSize();
+    const ratio = window.devicePixelRatio || 1;
+    this._canvas.width = Math.round(canvasSize.x * ratio);
+    this._canvas.height = Math.round(canvasSize.y * ratio);
+    this._canvas.style.width = `${canvasSize.x}px`;
+    this._canvas.style.height = `${canvasSize.y}px`;
+
+    this._updateTransform(this._center, this._zoom);
+    this._redraw();
+  },
+
+  _updateTransform(center, zoom) {
+    const map = this._map;
+    const scale = map.getZoomScale(zoom, this._zoom);
+    const viewHalf = map.getSize().multiplyBy(0.5 + PADDING);
+    const offset = viewHalf.multiplyBy(-scale)
+      .add(map.project(this._center, zoom))
+      .subtract(map._getNewPixelOrigin(center, zoom));
+    L.DomUtil.setTransform(this._canvas, offset, scale);
+  },
+
+  _onAnimZoom(e) {
+    this._updateTransform(e.center, e.zoom);
+  },
+
+  _onZoom() {
+    this._updateTransform(this._map.getCenter(), this._map.getZoom());
+  },
+
+  // ========================================
+  // AGGREGATION
+  // ========================================
+
+  // Cells or tiles at the current zoom, with their index. The tile size
+  // doubles until a tile is at least MIN_CELL_PX wide.
+  _getItems() {
+    let factor = 1;
+    while (degreesToPixels(this._cellSize * factor, this._zoom) < MIN_CELL_PX) factor *= 2;
+    if (factor === 1 || !this._index) return { items: this._cells, index: this._index, tiles: false };
+
+    const tileSize = this._cellSize * factor;
+    if (!this._tilesBySize.has(tileSize)) {
+      const tiles = aggregateCells(this._cells, tileSize);
+      this._tilesBySize.set(tileSize, { items: tiles, index: createCellIndex(tiles, tileSize * 4), tiles: true });
+    }
+    return this._tilesBySize.get(tileSize);
+  },
+
+  // ========================================
+  // DRAWING
+  // ========================================
+
+  _redraw() {
+    const ctx = this._ctx;
+    const ratio = window.devicePixelRatio || 1;
+    const { min, max } = this._bounds;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, max.x - min.x, max.y - min.y);
+    if (!this._getStyle || this._cells.length === 0) return;
+    ctx.translate(-min.x, -min.y);
+
+    const map = this._map;
+    const northWest = map.layerPointToLatLng(min);
+    const southEast = map.layerPointToLatLng(max);
+    const { index, tiles } = this._getItems();
+    const visible = index.search({
+      minLat: southEast.lat,
+      minLon: northWest.lng,
+      maxLat: northWest.lat,
+      maxLon: southEast.lng
+    });
+
+    const shapes = visible.map(item => {
+      const topLeft = map.latLngToLayerPoint([item.bounds.maxLat, item.bounds.minLon]);
+      const bottomRight = map.latLngToLayerPoint([item.bounds.minLat, item.bounds.maxLon]);
+      return {
+        x: topLeft.x,
+        y: topLeft.y,
+        width: bottomRight.x - topLeft.x,
+        height: bottomRight.y - topLeft.y,
+        style: tiles ? this._getStyle(item.cell, item.cells) : this._getStyle(item)
+      };
+    });
+
+    const strokeAll = (list) => list.forEach(({ x, y, width, height, style }) => {
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = style.weight;
+      ctx.setLineDash(style.dashed ? [6, 4] : []);
+      ctx.strokeRect(x, y, width, height);
+    });
+
+    if (this._heatmap) {
+      this._drawHeatmap();
+      strokeAll(shapes.filter(({ style }) => style.highlighted));
+      ctx.setLineDash([]);
+      return;
+    }
+
+    // Fills, then hatching, then outlines, with highlighted outlines last
+    // so neighbouring cells do not cover them
+    shapes.forEach(({ x, y, width, height, style }) => {
+      ctx.globalAlpha = style.fillOpacity;
+      ctx.fillStyle = style.fillColor;
+      ctx.fillRect(x, y, width, height);
+    });
+    ctx.globalAlpha = 1;
+    shapes.forEach(({ x, y, width, height, style }) => {
+      const pattern = style.hatchLevel && getCanvasBandPattern(ctx, style.hatchLevel);
+      if (!pattern) return;
+      ctx.fillStyle = pattern;
+      ctx.fillRect(x, y, width, height);
+    });
+
+    const outlined = shapes.filter(({ width, style }) => width >= MIN_OUTLINE_PX || style.dashed || style.highlighted);
+    strokeAll(outlined.filter(({ style }) => !style.highlighted));
+    strokeAll(outlined.filter(({ style }) => style.highlighted));
+    ctx.setLineDash([]);
+  },
+
+  // The surface as an image, one pixel per grid point (north up), which
+  // the canvas stretches with smoothing into a continuous gradient
+  _getHeatmapImage() {
+    if (!this._heatmapImage) {
+      const { surface, getColor } = this._heatmap;
+      const { rows, cols, values } = surface;
+      const image = document.createElement('canvas');
+      image.width = cols;
+      image.height = rows;
+      const imageCtx = image.getContext('2d');
+      const pixels = imageCtx.createImageData(cols, rows);
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const value = values[row * cols + col];
+          if (Number.isNaN(value)) continue;
+          const offset = ((rows - 1 - row) * cols + col) * 4;
+          const [r, g, b] = getColor(value);
+          pixels.data[offset] = r;
+          pixels.data[offset + 1] = g;
+          pixels.data[offset + 2] = b;
+          pixels.data[offset + 3] = Math.round(HEATMAP_OPACITY * 255);
+        }
+      }
+      imageCtx.putImageData(pixels, 0, 0);
+      this._heatmapImage = image;
+    }
+    return this._heatmapImage;
+  },
+
+  _drawHeatmap() {
+    const { surface } = this._heatmap;
+    const { minLat, minLon, step, rows, cols } = surface;
+    const map = this._map;
+    // Each pixel is centred on its grid point
+    const topLeft = map.latLngToLayerPoint([minLat + (rows - 0.5) * step, minLon - step / 2]);
+    const bottomRight = map.latLngToLayerPoint([minLat - step / 2, minLon + (cols - 0.5) * step]);
+    this._ctx.imageSmoothingEnabled = true;
+    this._ctx.drawImage(this._getHeatmapImage(), topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+  },
+
+  // ========================================
+  // HIT TESTING
+  // ========================================
+
+  // The cell (or tile) under a point; the highest risk where they overlap
+  _findAt(latlng) {
+    if (!this._index) return null;
+    const { index, tiles } = this._getItems();
+    const risk = item => (tiles ? item.cell : item).risk_percentage;
+    const hits = index.findAt([latlng.lat, latlng.lng]);
+    if (hits.length === 0) return null;
+    const item = hits.reduce((best, candidate) => (risk(candidate) > risk(best) ? candidate : best));
+    return tiles ? { cell: item.cell, tile: item } : { cell: item, tile: null };
+  },
+
+  _handleClick(e) {
+    if (this._onClick) this._onClick(this._findAt(e.latlng), e.latlng);
+  },
+
+  _handleMouseMove(e) {
+    this._map.getContainer().style.cursor = this._onClick && this._findAt(e.latlng) ? 'pointer' : '';
+  }
+});
+
+/**
+ * Risk cells drawn on a canvas. `getStyle(cell, cells)` returns
+ * { color, fillColor, fillOpacity, weight, dashed, highlighted, hatchLevel }
+ * for a cell, or for a tile's highest cell with all of its cells.
+ * `heatmap` ({ surface, getColor }, or null for cells) draws a risk
+ * surface coloured by getColor(risk) → [r, g, b] instead.
+ * `onClick({ cell, tile }, latlng)` gets the clicked cell (`tile` is the
+ * merged tile when zoomed out), or null when the click missed every cell;
+ * leave it unset to ignore clicks.
+ */
+function RiskCanvasLayer({ cells, getStyle, heatmap = null, onClick }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const index = useMemo(() => createCellIndex(cells), [cells]);
+
+  useEffect(() => {
+    const layer = new RiskCanvas();
+    layerRef.current = layer;
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current.setData({ cells, index, getStyle, heatmap, onClick });
+  }, [cells, index, getStyle, heatmap, onClick]);
+
+  return null;
+}
+
+export default RiskCanvasLayer;
@@ -0,0 +1,135 @@
+import React, { useMemo } from 'react';
+import { getHazard } from './hazard-registry';
+import { t, formatNumber, useLanguage } from './i18n';
+import { VISUALLY_HIDDEN } from './accessibility';
+
+// ========================================
+// RISK CELL TABLE COMPONENT
+// ========================================
+// The map's cells as a table, highest risk first: location, hazard, risk
+// and band. Always rendered so screen readers can read it; hidden
+// visually (and without buttons) until the table view is switched on.
+
+// Centre of a cell, e.g. "24.812° N, 93.944° E"
+function formatCellLocation(cell) {
+  const { minLat, minLon, maxLat, maxLon } = cell.bounds;
+  const options = { minimumFractionDigits: 3, maximumFractionDigits: 3 };
+  return t('cellTable.coordinates', {
+    lat: formatNumber((minLat + maxLat) / 2, options),
+    lon: formatNumber((minLon + maxLon) / 2, options)
+  });
+}
+
+function RiskCellTable({
+  cells,
+  riskScales,
+  caption,
+  visible,
+  onShowCell,       // (cell) => void
+  onClose
+}) {
+  useLanguage();
+  const rows = useMemo(
+    () => [...cells].sort((a, b) => b.risk_percentage - a.risk_percentage || b.bounds.minLat - a.bounds.minLat),
+    [cells]
+  );
+
+  const cellStyle = { padding: '0.4rem 0.6rem', borderBottom: '1px solid #e2e8f0', textAlign: 'left' };
+  const headerStyle = { ...cellStyle, position: 'sticky', top: 0, background: '#f1f5f9', fontWeight: 700, color: '#475569' };
+
+  return (
+    <div style={visible ? {
+      position: 'absolute',
+      inset: 0,
+      zIndex: 1000,
+      background: 'white',
+      overflow: 'auto',
+      padding: '1rem'
+    } : VISUALLY_HIDDEN}>
+      {visible && (
+        <button
+          onClick={onClose}
+          style={{
+            float: 'right',
+            padding: '0.3rem 0.6rem',
+            border: '2px solid #cbd5e1',
+            borderRadius: '6px',
+            background: 'white',
+            cursor: 'pointer',
+            fontSize: '0.8rem',
+            fontWeight: 600,
+            color: '#475569'
+          }}
+        >
+          🗺️ {t('cellTable.backToMap')}
+        </button>
+      )}
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+        <caption style={{ textAlign: 'left', fontWeight: 700, fontSize: '1rem', color: '#1e293b', marginBottom: '0.75rem' }}>
+          {caption}
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col" style={headerStyle}>{t('cellTable.location')}</th>
+            <th scope="col" style={headerStyle}>{t('cellTable.hazard')}</th>
+            <th scope="col" style={headerStyle}>{t('cellTable.risk')}</th>
+            <th scope="col" style={headerStyle}>{t('cellTable.band')}</th>
+            <th scope="col" style={headerStyle}>{t('cellTable.change')}</th>
+            {visible && <th scope="col" style={headerStyle}><span style={VISUALLY_HIDDEN}>{t('cellTable.actions')}</span></th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={visible ? 6 : 5} style={{ ...cellStyle, color: '#64748b' }}>{t('cellTable.empty')}</td>
+            </tr>
+          )}
+          {rows.map(cell => {
+            const band = riskScales.getCellBand(cell);
+            const hazards = cell.risks ? Object.keys(cell.risks) : [cell.cal_type];
+            return (
+              <tr key={cell.key} style={{ background: band.level === 2 ? '#fef2f2' : band.level === 1 ? '#fffbeb' : 'white' }}>
+                <th scope="row" style={{ ...cellStyle, fontWeight: 500 }}>{formatCellLocation(cell)}</th>
+                <td style={cellStyle}>
+                  {hazards.map(type => (cell.risks
+                    ? t('cellTable.hazardRisk', { hazard: getHazard(type).label, risk: cell.risks[type] })
+                    : getHazard(type).label)).join(', ')}
+                </td>
+                <td style={{ ...cellStyle, fontWeight: 700 }}>{t('common.percent', { value: cell.risk_percentage })}</td>
+                <td style={{ ...cellStyle, fontWeight: 600, color: band.level === 2 ? '#991b1b' : band.level === 1 ? '#92400e' : '#166534' }}>
+                  {band.label}
+                </td>
+                <td style={cellStyle}>
+                  {cell.change && (cell.previous_risk === undefined
+                    ? (cell.change === 'up' ? `▲ ${t('cellTable.risen')}` : `▼ ${t('cellTable.fallen')}`)
+                    : (cell.change === 'up' ? `▲ ${t('cellTable.rose', { risk: cell.previous_risk })}` : `▼ ${t('cellTable.fell', { risk: cell.previous_risk })}`))}
+                </td>
+                {visible && (
+                  <td style={cellStyle}>
+                    <button
+                      onClick={() => onShowCell(cell)}
+                      style={{
+                        padding: '0.2rem 0.5rem',
+                        border: '1px solid #cbd5e1',
+                        borderRadius: '4px',
+                        background: 'white',
+                        cursor: 'pointer',
+                        fontSize: '0.75rem',
+                        color: '#1e40af',
+                        whiteSpace: 'nowrap'
+                      }}
+                    >
+                      📍 {t('cellTable.showOnMap')}
+                    </button>
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default RiskCellTable;
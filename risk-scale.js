@@ -0,0 +1,215 @@
+// ========================================
+// RISK SCALES
+// ========================================
+// Threshold and colour bands used to classify risk percentages. Colours,
+// band labels, stats, popup warnings, district shading and road alerts
+// all come from the scale resolved for the hazard and region, so an
+// authority's own bands only need a manifest entry, not a new build.
+//
+// Scale shape:
+// {
+//   name,
+//   bands: [{ min, label, color }],   // ascending `min`, the first is 0; `label`
+//                                      // may be { en, hi, ... } per language
+//   alertFrom,                         // first band that warns and raises road alerts (default 1)
+//   highFrom                           // first band treated as high risk (default: the last band)
+// }
+//
+// Every band is classified into a `level`: 0 below alertFrom, 1 from
+// alertFrom, 2 from highFrom. Levels are what the UI compares across
+// hazards whose scales have different numbers of bands.
+//
+// Names and labels of the built-in scales and palettes are translated
+// (messages-<code>.js, `riskScales` and `riskPalettes`).
+
+import { getHazard } from './hazard-registry';
+import { translateBuiltIn } from './i18n';
+
+export const RISK_SCALES = {
+  standard: {
+    name: 'Standard',
+    bands: [
+      { min: 0, label: 'Low Risk', color: '#22c55e' },
+      { min: 30, label: 'Moderate Risk', color: '#f97316' },
+      { min: 60, label: 'High Risk', color: '#ef4444' }
+    ],
+    alertFrom: 1,
+    highFrom: 2
+  },
+  imd: {
+    name: 'IMD colour code',
+    bands: [
+      { min: 0, label: 'Green – No warning', color: '#22c55e' },
+      { min: 25, label: 'Yellow – Be updated', color: '#eab308' },
+      { min: 50, label: 'Orange – Be prepared', color: '#f97316' },
+      { min: 75, label: 'Red – Take action', color: '#ef4444' }
+    ],
+    alertFrom: 1,
+    highFrom: 3
+  }
+};
+
+export const DEFAULT_RISK_SCALE = 'standard';
+
+// `colors: null` keeps each band's own colour. Other palettes are sampled
+// evenly across the bands, so they fit scales of any length.
+export const RISK_PALETTES = {
+  standard: { name: 'Standard colours', colors: null },
+  // Okabe–Ito blue → vermillion, distinguishable with red-green colour blindness
+  colorblind: { name: 'Colour-blind safe', colors: ['#0072b2', '#56b4e9', '#f0e442', '#e69f00', '#d55e00'] }
+};
+
+export const DEFAULT_RISK_PALETTE = 'standard';
+
+/**
+ * Palette name in the current language.
+ */
+export function getPaletteName(key) {
+  return translateBuiltIn(`riskPalettes.${key}`, RISK_PALETTES[key].name);
+}
+
+/**
+ * Validates a scale definition and fills in alertFrom/highFrom.
+ */
+export function parseRiskScale(definition, id) {
+  const path = `risk scale "${id}"`;
+  if (!definition || !Array.isArray(definition.bands) || definition.bands.length < 2) {
+    throw new Error(`${path}: "bands" must list at least two bands`);
+  }
+
+  definition.bands.forEach((band, index) => {
+    const hasLabel = typeof band.label === 'string' || (band.label !== null && typeof band.label === 'object');
+    if (!Number.isFinite(band.min) || !hasLabel || typeof band.color !== 'string') {
+      throw new Error(`${path}: band ${index} needs a numeric "min", a "label" and a "color"`);
+    }
+    if (index === 0 ? band.min !== 0 : band.min <= definition.bands[index - 1].min) {
+      throw new Error(`${path}: bands must start at 0 and have ascending "min" values`);
+    }
+  });
+
+  const lastIndex = definition.bands.length - 1;
+  const alertFrom = definition.alertFrom ?? 1;
+  const highFrom = definition.highFrom ?? lastIndex;
+  if (!(alertFrom >= 1 && alertFrom <= highFrom && highFrom <= lastIndex)) {
+    throw new Error(`${path}: need 1 ≤ alertFrom ≤ highFrom ≤ ${lastIndex}`);
+  }
+
+  return { name: definition.name || id, bands: definition.bands, alertFrom, highFrom };
+}
+
+// Region settings are a scale id for every hazard, or
+// { default?: id, [hazardKey]: id }
+function normaliseRegionScale(setting) {
+  if (!setting) return {};
+  return typeof setting === 'string' ? { default: setting } : setting;
+}
+
+/**
+ * Throws if a region's `riskScale` names a scale that does not exist.
+ */
+export function assertRegionScale(setting, scales, path) {
+  Object.values(normaliseRegionScale(setting)).forEach(id => {
+    if (!scales[id]) throw new Error(`${path}: unknown risk scale "${id}"`);
+  });
+}
+
+// Builds the band objects of a scale with colours for a palette and
+// texts in the current language. `textKey` is the scale's id in the
+// message catalogs.
+function resolveScale(id, scale, palette, textKey = id) {
+  const { bands, alertFrom, highFrom } = scale;
+  const lastIndex = bands.length - 1;
+
+  return {
+    id,
+    name: translateBuiltIn(`riskScales.${textKey}.name`, scale.name),
+    bands: bands.map((band, index) => ({
+      index,
+      label: translateBuiltIn(`riskScales.${textKey}.bands.${index}`, band.label),
+      min: band.min,
+      max: index < lastIndex ? bands[index + 1].min - 1 : 100,
+      color: palette.colors
+        ? palette.colors[Math.round((index / lastIndex) * (palette.colors.length - 1))]
+        : band.color,
+      level: index >= highFrom ? 2 : index >= alertFrom ? 1 : 0,
+      position: index / lastIndex
+    }))
+  };
+}
+
+// Orders bands from different scales: level first, then relative position
+function isWorse(band, other) {
+  return band.level !== other.level ? band.level > other.level : band.position > other.position;
+}
+
+/**
+ * The band most severe among several, comparable across scales.
+ */
+export function getWorstBand(bands) {
+  return bands.reduce((worst, band) => (!worst || isWorse(band, worst) ? band : worst), null);
+}
+
+/**
+ * Resolves the scale of every hazard for one region and palette.
+ *
+ *   scales        – scale definitions by id (built-ins plus manifest ones)
+ *   regionScales  – `riskScale` settings from country to district; later
+ *                   entries override earlier ones
+ *   palette       – RISK_PALETTES key
+ *
+ * A hazard uses the region's setting for it, else the region default,
+ * else its registry `scale`. Returns { getScale, getBand, getCellBand,
+ * getModeScale, getModeBandIndex }. Labels are in the language current
+ * at creation, so create new scales after a language change.
+ */
+export function createRiskScales({ scales = RISK_SCALES, regionScales = [], palette = DEFAULT_RISK_PALETTE } = {}) {
+  const settings = Object.assign({}, ...regionScales.map(normaliseRegionScale));
+  const paletteDefinition = RISK_PALETTES[palette] || RISK_PALETTES[DEFAULT_RISK_PALETTE];
+  const resolved = new Map();
+
+  const getScaleById = (id) => {
+    const scaleId = scales[id] ? id : DEFAULT_RISK_SCALE;
+    if (!resolved.has(scaleId)) {
+      resolved.set(scaleId, resolveScale(scaleId, scales[scaleId] || RISK_SCALES[DEFAULT_RISK_SCALE], paletteDefinition));
+    }
+    return resolved.get(scaleId);
+  };
+
+  const getScale = (hazardKey) =>
+    getScaleById(settings[hazardKey] || settings.default || getHazard(hazardKey).scale);
+
+  const getBand = (riskPercentage, hazardKey) => {
+    const { bands } = getScale(hazardKey);
+    for (let i = bands.length - 1; i > 0; i--) {
+      if (riskPercentage >= bands[i].min) return bands[i];
+    }
+    return bands[0];
+  };
+
+  // Combined cells take the worst band of their hazards
+  const getCellBand = (cell) => {
+    if (cell.risks) {
+      return getWorstBand(Object.keys(cell.risks).map(key => getBand(cell.risks[key], key)));
+    }
+    return getBand(cell.risk_percentage, cell.cal_type);
+  };
+
+  // Scale shown in the legend and stats for a set of hazards: their shared
+  // scale, or the standard three levels when their scales differ
+  const getModeScale = (hazardKeys) => {
+    const ids = [...new Set(hazardKeys.map(key => getScale(key).id))];
+    if (ids.length === 1) return getScaleById(ids[0]);
+    return {
+      ...resolveScale('levels', RISK_SCALES[DEFAULT_RISK_SCALE], paletteDefinition, DEFAULT_RISK_SCALE),
+      byLevel: true
+    };
+  };
+
+  // Index of a cell's band within a mode scale
+  const getModeBandIndex = (cell, modeScale) => {
+    const band = getCellBand(cell);
+    return modeScale.byLevel ? band.level : band.index;
+  };
+
+  return { getScale, getBand, getCellBand, getModeScale, getModeBandIndex };
+}
@@ -0,0 +1,217 @@
+// ========================================
+// RISK SURFACE
+// ========================================
+// Smooth view of the risk cells: `risk_percentage` is interpolated from
+// the cell centres onto a regular lat/lon grid twice as fine as the cells
+// (modified Shepard / inverse-distance weighting), which the map draws as
+// a heatmap and traces into contour lines at the scale's thresholds.
+// Grid points further than about a cell from every centre stay empty, so
+// the surface ends where the data ends.
+
+import { getTypicalCellSize } from './cell-index';
+
+// Grid points per cell width
+const POINTS_PER_CELL = 2;
+
+// Upper limit of grid points; the grid gets coarser for larger areas
+const MAX_SURFACE_POINTS = 250000;
+
+// Influence radius of a cell centre, in cell widths
+const RADIUS_CELLS = 1.2;
+
+/**
+ * Interpolated risk surface of cells:
+ *   { minLat, minLon, step, rows, cols, values }
+ * Grid point (row, col) lies at (minLat + row * step, minLon + col * step)
+ * and its value is values[row * cols + col], NaN where there is no data.
+ * Returns null for no cells.
+ */
+export function createRiskSurface(cells) {
+  if (cells.length === 0) return null;
+
+  const cellSize = getTypicalCellSize(cells);
+  let minLat = Infinity, minLon = Infinity, maxLat = -Infinity, maxLon = -Infinity;
+  cells.forEach(({ bounds }) => {
+    minLat = Math.min(minLat, bounds.minLat);
+    minLon = Math.min(minLon, bounds.minLon);
+    maxLat = Math.max(maxLat, bounds.maxLat);
+    maxLon = Math.max(maxLon, bounds.maxLon);
+  });
+
+  let step = cellSize / POINTS_PER_CELL;
+  const points = ((maxLat - minLat) / step + 1) * ((maxLon - minLon) / step + 1);
+  if (points > MAX_SURFACE_POINTS) step *= Math.sqrt(points / MAX_SURFACE_POINTS);
+  const rows = Math.floor((maxLat - minLat) / step) + 1;
+  const cols = Math.floor((maxLon - minLon) / step) + 1;
+
+  // Each centre adds its weighted risk to the grid points in its radius
+  const radius = cellSize * RADIUS_CELLS;
+  const weightedSum = new Float64Array(rows * cols);
+  const weightTotal = new Float64Array(rows * cols);
+  cells.forEach(({ bounds, risk_percentage: risk }) => {
+    const lat = (bounds.minLat + bounds.maxLat) / 2;
+    const lon = (bounds.minLon + bounds.maxLon) / 2;
+    const firstRow = Math.max(0, Math.ceil((lat - radius - minLat) / step));
+    const lastRow = Math.min(rows - 1, Math.floor((lat + radius - minLat) / step));
+    const firstCol = Math.max(0, Math.ceil((lon - radius - minLon) / step));
+    const lastCol = Math.min(cols - 1, Math.floor((lon + radius - minLon) / step));
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const distance = Math.max(
+          Math.hypot(minLat + row * step - lat, minLon + col * step - lon),
+          step * 0.05
+        );
+        if (distance >= radius) continue;
+        // Falls to zero at the radius, so the surface has no seams
+        const weight = ((radius - distance) / (radius * distance)) ** 2;
+        weightedSum[row * cols + col] += weight * risk;
+        weightTotal[row * cols + col] += weight;
+      }
+    }
+  });
+
+  const values = new Float32Array(rows * cols);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = weightTotal[i] > 0 ? weightedSum[i] / weightTotal[i] : NaN;
+  }
+  return { minLat, minLon, step, rows, cols, values };
+}
+
+// ========================================
+// CONTOURS
+// ========================================
+
+// Joins segments that share end points into lines
+function joinSegments(segments) {
+  const pointKey = ([lat, lon]) => `${lat},${lon}`;
+  const byPoint = new Map();
+  segments.forEach((segment, index) => segment.forEach(point => {
+    const key = pointKey(point);
+    if (!byPoint.has(key)) byPoint.set(key, []);
+    byPoint.get(key).push(index);
+  }));
+
+  const used = new Uint8Array(segments.length);
+  const extend = (line) => {
+    for (;;) {
+      const tip = line[line.length - 1];
+      const next = byPoint.get(pointKey(tip)).find(index => !used[index]);
+      if (next === undefined) return;
+      used[next] = 1;
+      const [a, b] = segments[next];
+      line.push(pointKey(a) === pointKey(tip) ? b : a);
+    }
+  };
+
+  const lines = [];
+  segments.forEach((segment, index) => {
+    if (used[index]) return;
+    used[index] = 1;
+    const line = [...segment];
+    extend(line);
+    line.reverse();
+    extend(line);
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * Lines where the surface crosses `threshold` (marching squares), as
+ * arrays of [lat, lon]. Squares with an empty corner are skipped, so
+ * lines stop at the edge of the data.
+ */
+export function traceContours(surface, threshold) {
+  const { minLat, minLon, step, rows, cols, values } = surface;
+  const value = (row, col) => values[row * cols + col];
+
+  // Crossing between two neighbouring grid points, always interpolated
+  // from the lower to the higher one so both squares sharing the edge get
+  // exactly the same point
+  const crossing = (row1, col1, row2, col2) => {
+    const v1 = value(row1, col1);
+    const v2 = value(row2, col2);
+    const t = (threshold - v1) / (v2 - v1);
+    return [minLat + (row1 + (row2 - row1) * t) * step, minLon + (col1 + (col2 - col1) * t) * step];
+  };
+
+  const segments = [];
+  for (let row = 0; row < rows - 1; row++) {
+    for (let col = 0; col < cols - 1; col++) {
+      const corners = [value(row, col), value(row, col + 1), value(row + 1, col + 1), value(row + 1, col)];
+      if (corners.some(Number.isNaN)) continue;
+      const caseIndex = corners.reduce((index, v, i) => index | (v >= threshold ? 1 << i : 0), 0);
+      if (caseIndex === 0 || caseIndex === 15) continue;
+
+      const bottom = () => crossing(row, col, row, col + 1);
+      const right = () => crossing(row, col + 1, row + 1, col + 1);
+      const top = () => crossing(row + 1, col, row + 1, col + 1);
+      const left = () => crossing(row, col, row + 1, col);
+      // Saddles are split by the average of the corners
+      const centreHigh = (corners[0] + corners[1] + corners[2] + corners[3]) / 4 >= threshold;
+
+      switch (caseIndex) {
+        case 1: case 14: segments.push([left(), bottom()]); break;
+        case 2: case 13: segments.push([bottom(), right()]); break;
+        case 3: case 12: segments.push([left(), right()]); break;
+        case 4: case 11: segments.push([right(), top()]); break;
+        case 6: case 9: segments.push([bottom(), top()]); break;
+        case 7: case 8: segments.push([left(), top()]); break;
+        case 5:
+          if (centreHigh) segments.push([left(), top()], [bottom(), right()]);
+          else segments.push([left(), bottom()], [right(), top()]);
+          break;
+        case 10:
+          if (centreHigh) segments.push([left(), bottom()], [right(), top()]);
+          else segments.push([left(), top()], [bottom(), right()]);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+  return joinSegments(segments);
+}
+
+// ========================================
+// COLOUR RAMP
+// ========================================
+
+let colorContext = null;
+
+// [r, g, b] of a CSS colour. Colours other than #rrggbb (from a region
+// manifest) are normalised by a canvas in the browser.
+function toRgb(color) {
+  let hex = color;
+  if (!/^#[0-9a-f]{6}$/i.test(hex) && typeof document !== 'undefined') {
+    colorContext = colorContext || document.createElement('canvas').getContext('2d');
+    colorContext.fillStyle = color;
+    hex = colorContext.fillStyle;
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(hex)) return [148, 163, 184];
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Continuous colour for a risk: the bands' colours placed at the middle
+ * of each band and blended in between. Returns risk → [r, g, b].
+ */
+export function createColorRamp(bands) {
+  const stops = bands.map(band => ({
+    at: (band.min + band.max) / 2,
+    rgb: toRgb(band.color)
+  }));
+
+  return (risk) => {
+    if (risk <= stops[0].at) return stops[0].rgb;
+    for (let i = 1; i < stops.length; i++) {
+      if (risk <= stops[i].at) {
+        const t = (risk - stops[i - 1].at) / (stops[i].at - stops[i - 1].at);
+        return stops[i].rgb.map((channel, c) => Math.round(stops[i - 1].rgb[c] + (channel - stops[i - 1].rgb[c]) * t));
+      }
+    }
+    return stops[stops.length - 1].rgb;
+  };
+}
@@ -0,0 +1,137 @@
+import React from 'react';
+import { t, formatNumber, useLanguage } from './i18n';
+
+// ========================================
+// RISK TIMELINE COMPONENT
+// ========================================
+// Slider with play/pause/step controls for historical and forecast
+// snapshots. Each step also shows a small bar of its high-risk count so
+// build-up or easing is visible before playing through it.
+
+// Step offset such as "+6h", "-3h" or "Now"
+export function formatOffset(hours) {
+  if (hours === 0) return t('timeline.now');
+  return t('timeline.hours', { hours: formatNumber(hours, { signDisplay: 'exceptZero' }) });
+}
+
+function RiskTimeline({
+  steps,            // [{ offset, time, status: 'live'|'loaded'|'loading'|'error'|'idle', highRisk }]
+  index,
+  playing,
+  onIndexChange,
+  onPlayToggle,
+  formatTime
+}) {
+  useLanguage();
+  const current = steps[index];
+  const maxHigh = Math.max(1, ...steps.map(step => step.highRisk ?? 0));
+
+  const buttonStyle = {
+    padding: '0.35rem 0.65rem',
+    border: '2px solid #cbd5e1',
+    borderRadius: '6px',
+    background: 'white',
+    cursor: 'pointer',
+    fontSize: '0.85rem',
+    fontWeight: 600,
+    color: '#475569'
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+      padding: '0.75rem 1rem',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '1rem'
+    }}>
+      <div style={{ display: 'flex', gap: '0.4rem' }}>
+        <button
+          style={buttonStyle}
+          onClick={() => onIndexChange(Math.max(0, index - 1))}
+          disabled={index === 0}
+          title={t('timeline.previous')}
+          aria-label={t('timeline.previous')}
+        >
+          ⏮
+        </button>
+        <button
+          style={buttonStyle}
+          onClick={onPlayToggle}
+          title={playing ? t('timeline.pause') : t('timeline.play')}
+          aria-label={playing ? t('timeline.pause') : t('timeline.play')}
+        >
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button
+          style={buttonStyle}
+          onClick={() => onIndexChange(Math.min(steps.length - 1, index + 1))}
+          disabled={index === steps.length - 1}
+          title={t('timeline.next')}
+          aria-label={t('timeline.next')}
+        >
+          ⏭
+        </button>
+      </div>
+
+      <div style={{ flex: 1 }}>
+        {/* High-risk count per step (mouse shortcut; the slider below covers keyboard use) */}
+        <div aria-hidden="true" style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '24px' }}>
+          {steps.map((step, i) => (
+            <div
+              key={step.offset}
+              title={step.highRisk === undefined
+                ? t('timeline.stepNotLoaded', { offset: formatOffset(step.offset) })
+                : t('timeline.stepHighRisk', { offset: formatOffset(step.offset), count: step.highRisk })}
+              onClick={() => onIndexChange(i)}
+              style={{
+                flex: 1,
+                cursor: 'pointer',
+                height: step.highRisk === undefined ? '2px' : `${Math.max(2, (step.highRisk / maxHigh) * 24)}px`,
+                background: step.status === 'error'
+                  ? '#fca5a5'
+                  : i === index ? '#ef4444' : step.offset > 0 ? '#c4b5fd' : '#94a3b8'
+              }}
+            />
+          ))}
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={steps.length - 1}
+          value={index}
+          onChange={(e) => onIndexChange(Number(e.target.value))}
+          aria-label={t('a11y.timeline')}
+          aria-valuetext={current.highRisk === undefined
+            ? t('timeline.stepNotLoaded', { offset: formatOffset(current.offset) })
+            : t('timeline.stepHighRisk', { offset: formatOffset(current.offset), count: current.highRisk })}
+          style={{ width: '100%', margin: '0.25rem 0 0 0' }}
+        />
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7rem', color: '#94a3b8' }}>
+          <span>{t('timeline.historyEnd', { offset: formatOffset(steps[0].offset) })}</span>
+          <span>{t('timeline.now')}</span>
+          <span>{t('timeline.forecastEnd', { offset: formatOffset(steps[steps.length - 1].offset) })}</span>
+        </div>
+      </div>
+
+      <div style={{ minWidth: '170px', textAlign: 'right', fontSize: '0.85rem' }}>
+        <div style={{ fontWeight: 700, color: current.offset > 0 ? '#6d28d9' : '#1e293b' }}>
+          {current.offset === 0
+            ? `🟢 ${t('timeline.live')}`
+            : current.offset > 0
+              ? `🔮 ${t('timeline.forecastAt', { offset: formatOffset(current.offset) })}`
+              : `🕘 ${t('timeline.historyAt', { offset: formatOffset(current.offset) })}`}
+        </div>
+        <div style={{ color: '#64748b' }}>
+          {current.status === 'loading' && `⏳ ${t('timeline.loading')}`}
+          {current.status === 'error' && `❌ ${t('timeline.unavailable')}`}
+          {(current.status === 'loaded' || current.status === 'live') && formatTime(current.time)}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RiskTimeline;
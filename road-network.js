@@ -0,0 +1,267 @@
+// ========================================
+// ROAD NETWORK
+// ========================================
+// Loads a GeoJSON road network (e.g. an offline OSM extract) and
+// intersects its segments with risk cell bounds.
+
+import { getHazard } from './hazard-registry';
+import { t, formatList } from './i18n';
+import { createRiskScales, getWorstBand } from './risk-scale';
+import { createCellIndex } from './cell-index';
+
+// ========================================
+// LOADING & NORMALISATION
+// ========================================
+
+/**
+ * Converts a GeoJSON FeatureCollection into a flat list of roads.
+ * LineString and MultiLineString features are kept; everything else is ignored.
+ * Each road is { id, name, ref, highway, lines }, where `lines` holds
+ * arrays of [lon, lat] positions exactly as they appear in the file.
+ */
+export function parseRoadNetwork(geojson) {
+  if (!geojson || !Array.isArray(geojson.features)) {
+    throw new Error('Road network must be a GeoJSON FeatureCollection');
+  }
+
+  const roads = [];
+
+  geojson.features.forEach((feature, index) => {
+    const geometry = feature && feature.geometry;
+    if (!geometry) return;
+
+    let lines;
+    if (geometry.type === 'LineString') {
+      lines = [geometry.coordinates];
+    } else if (geometry.type === 'MultiLineString') {
+      lines = geometry.coordinates;
+    } else {
+      return;
+    }
+
+    const props = feature.properties || {};
+    roads.push({
+      id: feature.id ?? props['@id'] ?? `road-${index}`,
+      name: props.name || '',
+      ref: props.ref || '',
+      highway: props.highway || '',
+      lines: lines.filter(line => Array.isArray(line) && line.length >= 2)
+    });
+  });
+
+  return roads;
+}
+
+/**
+ * Loads a road network from a URL or a user-supplied File.
+ */
+export async function loadRoadNetwork(source) {
+  let geojson;
+
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Road network request failed: ${response.status}`);
+    }
+    geojson = await response.json();
+  } else {
+    geojson = JSON.parse(await source.text());
+  }
+
+  return parseRoadNetwork(geojson);
+}
+
+/**
+ * Display label used to group features into one alert per named road.
+ */
+export function getRoadLabel(road) {
+  if (road.ref && road.name) return `${road.ref} (${road.name})`;
+  return road.name || road.ref;
+}
+
+// ========================================
+// GEOMETRY
+// ========================================
+
+/**
+ * Clips the segment a→b ([lon, lat] positions) to a cell's bounds using
+ * Liang–Barsky. Returns the clipped piece as [[lat, lon], [lat, lon]]
+ * (Leaflet order), or null if the segment misses the rectangle.
+ */
+export function clipSegmentToBounds(a, b, bounds) {
+  const [lon1, lat1] = a;
+  const [lon2, lat2] = b;
+  const dLon = lon2 - lon1;
+  const dLat = lat2 - lat1;
+
+  const p = [-dLon, dLon, -dLat, dLat];
+  const q = [
+    lon1 - bounds.minLon,
+    bounds.maxLon - lon1,
+    lat1 - bounds.minLat,
+    bounds.maxLat - lat1
+  ];
+
+  let tEnter = 0;
+  let tExit = 1;
+
+  for (let i = 0; i < 4; i++) {
+    if (p[i] === 0) {
+      // Parallel to this edge: reject if entirely outside it
+      if (q[i] < 0) return null;
+      continue;
+    }
+    const t = q[i] / p[i];
+    if (p[i] < 0) {
+      if (t > tExit) return null;
+      if (t > tEnter) tEnter = t;
+    } else {
+      if (t < tEnter) return null;
+      if (t < tExit) tExit = t;
+    }
+  }
+
+  return [
+    [lat1 + tEnter * dLat, lon1 + tEnter * dLon],
+    [lat1 + tExit * dLat, lon1 + tExit * dLon]
+  ];
+}
+
+// Bounds of the segment a→b ([lon, lat] positions)
+function getSegmentExtent([lon1, lat1], [lon2, lat2]) {
+  return {
+    minLat: Math.min(lat1, lat2),
+    maxLat: Math.max(lat1, lat2),
+    minLon: Math.min(lon1, lon2),
+    maxLon: Math.max(lon1, lon2)
+  };
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+// Short FNV-1a hash of a text, in base 36
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Stable id of a road's alert for a hazard mode. It also serves as React
+ * key, `alert=` link value and incident key, so it must differ for every
+ * label: the readable ASCII part of the label (empty for names in Indic
+ * scripts) is followed by a hash of the full label.
+ */
+export function getRoadAlertId(calamityType, label) {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${calamityType}-${slug ? `${slug}-` : ''}${hashText(label)}`;
+}
+
+// ========================================
+// ROAD INTERSECTION DETECTION
+// ========================================
+
+// Hazards of a cell in or above their scale's alertFrom band.
+// Combined cells (with a `risks` map) can contribute several.
+function getAlertingHazards(cell, riskScales) {
+  const risks = cell.risks || { [cell.cal_type]: cell.risk_percentage };
+  return Object.keys(risks).filter(key => riskScales.getBand(risks[key], key).level >= 1);
+}
+
+// Alert text from the road-alert rules of the hazards involved
+function getAlertText(hazardKeys) {
+  if (hazardKeys.length === 1) return getHazard(hazardKeys[0]).roadAlert;
+
+  const labels = hazardKeys.map(key => getHazard(key).label.toLowerCase());
+  return {
+    message: t('roadAlerts.multiHazard', { hazards: formatList(labels) }),
+    recommendation: hazardKeys.map(key => getHazard(key).roadAlert.recommendation).join(' ')
+  };
+}
+
+/**
+ * Intersects every road in the network with the cells at warning level
+ * or above on their hazard's risk scale (see createRiskScales) and
+ * returns one alert per named road. Each alert carries the cells it
+ * crosses, the clipped `segments` ([[lat, lon], ...] polylines) that lie
+ * inside them, the `hazards` involved and the worst risk `band`.
+ * Unnamed roads are skipped.
+ */
+export function detectRoadIntersections(riskCells, calamityType, roads, riskScales = createRiskScales()) {
+  if (!roads || roads.length === 0) return [];
+
+  const atRiskCells = riskCells.filter(cell => getAlertingHazards(cell, riskScales).length > 0);
+  if (atRiskCells.length === 0) return [];
+
+  const index = createCellIndex(atRiskCells);
+  const alertsByRoad = new Map();
+
+  const addPieces = (label, cell, pieces) => {
+    if (!alertsByRoad.has(label)) {
+      alertsByRoad.set(label, {
+        id: getRoadAlertId(calamityType, label),
+        road: label,
+        severity: 0,
+        band: null,
+        cells: [],
+        segments: [],
+        hazards: []
+      });
+    }
+
+    const alert = alertsByRoad.get(label);
+    if (!alert.cells.includes(cell)) alert.cells.push(cell);
+    alert.segments.push(...pieces);
+    alert.severity = Math.max(alert.severity, cell.risk_percentage);
+    alert.band = getWorstBand([alert.band, riskScales.getCellBand(cell)].filter(Boolean));
+    getAlertingHazards(cell, riskScales).forEach(key => {
+      if (!alert.hazards.includes(key)) alert.hazards.push(key);
+    });
+  };
+
+  roads.forEach(road => {
+    const label = getRoadLabel(road);
+    if (!label) return;
+
+    road.lines.forEach(line => {
+      // Clipped pieces per cell; `last` is the segment that ended `current`
+      const byCell = new Map();
+
+      for (let i = 0; i < line.length - 1; i++) {
+        index.search(getSegmentExtent(line[i], line[i + 1])).forEach(cell => {
+          const clipped = clipSegmentToBounds(line[i], line[i + 1], cell.bounds);
+          // Segments that only touch a corner or edge clip to a single point
+          if (!clipped || samePoint(clipped[0], clipped[1])) return;
+
+          let entry = byCell.get(cell);
+          if (!entry) {
+            entry = { pieces: [], current: null, last: -1 };
+            byCell.set(cell, entry);
+          }
+          // Join consecutive pieces into one polyline
+          if (entry.current && entry.last === i - 1 && samePoint(entry.current[entry.current.length - 1], clipped[0])) {
+            entry.current.push(clipped[1]);
+          } else {
+            entry.current = [clipped[0], clipped[1]];
+            entry.pieces.push(entry.current);
+          }
+          entry.last = i;
+        });
+      }
+
+      byCell.forEach((entry, cell) => addPieces(label, cell, entry.pieces));
+    });
+  });
+
+  return Array.from(alertsByRoad.values())
+    .map(alert => {
+      const { message, recommendation } = getAlertText(alert.hazards);
+      return { ...alert, message, recommendation };
+    })
+    .sort((a, b) => b.band.level - a.band.level || b.severity - a.severity);
+}
@@ -0,0 +1,306 @@
+// ========================================
+// ROUTE PLANNER
+// ========================================
+// Builds a graph from the road network and finds the safest or shortest
+// route between two points, weighted by the risk cells each edge crosses.
+
+import { clipSegmentToBounds } from './road-network';
+import { getWorstBand } from './risk-scale';
+import { createCellIndex } from './cell-index';
+
+// How strongly risk inflates an edge's cost on the safest route:
+// cost = length × (1 + scaled risk × RISK_WEIGHT), see getScaledRisk
+const RISK_WEIGHT = 4;
+
+const EARTH_RADIUS_KM = 6371;
+
+// ========================================
+// GRAPH CONSTRUCTION
+// ========================================
+
+export function haversineKm([lat1, lon1], [lat2, lon2]) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Turns parsed roads into an undirected graph. Vertices shared by several
+ * lines (junctions) become a single node, so roads must meet at identical
+ * coordinates to be connected.
+ *
+ * Returns { nodes, edges, adjacency } where nodes are [lat, lon],
+ * edges are { from, to, lengthKm } and adjacency[node] lists { to, edge }.
+ */
+export function buildRoadGraph(roads) {
+  const nodes = [];
+  const edges = [];
+  const adjacency = [];
+  const nodeIndex = new Map();
+
+  const getNode = ([lon, lat]) => {
+    const key = `${lon.toFixed(6)},${lat.toFixed(6)}`;
+    if (!nodeIndex.has(key)) {
+      nodeIndex.set(key, nodes.length);
+      nodes.push([lat, lon]);
+      adjacency.push([]);
+    }
+    return nodeIndex.get(key);
+  };
+
+  roads.forEach(road => {
+    road.lines.forEach(line => {
+      for (let i = 0; i < line.length - 1; i++) {
+        const from = getNode(line[i]);
+        const to = getNode(line[i + 1]);
+        if (from === to) continue;
+
+        const edge = edges.length;
+        edges.push({ from, to, lengthKm: haversineKm(nodes[from], nodes[to]) });
+        adjacency[from].push({ to, edge });
+        adjacency[to].push({ to: from, edge });
+      }
+    });
+  });
+
+  return { nodes, edges, adjacency };
+}
+
+/**
+ * Index of the graph node closest to a [lat, lon] point.
+ */
+export function findNearestNode(graph, point) {
+  let best = -1;
+  let bestDistance = Infinity;
+
+  graph.nodes.forEach((node, index) => {
+    if (graph.adjacency[index].length === 0) return;
+    const distance = haversineKm(point, node);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = index;
+    }
+  });
+
+  return best;
+}
+
+function getEdgeExtent(graph, { from, to }) {
+  const [latA, lonA] = graph.nodes[from];
+  const [latB, lonB] = graph.nodes[to];
+  return {
+    minLat: Math.min(latA, latB),
+    maxLat: Math.max(latA, latB),
+    minLon: Math.min(lonA, lonB),
+    maxLon: Math.max(lonA, lonB)
+  };
+}
+
+// Whether an edge passes through a cell's bounds
+function edgeCrossesCell(graph, { from, to }, bounds) {
+  const [latA, lonA] = graph.nodes[from];
+  const [latB, lonB] = graph.nodes[to];
+  if (Math.max(latA, latB) < bounds.minLat || Math.min(latA, latB) > bounds.maxLat ||
+      Math.max(lonA, lonB) < bounds.minLon || Math.min(lonA, lonB) > bounds.maxLon) {
+    return false;
+  }
+  return clipSegmentToBounds([lonA, latA], [lonB, latB], bounds) !== null;
+}
+
+// Cells each edge passes through, looked up in a cell index
+function getEdgeCells(graph, cells) {
+  if (cells.length === 0) return graph.edges.map(() => []);
+  const index = createCellIndex(cells);
+  return graph.edges.map(edge =>
+    index.search(getEdgeExtent(graph, edge)).filter(cell => edgeCrossesCell(graph, edge, cell.bounds))
+  );
+}
+
+/**
+ * A cell's risk from 0 to 1 on its hazard's scale: every band gets an
+ * equal share, and the risk percentage places the cell within its band's
+ * limits. On the standard scale this is close to risk/100; on other
+ * scales two cells in one band still differ by their percentage.
+ * Combined cells take their riskiest hazard.
+ */
+function getScaledRisk(cell, riskScales) {
+  const risks = cell.risks || { [cell.cal_type]: cell.risk_percentage };
+  return Object.keys(risks).reduce((max, key) => {
+    const band = riskScales.getBand(risks[key], key);
+    const share = Math.min(1, (risks[key] - band.min) / (band.max + 1 - band.min));
+    return Math.max(max, (band.index + share) / riskScales.getScale(key).bands.length);
+  }, 0);
+}
+
+/**
+ * What each edge passes through, as an array aligned with graph.edges:
+ * { band, scaled, risk } with the worst band on the region's risk scales
+ * (null when it crosses no cell), the highest scaled risk and the
+ * highest risk_percentage.
+ */
+function getEdgeRisks(graph, cells, riskScales) {
+  const cellBands = new Map(cells.map(cell => [cell, riskScales.getCellBand(cell)]));
+  const cellRisks = new Map(cells.map(cell => [cell, getScaledRisk(cell, riskScales)]));
+  return getEdgeCells(graph, cells).map(crossed => ({
+    band: getWorstBand(crossed.map(cell => cellBands.get(cell))),
+    scaled: crossed.reduce((max, cell) => Math.max(max, cellRisks.get(cell)), 0),
+    risk: crossed.reduce((max, cell) => Math.max(max, cell.risk_percentage), 0)
+  }));
+}
+
+// Safest-route cost of an edge
+function getRiskCost(graph, edge, edgeRisks) {
+  return graph.edges[edge].lengthKm * (1 + edgeRisks[edge].scaled * RISK_WEIGHT);
+}
+
+// ========================================
+// SHORTEST PATH
+// ========================================
+
+// Minimal binary heap keyed on cost, for Dijkstra
+function createQueue() {
+  const heap = [];
+
+  const push = (node, cost) => {
+    heap.push({ node, cost });
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].cost <= heap[i].cost) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left].cost < heap[smallest].cost) smallest = left;
+        if (right < heap.length && heap[right].cost < heap[smallest].cost) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  return { push, pop, isEmpty: () => heap.length === 0 };
+}
+
+// Cheapest cost and predecessor of every node from `start`, stopping
+// early once `goal` is settled (pass -1 to search the whole graph)
+function dijkstra(graph, start, goal, edgeCost) {
+  const cost = new Array(graph.nodes.length).fill(Infinity);
+  const previous = new Array(graph.nodes.length).fill(null);
+  const queue = createQueue();
+
+  cost[start] = 0;
+  queue.push(start, 0);
+
+  while (!queue.isEmpty()) {
+    const { node, cost: nodeCost } = queue.pop();
+    if (nodeCost > cost[node]) continue;
+    if (node === goal) break;
+
+    graph.adjacency[node].forEach(({ to, edge }) => {
+      const next = nodeCost + edgeCost(edge);
+      if (next < cost[to]) {
+        cost[to] = next;
+        previous[to] = { node, edge };
+        queue.push(to, next);
+      }
+    });
+  }
+
+  return { cost, previous };
+}
+
+// Node and edge path to `goal` from a dijkstra search, or null if unreached
+function tracePath({ cost, previous }, goal) {
+  if (cost[goal] === Infinity) return null;
+
+  const nodePath = [goal];
+  const edgePath = [];
+  let step = previous[goal];
+  while (step) {
+    nodePath.unshift(step.node);
+    edgePath.unshift(step.edge);
+    step = previous[step.node];
+  }
+  return { nodePath, edgePath };
+}
+
+/**
+ * Plans a route between two [lat, lon] points, snapping each to the
+ * nearest road node.
+ *
+ * mode 'safest'   – edges are weighted by the risk they cross, and edges
+ *                   crossing high-risk cells (band level 2 on the region's
+ *                   scale, see `riskScales`) are closed.
+ * mode 'shortest' – plain distance, ignoring risk.
+ *
+ * Returns { path, lengthKm, maxRisk } or null if no route exists.
+ */
+export function planRoute(graph, origin, destination, cells, riskScales, mode = 'safest') {
+  if (!graph || graph.edges.length === 0) return null;
+
+  const start = findNearestNode(graph, origin);
+  const goal = findNearestNode(graph, destination);
+  if (start < 0 || goal < 0) return null;
+
+  const edgeRisks = getEdgeRisks(graph, cells, riskScales);
+
+  const edgeCost = mode === 'safest'
+    ? edge => (edgeRisks[edge].band && edgeRisks[edge].band.level >= 2
+      ? Infinity
+      : getRiskCost(graph, edge, edgeRisks))
+    : edge => graph.edges[edge].lengthKm;
+
+  const result = tracePath(dijkstra(graph, start, goal, edgeCost), goal);
+  return result && toRoute(graph, result, edgeRisks);
+}
+
+function toRoute(graph, { nodePath, edgePath }, edgeRisks) {
+  return {
+    path: nodePath.map(node => graph.nodes[node]),
+    lengthKm: edgePath.reduce((sum, edge) => sum + graph.edges[edge].lengthKm, 0),
+    maxRisk: edgePath.reduce((max, edge) => Math.max(max, edgeRisks[edge].risk), 0)
+  };
+}
+
+/**
+ * Plans routes from one [lat, lon] point to several destinations with a
+ * single search, for the shelter finder. Edges that pass through any of
+ * `blockedCells` are closed; the rest are weighted by risk like the
+ * safest route.
+ *
+ * Returns an array aligned with `destinations` holding
+ * { path, lengthKm, maxRisk } or null where no open route exists.
+ */
+export function planRoutesFrom(graph, origin, destinations, cells, riskScales, blockedCells) {
+  if (!graph || graph.edges.length === 0) return destinations.map(() => null);
+
+  const start = findNearestNode(graph, origin);
+  if (start < 0) return destinations.map(() => null);
+
+  const edgeRisks = getEdgeRisks(graph, cells, riskScales);
+  const blocked = getEdgeCells(graph, blockedCells).map(crossed => crossed.length > 0);
+  const search = dijkstra(graph, start, -1, edge => (blocked[edge] ? Infinity : getRiskCost(graph, edge, edgeRisks)));
+
+  return destinations.map(destination => {
+    const goal = findNearestNode(graph, destination);
+    const result = goal < 0 ? null : tracePath(search, goal);
+    return result && toRoute(graph, result, edgeRisks);
+  });
+}
@@ -0,0 +1,138 @@
+// ========================================
+// SAVED PLACES
+// ========================================
+// A citizen's saved places (home, work, a relative's village) kept in
+// localStorage, the risk at each place, and browser notifications when a
+// place moves into a higher band.
+//
+// Place shape:
+// {
+//   id, name, position: [lat, lon],
+//   countryId, stateId, districtId, area,
+//   risks: { [hazard]: { risk, band, scale } } | null,   // last check
+//   checkedAt: ISO string | null
+// }
+
+export const MAX_SAVED_PLACES = 5;
+
+const STORAGE_KEY = 'disaster-warning-system:saved-places';
+
+export function loadSavedPlaces() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.slice(0, MAX_SAVED_PLACES) : [];
+  } catch (err) {
+    console.warn('Ignoring unreadable saved places:', err);
+    return [];
+  }
+}
+
+export function storeSavedPlaces(places) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(places));
+  } catch (err) {
+    console.warn('Could not store saved places:', err);
+  }
+}
+
+/**
+ * New place for a point in a located district
+ * ({ country, state, district } from findDistrictAtPoint).
+ */
+export function createPlace(name, position, { country, state, district }) {
+  return {
+    id: `place-${Date.now()}`,
+    name,
+    position,
+    countryId: country.id,
+    stateId: state.id,
+    districtId: district.id,
+    area: district.area,
+    risks: null,
+    checkedAt: null
+  };
+}
+
+function isInside([lat, lon], bounds) {
+  return lat >= bounds.minLat && lat <= bounds.maxLat && lon >= bounds.minLon && lon <= bounds.maxLon;
+}
+
+/**
+ * Risk of each hazard at a point, from per-hazard (not combined) cells:
+ * { [hazard]: { risk, band, scale, cell } }. Hazards with no cell over the
+ * point are left out.
+ */
+export function getPointRisks(cells, point, riskScales) {
+  const risks = {};
+  cells.forEach(cell => {
+    if (!isInside(point, cell.bounds)) return;
+    const current = risks[cell.cal_type];
+    if (current && current.risk >= cell.risk_percentage) return;
+
+    const band = riskScales.getBand(cell.risk_percentage, cell.cal_type);
+    risks[cell.cal_type] = {
+      risk: cell.risk_percentage,
+      band: band.index,
+      scale: riskScales.getScale(cell.cal_type).id,
+      cell
+    };
+  });
+  return risks;
+}
+
+/**
+ * Hazards whose band at the place went up since the previous check.
+ * A hazard whose scale changed in between is not compared.
+ */
+export function getRaisedHazards(previousRisks, risks) {
+  if (!previousRisks) return [];
+  return Object.keys(risks).filter(hazard => {
+    const previous = previousRisks[hazard];
+    return previous && previous.scale === risks[hazard].scale && risks[hazard].band > previous.band;
+  });
+}
+
+// Stored form of point risks (drops the cell reference)
+export function toStoredRisks(risks) {
+  const stored = {};
+  Object.keys(risks).forEach(hazard => {
+    const { risk, band, scale } = risks[hazard];
+    stored[hazard] = { risk, band, scale };
+  });
+  return stored;
+}
+
+// ========================================
+// NOTIFICATIONS
+// ========================================
+
+export function canNotify() {
+  return typeof Notification !== 'undefined';
+}
+
+/**
+ * Asks for notification permission (must run from a user gesture).
+ * Resolves with the permission: 'granted' | 'denied' | 'default' | 'unsupported'.
+ */
+export async function requestNotificationPermission() {
+  if (!canNotify()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Shows a browser notification if permission was granted.
+ */
+export function notify(title, body) {
+  if (!canNotify() || Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, icon: '/icon.svg', tag: title });
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    if (navigator.serviceWorker) {
+      navigator.serviceWorker.ready
+        .then(registration => registration.showNotification(title, { body, icon: '/icon.svg', tag: title }))
+        .catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,242 @@
+// ========================================
+// SHELTER FINDER
+// ========================================
+// Evacuation destinations for a chosen point: shelters from a dataset
+// (relief camps, schools, community halls) and safe zones made of
+// contiguous low-risk cells, ranked by a road route that keeps out of
+// cells at warning level or above.
+//
+// Destination shape:
+// {
+//   id, name, kind: 'shelter' | 'safe-zone', position: [lat, lon],
+//   type?, capacity?, properties?,     // shelters
+//   cells?                             // safe zones
+// }
+
+import { haversineKm, planRoutesFrom } from './route-planner';
+import { t, getMessage } from './i18n';
+
+// Smallest group of contiguous low-risk cells offered as a safe zone
+export const MIN_SAFE_ZONE_CELLS = 4;
+
+// Destinations listed for a point
+export const SHELTER_RESULT_LIMIT = 5;
+
+// ========================================
+// SHELTER DATASETS
+// ========================================
+
+// Average of a ring's vertices, good enough to place a compound's marker
+function getRingCenter(ring) {
+  const points = ring.length > 1 ? ring.slice(0, -1) : ring;   // drop the closing vertex
+  return [
+    points.reduce((sum, [, lat]) => sum + lat, 0) / points.length,
+    points.reduce((sum, [lon]) => sum + lon, 0) / points.length
+  ];
+}
+
+/**
+ * Converts a GeoJSON FeatureCollection of shelters into destinations.
+ * Point features are used as they are and Polygon features (camp or
+ * school compounds) by their centre; other geometries are ignored.
+ * `name`, `type` and `capacity` are read from the properties.
+ */
+export function parseShelters(geojson) {
+  if (!geojson || !Array.isArray(geojson.features)) {
+    throw new Error('Shelters must be a GeoJSON FeatureCollection');
+  }
+
+  const shelters = [];
+
+  geojson.features.forEach((feature, index) => {
+    const geometry = feature && feature.geometry;
+    if (!geometry) return;
+
+    let position;
+    if (geometry.type === 'Point') {
+      position = [geometry.coordinates[1], geometry.coordinates[0]];
+    } else if (geometry.type === 'Polygon' && geometry.coordinates[0]) {
+      position = getRingCenter(geometry.coordinates[0]);
+    } else {
+      return;
+    }
+    if (!position.every(Number.isFinite)) return;
+
+    const props = feature.properties || {};
+    const capacity = Number(props.capacity);
+    shelters.push({
+      id: `shelter-${feature.id ?? props['@id'] ?? index}`,
+      name: props.name || t('shelters.unnamed', { number: index + 1 }),
+      kind: 'shelter',
+      type: props.type || props.amenity || '',
+      capacity: Number.isFinite(capacity) && capacity > 0 ? capacity : null,
+      position,
+      properties: props
+    });
+  });
+
+  return shelters;
+}
+
+/**
+ * Shelter `type` in the current language. Types without a translation
+ * (messages-<code>.js, `shelters.types`) are shown as given.
+ */
+export function getShelterTypeLabel(type) {
+  const label = getMessage(`shelters.types.${type.toLowerCase()}`);
+  return typeof label === 'string' ? label : type;
+}
+
+/**
+ * Loads shelters from a URL or a user-supplied File.
+ */
+export async function loadShelters(source) {
+  let geojson;
+
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Shelters request failed: ${response.status}`);
+    }
+    geojson = await response.json();
+  } else {
+    geojson = JSON.parse(await source.text());
+  }
+
+  return parseShelters(geojson);
+}
+
+// ========================================
+// SAFE ZONES
+// ========================================
+
+const toKey = (lat, lon) => `${lat.toFixed(5)},${lon.toFixed(5)}`;
+
+const getCellCenter = ({ bounds }) => [
+  (bounds.minLat + bounds.maxLat) / 2,
+  (bounds.minLon + bounds.maxLon) / 2
+];
+
+function isInside([lat, lon], bounds) {
+  return lat >= bounds.minLat && lat <= bounds.maxLat && lon >= bounds.minLon && lon <= bounds.maxLon;
+}
+
+/**
+ * Groups cells in the lowest band of their scale into safe zones: sets of
+ * at least MIN_SAFE_ZONE_CELLS cells joined edge to edge. Cells are
+ * matched on their corners, so this expects the API's regular grid.
+ * Zones are named by size, largest first, and placed at the cell closest
+ * to their centre. Names are in the current language.
+ */
+export function deriveSafeZones(cells, riskScales) {
+  const safeCells = cells.filter(cell => riskScales.getCellBand(cell).level === 0);
+  const byCorner = new Map(safeCells.map((cell, index) => [toKey(cell.bounds.minLat, cell.bounds.minLon), index]));
+
+  const neighbours = safeCells.map(() => []);
+  safeCells.forEach(({ bounds }, index) => {
+    [toKey(bounds.maxLat, bounds.minLon), toKey(bounds.minLat, bounds.maxLon)].forEach(key => {
+      const other = byCorner.get(key);
+      if (other === undefined) return;
+      neighbours[index].push(other);
+      neighbours[other].push(index);
+    });
+  });
+
+  const zoneOf = new Array(safeCells.length).fill(-1);
+  const groups = [];
+  safeCells.forEach((cell, index) => {
+    if (zoneOf[index] >= 0) return;
+    const group = [index];
+    zoneOf[index] = groups.length;
+    for (let i = 0; i < group.length; i++) {
+      neighbours[group[i]].forEach(next => {
+        if (zoneOf[next] >= 0) return;
+        zoneOf[next] = groups.length;
+        group.push(next);
+      });
+    }
+    groups.push(group.map(member => safeCells[member]));
+  });
+
+  return groups
+    .filter(group => group.length >= MIN_SAFE_ZONE_CELLS)
+    .sort((a, b) => b.length - a.length)
+    .map((group, index) => {
+      const centers = group.map(getCellCenter);
+      const centroid = [
+        centers.reduce((sum, [lat]) => sum + lat, 0) / centers.length,
+        centers.reduce((sum, [, lon]) => sum + lon, 0) / centers.length
+      ];
+      const position = centers.reduce((best, center) =>
+        (haversineKm(center, centroid) < haversineKm(best, centroid) ? center : best));
+
+      return {
+        id: `safe-zone-${index + 1}`,
+        name: t('shelters.safeZone', { number: index + 1 }),
+        kind: 'safe-zone',
+        position,
+        cells: group
+      };
+    });
+}
+
+// ========================================
+// NEAREST DESTINATIONS
+// ========================================
+
+// Where to head for: a shelter's own position, or the safe-zone cell
+// nearest the origin
+function getTargetPosition(destination, origin) {
+  if (destination.kind !== 'safe-zone') return destination.position;
+  return destination.cells.map(getCellCenter).reduce((best, center) =>
+    (haversineKm(center, origin) < haversineKm(best, origin) ? center : best));
+}
+
+/**
+ * Nearest destinations from a [lat, lon] origin.
+ *
+ * Shelters inside a cell at warning level or above (band level ≥ 1) are
+ * not offered and come back in `atRisk`. Routes run on the road graph
+ * and may not pass through warning-level cells, except the ones around
+ * the origin that have to be left first. Without a graph only
+ * straight-line distances are given.
+ *
+ * Returns {
+ *   results: [{ destination, target, distanceKm, route }],  // up to `limit`
+ *   atRisk:  [shelter]
+ * }, where `route` is { path, lengthKm, maxRisk } or null and its length
+ * includes the stretches between the points and the road. Destinations
+ * with a route come first, by route length, then the rest by distance.
+ */
+export function findNearestShelters({ graph, origin, destinations, cells, riskScales, limit = SHELTER_RESULT_LIMIT }) {
+  const warningCells = cells.filter(cell => riskScales.getCellBand(cell).level >= 1);
+  const isAtRisk = position => warningCells.some(cell => isInside(position, cell.bounds));
+
+  const atRisk = destinations.filter(destination => destination.kind === 'shelter' && isAtRisk(destination.position));
+  const candidates = destinations
+    .filter(destination => !atRisk.includes(destination))
+    .map(destination => {
+      const target = getTargetPosition(destination, origin);
+      return { destination, target, distanceKm: haversineKm(origin, target), route: null };
+    });
+
+  if (graph) {
+    const blockedCells = warningCells.filter(cell => !isInside(origin, cell.bounds));
+    const routes = planRoutesFrom(graph, origin, candidates.map(candidate => candidate.target), cells, riskScales, blockedCells);
+    candidates.forEach((candidate, index) => {
+      const route = routes[index];
+      if (!route) return;
+      // Count the walk to and from the road as well
+      const offRoadKm = haversineKm(origin, route.path[0]) + haversineKm(route.path[route.path.length - 1], candidate.target);
+      candidate.route = { ...route, lengthKm: route.lengthKm + offRoadKm };
+    });
+  }
+
+  const results = candidates.sort((a, b) => {
+    if (a.route && b.route) return a.route.lengthKm - b.route.lengthKm;
+    if (a.route || b.route) return a.route ? -1 : 1;
+    return a.distanceKm - b.distanceKm;
+  });
+
+  return { results: results.slice(0, limit), atRisk };
+}
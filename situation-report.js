@@ -0,0 +1,230 @@
+// ========================================
+// SITUATION REPORT
+// ========================================
+// One-page printable report for the current district and hazard: a map
+// snapshot (OSM tiles with the risk cells and road alerts drawn over
+// them), the band breakdown, the road alerts and timestamps. It opens in
+// a new window and starts the print dialog, where it can be saved as PDF.
+// The report is written in the current UI language.
+
+import { getBaseLayer } from './map-layers';
+import { getLanguage, t } from './i18n';
+
+const MAP_WIDTH = 680;
+const MAP_HEIGHT = 380;
+const TILE_SIZE = 256;
+
+// The street map prints most legibly, whatever base map is on screen
+const SNAPSHOT_LAYER = getBaseLayer('osm');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Web Mercator pixel position of a point at a zoom level
+function project(lat, lon, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+  return [
+    ((lon + 180) / 360) * scale,
+    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale
+  ];
+}
+
+// Extent of the cells as Leaflet bounds, or null without cells
+function getCellsExtent(cells) {
+  if (cells.length === 0) return null;
+  // One pass: spreading large grids into Math.min overflows the stack
+  const extent = [[Infinity, Infinity], [-Infinity, -Infinity]];
+  cells.forEach(({ bounds }) => {
+    extent[0][0] = Math.min(extent[0][0], bounds.minLat);
+    extent[0][1] = Math.min(extent[0][1], bounds.minLon);
+    extent[1][0] = Math.max(extent[1][0], bounds.maxLat);
+    extent[1][1] = Math.max(extent[1][1], bounds.maxLon);
+  });
+  return extent;
+}
+
+/**
+ * Map snapshot as HTML: tile images with an SVG overlay, fitted to
+ * `bounds` ([[minLat, minLon], [maxLat, maxLon]]).
+ */
+function renderMapSnapshot(bounds, cells, alerts, boundaryPositions, riskScales) {
+  const [[minLat, minLon], [maxLat, maxLon]] = bounds;
+
+  // Deepest zoom at which the bounds still fit
+  let zoom = 18;
+  while (zoom > 0) {
+    const [left, top] = project(maxLat, minLon, zoom);
+    const [right, bottom] = project(minLat, maxLon, zoom);
+    if (right - left <= MAP_WIDTH && bottom - top <= MAP_HEIGHT) break;
+    zoom -= 1;
+  }
+
+  const [centerX, centerY] = project((minLat + maxLat) / 2, (minLon + maxLon) / 2, zoom);
+  const originX = centerX - MAP_WIDTH / 2;
+  const originY = centerY - MAP_HEIGHT / 2;
+  const toPixel = (lat, lon) => {
+    const [x, y] = project(lat, lon, zoom);
+    return [(x - originX).toFixed(1), (y - originY).toFixed(1)];
+  };
+
+  const tiles = [];
+  const tileCount = 2 ** zoom;
+  for (let x = Math.floor(originX / TILE_SIZE); x <= Math.floor((originX + MAP_WIDTH) / TILE_SIZE); x++) {
+    for (let y = Math.floor(originY / TILE_SIZE); y <= Math.floor((originY + MAP_HEIGHT) / TILE_SIZE); y++) {
+      if (y < 0 || y >= tileCount) continue;
+      const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+      const { url, subdomains } = SNAPSHOT_LAYER;
+      const src = url
+        .replace('{s}', subdomains[Math.abs(wrappedX + y) % subdomains.length])
+        .replace('{z}', zoom)
+        .replace('{x}', wrappedX)
+        .replace('{y}', y)
+        .replace('{r}', '');
+      tiles.push(`<img src="${src}" alt="" style="position:absolute;left:${x * TILE_SIZE - originX}px;top:${y * TILE_SIZE - originY}px;width:${TILE_SIZE}px;height:${TILE_SIZE}px">`);
+    }
+  }
+
+  const boundaryShapes = boundaryPositions.flatMap(rings => rings.map(ring =>
+    `<polygon points="${ring.map(([lat, lon]) => toPixel(lat, lon).join(',')).join(' ')}" fill="none" stroke="#1e3a8a" stroke-width="2"/>`
+  ));
+
+  const cellShapes = cells.map(cell => {
+    const { color } = riskScales.getCellBand(cell);
+    const [x1, y1] = toPixel(cell.bounds.maxLat, cell.bounds.minLon);
+    const [x2, y2] = toPixel(cell.bounds.minLat, cell.bounds.maxLon);
+    return `<rect x="${x1}" y="${y1}" width="${(x2 - x1).toFixed(1)}" height="${(y2 - y1).toFixed(1)}" fill="${color}" fill-opacity="0.45" stroke="${color}" stroke-width="1"/>`;
+  });
+
+  const alertShapes = alerts.flatMap(alert => alert.segments.map(segment =>
+    `<polyline points="${segment.map(([lat, lon]) => toPixel(lat, lon).join(',')).join(' ')}" fill="none" stroke="${alert.band.level === 2 ? '#991b1b' : '#c2410c'}" stroke-width="4"/>`
+  ));
+
+  return `<div class="map">
+      ${tiles.join('\n      ')}
+      <svg width="${MAP_WIDTH}" height="${MAP_HEIGHT}" style="position:absolute;left:0;top:0">
+        ${[...boundaryShapes, ...cellShapes, ...alertShapes].join('\n        ')}
+      </svg>
+      <div class="attribution">${escapeHtml(t('report.attribution'))}</div>
+    </div>`;
+}
+
+/**
+ * Builds the report HTML.
+ *
+ *   title, district, stateName, modeLabel, stepLabel – header text
+ *   generatedAt, dataTime – Dates, shown with formatTime
+ *   cells, alerts, stats  – what the dashboard currently shows
+ *   boundaryPositions     – district outline from getBoundaryPositions
+ *   riskScales            – from createRiskScales
+ */
+export function buildSituationReport({
+  title,
+  district,
+  stateName,
+  modeLabel,
+  stepLabel,
+  generatedAt,
+  dataTime,
+  cells,
+  alerts,
+  stats,
+  boundaryPositions,
+  bounds,
+  riskScales,
+  formatTime
+}) {
+  const mapBounds = bounds || getCellsExtent(cells);
+
+  const bandRows = stats.bands.map(band => `
+        <tr>
+          <td><span class="swatch" style="background:${band.color}"></span>${escapeHtml(band.label)}</td>
+          <td class="number">${escapeHtml(t('common.count', { count: band.count }))}</td>
+          <td class="number">${escapeHtml(t('common.percent', { value: stats.total > 0 ? Math.round((band.count / stats.total) * 100) : 0 }))}</td>
+        </tr>`).join('');
+
+  const alertRows = alerts.length === 0
+    ? `<tr><td colspan="4">${escapeHtml(t('report.noAlerts'))}</td></tr>`
+    : alerts.map(alert => `
+        <tr>
+          <td><strong>${escapeHtml(alert.road)}</strong></td>
+          <td><span class="swatch" style="background:${alert.band.color}"></span>${escapeHtml(t('report.alertBand', { band: alert.band.label, risk: alert.severity }))}</td>
+          <td>${escapeHtml(alert.message)}</td>
+          <td>${escapeHtml(alert.recommendation)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(t('report.documentTitle', { district: district.name, mode: modeLabel }))}</title>
+  <style>
+    @page { size: A4; margin: 12mm; }
+    * { box-sizing: border-box; }
+    body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, 'Noto Sans Devanagari', 'Noto Sans Bengali', 'Noto Sans Meetei Mayek', sans-serif; color: #1e293b; margin: 0; font-size: 12px; }
+    .page { width: ${MAP_WIDTH}px; margin: 0 auto; padding: 16px 0; }
+    h1 { font-size: 18px; margin: 0; color: #1e3a8a; }
+    h2 { font-size: 13px; margin: 14px 0 6px; color: #1e3a8a; border-bottom: 2px solid #e2e8f0; padding-bottom: 3px; }
+    .meta { display: flex; justify-content: space-between; color: #475569; margin: 4px 0 10px; }
+    .map { position: relative; width: ${MAP_WIDTH}px; height: ${MAP_HEIGHT}px; overflow: hidden; border: 1px solid #cbd5e1; background: #f1f5f9; }
+    .attribution { position: absolute; right: 0; bottom: 0; background: rgba(255,255,255,0.8); font-size: 9px; padding: 1px 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+    th { background: #f1f5f9; }
+    .number { text-align: right; }
+    .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 5px; border-radius: 2px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .footer { margin-top: 12px; color: #64748b; font-size: 10px; }
+    @media print { .page { padding: 0; } }
+  </style>
+</head>
+<body>
+  <div class="page">
+    <h1>${escapeHtml(t('report.title', { title }))}</h1>
+    <div class="meta">
+      <span><strong>${escapeHtml(district.name)}</strong>${stateName ? `, ${escapeHtml(stateName)}` : ''} · ${escapeHtml(t('report.modeRisk', { mode: modeLabel }))} · ${escapeHtml(stepLabel)}</span>
+      <span>${escapeHtml(t('report.dataAsOf', { time: dataTime ? formatTime(dataTime) : t('report.unknownTime') }))}</span>
+    </div>
+
+    ${mapBounds ? renderMapSnapshot(mapBounds, cells, alerts, boundaryPositions, riskScales) : `<p>${escapeHtml(t('report.noMap'))}</p>`}
+
+    <h2>${escapeHtml(t('report.breakdown', { count: stats.total }))}</h2>
+    <table>
+      <thead><tr><th>${escapeHtml(t('report.band'))}</th><th class="number">${escapeHtml(t('report.cells'))}</th><th class="number">${escapeHtml(t('report.share'))}</th></tr></thead>
+      <tbody>${bandRows}
+      </tbody>
+    </table>
+
+    <h2>${escapeHtml(t('report.roadAlerts', { count: alerts.length }))}</h2>
+    <table>
+      <thead><tr><th>${escapeHtml(t('report.road'))}</th><th>${escapeHtml(t('report.band'))}</th><th>${escapeHtml(t('report.situation'))}</th><th>${escapeHtml(t('report.recommendation'))}</th></tr></thead>
+      <tbody>${alertRows}
+      </tbody>
+    </table>
+
+    <div class="footer">${escapeHtml(t('report.footer', { time: formatTime(generatedAt) }))}</div>
+  </div>
+  <script>
+    window.addEventListener('load', function () { window.print(); });
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Opens the report in a new window, which prints itself once the map
+ * tiles have loaded. Returns false if the browser blocked the window.
+ */
+export function openSituationReport(html) {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) return false;
+  reportWindow.document.open();
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  return true;
+}
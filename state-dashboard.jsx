@@ -0,0 +1,166 @@
+import React from 'react';
+import { t, useLanguage } from './i18n';
+import { VISUALLY_HIDDEN, BandSwatch } from './accessibility';
+
+// ========================================
+// STATE DASHBOARD COMPONENT
+// ========================================
+// Districts of the selected state ranked by high-risk cells, then by
+// their highest risk, for the current hazard mode. Districts still
+// loading or without data come last. Clicking a row opens the district.
+
+function StateDashboard({
+  stateName,
+  districts,        // the state's districts from the manifest
+  entries,          // { [districtId]: { status: 'loading'|'loaded'|'error', cells, error, storedAt } }
+  getModeCells,     // (cells) => cells of the current hazard mode
+  riskScales,
+  onSelect,         // (districtId) => void
+  onRetry,          // reloads the districts that failed
+  formatTime
+}) {
+  useLanguage();
+
+  const rows = districts.map(district => {
+    const entry = entries[district.id] || { status: 'loading', cells: [] };
+    const cells = getModeCells(entry.cells);
+    const bands = cells.map(cell => riskScales.getCellBand(cell));
+    const maxCell = cells.reduce((max, cell) => (!max || cell.risk_percentage > max.risk_percentage ? cell : max), null);
+    return {
+      district,
+      entry,
+      cellCount: cells.length,
+      highRisk: bands.filter(band => band.level === 2).length,
+      warning: bands.filter(band => band.level === 1).length,
+      maxRisk: maxCell ? maxCell.risk_percentage : null,
+      maxBand: maxCell ? riskScales.getCellBand(maxCell) : null
+    };
+  });
+
+  rows.sort((a, b) =>
+    (b.cellCount > 0) - (a.cellCount > 0) ||
+    b.highRisk - a.highRisk ||
+    (b.maxRisk ?? -1) - (a.maxRisk ?? -1) ||
+    a.district.name.localeCompare(b.district.name)
+  );
+
+  const loaded = rows.filter(row => row.entry.status === 'loaded').length;
+  const failed = rows.filter(row => row.entry.status === 'error').length;
+  const loadingCount = rows.length - loaded - failed;
+
+  const cellStyle = { padding: '0.4rem 0.6rem', borderBottom: '1px solid #e2e8f0', textAlign: 'left' };
+  const headerStyle = { ...cellStyle, position: 'sticky', top: 0, background: '#f1f5f9', fontWeight: 700, color: '#475569' };
+  const numberStyle = { ...cellStyle, textAlign: 'right' };
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+      maxHeight: '40%',
+      display: 'flex',
+      flexDirection: 'column',
+      overflow: 'hidden'
+    }}>
+      <div style={{
+        padding: '0.75rem 1rem',
+        borderBottom: '2px solid #e2e8f0',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem',
+        fontSize: '0.85rem'
+      }}>
+        <div style={{ fontWeight: 700, fontSize: '1rem', color: '#1e293b' }}>
+          📊 {t('dashboard.title', { state: stateName })}
+        </div>
+        <div style={{ color: '#64748b', fontWeight: 600 }}>
+          {t('dashboard.loaded', { loaded, total: rows.length })}
+          {loadingCount > 0 && ` · ⏳ ${t('dashboard.loadingCount', { count: loadingCount })}`}
+        </div>
+        {failed > 0 && (
+          <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#b91c1c', fontWeight: 600 }}>
+            ❌ {t('dashboard.failedCount', { count: failed })}
+            <button
+              onClick={onRetry}
+              style={{
+                padding: '0.2rem 0.5rem',
+                border: '1px solid #fca5a5',
+                borderRadius: '4px',
+                background: 'white',
+                cursor: 'pointer',
+                fontSize: '0.8rem',
+                color: '#b91c1c'
+              }}
+            >
+              🔄 {t('dashboard.retry')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div style={{ overflowY: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+          <caption style={VISUALLY_HIDDEN}>
+            {t('dashboard.caption', { state: stateName })}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col" style={{ ...headerStyle, textAlign: 'right' }}>#</th>
+              <th scope="col" style={headerStyle}>{t('dashboard.district')}</th>
+              <th scope="col" style={{ ...headerStyle, textAlign: 'right' }}>{t('dashboard.highRisk')}</th>
+              <th scope="col" style={{ ...headerStyle, textAlign: 'right' }}>{t('dashboard.warning')}</th>
+              <th scope="col" style={headerStyle}>{t('dashboard.maxRisk')}</th>
+              <th scope="col" style={{ ...headerStyle, textAlign: 'right' }}>{t('dashboard.cells')}</th>
+              <th scope="col" style={headerStyle}>{t('dashboard.status')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr
+                key={row.district.id}
+                onClick={() => onSelect(row.district.id)}
+                style={{ cursor: 'pointer', background: row.highRisk > 0 ? '#fef2f2' : 'white' }}
+              >
+                <td style={{ ...numberStyle, color: '#94a3b8' }}>{row.cellCount > 0 ? index + 1 : '–'}</td>
+                <th scope="row" style={{ ...cellStyle, fontWeight: 600 }}>
+                  {/* Keyboard access to the row: the click bubbles up to it */}
+                  <button style={{ border: 'none', background: 'none', padding: 0, font: 'inherit', color: '#1e40af', cursor: 'pointer', textAlign: 'left' }}>
+                    {row.district.name}
+                  </button>
+                </th>
+                <td style={{ ...numberStyle, fontWeight: 700, color: row.highRisk > 0 ? '#991b1b' : '#64748b' }}>
+                  {row.cellCount > 0 ? t('common.count', { count: row.highRisk }) : ''}
+                </td>
+                <td style={{ ...numberStyle, color: row.warning > 0 ? '#92400e' : '#64748b' }}>
+                  {row.cellCount > 0 ? t('common.count', { count: row.warning }) : ''}
+                </td>
+                <td style={cellStyle}>
+                  {row.maxBand && (
+                    <span style={{ display: 'inline-flex', alignItems: 'center', gap: '0.4rem' }}>
+                      <BandSwatch band={row.maxBand} size={14} />
+                      {t('common.percent', { value: row.maxRisk })} · {row.maxBand.label}
+                    </span>
+                  )}
+                </td>
+                <td style={{ ...numberStyle, color: '#64748b' }}>
+                  {row.cellCount > 0 ? t('common.count', { count: row.cellCount }) : ''}
+                </td>
+                <td style={{ ...cellStyle, fontSize: '0.8rem', color: row.entry.status === 'error' || row.entry.error ? '#b91c1c' : '#64748b' }}>
+                  {row.entry.status === 'loading' && `⏳ ${t('dashboard.loading')}`}
+                  {row.entry.status === 'error' && `❌ ${t('dashboard.failed', { message: row.entry.error })}`}
+                  {row.entry.status === 'loaded' && (row.entry.error
+                    ? `⚠️ ${t('dashboard.refreshFailed', { message: row.entry.error })}`
+                    : row.entry.storedAt
+                      ? `📴 ${t('dashboard.stored', { time: formatTime(row.entry.storedAt) })}`
+                      : row.cellCount === 0 ? t('dashboard.noCells') : '✓')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default StateDashboard;
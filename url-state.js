@@ -0,0 +1,102 @@
+// ========================================
+// URL STATE
+// ========================================
+// The view as a shareable link: region, hazard mode, map position,
+// selected road alert and timeline step live in the query string, e.g.
+//
+//   ?country=india&state=manipur&district=imphal-west&hazard=flood
+//     &map=12/24.8170/93.9368&alert=flood-nh-37-eh7lbn&time=2026-10-18T15:00Z
+//
+// Every parameter is optional; unknown ids are ignored by the app.
+// Moving between regions adds a history entry, so back/forward walks the
+// Country → State → District hierarchy; everything else replaces the
+// current entry.
+
+const HIERARCHY_PARAMS = ['country', 'state', 'district'];
+
+// Owned by other modules and left as they are (the mock API scenario)
+const PRESERVED_PARAMS = ['mock'];
+
+// Decimal places kept for the map centre (~10 m)
+const COORDINATE_DIGITS = 4;
+
+function parseMapParam(value) {
+  const parts = (value || '').split('/').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  const [zoom, lat, lon] = parts;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { center: [lat, lon], zoom };
+}
+
+function parseTimeParam(value) {
+  if (!value) return null;
+  const time = new Date(value);
+  return Number.isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * View encoded in a query string:
+ * { country, state, district, hazard, view: { center, zoom } | null,
+ *   alert, time: Date | null }. Missing parameters are null.
+ */
+export function parseUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return {
+    country: params.get('country'),
+    state: params.get('state'),
+    district: params.get('district'),
+    hazard: params.get('hazard'),
+    view: parseMapParam(params.get('map')),
+    alert: params.get('alert'),
+    time: parseTimeParam(params.get('time'))
+  };
+}
+
+/**
+ * Query string (with leading "?", or "" when empty) for a view in the
+ * shape returned by parseUrlState.
+ */
+export function buildUrlSearch(state) {
+  const params = new URLSearchParams();
+  HIERARCHY_PARAMS.forEach(key => {
+    if (state[key]) params.set(key, state[key]);
+  });
+  if (state.hazard) params.set('hazard', state.hazard);
+  if (state.view) {
+    const [lat, lon] = state.view.center;
+    params.set('map', `${Math.round(state.view.zoom)}/${lat.toFixed(COORDINATE_DIGITS)}/${lon.toFixed(COORDINATE_DIGITS)}`);
+  }
+  if (state.alert) params.set('alert', state.alert);
+  if (state.time) params.set('time', `${state.time.toISOString().slice(0, 16)}Z`);
+  return formatSearch(params);
+}
+
+// "?a=b&..." or "", keeping the separators readable in shared links
+function formatSearch(params) {
+  const search = params.toString().replace(/%2F/g, '/').replace(/%3A/g, ':');
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Writes a view to the address bar. A change of region pushes a history
+ * entry; other changes replace the current one. Returns false when the
+ * URL was already up to date.
+ */
+export function writeUrlState(state) {
+  const current = new URLSearchParams(window.location.search);
+  const params = new URLSearchParams(buildUrlSearch(state));
+  PRESERVED_PARAMS.forEach(key => {
+    if (current.has(key)) params.set(key, current.get(key));
+  });
+  const search = formatSearch(params);
+  if (search === window.location.search) return false;
+
+  const regionChanged = HIERARCHY_PARAMS.some(key => (current.get(key) || null) !== (state[key] || null));
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (regionChanged) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+  return true;
+}
@@ -1,8 +1,35 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Names the service worker's shell cache (public/sw.js), so each build
+// replaces the previous build's bundles instead of adding to them
+const BUILD_ID = Date.now().toString(36);
+
+// Writes precache-manifest.json with every file of the build, for the
+// service worker to cache on install
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const urls = Object.keys(bundle)
+        .filter(fileName => !fileName.endsWith('.map'))
+        .map(fileName => (fileName === 'index.html' ? '/' : `/${fileName}`));
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify({ build: BUILD_ID, urls }, null, 2)
+      });
+    }
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
+  define: {
+    __BUILD_ID__: JSON.stringify(BUILD_ID)
+  },
   server: {
     port: 3004,
     proxy: {